@@ -4518,6 +4518,8 @@ var Easyrtc = function() {
     /** @private */
     var oldConfig = {};
     /** @private */
+    var appUserSettings = {};
+    /** @private */
     var offersPending = {};
     /** @private */
     var credential = null;
@@ -4556,6 +4558,11 @@ var Easyrtc = function() {
      */
     this.roomJoin = {};
 
+    /** The groups the user is in. Like roomJoin, it is sent to the server at the
+     * time of authentication.
+     */
+    this.groupJoin = {};
+
     /** Checks if the supplied string is a valid user name (standard identifier rules)
      * @param {String} name
      * @return {Boolean} true for a valid user name
@@ -4901,6 +4908,29 @@ var Easyrtc = function() {
     /** @private */
     var lastLoggedInList = {};
     /** @private */
+    var groupOccupantListener = null;
+    /** @private */
+    var lastGroupList = {};
+    /** @private */
+    var roomModerationListener = null;
+    /** @private */
+    var roomHistoryListener = null;
+    /** @private */
+    var msgReceiptListener = null;
+    /** @private */
+    var userPresenceListener = null;
+    /** @private */
+    var idleTimeout = 300000;
+    /** @private */
+    var lastUserActivityTime = Date.now();
+    /** @private */
+    var idleCheckTimer = null;
+    /** @private */
+    // presence to restore once the user is active again, set while automatically away
+    var idlePresence = null;
+    /** @private */
+    var idleActivityEventList = ["mousemove", "mousedown", "keydown", "touchstart", "scroll"];
+    /** @private */
     var receivePeer = {msgTypes: {}};
     /** @private */
     var receiveServerCB = null;
@@ -5498,6 +5528,92 @@ var Easyrtc = function() {
         roomOccupantListener = listener;
     };
 
+    /**
+     * Set the callback that will be invoked when the membership of a group changes.
+     * The callback expects to receive a group name argument, and
+     * a map whose keys are easyrtcids and whose values are in turn maps
+     * supplying user specific information (easyrtcid, username, presence).
+     * Unlike rooms, group members are not expected to be peers; the list is
+     * informational and may be used for targeting messages with sendServerMessage or sendDataWS.
+     * @param {Function} listener
+     * @example
+     *   easyrtc.setGroupOccupantListener( function(groupName, list){
+     *      for( var i in list ){
+     *         console.log("easyrtcid=" + i + " is in group " + groupName);
+     *      }
+     *   });
+     */
+    self.setGroupOccupantListener = function(listener) {
+        groupOccupantListener = listener;
+    };
+
+    /**
+     * Set the callback that will be invoked when a room moderator acts upon this client.
+     * The callback receives the action ("roomKick", "roomBan" or "roomMuteRequest"), the room name,
+     * the easyrtcid of the moderator (null if the action came from the server application),
+     * and for mute requests, an object of form {muteAudio: boolean, muteVideo: boolean}.
+     * When kicked or banned, the room is left before the callback is invoked. Mute requests
+     * disable the local microphone and/or camera before the callback is invoked.
+     * @param {Function} listener
+     * @example
+     *   easyrtc.setRoomModerationListener( function(action, roomName, moderatorEasyrtcid, muteObj){
+     *      if( action === "roomBan" ) {
+     *          console.log("banned from " + roomName);
+     *      }
+     *   });
+     */
+    self.setRoomModerationListener = function(listener) {
+        roomModerationListener = listener;
+    };
+
+    /**
+     * Set the callback that will be invoked when the server sends the message history of a room.
+     * This happens upon joining a room which has history enabled on the server, which may be before
+     * the connect success callback is called. The callback receives the room name, an array of messages
+     * (oldest first) of form {historyId, senderEasyrtcid, senderUsername, msgType, msgData, serverTime},
+     * and a boolean which is true if older messages can be fetched with getRoomHistory.
+     * @param {Function} listener
+     * @example
+     *   easyrtc.setRoomHistoryListener( function(roomName, msgList, hasMore){
+     *      for( var i = 0; i < msgList.length; i++ ){
+     *          addToConversation(msgList[i].senderEasyrtcid, msgList[i].msgType, msgList[i].msgData);
+     *      }
+     *   });
+     */
+    self.setRoomHistoryListener = function(listener) {
+        roomHistoryListener = listener;
+    };
+
+    /**
+     * Set the callback that will be invoked when a message which the server queued for an offline
+     * username (see sendPeerMessage) has been delivered. The callback receives an object of form
+     * {offlineMsgId, targetUsername, targetEasyrtcid, msgType, deliveredTime}.
+     * @param {Function} listener
+     * @example
+     *   easyrtc.setMsgReceiptListener( function(msgReceipt){
+     *      markDelivered(msgReceipt.offlineMsgId);
+     *   });
+     */
+    self.setMsgReceiptListener = function(listener) {
+        msgReceiptListener = listener;
+    };
+
+    /**
+     * Set the callback that will be invoked when the presence of a username you subscribed to
+     * (see subscribePresence) changes, including when it comes online or goes offline.
+     * The callback receives the username and an object of form
+     * {username, isOnline, show, status, lastActivityOn, lastSeenOn}. The times are in milliseconds
+     * since the epoch, and are null if the server has not seen the username.
+     * @param {Function} listener
+     * @example
+     *   easyrtc.setUserPresenceListener( function(username, presence){
+     *      buddyList.update(username, presence.isOnline ? presence.show : "offline", presence.lastSeenOn);
+     *   });
+     */
+    self.setUserPresenceListener = function(listener) {
+        userPresenceListener = listener;
+    };
+
     /**
      * Sets a callback that is called when a data channel is open and ready to send data.
      * The callback will be called with an easyrtcid as it's sole argument.
@@ -6337,6 +6453,7 @@ var Easyrtc = function() {
      * @param {Function} listener has the signature (easyrtcid, msgType, msgData, targeting).
      *   msgType is a string. targeting is null if the message was received using WebRTC data channels, otherwise it
      *   is an object that contains one or more of the following string valued elements {targetEasyrtcid, targetGroup, targetRoom}.
+     *   Messages which the server queued while the user was offline also have the elements offlineMsgId and sentTime.
      * @param {String} msgType - a string, optional.
      * @param {String} source - the sender's easyrtcid, optional.
      * @example
@@ -6459,6 +6576,27 @@ var Easyrtc = function() {
         }
     };
 
+    /**
+     * Sets an application defined user setting. User settings are sent to the server with the
+     * setUserCfg command (along with the browser and media settings gathered by easyrtc), where
+     * they are available to server applications through connectionObj.getUserSettings().
+     * May be called before or after connecting; changes made while connected are sent to the server.
+     * @param {String} settingName - the name of the setting.
+     * @param {Object} settingValue - any JSONable value. A value of null removes the setting on the server.
+     * @example
+     *    easyrtc.setUserSetting("preferredLayout", "grid");
+     */
+    this.setUserSetting = function(settingName, settingValue) {
+        try {
+            JSON.stringify(settingValue);
+        } catch (error) {
+            self.showError(self.errCodes.DEVELOPER_ERR, "non-jsonable parameter to easyrtc.setUserSetting");
+            throw "Developer error, see application error messages";
+        }
+        appUserSettings[settingName] = settingValue;
+        updateConfigurationInfo();
+    };
+
     /**
      * Get an array of easyrtcids that are using a particular username
      * @param {String} username - the username of interest.
@@ -6509,6 +6647,25 @@ var Easyrtc = function() {
         }
     };
 
+    /**
+     * Returns a shared connection field of another room occupant, such as one it set with setConnectionField.
+     * @param {String} roomName
+     * @param {String} easyrtcid
+     * @param {String} fieldName
+     * @returns {Object}  Undefined if the field does not exist, its value otherwise.
+     */
+    this.getOccupantField = function(roomName, easyrtcid, fieldName) {
+        if (lastLoggedInList[roomName] &&
+                lastLoggedInList[roomName][easyrtcid] &&
+                lastLoggedInList[roomName][easyrtcid].field &&
+                lastLoggedInList[roomName][easyrtcid].field[fieldName]) {
+            return lastLoggedInList[roomName][easyrtcid].field[fieldName].fieldValue;
+        }
+        else {
+            return undefined;
+        }
+    };
+
     /**
      * Set the authentication credential if needed.
      * @param {Object} credentialParm - a JSONable object.
@@ -6757,6 +6914,103 @@ var Easyrtc = function() {
     /** @private */
     var closedChannel = null;
 
+    /** @private */
+    //
+    // Token from the server which lets the next connect() resume this connection (same
+    // easyrtcid, rooms and fields) if it was dropped rather than ended by disconnect().
+    //
+    var resumeToken = null;
+
+    /** @private */
+    var iceConfigRefreshTimer = null;
+
+    /**
+     * Schedules a fresh ice config to be requested before the ephemeral TURN credentials
+     * of the current one expire. The server supplies the lifetime (in seconds) as iceConfig.ttl.
+     * @private
+     * @param {Object} iceConfig
+     */
+    function scheduleIceConfigRefresh(iceConfig) {
+        if (iceConfigRefreshTimer) {
+            clearTimeout(iceConfigRefreshTimer);
+            iceConfigRefreshTimer = null;
+        }
+        if (!iceConfig || typeof iceConfig.ttl !== "number" || iceConfig.ttl <= 0) {
+            return;
+        }
+        //
+        // Refresh once 90% of the lifetime has passed. Timer delays are capped at about 24 days.
+        //
+        iceConfigRefreshTimer = setTimeout(function() {
+            iceConfigRefreshTimer = null;
+            if (self.webSocketConnected) {
+                self.getFreshIceConfig();
+            }
+        }, Math.min(iceConfig.ttl * 900, 2147483647));
+    }
+
+    /**
+     * Records user activity. If the presence was automatically set to 'away', the previous presence is restored.
+     * @private
+     */
+    function onUserActivity() {
+        lastUserActivityTime = Date.now();
+        if (idlePresence) {
+            self.updatePresence(idlePresence.show, idlePresence.status);
+        }
+    }
+
+    /**
+     * Sets the presence to 'away' once the user has been inactive for the idle timeout.
+     * @private
+     */
+    function checkIdle() {
+        if (idlePresence || !self.webSocketConnected || Date.now() - lastUserActivityTime < idleTimeout) {
+            return;
+        }
+        if (self.presenceShow && self.presenceShow !== "chat") {
+            return;
+        }
+        var savedPresence = {show: self.presenceShow || "chat", status: self.presenceStatus};
+        self.updatePresence("away", self.presenceStatus);
+        idlePresence = savedPresence;
+    }
+
+    /**
+     * Starts watching for user activity. Does nothing outside a browser or if the idle timeout is 0.
+     * @private
+     */
+    function startIdleDetection() {
+        if (!idleTimeout || typeof document === "undefined" || idleCheckTimer) {
+            return;
+        }
+        lastUserActivityTime = Date.now();
+        for (var i = 0; i < idleActivityEventList.length; i++) {
+            document.addEventListener(idleActivityEventList[i], onUserActivity, true);
+        }
+        idleCheckTimer = setInterval(checkIdle, Math.min(idleTimeout, 10000));
+    }
+
+    /**
+     * Stops watching for user activity. If the presence was automatically set to 'away', the previous
+     * presence is kept locally so it is sent on the next connect.
+     * @private
+     */
+    function stopIdleDetection() {
+        if (idleCheckTimer) {
+            clearInterval(idleCheckTimer);
+            idleCheckTimer = null;
+            for (var i = 0; i < idleActivityEventList.length; i++) {
+                document.removeEventListener(idleActivityEventList[i], onUserActivity, true);
+            }
+        }
+        if (idlePresence) {
+            self.presenceShow = idlePresence.show;
+            self.presenceStatus = idlePresence.status;
+            idlePresence = null;
+        }
+    }
+
     //
     // easyrtc.disconnect performs a clean disconnection of the client from the server.
     //
@@ -6783,13 +7037,24 @@ var Easyrtc = function() {
         }
         lastLoggedInList = {};
         self.emitEvent("roomOccupant", {});
+        if (groupOccupantListener) {
+            for (key in lastGroupList) {
+                if (lastGroupList.hasOwnProperty(key)) {
+                    groupOccupantListener(key, {});
+                }
+            }
+        }
+        lastGroupList = {};
         self.roomData = {};
         self.roomJoin = {};
+        self.groupJoin = {};
         self._roomApiFields = {};
         self.loggingOut = false;
         self.myEasyrtcid = null;
         self.disconnecting = false;
         oldConfig = {};
+        scheduleIceConfigRefresh(null);
+        stopIdleDetection();
     }
 
     /**
@@ -6801,6 +7066,7 @@ var Easyrtc = function() {
 
         logDebug("attempt to disconnect from WebRTC signalling server");
 
+        resumeToken = null;
         self.disconnecting = true;
         self.hangupAll();
         self.loggingOut = true;
@@ -6959,8 +7225,9 @@ var Easyrtc = function() {
 
     /** Sends data to another user using websockets. The easyrtc.sendServerMessage or easyrtc.sendPeerMessage methods
      * are wrappers for this method; application code should use them instead.
-     * @param {String} destination - either a string containing the easyrtcId of the other user, or an object containing some subset of the following fields: targetEasyrtcid, targetGroup, targetRoom.
+     * @param {String} destination - either a string containing the easyrtcId of the other user, or an object containing some subset of the following fields: targetEasyrtcid, targetUsername, targetGroup, targetRoom.
      * Specifying multiple fields restricts the scope of the destination (operates as a logical AND, not a logical OR).
+     * A targetUsername delivers the message to every connection authenticated with that username.
      * @param {String} msgType -the type of message being sent (application specific).
      * @param {Object} msgData - a JSONable object.
      * @param {Function} ackhandler - by default, the ackhandler handles acknowledgments from the server that your message was delivered to it's destination.
@@ -7004,6 +7271,9 @@ var Easyrtc = function() {
                 if (destination.targetGroup) {
                     outgoingMessage.targetGroup = destination.targetGroup;
                 }
+                if (destination.targetUsername) {
+                    outgoingMessage.targetUsername = destination.targetUsername;
+                }
             }
         }
 
@@ -7040,8 +7310,12 @@ var Easyrtc = function() {
 
     /**
      * Sends a message to another peer on the easyrtcMsg channel.
-     * @param {String} destination - either a string containing the easyrtcId of the other user, or an object containing some subset of the following fields: targetEasyrtcid, targetGroup, targetRoom.
+     * @param {String} destination - either a string containing the easyrtcId of the other user, or an object containing some subset of the following fields: targetEasyrtcid, targetUsername, targetGroup, targetRoom.
      * Specifying multiple fields restricts the scope of the destination (operates as a logical AND, not a logical OR).
+     * A targetUsername delivers the message to every connection authenticated with that username.
+     * If the server has offline messages enabled and the username has no connections, the message is queued
+     * and the successCB receives a msgType of "msgQueued" with msgData.msgQueued of form {offlineMsgId, targetUsername, expiresOn}.
+     * See setMsgReceiptListener.
      * @param {String} msgType - the type of message being sent (application specific).
      * @param {Object} msgData - a JSONable object with the message contents.
      * @param {function(String, Object)} successCB - a callback function with results from the server.
@@ -7054,6 +7328,7 @@ var Easyrtc = function() {
      *             function(errorCode, errorText){
      *                console.log("error was " + errorText);
      *             });
+     *     easyrtc.sendPeerMessage({targetUsername:'fred', targetRoom:'lobby'}, 'offer_candy', {candy_name:'mars'});
      */
     this.sendPeerMessage = function(destination, msgType, msgData, successCB, failureCB) {
         if (!destination) {
@@ -7283,7 +7558,7 @@ var Easyrtc = function() {
                 if (oldVersion === null || typeof oldVersion[i] === 'undefined') {
                     added[i] = newVersion[i];
                 }
-                else if (typeof newVersion[i] === 'object') {
+                else if (newVersion[i] && oldVersion[i] && typeof newVersion[i] === 'object' && typeof oldVersion[i] === 'object') {
                     subPart = findDeltas(oldVersion[i], newVersion[i]);
                     if (subPart !== null) {
                         added[i] = newVersion[i];
@@ -7295,7 +7570,7 @@ var Easyrtc = function() {
             }
         }
         for (i in oldVersion) {
-            if (newVersion.hasOwnProperty(i)) {
+            if (oldVersion.hasOwnProperty(i)) {
                 if (typeof newVersion[i] === 'undefined') {
                     deleted[i] = oldVersion[i];
                 }
@@ -7338,11 +7613,18 @@ var Easyrtc = function() {
                 cookieEnabled: navigator.cookieEnabled,
                 os: navigator.oscpu,
                 language: navigator.language
-            }
+            },
+            //
+            // the p2pList is always sent in full (even when empty) since the
+            // server replaces its copy rather than merging it.
+            //
+            p2pList: p2pList
         };
 
-        if (!isEmptyObj(p2pList)) {
-            newConfig.p2pList = p2pList;
+        for (i in appUserSettings) {
+            if (appUserSettings.hasOwnProperty(i)) {
+                newConfig.userSettings[i] = appUserSettings[i];
+            }
         }
 
         return newConfig;
@@ -8683,6 +8965,13 @@ var Easyrtc = function() {
         if (msg.targetGroup) {
             targeting.targetGroup = msg.targetGroup;
         }
+        if (msg.targetUsername) {
+            targeting.targetUsername = msg.targetUsername;
+        }
+        if (msg.offlineMsgId) {
+            targeting.offlineMsgId = msg.offlineMsgId;
+            targeting.sentTime = msg.sentTime;
+        }
         if (msg.senderEasyrtcid) {
             self.receivePeerDistribute(msg.senderEasyrtcid, msg, targeting);
         }
@@ -8735,6 +9024,8 @@ var Easyrtc = function() {
             };
         }
 
+        scheduleIceConfigRefresh(iceConfig);
+
         for (i = 0; i < iceConfig.iceServers.length; i++) {
             item = iceConfig.iceServers[i];
             if( item.urls && item.urls.length ) {
@@ -8807,7 +9098,7 @@ var Easyrtc = function() {
                            lastLoggedInList[roomName][id] = stuffToAdd[id];
                         }
                         for( k in stuffToAdd[id] ) {
-                           if( k === "apiField" || k === "presence") {
+                           if( k === "apiField" || k === "presence" || k === "field") {
                               lastLoggedInList[roomName][id][k] = stuffToAdd[id][k];
                            }
                         }
@@ -8835,6 +9126,62 @@ var Easyrtc = function() {
         self.emitEvent("roomOccupant", lastLoggedInList);
     }
 
+    /** @private */
+    function processGroupData(groupData) {
+        var groupName, id,
+            stuffToRemove, stuffToAdd;
+
+        for (groupName in groupData) {
+            if (!groupData.hasOwnProperty(groupName)) {
+                continue;
+            }
+            if (groupData[groupName].groupStatus === "leave") {
+                delete self.groupJoin[groupName];
+                delete lastGroupList[groupName];
+                delete fields.groups[groupName];
+                if (groupOccupantListener) {
+                    groupOccupantListener(groupName, {});
+                }
+                continue;
+            }
+            if (groupData[groupName].groupStatus === "join" && !self.groupJoin[groupName]) {
+                self.groupJoin[groupName] = {groupName: groupName};
+            }
+
+            if (groupData[groupName].clientList) {
+                lastGroupList[groupName] = groupData[groupName].clientList;
+            }
+            else if (groupData[groupName].clientListDelta) {
+                if (!lastGroupList[groupName]) {
+                    lastGroupList[groupName] = {};
+                }
+                stuffToAdd = groupData[groupName].clientListDelta.updateClient;
+                if (stuffToAdd) {
+                    for (id in stuffToAdd) {
+                        if (stuffToAdd.hasOwnProperty(id)) {
+                            lastGroupList[groupName][id] = stuffToAdd[id];
+                        }
+                    }
+                }
+                stuffToRemove = groupData[groupName].clientListDelta.removeClient;
+                if (stuffToRemove) {
+                    for (id in stuffToRemove) {
+                        if (stuffToRemove.hasOwnProperty(id)) {
+                            delete lastGroupList[groupName][id];
+                        }
+                    }
+                }
+            }
+            if (groupData[groupName].field) {
+                fields.groups[groupName] = groupData[groupName].field;
+            }
+            if (groupOccupantListener) {
+                groupOccupantListener(groupName, lastGroupList[groupName] || {});
+            }
+        }
+        self.emitEvent("groupOccupant", lastGroupList);
+    }
+
     /** @private */
     function onChannelCmd(msg, ackAcceptorFn) {
 
@@ -9053,6 +9400,51 @@ var Easyrtc = function() {
             case "roomData":
                 processRoomData(msgData.roomData);
                 break;
+            case "groupData":
+                processGroupData(msgData.groupData);
+                break;
+            case "roomKick":
+            case "roomBan":
+                if (roomModerationListener) {
+                    roomModerationListener(msgType, msgData[msgType].roomName, msgData[msgType].moderatorEasyrtcid, null);
+                }
+                break;
+            case "roomMuteRequest":
+                if (msgData.roomMuteRequest.muteAudio) {
+                    self.enableMicrophone(false);
+                }
+                if (msgData.roomMuteRequest.muteVideo) {
+                    self.enableCamera(false);
+                }
+                if (roomModerationListener) {
+                    roomModerationListener(msgType, msgData.roomMuteRequest.roomName, msgData.roomMuteRequest.moderatorEasyrtcid, {
+                        muteAudio: msgData.roomMuteRequest.muteAudio,
+                        muteVideo: msgData.roomMuteRequest.muteVideo
+                    });
+                }
+                break;
+            case "roomHistory":
+                if (roomHistoryListener) {
+                    roomHistoryListener(msgData.roomHistory.roomName, msgData.roomHistory.msgList, msgData.roomHistory.hasMore);
+                }
+                break;
+            case "msgReceipt":
+                if (msgReceiptListener) {
+                    msgReceiptListener(msgData.msgReceipt);
+                }
+                break;
+            case "applicationData":
+                fields.application = msgData.applicationData.field;
+                break;
+            case "userPresence":
+                if (userPresenceListener) {
+                    for (var presenceUsername in msgData.userPresence) {
+                        if (msgData.userPresence.hasOwnProperty(presenceUsername)) {
+                            userPresenceListener(presenceUsername, msgData.userPresence[presenceUsername]);
+                        }
+                    }
+                }
+                break;
             case "iceConfig":
                 processIceConfig(msgData.iceConfig);
                 break;
@@ -9101,6 +9493,7 @@ var Easyrtc = function() {
      */
     this.updatePresence = function(state, statusText) {
 
+        idlePresence = null;
         self.presenceShow = state;
         self.presenceStatus = statusText;
 
@@ -9114,6 +9507,22 @@ var Easyrtc = function() {
         }
     };
 
+    /**
+     * Sets how long the user may be inactive (no mouse, keyboard, touch or scroll events) before the
+     * presence is automatically set to 'away'. The previous presence is restored on the next activity.
+     * Only a presence of 'chat' is changed automatically; 'dnd' and 'xa' are left alone.
+     * The default is 5 minutes.
+     * @param {Number} timeoutMs - inactive time in milliseconds. 0 disables idle detection.
+     * @example   easyrtc.setIdleTimeout(10 * 60 * 1000);
+     */
+    this.setIdleTimeout = function(timeoutMs) {
+        idleTimeout = timeoutMs;
+        if (self.webSocketConnected) {
+            stopIdleDetection();
+            startIdleDetection();
+        }
+    };
+
     /**
      * Fetch the collection of session fields as a map. The map has the structure:
      *  {key1: {"fieldName": key1, "fieldValue": value1}, ...,
@@ -9197,7 +9606,8 @@ var Easyrtc = function() {
 
     /**
      * Request fresh ice config information from the server.
-     * This should be done periodically by long running applications.
+     * This should be done periodically by long running applications. If the server
+     * issues ephemeral TURN credentials, this is done automatically before they expire.
      * @param {Function} callback is called with a value of true on success, false on failure.
      */
     this.getFreshIceConfig = function(callback) {
@@ -9228,9 +9638,19 @@ var Easyrtc = function() {
      * multiple rooms simultaneously. It may be called before or after connecting to the server.
      * Note: the successCB and failureDB will only be called if you are already connected to the server.
      * @param {String} roomName the room to be joined.
-     * @param {Object} roomParameters application specific parameters, can be null.
+     * @param {Object} roomParameters application specific parameters, can be null. For rooms protected by a
+     * password, supply it as the password field.
      * @param {Function} successCB called once, with a roomName as it's argument, once the room is joined.
      * @param {Function} failureCB called if the room can not be joined. The arguments of failureCB are errorCode, errorText, roomName.
+     * The errorCode is MSG_REJECT_ROOM_PASSWORD, MSG_REJECT_ROOM_INVITE or MSG_REJECT_ROOM_FULL if the room's access rules denied the join.
+     * @example
+     *    easyrtc.joinRoom("boardroom", {password: "secret"},
+     *        function(roomName) { console.log("joined " + roomName); },
+     *        function(errorCode, errorText, roomName) {
+     *            if (errorCode === "MSG_REJECT_ROOM_PASSWORD") {
+     *                console.log("wrong password for " + roomName);
+     *            }
+     *        });
      */
     this.joinRoom = function(roomName, roomParameters, successCB, failureCB) {
         if (self.roomJoin[roomName]) {
@@ -9350,6 +9770,320 @@ var Easyrtc = function() {
                     undefined : fields.rooms[roomName];
     };
 
+    /** @private */
+    function sendRoomModeration(msgType, roomName, moderationData, successCB, failureCB) {
+        var msgData = {};
+        msgData[msgType] = moderationData;
+        moderationData.roomName = roomName;
+        sendSignalling(null, msgType, msgData,
+            function(msgType, msgData) {
+                if (successCB) {
+                    successCB(roomName, moderationData.targetEasyrtcid);
+                }
+            },
+            function(errorCode, errorText) {
+                if (failureCB) {
+                    failureCB(errorCode, errorText, roomName);
+                }
+                else {
+                    self.showError(errorCode, errorText);
+                }
+            });
+    }
+
+    /**
+     * Removes another client from a room. Only the room owner or a room moderator may do this, and only
+     * the owner may remove another owner or moderator. The creator of a room is its owner; moderators
+     * are appointed by the server application. You must be connected and in the room.
+     * @param {String} roomName
+     * @param {String} easyrtcid - the client to remove.
+     * @param {Function} successCB - A function which expects a roomName and easyrtcid.
+     * @param {Function} failureCB - A function which expects the following arguments: errorCode, errorText, roomName.
+     * The errorCode is MSG_REJECT_NOT_MODERATOR if you lack the permission.
+     * @example
+     *    easyrtc.kickFromRoom("boardroom", someEasyrtcid,
+     *        function(roomName, easyrtcid) { console.log(easyrtcid + " removed from " + roomName); },
+     *        function(errorCode, errorText, roomName) { console.log(errorText); });
+     */
+    this.kickFromRoom = function(roomName, easyrtcid, successCB, failureCB) {
+        sendRoomModeration("roomKick", roomName, {targetEasyrtcid: easyrtcid}, successCB, failureCB);
+    };
+
+    /**
+     * Bans another client from a room, removing them if present. The ban applies to the client's username
+     * (or easyrtcid if they have no username), so they will be refused when rejoining.
+     * The same permissions as kickFromRoom apply.
+     * @param {String} roomName
+     * @param {String} easyrtcid - the client to ban.
+     * @param {Function} successCB - A function which expects a roomName and easyrtcid.
+     * @param {Function} failureCB - A function which expects the following arguments: errorCode, errorText, roomName.
+     * @example
+     *    easyrtc.banFromRoom("boardroom", someEasyrtcid);
+     */
+    this.banFromRoom = function(roomName, easyrtcid, successCB, failureCB) {
+        sendRoomModeration("roomBan", roomName, {targetEasyrtcid: easyrtcid}, successCB, failureCB);
+    };
+
+    /**
+     * Asks another client in a room to mute its microphone and/or camera. The same permissions as kickFromRoom apply.
+     * The target client mutes itself upon receiving the request; see setRoomModerationListener.
+     * @param {String} roomName
+     * @param {String} easyrtcid - the client to mute.
+     * @param {Boolean} muteAudio - true to mute the microphone.
+     * @param {Boolean} muteVideo - true to mute the camera.
+     * @param {Function} successCB - A function which expects a roomName and easyrtcid.
+     * @param {Function} failureCB - A function which expects the following arguments: errorCode, errorText, roomName.
+     * @example
+     *    easyrtc.requestMute("boardroom", someEasyrtcid, true, false);
+     */
+    this.requestMute = function(roomName, easyrtcid, muteAudio, muteVideo, successCB, failureCB) {
+        sendRoomModeration("roomMuteRequest", roomName, {
+            targetEasyrtcid: easyrtcid,
+            muteAudio: !!muteAudio,
+            muteVideo: !!muteVideo
+        }, successCB, failureCB);
+    };
+
+    /**
+     * Subscribes to the presence of a list of usernames, which need not share a room with you (a buddy list).
+     * Changes are delivered to the listener set with setUserPresenceListener until you unsubscribe or disconnect.
+     * @param {Array} usernameList - the usernames to subscribe to.
+     * @param {Function} successCB - called with a map of each username and its current presence. See setUserPresenceListener for the presence format.
+     * @param {Function} failureCB - called with errorCode and errorText if the subscription is rejected.
+     * @example
+     *    easyrtc.subscribePresence(["alice", "bob"], function(userPresence) {
+     *        console.log("alice is " + (userPresence.alice.isOnline ? "online" : "offline"));
+     *    });
+     */
+    this.subscribePresence = function(usernameList, successCB, failureCB) {
+        var usernameObj = {};
+        for (var i = 0; i < usernameList.length; i++) {
+            usernameObj[usernameList[i]] = true;
+        }
+        sendSignalling(null, "subscribePresence", {subscribePresence: usernameObj},
+                function(msgType, msgData) {
+                    if (successCB) {
+                        successCB(msgData.userPresence);
+                    }
+                },
+                function(errorCode, errorText) {
+                    if (failureCB) {
+                        failureCB(errorCode, errorText);
+                    }
+                    else {
+                        self.showError(errorCode, errorText);
+                    }
+                }
+        );
+    };
+
+    /**
+     * Unsubscribes from the presence of a list of usernames.
+     * @param {Array} usernameList - the usernames to unsubscribe from.
+     * @param {Function} successCB - called once the subscriptions are removed.
+     * @param {Function} failureCB - called with errorCode and errorText on failure.
+     * @example
+     *    easyrtc.unsubscribePresence(["bob"]);
+     */
+    this.unsubscribePresence = function(usernameList, successCB, failureCB) {
+        var usernameObj = {};
+        for (var i = 0; i < usernameList.length; i++) {
+            usernameObj[usernameList[i]] = true;
+        }
+        sendSignalling(null, "unsubscribePresence", {unsubscribePresence: usernameObj},
+                function() {
+                    if (successCB) {
+                        successCB();
+                    }
+                },
+                function(errorCode, errorText) {
+                    if (failureCB) {
+                        failureCB(errorCode, errorText);
+                    }
+                    else {
+                        self.showError(errorCode, errorText);
+                    }
+                }
+        );
+    };
+
+    /**
+     * Fetches a page of the message history of a room. You must be connected and in the room, and room history
+     * must be enabled on the server.
+     * @param {String} roomName
+     * @param {Number} beforeHistoryId - only messages older than this historyId are returned. If null, the latest messages are returned.
+     * @param {Number} limit - the maximum number of messages returned. If null, the server maximum is used.
+     * @param {Function} callback - A function which expects a roomName, an array of messages (oldest first) and a boolean
+     * which is true if older messages remain. See setRoomHistoryListener for the message format.
+     * @param {Function} errorCallback - A function which expects the following arguments: errorCode, errorText, roomName.
+     * @example
+     *    easyrtc.getRoomHistory("lobby", oldestHistoryId, 20, function(roomName, msgList, hasMore) {
+     *        console.log("fetched " + msgList.length + " older messages");
+     *    });
+     */
+    this.getRoomHistory = function(roomName, beforeHistoryId, limit, callback, errorCallback) {
+        var getRoomHistoryObj = {roomName: roomName};
+        if (beforeHistoryId !== null && beforeHistoryId !== undefined) {
+            getRoomHistoryObj.beforeHistoryId = beforeHistoryId;
+        }
+        if (limit !== null && limit !== undefined) {
+            getRoomHistoryObj.limit = limit;
+        }
+        sendSignalling(null, "getRoomHistory", {getRoomHistory: getRoomHistoryObj},
+                function(msgType, msgData) {
+                    callback(roomName, msgData.roomHistory.msgList, msgData.roomHistory.hasMore);
+                },
+                function(errorCode, errorText) {
+                    if (errorCallback) {
+                        errorCallback(errorCode, errorText, roomName);
+                    }
+                    else {
+                        self.showError(errorCode, errorText);
+                    }
+                }
+        );
+    };
+
+    /**
+     * This method allows you to join a group. Groups are named sets of connections which, unlike rooms,
+     * do not imply peer connections between members; they may be used to target messages at a set of users
+     * (such as "moderators" or "team-a"). It may be called before or after connecting to the server.
+     * Note: the successCB and failureCB will only be called if you are already connected to the server.
+     * @param {String} groupName the group to be joined.
+     * @param {Object} groupParameters application specific parameters, can be null.
+     * @param {Function} successCB called once, with a groupName as it's argument, once the group is joined.
+     * @param {Function} failureCB called if the group can not be joined. The arguments of failureCB are errorCode, errorText, groupName.
+     * @example
+     *    easyrtc.joinGroup("moderators", null,
+     *        function(groupName) { console.log("joined " + groupName); },
+     *        function(errorCode, errorText, groupName) { console.log("could not join " + groupName); });
+     */
+    this.joinGroup = function(groupName, groupParameters, successCB, failureCB) {
+        if (self.groupJoin[groupName]) {
+            self.showError(self.errCodes.DEVELOPER_ERR, "Attempt to join group " + groupName + " which you are already in.");
+            return;
+        }
+
+        var newGroupData = {groupName: groupName};
+        if (groupParameters) {
+            try {
+                JSON.stringify(groupParameters);
+            } catch (error) {
+                self.showError(self.errCodes.DEVELOPER_ERR, "non-jsonable parameter to easyrtc.joinGroup");
+                throw "Developer error, see application error messages";
+            }
+            newGroupData.groupParameter = groupParameters;
+        }
+
+        if (!self.webSocket) {
+            self.groupJoin[groupName] = newGroupData;
+            return;
+        }
+
+        var msgData = {
+            groupJoin: {}
+        };
+        msgData.groupJoin[groupName] = newGroupData;
+        sendSignalling(null, "groupJoin", msgData,
+            function(msgType, msgData) {
+                self.groupJoin[groupName] = newGroupData;
+                processGroupData(msgData.groupData);
+                if (successCB) {
+                    successCB(groupName);
+                }
+            },
+            function(errorCode, errorText) {
+                if (failureCB) {
+                    failureCB(errorCode, errorText, groupName);
+                }
+                else {
+                    self.showError(errorCode, "Unable to join group " + groupName + " because " + errorText);
+                }
+            });
+    };
+
+    /**
+     * This function allows you to leave a group. Note: the successCallback and failureCallback
+     *  arguments are optional and will only be called if you are already connected to the server.
+     * @param {String} groupName
+     * @param {Function} successCallback - A function which expects a groupName.
+     * @param {Function} failureCallback - A function which expects the following arguments: errorCode, errorText, groupName.
+     * @example
+     *    easyrtc.leaveGroup("moderators");
+     */
+    this.leaveGroup = function(groupName, successCallback, failureCallback) {
+        var groupItem;
+        if (!self.groupJoin[groupName]) {
+            return;
+        }
+        if (!self.webSocket) {
+            delete self.groupJoin[groupName];
+            return;
+        }
+        groupItem = {};
+        groupItem[groupName] = {groupName: groupName};
+        sendSignalling(null, "groupLeave", {groupLeave: groupItem},
+            function(msgType, msgData) {
+                processGroupData(msgData.groupData);
+                if (successCallback) {
+                    successCallback(groupName);
+                }
+            },
+            function(errorCode, errorText) {
+                if (failureCallback) {
+                    failureCallback(errorCode, errorText, groupName);
+                }
+            });
+    };
+
+    /** Get a list of the groups you are in.
+     * @returns {Object} A map whose keys are the group names
+     */
+    this.getGroupsJoined = function() {
+        var groupsIn = {};
+        var key;
+        for (key in self.groupJoin) {
+            if (self.groupJoin.hasOwnProperty(key)) {
+                groupsIn[key] = true;
+            }
+        }
+        return groupsIn;
+    };
+
+    /**
+     * Returns a map of easyrtcid's of the members of a particular group.
+     * @param groupName
+     * @returns {Object} of easyrtcids or undefined if the client is not in the group.
+     * @example
+     *      if( easyrtc.getGroupOccupantsAsMap("moderators")[some_easyrtcid]) {
+     *          console.log("yep, " + some_easyrtcid + " is a moderator");
+     *      }
+     */
+    this.getGroupOccupantsAsMap = function(groupName) {
+        return lastGroupList[groupName];
+    };
+
+    /** Get server defined fields associated with a particular group. Only valid
+     * after a connection has been made.
+     * @param {String} groupName - the name of the group you want the fields for.
+     * @returns {Object} A dictionary containing entries of the form {key:{'fieldName':key, 'fieldValue':value1}} or undefined
+     * if you are not in the group or it has no shared fields.
+     */
+    this.getGroupFields = function(groupName) {
+        return (!fields || !fields.groups || !fields.groups[groupName]) ?
+                    undefined : fields.groups[groupName];
+    };
+
+    /** Get the value of a server defined field associated with a particular group.
+     * @param {String} groupName - the name of the group.
+     * @param {String} fieldName - the name of the field.
+     * @returns {Object} The field value, or undefined if it is not set.
+     */
+    this.getGroupField = function(groupName, fieldName) {
+        var groupFields = self.getGroupFields(groupName);
+        return (!groupFields || !groupFields[fieldName]) ? undefined : groupFields[fieldName].fieldValue;
+    };
+
     /** Get server defined fields associated with the current application. Only valid
      * after a connection has been made.
      * @returns {Object} A dictionary containing entries of the form {key:{'fieldName':key, 'fieldValue':value1}}
@@ -9366,6 +10100,78 @@ var Easyrtc = function() {
         return fields.connection;
     };
 
+    /** @private */
+    function sendSetField(setFieldObj, successCB, failureCB) {
+        sendSignalling(null, "setField", {setField: setFieldObj},
+                function() {
+                    if (successCB) {
+                        successCB(setFieldObj.fieldName, setFieldObj.fieldValue);
+                    }
+                },
+                function(errorCode, errorText) {
+                    if (failureCB) {
+                        failureCB(errorCode, errorText);
+                    }
+                    else {
+                        self.showError(errorCode, errorText);
+                    }
+                }
+        );
+    }
+
+    /**
+     * Sets a shared field of a room you are in. The new value is sent to every occupant of the room
+     * (see getRoomField). The server may refuse the write with MSG_REJECT_FIELD_WRITE.
+     * @param {String} roomName - the name of the room.
+     * @param {String} fieldName - the name of the field.
+     * @param {Object} fieldValue - a JSONable value.
+     * @param {Function} successCB - called with the fieldName and fieldValue once the field is set.
+     * @param {Function} failureCB - called with errorCode and errorText if the field could not be set.
+     * @example
+     *    easyrtc.setRoomField("lobby", "topic", "Planning meeting");
+     */
+    this.setRoomField = function(roomName, fieldName, fieldValue, successCB, failureCB) {
+        sendSetField({fieldScope: "room", roomName: roomName, fieldName: fieldName, fieldValue: fieldValue}, successCB, failureCB);
+    };
+
+    /**
+     * Sets a shared field of the application. The new value is sent to every connection of the application
+     * (see getApplicationFields). By default the server refuses application field writes from clients.
+     * @param {String} fieldName - the name of the field.
+     * @param {Object} fieldValue - a JSONable value.
+     * @param {Function} successCB - called with the fieldName and fieldValue once the field is set.
+     * @param {Function} failureCB - called with errorCode and errorText if the field could not be set.
+     * @example
+     *    easyrtc.setApplicationField("motd", "Welcome back");
+     */
+    this.setApplicationField = function(fieldName, fieldValue, successCB, failureCB) {
+        sendSetField({fieldScope: "application", fieldName: fieldName, fieldValue: fieldValue}, successCB, failureCB);
+    };
+
+    /**
+     * Sets a shared field of your own connection. The new value is sent to the occupants of every room you
+     * are in (see getOccupantField). The server may refuse the write with MSG_REJECT_FIELD_WRITE.
+     * @param {String} fieldName - the name of the field.
+     * @param {Object} fieldValue - a JSONable value.
+     * @param {Function} successCB - called with the fieldName and fieldValue once the field is set.
+     * @param {Function} failureCB - called with errorCode and errorText if the field could not be set.
+     * @example
+     *    easyrtc.setConnectionField("avatarUrl", "/img/fred.png");
+     */
+    this.setConnectionField = function(fieldName, fieldValue, successCB, failureCB) {
+        sendSetField({fieldScope: "connection", fieldName: fieldName, fieldValue: fieldValue},
+                function(fieldName, fieldValue) {
+                    if (!fields.connection) {
+                        fields.connection = {};
+                    }
+                    fields.connection[fieldName] = {fieldName: fieldName, fieldValue: fieldValue};
+                    if (successCB) {
+                        successCB(fieldName, fieldValue);
+                    }
+                },
+                failureCB);
+    };
+
     /**
      * Supply a socket.io connection that will be used instead of allocating a new socket.
      * The expected usage is that you allocate a websocket, assign options to it, call
@@ -9385,6 +10191,7 @@ var Easyrtc = function() {
         if (msgData.easyrtcid) {
             self.myEasyrtcid = msgData.easyrtcid;
         }
+        resumeToken = msgData.resumeToken || null;
         if (msgData.field) {
             fields.connection = msgData.field;
         }
@@ -9398,6 +10205,9 @@ var Easyrtc = function() {
         if (msgData.roomData) {
             processRoomData(msgData.roomData);
         }
+        if (msgData.groupData) {
+            processGroupData(msgData.groupData);
+        }
         if (msgData.application.field) {
             fields.application = msgData.application.field;
         }
@@ -9442,12 +10252,18 @@ var Easyrtc = function() {
         if (self.roomJoin && !isEmptyObj(self.roomJoin)) {
             msgData.roomJoin = self.roomJoin;
         }
+        if (self.groupJoin && !isEmptyObj(self.groupJoin)) {
+            msgData.groupJoin = self.groupJoin;
+        }
         if (easyrtcsid) {
             msgData.easyrtcsid = easyrtcsid;
         }
         if (credential) {
             msgData.credential = credential;
         }
+        if (resumeToken) {
+            msgData.resumeToken = resumeToken;
+        }
 
         self.webSocket.json.emit(
             "easyrtcAuth",
@@ -9460,9 +10276,16 @@ var Easyrtc = function() {
                 if (msg.msgType === "error") {
                     errorCallback(msg.msgData.errorCode, msg.msgData.errorText);
                     self.roomJoin = {};
+                    self.groupJoin = {};
                 }
                 else {
                     processToken(msg);
+                    //
+                    // the configuration was sent with the authentication; from now on
+                    // only changes to it are sent, using setUserCfg.
+                    //
+                    oldConfig = msgData.setUserCfg;
+                    updateConfigurationInfo = updateConfiguration;
                     if (self._roomApiFields) {
                         for (room in self._roomApiFields) {
                             if (self._roomApiFields.hasOwnProperty(room)) {
@@ -9470,6 +10293,7 @@ var Easyrtc = function() {
                             }
                         }
                     }
+                    startIdleDetection();
 
                     if (successCallback) {
                         successCallback(self.myEasyrtcid);
@@ -9619,6 +10443,7 @@ var Easyrtc = function() {
         self.applicationName = applicationName;
         fields = {
             rooms: {},
+            groups: {},
             application: {},
             connection: {}
         };
@@ -0,0 +1,502 @@
+/* global module, require */
+
+/**
+ * @file        Token protected admin REST API used for inspecting and managing EasyRTC applications, rooms, connections and sessions over HTTP.
+ * @module      easyrtc_admin
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var crypto          = require("crypto");
+var async           = require("async");                     // Asynchronous calls external module
+var _               = require("underscore");                // General utility functions external module
+
+
+/**
+ * Creates the admin REST API of an EasyRTC instance.
+ *
+ * @param       {Object} pub            EasyRTC public object of the instance.
+ * @returns     {Object}                EasyRTC admin object.
+ */
+module.exports = function(pub) {
+
+/**
+ * Admin REST API. Routes are mounted under the "adminPublicFolder" option when the "adminEnable" option is true. Every request must carry the "adminToken" option as a bearer token:
+ *
+ *     Authorization: Bearer <adminToken>
+ *
+ * Responses are JSON. Errors are returned with an HTTP error status and a body of form {error:<String>}.
+ *
+ * @class
+ */
+var ad = {};
+
+
+// Maximum length of a request body
+var maxBodyLength = 1048576;
+
+
+/**
+ * Determines if a supplied token matches the admin token. The comparison takes the same time wherever the tokens differ.
+ *
+ * @private
+ * @param       {string} suppliedToken  Token supplied with the request.
+ * @param       {string} adminToken     The "adminToken" option.
+ * @returns     {Boolean}
+ */
+var isTokenMatch = function(suppliedToken, adminToken) {
+    var suppliedHash = crypto.createHash("sha256").update(suppliedToken, "utf8").digest();
+    var adminHash = crypto.createHash("sha256").update(adminToken, "utf8").digest();
+    var difference = 0;
+    for (var i = 0; i < adminHash.length; i++) {
+        difference |= suppliedHash[i] ^ adminHash[i];
+    }
+    return difference === 0;
+};
+
+
+/**
+ * Sends a JSON response.
+ *
+ * @private
+ * @param       {Object} res            Http result object
+ * @param       {Number} statusCode     HTTP status code.
+ * @param       {Object} body           Response body.
+ */
+var sendJson = function(res, statusCode, body) {
+    var bodyText = JSON.stringify(body);
+    res.statusCode = statusCode;
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Cache-Control", "no-store");
+    res.end(bodyText);
+};
+
+
+/**
+ * Sends a JSON error response.
+ *
+ * @private
+ * @param       {Object} res            Http result object
+ * @param       {Number} statusCode     HTTP status code.
+ * @param       {string|Error} err      Error text or object.
+ */
+var sendError = function(res, statusCode, err) {
+    sendJson(res, statusCode, {error: (_.isString(err) ? err : err.message)});
+};
+
+
+/**
+ * Reads the JSON body of a request. If a body parser has already run, its result is used.
+ *
+ * @private
+ * @param       {Object} req            Http request object
+ * @param       {function(?Error, Object=)} callback Callback with error and the parsed body. An empty body gives an empty object.
+ */
+var readJsonBody = function(req, callback) {
+    if (_.isObject(req.body) && !_.isEmpty(req.body)) {
+        callback(null, req.body);
+        return;
+    }
+
+    var bodyText = "";
+    var isDone = false;
+    req.setEncoding("utf8");
+    req.on("data", function(chunk) {
+        bodyText += chunk;
+        if (bodyText.length > maxBodyLength && !isDone) {
+            isDone = true;
+            callback(new Error("Request body is too large."));
+        }
+    });
+    req.on("end", function() {
+        if (isDone) {
+            return;
+        }
+        isDone = true;
+        if (!bodyText) {
+            callback(null, {});
+            return;
+        }
+        try {
+            callback(null, JSON.parse(bodyText));
+        } catch (e) {
+            callback(new Error("Request body is not valid JSON."));
+        }
+    });
+};
+
+
+/**
+ * Runs a route handler with the application object named in the request. Responds with 404 if the application does not exist.
+ *
+ * @private
+ * @param       {function(Object, Object, Object)} handler Route handler of form handler(req, res, appObj).
+ * @returns     {Function}              Express route handler.
+ */
+var withApp = function(handler) {
+    return function(req, res) {
+        pub.isApp(req.params.appName, function(err, isApp) {
+            if (err || !isApp) {
+                sendError(res, 404, "Application '" + req.params.appName + "' does not exist.");
+                return;
+            }
+            pub.app(req.params.appName, function(err, appObj) {
+                if (err) {
+                    sendError(res, 500, err);
+                    return;
+                }
+                handler(req, res, appObj);
+            });
+        });
+    };
+};
+
+
+/**
+ * Runs a route handler with the room object named in the request. Responds with 404 if the application or room does not exist.
+ *
+ * @private
+ * @param       {function(Object, Object, Object, Object)} handler Route handler of form handler(req, res, appObj, roomObj).
+ * @returns     {Function}              Express route handler.
+ */
+var withRoom = function(handler) {
+    return withApp(function(req, res, appObj) {
+        if (!appObj.isRoomSync(req.params.roomName)) {
+            sendError(res, 404, "Room '" + req.params.roomName + "' does not exist.");
+            return;
+        }
+        appObj.room(req.params.roomName, function(err, roomObj) {
+            if (err) {
+                sendError(res, 500, err);
+                return;
+            }
+            handler(req, res, appObj, roomObj);
+        });
+    });
+};
+
+
+/**
+ * Runs a route handler with the connection object named in the request. Responds with 404 if the application or connection does not exist.
+ *
+ * @private
+ * @param       {function(Object, Object, Object, Object)} handler Route handler of form handler(req, res, appObj, connectionObj).
+ * @returns     {Function}              Express route handler.
+ */
+var withConnection = function(handler) {
+    return withApp(function(req, res, appObj) {
+        if (!appObj.isConnectedSync(req.params.easyrtcid)) {
+            sendError(res, 404, "Connection '" + req.params.easyrtcid + "' does not exist.");
+            return;
+        }
+        appObj.connection(req.params.easyrtcid, function(err, connectionObj) {
+            if (err) {
+                sendError(res, 404, err);
+                return;
+            }
+            handler(req, res, appObj, connectionObj);
+        });
+    });
+};
+
+
+/**
+ * Returns a summary of a connection.
+ *
+ * @private
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {function(?Error, Object=)} callback Callback with error and object of form {easyrtcid:<String>, username:<?String>, isAuthenticated:<Boolean>, ipAddress:<?String>, roomNames:<Array>, groupNames:<Array>}
+ */
+var getConnectionSummary = function(connectionObj, callback) {
+    async.parallel({
+        roomNames: connectionObj.getRoomNames,
+        groupNames: connectionObj.getGroupNames
+    }, function(err, result) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, {
+            easyrtcid: connectionObj.getEasyrtcid(),
+            username: connectionObj.getUsername(),
+            isAuthenticated: connectionObj.isAuthenticated(),
+            ipAddress: (connectionObj.socket ? pub.util.getSocketIpAddress(connectionObj.socket) : null),
+            roomNames: result.roomNames,
+            groupNames: result.groupNames
+        });
+    });
+};
+
+
+/**
+ * Sets a field from a request body of form {fieldValue:<JsonObj>[, fieldOption:{isShared:<boolean>}]}.
+ *
+ * @private
+ * @param       {Object} req            Http request object
+ * @param       {Object} res            Http result object
+ * @param       {Object} fieldHolderObj Application or room object.
+ * @param       {?Function} afterSet    Function of form afterSet(next) to run once the field is set, such as sending a field update to the room.
+ */
+var setFieldFromBody = function(req, res, fieldHolderObj, afterSet) {
+    readJsonBody(req, function(err, body) {
+        if (err) {
+            sendError(res, 400, err);
+            return;
+        }
+        if (!body.hasOwnProperty("fieldValue")) {
+            sendError(res, 400, "Request body must contain a fieldValue.");
+            return;
+        }
+        if (!pub.getOption("fieldNameRegExp").test(req.params.fieldName)) {
+            sendError(res, 400, "Field name '" + req.params.fieldName + "' is improper.");
+            return;
+        }
+        fieldHolderObj.setField(req.params.fieldName, body.fieldValue, body.fieldOption, function(err) {
+            if (err) {
+                sendError(res, 400, err);
+                return;
+            }
+            (afterSet || function(next) { next(null); })(function() {
+                sendJson(res, 200, {fieldName: req.params.fieldName, fieldValue: body.fieldValue});
+            });
+        });
+    });
+};
+
+
+/**
+ * Mounts the admin REST API routes on an Express application. Called by the default "startup" listener when the "adminEnable" option is true. Routes are not mounted unless the "adminToken" option is set.
+ *
+ * Routes, relative to the "adminPublicFolder" option:
+ *
+ *  - GET    /apps                                          List application names.
+ *  - GET    /apps/:appName                                 Application fields, room names, group names and connection count.
+ *  - PUT    /apps/:appName/fields/:fieldName               Set an application field. Body of form {fieldValue:<JsonObj>[, fieldOption:{isShared:<boolean>}]}
+ *  - GET    /apps/:appName/rooms                           Map of room names to occupant counts.
+ *  - GET    /apps/:appName/rooms/:roomName                 Room fields and occupants.
+ *  - DELETE /apps/:appName/rooms/:roomName                 Delete an empty room.
+ *  - PUT    /apps/:appName/rooms/:roomName/fields/:fieldName Set a room field and send the update to the occupants. Same body as application fields.
+ *  - POST   /apps/:appName/rooms/:roomName/messages        Send a server message to every occupant. Body of form {msgType:<String>[, msgData:<JsonObj>]}
+ *  - GET    /apps/:appName/connections                     List connections.
+ *  - GET    /apps/:appName/connections/:easyrtcid          Connection details and fields.
+ *  - POST   /apps/:appName/connections/:easyrtcid/kick     Disconnect a connection.
+ *  - GET    /apps/:appName/sessions                        List easyrtcsids.
+ *  - GET    /apps/:appName/sessions/:easyrtcsid            Session fields and connections.
+ *
+ * @param       {Object} httpApp        Express http server application.
+ * @returns     {Boolean}               True if the routes were mounted.
+ */
+ad.mount = function(httpApp) {
+    var adminToken = pub.getOption("adminToken");
+    var baseUrl = pub.getOption("adminPublicFolder");
+
+    if (!_.isString(adminToken) || adminToken.length === 0) {
+        pub.util.logWarning("Admin API is enabled, but the adminToken option is not set. Admin API will not be available.", null, {component: "admin"});
+        return false;
+    }
+
+    pub.util.logDebug("Setting up admin API to be accessed from '" + baseUrl + "/'", null, {component: "admin"});
+
+    // Every admin request must carry the admin token
+    httpApp.use(baseUrl, function(req, res, next) {
+        var authHeader = req.headers.authorization;
+        if (!_.isString(authHeader) || authHeader.indexOf("Bearer ") !== 0 || !isTokenMatch(authHeader.substr(7), adminToken)) {
+            pub.util.logWarning("Refused admin API request for [" + req.url + "] from [" + req.ip + "]. Missing or improper admin token.", null, {component: "admin"});
+            res.setHeader("WWW-Authenticate", "Bearer");
+            sendError(res, 401, "Missing or improper admin token.");
+            return;
+        }
+        next();
+    });
+
+    httpApp.get(baseUrl + "/apps", function(req, res) {
+        pub.getAppNames(function(err, appNames) {
+            sendJson(res, 200, {appNames: appNames});
+        });
+    });
+
+    httpApp.get(baseUrl + "/apps/:appName", withApp(function(req, res, appObj) {
+        async.parallel({
+            field: async.apply(appObj.getFields, false),
+            roomNames: appObj.getRoomNames,
+            groupNames: appObj.getGroupNames,
+            connectionCount: appObj.getConnectionCount
+        }, function(err, result) {
+            if (err) {
+                sendError(res, 500, err);
+                return;
+            }
+            result.appName = appObj.getAppName();
+            sendJson(res, 200, result);
+        });
+    }));
+
+    httpApp.put(baseUrl + "/apps/:appName/fields/:fieldName", withApp(function(req, res, appObj) {
+        setFieldFromBody(req, res, appObj, null);
+    }));
+
+    httpApp.get(baseUrl + "/apps/:appName/rooms", withApp(function(req, res, appObj) {
+        appObj.getRoomNames(function(err, roomNames) {
+            var rooms = {};
+            async.each(roomNames, function(roomName, asyncCallback) {
+                appObj.getRoomOccupantCount(roomName, function(err, occupantCount) {
+                    if (!err) {
+                        rooms[roomName] = {roomName: roomName, occupantCount: occupantCount};
+                    }
+                    asyncCallback(null);
+                });
+            }, function(err) {
+                sendJson(res, 200, {rooms: rooms});
+            });
+        });
+    }));
+
+    httpApp.get(baseUrl + "/apps/:appName/rooms/:roomName", withRoom(function(req, res, appObj, roomObj) {
+        async.parallel({
+            field: async.apply(roomObj.getFields, false),
+            occupants: function(callback) {
+                roomObj.getConnectionObjects(function(err, connectionObjs) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    callback(null, _.map(connectionObjs, function(connectionObj) {
+                        return {easyrtcid: connectionObj.getEasyrtcid(), username: connectionObj.getUsername()};
+                    }));
+                });
+            }
+        }, function(err, result) {
+            if (err) {
+                sendError(res, 500, err);
+                return;
+            }
+            result.roomName = roomObj.getRoomName();
+            sendJson(res, 200, result);
+        });
+    }));
+
+    httpApp["delete"](baseUrl + "/apps/:appName/rooms/:roomName", withRoom(function(req, res, appObj, roomObj) {
+        appObj.deleteRoom(roomObj.getRoomName(), function(err) {
+            if (err) {
+                sendError(res, 409, err);
+                return;
+            }
+            pub.util.logInfo("Room [" + roomObj.getRoomName() + "] deleted through admin API", null, {component: "admin", appName: appObj.getAppName()});
+            sendJson(res, 200, {roomName: roomObj.getRoomName(), deleted: true});
+        });
+    }));
+
+    httpApp.put(baseUrl + "/apps/:appName/rooms/:roomName/fields/:fieldName", withRoom(function(req, res, appObj, roomObj) {
+        setFieldFromBody(req, res, roomObj, function(next) {
+            roomObj.emitRoomDataFieldUpdate(null, next);
+        });
+    }));
+
+    httpApp.post(baseUrl + "/apps/:appName/rooms/:roomName/messages", withRoom(function(req, res, appObj, roomObj) {
+        readJsonBody(req, function(err, body) {
+            if (err) {
+                sendError(res, 400, err);
+                return;
+            }
+            if (!_.isString(body.msgType) || body.msgType.length === 0) {
+                sendError(res, 400, "Request body must contain a msgType.");
+                return;
+            }
+            roomObj.getConnectionObjects(function(err, connectionObjs) {
+                if (err) {
+                    sendError(res, 500, err);
+                    return;
+                }
+                _.each(connectionObjs, function(connectionObj) {
+                    // Messages without a senderEasyrtcid are delivered to the client's server listener
+                    var msg = {msgData: pub.util.deepCopy(body.msgData), targetRoom: roomObj.getRoomName()};
+                    pub.events.emit("emitEasyrtcMsg", connectionObj, body.msgType, msg, null, pub.util.nextToNowhere);
+                });
+                sendJson(res, 200, {roomName: roomObj.getRoomName(), msgType: body.msgType, recipientCount: connectionObjs.length});
+            });
+        });
+    }));
+
+    httpApp.get(baseUrl + "/apps/:appName/connections", withApp(function(req, res, appObj) {
+        appObj.getConnectionEasyrtcids(function(err, easyrtcids) {
+            var connections = [];
+            async.each(easyrtcids, function(easyrtcid, asyncCallback) {
+                appObj.connection(easyrtcid, function(err, connectionObj) {
+                    if (err) {
+                        // Connections which disconnect while listing are skipped
+                        asyncCallback(null);
+                        return;
+                    }
+                    getConnectionSummary(connectionObj, function(err, summary) {
+                        if (!err) {
+                            connections.push(summary);
+                        }
+                        asyncCallback(null);
+                    });
+                });
+            }, function(err) {
+                sendJson(res, 200, {connections: connections});
+            });
+        });
+    }));
+
+    httpApp.get(baseUrl + "/apps/:appName/connections/:easyrtcid", withConnection(function(req, res, appObj, connectionObj) {
+        async.parallel({
+            summary: async.apply(getConnectionSummary, connectionObj),
+            field: async.apply(connectionObj.getFields, false)
+        }, function(err, result) {
+            if (err) {
+                sendError(res, 500, err);
+                return;
+            }
+            var sessionObj = connectionObj.getSession();
+            result.summary.field = result.field;
+            result.summary.easyrtcsid = (sessionObj ? sessionObj.getEasyrtcsid() : null);
+            sendJson(res, 200, result.summary);
+        });
+    }));
+
+    httpApp.post(baseUrl + "/apps/:appName/connections/:easyrtcid/kick", withConnection(function(req, res, appObj, connectionObj) {
+        pub.util.logInfo("Disconnecting connection through admin API", null, {component: "admin", appName: appObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        try {
+            connectionObj.socket.disconnect();
+        } catch (e) {
+            pub.util.logDebug("Socket disconnection command failed. Socket may already be disconnected.", null, {component: "admin"});
+        }
+        sendJson(res, 200, {easyrtcid: connectionObj.getEasyrtcid(), kicked: true});
+    }));
+
+    httpApp.get(baseUrl + "/apps/:appName/sessions", withApp(function(req, res, appObj) {
+        appObj.getEasyrtcsids(function(err, easyrtcsids) {
+            sendJson(res, 200, {easyrtcsids: easyrtcsids});
+        });
+    }));
+
+    httpApp.get(baseUrl + "/apps/:appName/sessions/:easyrtcsid", withApp(function(req, res, appObj) {
+        appObj.isSession(req.params.easyrtcsid, function(err, isSession) {
+            if (err || !isSession) {
+                sendError(res, 404, "Session '" + req.params.easyrtcsid + "' does not exist.");
+                return;
+            }
+            appObj.session(req.params.easyrtcsid, function(err, sessionObj) {
+                if (err) {
+                    sendError(res, 500, err);
+                    return;
+                }
+                sessionObj.getFields(false, function(err, fieldObj) {
+                    if (err) {
+                        sendError(res, 500, err);
+                        return;
+                    }
+                    sendJson(res, 200, {easyrtcsid: sessionObj.getEasyrtcsid(), field: fieldObj});
+                });
+            });
+        });
+    }));
+
+    return true;
+};
+
+return ad;
+};
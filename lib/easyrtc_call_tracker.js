@@ -0,0 +1,351 @@
+/* global module, require, setTimeout, clearTimeout */
+
+/**
+ * @file        Tracks the WebRTC signaling (offer, answer, reject and hangup) relayed by the server and links it into calls. Each call fires the callStart, callAnswered and callEnd events, and a call detail record (CDR) is written to the sinks in the "callCdrSinks" option once it ends.
+ * @module      easyrtc_call_tracker
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var fs              = require("fs");                        // File system core module
+var crypto          = require("crypto");                    // Cryptography core module
+var _               = require("underscore");                // General utility functions external module
+var g               = require("./general_util");            // General utility functions local module
+
+/**
+ * Creates the call tracker of an EasyRTC instance, with its own active calls.
+ *
+ * @param       {Object} e              EasyRTC private object of the instance.
+ * @param       {Object} pub            EasyRTC public object of the instance.
+ * @returns     {Object}                EasyRTC call tracker object.
+ */
+module.exports = function(e, pub) {
+
+/**
+ * Call tracking and CDR sinks. A sink is either an object with a write(cdr) method, or a function of form function(cdr).
+ *
+ * A call is of form {callId, appName, callerEasyrtcid, callerUsername, calleeEasyrtcid, calleeUsername, roomName, startOn, answerOn, endOn, endReason, endedByEasyrtcid, duration}. Times are in milliseconds since the epoch, and the duration is the time from answer to end (0 if never answered). The endReason is one of:
+ *
+ *  - hangup                The answered call was hung up by either side.
+ *  - cancelled             The caller hung up before the call was answered.
+ *  - rejected              The callee rejected (or hung up) the call before answering it.
+ *  - timeout               The call was not answered within the "callRingTimeout" option.
+ *  - disconnect            Either side disconnected.
+ *
+ * @class
+ */
+var ct = {};
+
+
+/**
+ * Active calls. Map of application names to maps of callIds to call objects. Each call also holds its ringTimer, which is not part of the call object given to listeners.
+ *
+ * @private
+ */
+var activeCall = {};
+
+
+/**
+ * Returns a copy of a call without its timer, as given to listeners and sinks.
+ *
+ * @private
+ * @param       {Object} call
+ * @returns     {Object}
+ */
+var getCallObj = function(call) {
+    return g.deepCopy(_.omit(call, "ringTimer"));
+};
+
+
+/**
+ * Returns the active call between two connections, in either direction.
+ *
+ * @private
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcidA
+ * @param       {string} easyrtcidB
+ * @returns     {?Object}               Call, or null if there is none.
+ */
+var findCall = function(appName, easyrtcidA, easyrtcidB) {
+    return _.find(_.values(activeCall[appName] || {}), function(call) {
+        return (call.callerEasyrtcid === easyrtcidA && call.calleeEasyrtcid === easyrtcidB) ||
+            (call.callerEasyrtcid === easyrtcidB && call.calleeEasyrtcid === easyrtcidA);
+    }) || null;
+};
+
+
+/**
+ * Returns the username and room names of a connection, whether it is local or hosted on another node.
+ *
+ * @private
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcid
+ * @returns     {Object}                Object of form {username:<?String>, roomNameList:<Array>}
+ */
+var getPartyInfo = function(appName, easyrtcid) {
+    var connection = (e.app[appName] && e.app[appName].connection[easyrtcid]) || pub.cluster.getRemoteConnection(appName, easyrtcid);
+    if (!connection) {
+        return {username: null, roomNameList: []};
+    }
+    return {
+        username:       connection.username || null,
+        roomNameList:   _.keys(connection.room || {}).sort()
+    };
+};
+
+
+/**
+ * Emits a call event to its listener.
+ *
+ * @private
+ * @param       {string} eventName      One of "callStart", "callAnswered" or "callEnd".
+ * @param       {Object} call
+ */
+var emitCallEvent = function(eventName, call) {
+    var callObj = getCallObj(call);
+    pub.app(call.appName, function(err, appObj) {
+        if (err) {
+            return;
+        }
+        pub.events.emit(eventName, appObj, callObj, function(err) {
+            if (err) {
+                pub.util.logWarning("Unhandled " + eventName + " listener error.", err, {component: "call", appName: call.appName});
+            }
+        });
+    });
+};
+
+
+/**
+ * Writes a call detail record to an array of sinks. Sink failures are logged and do not affect other sinks.
+ *
+ * @param       {?Array} sinkList       Array of sinks. If not set, nothing is written.
+ * @param       {Object} cdr            Call detail record. See the class description for its form.
+ */
+ct.write = function(sinkList, cdr) {
+    _.each(sinkList || [], function(sink) {
+        try {
+            if (_.isFunction(sink)) {
+                sink(cdr);
+            }
+            else if (_.isObject(sink) && _.isFunction(sink.write)) {
+                sink.write(cdr);
+            }
+        } catch (err) {
+            pub.util.logWarning("CDR sink failed", err, {component: "call", appName: cdr.appName});
+        }
+    });
+};
+
+
+/**
+ * Ends an active call, writing its CDR and firing the callEnd event.
+ *
+ * @private
+ * @param       {Object} call
+ * @param       {string} endReason      See the class description.
+ * @param       {?string} endedByEasyrtcid Connection which ended the call, if any.
+ */
+var endCall = function(call, endReason, endedByEasyrtcid) {
+    if (!activeCall[call.appName] || !activeCall[call.appName][call.callId]) {
+        return;
+    }
+    delete activeCall[call.appName][call.callId];
+    if (_.isEmpty(activeCall[call.appName])) {
+        delete activeCall[call.appName];
+    }
+    clearTimeout(call.ringTimer);
+
+    call.endOn = Date.now();
+    call.endReason = endReason;
+    call.endedByEasyrtcid = endedByEasyrtcid;
+    call.duration = (call.answerOn ? call.endOn - call.answerOn : 0);
+
+    pub.util.logDebug("Call [" + call.callId + "] ended [" + endReason + "]", null, {component: "call", appName: call.appName});
+    pub.app(call.appName, function(err, appObj) {
+        ct.write((err ? pub.getOption("callCdrSinks") : appObj.getOption("callCdrSinks")), getCallObj(call));
+    });
+    emitCallEvent("callEnd", call);
+};
+
+
+/**
+ * Starts a call from a caller to a callee.
+ *
+ * @private
+ * @param       {Object} appObj         EasyRTC application object.
+ * @param       {string} callerEasyrtcid
+ * @param       {string} calleeEasyrtcid
+ */
+var startCall = function(appObj, callerEasyrtcid, calleeEasyrtcid) {
+    var appName = appObj.getAppName();
+    var callerInfo = getPartyInfo(appName, callerEasyrtcid);
+    var calleeInfo = getPartyInfo(appName, calleeEasyrtcid);
+
+    var call = {
+        callId:             crypto.randomBytes(16).toString("hex"),
+        appName:            appName,
+        callerEasyrtcid:    callerEasyrtcid,
+        callerUsername:     callerInfo.username,
+        calleeEasyrtcid:    calleeEasyrtcid,
+        calleeUsername:     calleeInfo.username,
+        roomName:           _.intersection(callerInfo.roomNameList, calleeInfo.roomNameList)[0] || null,
+        startOn:            Date.now(),
+        answerOn:           null,
+        endOn:              null,
+        endReason:          null,
+        endedByEasyrtcid:   null,
+        duration:           0,
+        ringTimer:          null
+    };
+
+    var ringTimeout = appObj.getOption("callRingTimeout");
+    if (ringTimeout > 0) {
+        call.ringTimer = setTimeout(function() {
+            call.ringTimer = null;
+            if (!call.answerOn) {
+                endCall(call, "timeout", null);
+            }
+        }, ringTimeout);
+        // Ring timers do not keep the process running
+        if (_.isFunction(call.ringTimer.unref)) {
+            call.ringTimer.unref();
+        }
+    }
+
+    activeCall[appName] = activeCall[appName] || {};
+    activeCall[appName][call.callId] = call;
+
+    pub.util.logDebug("Call [" + call.callId + "] started", null, {component: "call", appName: appName, easyrtcid: callerEasyrtcid});
+    emitCallEvent("callStart", call);
+};
+
+
+/**
+ * Links a relayed WebRTC signal into a call. An offer without an active call between the two connections (in either direction) starts one; later offers (renegotiation by either side) are ignored. An answer from the callee marks the call as answered, and a reject or hangup ends it. Candidates are ignored. Does nothing unless the "callTrackEnable" option is true.
+ *
+ * In a cluster, every signal between connections on two nodes is seen by both: the sending node relays it and the target node receives it forwarded. Such a call is only tracked by the node hosting the connection with the lower easyrtcid, so it is started once whichever side sends the first offer.
+ *
+ * @param       {Object} appObj         EasyRTC application object.
+ * @param       {string} msgType        Signal message type. One of "offer", "answer", "reject", "hangup" or "candidate".
+ * @param       {string} senderEasyrtcid Connection which sent the signal.
+ * @param       {string} targetEasyrtcid Connection the signal is relayed to.
+ * @param       {Boolean} isForwarded   True if the signal was forwarded from another node.
+ */
+ct.trackSignal = function(appObj, msgType, senderEasyrtcid, targetEasyrtcid, isForwarded) {
+    if (!appObj.getOption("callTrackEnable")) {
+        return;
+    }
+    var hostedEasyrtcid = (isForwarded ? targetEasyrtcid : senderEasyrtcid);
+    var peerEasyrtcid = (isForwarded ? senderEasyrtcid : targetEasyrtcid);
+    if (!appObj.isConnectedSync(peerEasyrtcid) && hostedEasyrtcid > peerEasyrtcid) {
+        return;
+    }
+
+    var call = findCall(appObj.getAppName(), senderEasyrtcid, targetEasyrtcid);
+
+    switch (msgType) {
+        case "offer":
+            if (!call) {
+                startCall(appObj, senderEasyrtcid, targetEasyrtcid);
+            }
+            break;
+
+        case "answer":
+            if (call && !call.answerOn && call.calleeEasyrtcid === senderEasyrtcid) {
+                call.answerOn = Date.now();
+                clearTimeout(call.ringTimer);
+                call.ringTimer = null;
+                emitCallEvent("callAnswered", call);
+            }
+            break;
+
+        case "reject":
+            if (call && !call.answerOn) {
+                endCall(call, "rejected", senderEasyrtcid);
+            }
+            break;
+
+        case "hangup":
+            if (call) {
+                endCall(call, (call.answerOn ? "hangup" : (call.callerEasyrtcid === senderEasyrtcid ? "cancelled" : "rejected")), senderEasyrtcid);
+            }
+            break;
+    }
+};
+
+
+/**
+ * Ends the active calls of a connection which has gone away, with an endReason of "disconnect".
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcid      Connection which has gone away.
+ */
+ct.removeConnection = function(appName, easyrtcid) {
+    _.each(_.values(activeCall[appName] || {}), function(call) {
+        if (call.callerEasyrtcid === easyrtcid || call.calleeEasyrtcid === easyrtcid) {
+            endCall(call, "disconnect", easyrtcid);
+        }
+    });
+};
+
+
+/**
+ * Returns the active calls of an application, oldest first.
+ *
+ * @param       {string} appName        Application name.
+ * @returns     {Array.<Object>}        Array of calls. See the class description for their form.
+ */
+ct.getActiveCalls = function(appName) {
+    return _.sortBy(_.map(_.values(activeCall[appName] || {}), getCallObj), "startOn");
+};
+
+
+/**
+ * CDR sink which appends each record to a file as a line of JSON.
+ *
+ * @class
+ * @param       {string} filePath       Path of the CDR file.
+ */
+ct.FileSink = function(filePath) {
+    this.filePath   = filePath;
+    this._stream    = null;
+};
+
+
+/**
+ * Writes a call detail record.
+ *
+ * @param       {Object} cdr            Call detail record.
+ */
+ct.FileSink.prototype.write = function(cdr) {
+    var filePath = this.filePath;
+    if (!this._stream) {
+        this._stream = fs.createWriteStream(filePath, {flags: "a"});
+        this._stream.on("error", function(err) {
+            pub.util.logWarning("Unable to write to CDR file [" + filePath + "]", err, {component: "call"});
+        });
+    }
+    this._stream.write(JSON.stringify(cdr) + "\n");
+};
+
+
+/**
+ * Closes the CDR file. Later writes open it again.
+ *
+ * @param       {function()=} callback  Called once pending records have been written.
+ */
+ct.FileSink.prototype.close = function(callback) {
+    if (!this._stream) {
+        if (_.isFunction(callback)) {
+            callback();
+        }
+        return;
+    }
+    this._stream.end(callback);
+    this._stream = null;
+};
+
+return ct;
+};
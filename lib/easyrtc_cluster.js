@@ -0,0 +1,719 @@
+/* global module, require, process, setInterval, clearInterval, setImmediate */
+
+/**
+ * @file        Cluster support for EasyRTC. Relays signaling between EasyRTC server processes over a pluggable message bus.
+ * @module      easyrtc_cluster
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var events          = require("events");
+var util            = require("util");
+var _               = require("underscore");                // General utility functions external module
+var g               = require("./general_util");            // General utility functions local module
+
+/**
+ * Creates the cluster methods of an EasyRTC instance.
+ *
+ * @param       {Object} e              EasyRTC private object of the instance.
+ * @param       {Object} pub            EasyRTC public object of the instance.
+ * @returns     {Object}                EasyRTC cluster object.
+ */
+module.exports = function(e, pub) {
+
+/**
+ * Cluster methods and bus adapters. A bus adapter is any object which implements the following methods:
+ *
+ *  - publish(busMsg)               Sends a JSONable message object to all nodes (including, optionally, the sender).
+ *  - subscribe(handler)            Registers a function of form handler(busMsg) which receives published messages.
+ *  - unsubscribe(handler)          Removes a handler registered with subscribe().
+ *
+ * Each node keeps a table of the connections hosted on other nodes. The table is kept current by the room data deltas each node publishes, and is used to merge room occupant lists and to route messages to remote connections.
+ *
+ * @class
+ */
+var cl = {};
+
+
+/**
+ * In-process bus adapter. All EasyRTC instances sharing the same LocalBus object form a cluster. Messages are delivered asynchronously as JSON copies, mimicking a network bus.
+ *
+ * @class
+ */
+cl.LocalBus = function() {
+    this._emitter = new events.EventEmitter();
+    this._emitter.setMaxListeners(0);
+};
+
+
+/**
+ * Publishes a message to all subscribers.
+ *
+ * @param       {Object} busMsg         JSONable message object.
+ */
+cl.LocalBus.prototype.publish = function(busMsg) {
+    var self = this;
+    var busMsgString = JSON.stringify(busMsg);
+    setImmediate(function() {
+        self._emitter.emit("message", JSON.parse(busMsgString));
+    });
+};
+
+
+/**
+ * Subscribes a handler to all published messages.
+ *
+ * @param       {function(Object)} handler Function which receives each published message.
+ */
+cl.LocalBus.prototype.subscribe = function(handler) {
+    this._emitter.on("message", handler);
+};
+
+
+/**
+ * Removes a handler registered with subscribe().
+ *
+ * @param       {function(Object)} handler Function given to subscribe().
+ */
+cl.LocalBus.prototype.unsubscribe = function(handler) {
+    this._emitter.removeListener("message", handler);
+};
+
+
+/**
+ * Inter-process bus adapter for use with the Node.js cluster module (or any forked worker). Messages are sent to the parent process using process.send(), which must relay them to all workers using IpcBus.relay().
+ *
+ * @class
+ */
+cl.IpcBus = function() {
+    if (!_.isFunction(process.send)) {
+        throw new pub.util.ServerError("IpcBus requires an IPC channel to the parent process.");
+    }
+
+    // Subscribed handlers along with the process message listeners wrapping them, in form of [{handler, listener}]
+    this._subscriptionList = [];
+};
+
+
+/**
+ * Publishes a message to all subscribers by way of the parent process.
+ *
+ * @param       {Object} busMsg         JSONable message object.
+ */
+cl.IpcBus.prototype.publish = function(busMsg) {
+    process.send({easyrtcCluster: busMsg});
+};
+
+
+/**
+ * Subscribes a handler to all published messages.
+ *
+ * @param       {function(Object)} handler Function which receives each published message.
+ */
+cl.IpcBus.prototype.subscribe = function(handler) {
+    var listener = function(ipcMsg) {
+        if (_.isObject(ipcMsg) && _.isObject(ipcMsg.easyrtcCluster)) {
+            handler(ipcMsg.easyrtcCluster);
+        }
+    };
+    this._subscriptionList.push({handler: handler, listener: listener});
+    process.on("message", listener);
+};
+
+
+/**
+ * Removes a handler registered with subscribe().
+ *
+ * @param       {function(Object)} handler Function given to subscribe().
+ */
+cl.IpcBus.prototype.unsubscribe = function(handler) {
+    this._subscriptionList = _.filter(this._subscriptionList, function(subscription) {
+        if (subscription.handler !== handler) {
+            return true;
+        }
+        process.removeListener("message", subscription.listener);
+        return false;
+    });
+};
+
+
+/**
+ * Relays EasyRTC cluster messages between all workers. To be called in the master process.
+ *
+ * @param       {Object} clusterModule  The Node.js cluster module, as returned by require("cluster").
+ * @example
+ * var cluster = require("cluster");
+ * if (cluster.isMaster) {
+ *     require("easyrtc").cluster.IpcBus.relay(cluster);
+ *     cluster.fork();
+ *     cluster.fork();
+ * }
+ */
+cl.IpcBus.relay = function(clusterModule) {
+    clusterModule.on("message", function(worker, ipcMsg) {
+        if (!_.isObject(ipcMsg) || !_.isObject(ipcMsg.easyrtcCluster)) {
+            return;
+        }
+        for (var workerId in clusterModule.workers) {
+            if (clusterModule.workers.hasOwnProperty(workerId) && clusterModule.workers[workerId].isConnected()) {
+                clusterModule.workers[workerId].send(ipcMsg);
+            }
+        }
+    });
+};
+
+
+
+
+/**
+ * Returns true if cluster mode has been started.
+ *
+ * @returns     {Boolean}
+ */
+cl.isEnabled = function() {
+    return (e.cluster.bus !== null);
+};
+
+
+/**
+ * Returns the identifier of the current node. Returns null if cluster mode has not been started.
+ *
+ * @returns     {?String}
+ */
+cl.getNodeId = function() {
+    return e.cluster.nodeId;
+};
+
+
+/**
+ * Publishes a message on the bus, stamped with the current node identifier.
+ *
+ * @private
+ * @param       {String} busMsgType     Cluster message type.
+ * @param       {Object} busMsg         JSONable message object.
+ */
+var publish = function(busMsgType, busMsg) {
+    if (!e.cluster.bus) {
+        return;
+    }
+    busMsg.nodeId = e.cluster.nodeId;
+    busMsg.busMsgType = busMsgType;
+    try {
+        e.cluster.bus.publish(busMsg);
+    }
+    catch (err) {
+        pub.util.logWarning("Unable to publish message of type [" + busMsgType + "]", err, {component: "cluster"});
+    }
+};
+
+
+/**
+ * Returns a JSONable snapshot of a local connection. Returns null if the connection does not exist or is not authenticated.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcid      EasyRTC unique identifier for a socket connection.
+ * @returns     {?Object}               Connection state in form of {easyrtcid, username, presence, field:{fieldName:{fieldName, fieldValue}}, group:{groupName:true}, room:{roomName:{enteredOn, apiField}}}. Only shared fields are included.
+ */
+cl.getLocalConnectionState = function(appName, easyrtcid) {
+    if (!e.app[appName] || !e.app[appName].connection[easyrtcid] || !e.app[appName].connection[easyrtcid].isAuthenticated) {
+        return null;
+    }
+    var connection = e.app[appName].connection[easyrtcid];
+    var connectionState = {
+        easyrtcid: easyrtcid,
+        username: connection.username || null,
+        presence: g.deepCopy(connection.presence),
+        field: {},
+        group: {},
+        room: {}
+    };
+    for (var fieldName in connection.field) {
+        if (connection.field.hasOwnProperty(fieldName) && connection.field[fieldName].fieldOption.isShared) {
+            connectionState.field[fieldName] = {
+                fieldName: fieldName,
+                fieldValue: g.deepCopy(connection.field[fieldName].fieldValue)
+            };
+        }
+    }
+    for (var groupName in connection.group) {
+        if (connection.group.hasOwnProperty(groupName)) {
+            connectionState.group[groupName] = true;
+        }
+    }
+    for (var roomName in connection.room) {
+        if (connection.room.hasOwnProperty(roomName)) {
+            connectionState.room[roomName] = {
+                enteredOn: connection.room[roomName].enteredOn,
+                apiField: g.deepCopy(connection.room[roomName].apiField)
+            };
+        }
+    }
+    return connectionState;
+};
+
+
+/**
+ * Returns the snapshot of all local authenticated connections, grouped by application.
+ *
+ * @private
+ * @returns     {Object}                In form of {appName:{easyrtcid:connectionState}}
+ */
+var getLocalState = function() {
+    var localState = {};
+    for (var appName in e.app) {
+        if (e.app.hasOwnProperty(appName)) {
+            localState[appName] = {};
+            for (var easyrtcid in e.app[appName].connection) {
+                if (e.app[appName].connection.hasOwnProperty(easyrtcid)) {
+                    var connectionState = cl.getLocalConnectionState(appName, easyrtcid);
+                    if (connectionState) {
+                        localState[appName][easyrtcid] = connectionState;
+                    }
+                }
+            }
+        }
+    }
+    return localState;
+};
+
+
+/**
+ * Returns the state of a connection hosted on another node. Returns null if the connection is not known.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcid      EasyRTC unique identifier for a socket connection.
+ * @returns     {?Object}               Connection state, with an added nodeId field.
+ */
+cl.getRemoteConnection = function(appName, easyrtcid) {
+    for (var currentNodeId in e.cluster.remoteNode) {
+        if (e.cluster.remoteNode.hasOwnProperty(currentNodeId) && e.cluster.remoteNode[currentNodeId].app[appName] && e.cluster.remoteNode[currentNodeId].app[appName][easyrtcid]) {
+            return _.extend({nodeId: currentNodeId}, e.cluster.remoteNode[currentNodeId].app[appName][easyrtcid]);
+        }
+    }
+    return null;
+};
+
+
+/**
+ * Returns a map of the connections hosted on other nodes which are in a given room.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} roomName       Room name.
+ * @returns     {Object}                Map in form of {easyrtcid:connectionState}
+ */
+cl.getRemoteRoomClientList = function(appName, roomName) {
+    var clientList = {};
+    for (var currentNodeId in e.cluster.remoteNode) {
+        if (e.cluster.remoteNode.hasOwnProperty(currentNodeId) && e.cluster.remoteNode[currentNodeId].app[appName]) {
+            var appConnections = e.cluster.remoteNode[currentNodeId].app[appName];
+            for (var easyrtcid in appConnections) {
+                if (appConnections.hasOwnProperty(easyrtcid) && appConnections[easyrtcid].room[roomName]) {
+                    clientList[easyrtcid] = appConnections[easyrtcid];
+                }
+            }
+        }
+    }
+    return clientList;
+};
+
+
+/**
+ * Returns the names of the rooms which have occupants hosted on other nodes.
+ *
+ * @param       {string} appName        Application name.
+ * @returns     {Array.<string>}        Array of room names.
+ */
+cl.getRemoteRoomNames = function(appName) {
+    var roomNameMap = {};
+    for (var currentNodeId in e.cluster.remoteNode) {
+        if (e.cluster.remoteNode.hasOwnProperty(currentNodeId) && e.cluster.remoteNode[currentNodeId].app[appName]) {
+            var appConnections = e.cluster.remoteNode[currentNodeId].app[appName];
+            for (var easyrtcid in appConnections) {
+                if (appConnections.hasOwnProperty(easyrtcid)) {
+                    _.extend(roomNameMap, appConnections[easyrtcid].room);
+                }
+            }
+        }
+    }
+    return _.keys(roomNameMap);
+};
+
+
+/**
+ * Returns a map of the connections hosted on other nodes which are in a given group.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} groupName      Group name.
+ * @returns     {Object}                Map in form of {easyrtcid:connectionState}
+ */
+cl.getRemoteGroupClientList = function(appName, groupName) {
+    var clientList = {};
+    for (var currentNodeId in e.cluster.remoteNode) {
+        if (e.cluster.remoteNode.hasOwnProperty(currentNodeId) && e.cluster.remoteNode[currentNodeId].app[appName]) {
+            var appConnections = e.cluster.remoteNode[currentNodeId].app[appName];
+            for (var easyrtcid in appConnections) {
+                if (appConnections.hasOwnProperty(easyrtcid) && appConnections[easyrtcid].group[groupName]) {
+                    clientList[easyrtcid] = appConnections[easyrtcid];
+                }
+            }
+        }
+    }
+    return clientList;
+};
+
+
+/**
+ * Returns a map of the connections hosted on other nodes which are authenticated with a given username.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} username       Username.
+ * @returns     {Object}                Map in form of {easyrtcid:connectionState}
+ */
+cl.getRemoteUsernameClientList = function(appName, username) {
+    var clientList = {};
+    for (var currentNodeId in e.cluster.remoteNode) {
+        if (e.cluster.remoteNode.hasOwnProperty(currentNodeId) && e.cluster.remoteNode[currentNodeId].app[appName]) {
+            var appConnections = e.cluster.remoteNode[currentNodeId].app[appName];
+            for (var easyrtcid in appConnections) {
+                if (appConnections.hasOwnProperty(easyrtcid) && appConnections[easyrtcid].username === username) {
+                    clientList[easyrtcid] = appConnections[easyrtcid];
+                }
+            }
+        }
+    }
+    return clientList;
+};
+
+
+/**
+ * Publishes a connection's room data delta to the other nodes. Each node updates its table of remote connections, and emits the delta to its local occupants of the affected rooms.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcid      EasyRTC unique identifier for a socket connection.
+ * @param       {Object} roomDataDelta  Map of room data deltas in form of {roomName:roomDataDelta}
+ * @param       {Boolean} isRemoving    If true, the connection is removed from the other nodes' tables.
+ */
+cl.publishRoomDataDelta = function(appName, easyrtcid, roomDataDelta, isRemoving) {
+    if (!e.cluster.bus) {
+        return;
+    }
+    publish("roomDataDelta", {
+        appName: appName,
+        easyrtcid: easyrtcid,
+        connectionState: (isRemoving ? null : cl.getLocalConnectionState(appName, easyrtcid)),
+        roomData: roomDataDelta
+    });
+};
+
+
+/**
+ * Forwards an easyrtcCmd or easyrtcMsg to a connection, room or group on other nodes.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {Object} target         Target object in form of {targetEasyrtcid, targetRoom, targetGroup}. For rooms and groups, the senderEasyrtcid is skipped.
+ * @param       {string} eventName      Either "emitEasyrtcCmd" or "emitEasyrtcMsg".
+ * @param       {string} msgType        Message type of the message.
+ * @param       {Object} msg            Outgoing message object.
+ */
+cl.forwardMsg = function(appName, target, eventName, msgType, msg) {
+    if (!e.cluster.bus) {
+        return;
+    }
+    publish("forwardMsg", {
+        appName: appName,
+        targetEasyrtcid: target.targetEasyrtcid,
+        targetRoom: target.targetRoom,
+        targetGroup: target.targetGroup,
+        eventName: eventName,
+        msgType: msgType,
+        msg: msg
+    });
+};
+
+
+/**
+ * Emits a roomData command to every local connection in the given rooms, skipping a given easyrtcid.
+ *
+ * @private
+ * @param       {string} appName        Application name.
+ * @param       {string} skipEasyrtcid  EasyRTC unique identifier for the connection which the delta concerns.
+ * @param       {Object} roomDataDelta  Map of room data deltas in form of {roomName:roomDataDelta}
+ */
+var emitRoomDataToLocal = function(appName, skipEasyrtcid, roomDataDelta) {
+    if (!e.app[appName]) {
+        return;
+    }
+    var localClients = {};
+    var roomName, currentEasyrtcid;
+
+    for (roomName in roomDataDelta) {
+        if (roomDataDelta.hasOwnProperty(roomName) && e.app[appName].room[roomName]) {
+            for (currentEasyrtcid in e.app[appName].room[roomName].clientList) {
+                if (e.app[appName].room[roomName].clientList.hasOwnProperty(currentEasyrtcid) && currentEasyrtcid !== skipEasyrtcid) {
+                    localClients[currentEasyrtcid] = localClients[currentEasyrtcid] || {"msgData": {"roomData": {}}};
+                    localClients[currentEasyrtcid].msgData.roomData[roomName] = roomDataDelta[roomName];
+                }
+            }
+        }
+    }
+
+    _.each(localClients, function(msg, localEasyrtcid) {
+        pub.app(appName, function(err, appObj) {
+            if (err) {
+                return;
+            }
+            appObj.connection(localEasyrtcid, function(err, connectionObj) {
+                if (!err && connectionObj) {
+                    pub.events.emit("emitEasyrtcCmd", connectionObj, "roomData", msg, null, pub.util.nextToNowhere);
+                }
+            });
+        });
+    });
+};
+
+
+/**
+ * Removes a remote node from the table, notifying local occupants that its connections have left their rooms.
+ *
+ * @private
+ * @param       {string} removedNodeId  Node identifier.
+ */
+var removeRemoteNode = function(removedNodeId) {
+    if (!e.cluster.remoteNode[removedNodeId]) {
+        return;
+    }
+    var removedApps = e.cluster.remoteNode[removedNodeId].app;
+    delete e.cluster.remoteNode[removedNodeId];
+
+    pub.util.logInfo("Node [" + removedNodeId + "] left the cluster", null, {component: "cluster"});
+
+    _.each(removedApps, function(appConnections, appName) {
+        _.each(appConnections, function(connectionState, easyrtcid) {
+            var roomDataDelta = {};
+            for (var roomName in connectionState.room) {
+                if (connectionState.room.hasOwnProperty(roomName)) {
+                    roomDataDelta[roomName] = {"roomName": roomName, "roomStatus": "update", "clientListDelta": {"removeClient": {}}};
+                    roomDataDelta[roomName].clientListDelta.removeClient[easyrtcid] = {"easyrtcid": easyrtcid};
+                }
+            }
+            emitRoomDataToLocal(appName, easyrtcid, roomDataDelta);
+            pub.callTracker.removeConnection(appName, easyrtcid);
+        });
+    });
+};
+
+
+/**
+ * Returns the table entry for a remote node, creating it if needed. When a node which is not in the table is heard from outside of a full sync (such as a node which was dropped after missing its heartbeats), it is asked for its full state.
+ *
+ * @private
+ * @param       {string} remoteNodeId   Node identifier.
+ * @param       {Boolean} isSyncing     True if the message carries (or is about to be answered with) the full state of the node.
+ * @returns     {Object}
+ */
+var touchRemoteNode = function(remoteNodeId, isSyncing) {
+    if (!e.cluster.remoteNode[remoteNodeId]) {
+        pub.util.logInfo("Node [" + remoteNodeId + "] joined the cluster", null, {component: "cluster"});
+        e.cluster.remoteNode[remoteNodeId] = {lastSeenOn: Date.now(), app: {}};
+        if (!isSyncing) {
+            publish("syncRequest", {targetNodeId: remoteNodeId});
+        }
+    }
+    e.cluster.remoteNode[remoteNodeId].lastSeenOn = Date.now();
+    return e.cluster.remoteNode[remoteNodeId];
+};
+
+
+/**
+ * Delivers a forwarded message to the matching local connections.
+ *
+ * @private
+ * @param       {Object} busMsg         Cluster message of type "forwardMsg".
+ */
+var deliverForwardedMsg = function(busMsg) {
+    var appName = busMsg.appName;
+    var targetEasyrtcids = [];
+    var currentEasyrtcid;
+
+    if (!e.app[appName] || (busMsg.eventName !== "emitEasyrtcCmd" && busMsg.eventName !== "emitEasyrtcMsg")) {
+        return;
+    }
+
+    if (busMsg.targetEasyrtcid) {
+        if (e.app[appName].connection[busMsg.targetEasyrtcid]) {
+            targetEasyrtcids.push(busMsg.targetEasyrtcid);
+        }
+    }
+    else if (busMsg.targetRoom) {
+        if (e.app[appName].room[busMsg.targetRoom]) {
+            for (currentEasyrtcid in e.app[appName].room[busMsg.targetRoom].clientList) {
+                if (e.app[appName].room[busMsg.targetRoom].clientList.hasOwnProperty(currentEasyrtcid)) {
+                    if (!busMsg.targetGroup || (e.app[appName].connection[currentEasyrtcid] && e.app[appName].connection[currentEasyrtcid].group[busMsg.targetGroup])) {
+                        targetEasyrtcids.push(currentEasyrtcid);
+                    }
+                }
+            }
+        }
+    }
+    else if (busMsg.targetGroup) {
+        for (currentEasyrtcid in e.app[appName].connection) {
+            if (e.app[appName].connection.hasOwnProperty(currentEasyrtcid) && e.app[appName].connection[currentEasyrtcid].group[busMsg.targetGroup]) {
+                targetEasyrtcids.push(currentEasyrtcid);
+            }
+        }
+    }
+
+    _.each(targetEasyrtcids, function(targetEasyrtcid) {
+        if (_.isObject(busMsg.msg) && busMsg.msg.senderEasyrtcid === targetEasyrtcid) {
+            return;
+        }
+        pub.app(appName, function(err, appObj) {
+            if (err) {
+                return;
+            }
+            appObj.connection(targetEasyrtcid, function(err, connectionObj) {
+                if (!err && connectionObj) {
+                    pub.events.emit(busMsg.eventName, connectionObj, busMsg.msgType, g.deepCopy(busMsg.msg), null, pub.util.nextToNowhere);
+                    if (busMsg.eventName === "emitEasyrtcCmd" && _.isObject(busMsg.msg) && busMsg.msg.senderEasyrtcid) {
+                        pub.callTracker.trackSignal(appObj, busMsg.msgType, busMsg.msg.senderEasyrtcid, targetEasyrtcid, true);
+                    }
+                }
+            });
+        });
+    });
+};
+
+
+/**
+ * Handles an incoming bus message.
+ *
+ * @private
+ * @param       {Object} busMsg         Cluster message.
+ */
+var onBusMessage = function(busMsg) {
+    if (!e.cluster.bus || !_.isObject(busMsg) || !busMsg.nodeId || busMsg.nodeId === e.cluster.nodeId) {
+        return;
+    }
+
+    var remote;
+
+    switch (busMsg.busMsgType) {
+        case "hello":
+            touchRemoteNode(busMsg.nodeId, true);
+            publish("state", {state: getLocalState()});
+            break;
+
+        case "syncRequest":
+            touchRemoteNode(busMsg.nodeId, false);
+            if (busMsg.targetNodeId === e.cluster.nodeId) {
+                publish("state", {state: getLocalState()});
+            }
+            break;
+
+        case "state":
+            remote = touchRemoteNode(busMsg.nodeId, true);
+            remote.app = _.isObject(busMsg.state) ? busMsg.state : {};
+            break;
+
+        case "heartbeat":
+            touchRemoteNode(busMsg.nodeId, false);
+            break;
+
+        case "goodbye":
+            removeRemoteNode(busMsg.nodeId);
+            break;
+
+        case "roomDataDelta":
+            remote = touchRemoteNode(busMsg.nodeId, false);
+            remote.app[busMsg.appName] = remote.app[busMsg.appName] || {};
+            if (busMsg.connectionState) {
+                remote.app[busMsg.appName][busMsg.easyrtcid] = busMsg.connectionState;
+            }
+            else {
+                delete remote.app[busMsg.appName][busMsg.easyrtcid];
+                pub.callTracker.removeConnection(busMsg.appName, busMsg.easyrtcid);
+            }
+            emitRoomDataToLocal(busMsg.appName, busMsg.easyrtcid, busMsg.roomData);
+            break;
+
+        case "forwardMsg":
+            touchRemoteNode(busMsg.nodeId, false);
+            deliverForwardedMsg(busMsg);
+            break;
+
+        default:
+            pub.util.logDebug("Unhandled cluster message type [" + busMsg.busMsgType + "]", null, {component: "cluster"});
+    }
+};
+
+
+/**
+ * Starts cluster mode using the "clusterBus" option. Subscribes to the bus, announces the node, and starts the heartbeat which detects nodes which have gone away.
+ *
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+cl.start = function(next) {
+    if (!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+    if (e.cluster.bus) {
+        next(null);
+        return;
+    }
+
+    var clusterBus = pub.getOption("clusterBus");
+    if (!_.isObject(clusterBus) || !_.isFunction(clusterBus.publish) || !_.isFunction(clusterBus.subscribe) || !_.isFunction(clusterBus.unsubscribe)) {
+        next(new pub.util.ServerError("Cluster mode requires the 'clusterBus' option to be set to a bus adapter."));
+        return;
+    }
+
+    e.cluster.bus = clusterBus;
+    e.cluster.nodeId = pub.getOption("clusterNodeId") || g.randomString();
+    e.cluster.remoteNode = {};
+
+    e.cluster.bus.subscribe(onBusMessage);
+    publish("hello", {});
+
+    var heartbeatInterval = pub.getOption("clusterHeartbeatInterval");
+    e.cluster.heartbeatTimer = setInterval(function() {
+        publish("heartbeat", {});
+        for (var currentNodeId in e.cluster.remoteNode) {
+            if (e.cluster.remoteNode.hasOwnProperty(currentNodeId) && e.cluster.remoteNode[currentNodeId].lastSeenOn + (heartbeatInterval * 3) < Date.now()) {
+                removeRemoteNode(currentNodeId);
+            }
+        }
+    }, heartbeatInterval);
+    if (_.isFunction(e.cluster.heartbeatTimer.unref)) {
+        e.cluster.heartbeatTimer.unref();
+    }
+
+    pub.util.logInfo("Node [" + e.cluster.nodeId + "] started", null, {component: "cluster"});
+    next(null);
+};
+
+
+/**
+ * Stops cluster mode. Other nodes are told to drop this node's connections from their tables.
+ *
+ * @param       {nextCallback} [next]   A success callback of form next(err).
+ */
+cl.stop = function(next) {
+    if (!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+    if (!e.cluster.bus) {
+        next(null);
+        return;
+    }
+    publish("goodbye", {});
+    e.cluster.bus.unsubscribe(onBusMessage);
+    clearInterval(e.cluster.heartbeatTimer);
+    e.cluster.heartbeatTimer = null;
+    e.cluster.bus = null;
+    e.cluster.remoteNode = {};
+    next(null);
+};
+
+return cl;
+};
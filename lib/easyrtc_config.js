@@ -0,0 +1,616 @@
+/* global module, require */
+
+/**
+ * @file        Typed option schema and JSON config file loading for EasyRTC. The schema is built from the default options, and is used to reject unknown option names and values of the wrong type.
+ * @module      easyrtc_config
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var fs              = require("fs");                        // File system core module
+var async           = require("async");                     // Asynchronous calls external module
+var _               = require("underscore");                // General utility functions external module
+var defaultOptions  = require("./easyrtc_default_options"); // EasyRTC default options
+
+/**
+ * Creates the option schema and config file methods of an EasyRTC instance.
+ *
+ * @param       {Object} pub            EasyRTC public object of the instance.
+ * @returns     {Object}                EasyRTC config object.
+ */
+module.exports = function(pub) {
+
+/**
+ * Option schema and config file methods.
+ *
+ * @class
+ */
+var cf = {};
+
+
+/**
+ * Types of options whose default value is null, or which accept more than the type of their default value. Other option types are taken from the default value.
+ *
+ * @private
+ */
+var optionTypeOverrideObj = {
+    appDefaultFieldObj:         {typeList: ["object"], isNullable: true},
+    appTurnSecret:              {typeList: ["string"], isNullable: true},
+    appTurnUrls:                {typeList: ["array"], isNullable: true},
+    roomDefaultFieldObj:        {typeList: ["object"], isNullable: true},
+    roomPassword:               {typeList: ["string"], isNullable: true},
+    roomPasswordHash:           {typeList: ["string"], isNullable: true},
+    roomInviteList:             {typeList: ["array"], isNullable: true},
+    roomMaxOccupants:           {typeList: ["number"], isNullable: true},
+    roomHistoryMsgTypes:        {typeList: ["array"], isNullable: true},
+    groupDefaultFieldObj:       {typeList: ["object"], isNullable: true},
+    rateLimitConnection:        {typeList: ["object"], isNullable: true},
+    rateLimitIp:                {typeList: ["object"], isNullable: true},
+    rateLimitApp:               {typeList: ["object"], isNullable: true},
+    rateLimitDisconnectCount:   {typeList: ["number"], isNullable: true},
+    connectionDefaultFieldObj:  {typeList: ["object"], isNullable: true},
+    webhookTargets:             {typeList: ["array"], isNullable: true},
+    callCdrSinks:               {typeList: ["array"], isNullable: true, isJsonAllowed: false},
+    jwtAlgorithm:               {typeList: ["string"], enumList: ["HS256", "RS256"]},
+    jwtSecret:                  {typeList: ["string"], isNullable: true},
+    jwtPublicKey:               {typeList: ["string"], isNullable: true},
+    jwtIssuer:                  {typeList: ["string", "array"], isNullable: true},
+    jwtAudience:                {typeList: ["string", "array"], isNullable: true},
+    adminToken:                 {typeList: ["string"], isNullable: true},
+    logLevel:                   {typeList: ["string"], enumList: ["debug", "info", "warning", "error", "none"]},
+    logFormat:                  {typeList: ["string"], enumList: ["text", "json"]},
+    logTransports:              {typeList: ["array"], isNullable: true, isJsonAllowed: false},
+    logComponentLevels:         {typeList: ["object"], isNullable: true},
+    stateStore:                 {typeList: ["object"], isNullable: true, isJsonAllowed: false},
+    clusterBus:                 {typeList: ["object"], isNullable: true, isJsonAllowed: false},
+    clusterNodeId:              {typeList: ["string"], isNullable: true},
+    configFile:                 {typeList: ["string"], isNullable: true}
+};
+
+
+/**
+ * Options which are only read while the server starts, such as those which set up http routes. Changes to them in a config file are not applied on reload.
+ *
+ * @private
+ */
+var startupOptionList = [
+    "appDefaultName",
+    "apiEnable", "apiPublicFolder", "apiLabsEnable", "apiOldLocationEnable",
+    "adminEnable", "adminPublicFolder",
+    "metricsEnable", "metricsUrl", "healthEnable", "healthUrl", "readyUrl",
+    "demosEnable", "demosPublicFolder",
+    "logTransports",
+    "stateStore", "stateStoreRestoreEnable",
+    "clusterEnable", "clusterBus", "clusterNodeId", "clusterHeartbeatInterval",
+    "updateCheckEnable",
+    "configFile", "configWatchEnable", "configWatchInterval"
+];
+
+
+/**
+ * Returns the schema type of a value. Can be ("null"|"boolean"|"number"|"string"|"regexp"|"array"|"function"|"object")
+ *
+ * @private
+ * @param       {*} value
+ * @returns     {string}
+ */
+var getValueType = function(value) {
+    if (value === null || value === undefined) {
+        return "null";
+    }
+    if (_.isRegExp(value)) {
+        return "regexp";
+    }
+    if (_.isArray(value)) {
+        return "array";
+    }
+    if (_.isFunction(value)) {
+        return "function";
+    }
+    if (_.isObject(value)) {
+        return "object";
+    }
+    return typeof value;
+};
+
+
+/**
+ * Option schema, built from the default options when the module is loaded. Map of option names to objects of form {typeList:<Array.<string>>, isNullable:<Boolean>, enumList:<?Array>, isJsonAllowed:<Boolean>, isHotReload:<Boolean>}
+ *
+ * @private
+ */
+var optionSchema = {};
+
+_.each(defaultOptions, function(defaultValue, optionName) {
+    var typeOverride = optionTypeOverrideObj[optionName] || {};
+    optionSchema[optionName] = {
+        typeList:       typeOverride.typeList || [getValueType(defaultValue)],
+        isNullable:     (typeOverride.isNullable ? true : false),
+        enumList:       typeOverride.enumList || null,
+        isJsonAllowed:  (typeOverride.isJsonAllowed !== false),
+        isHotReload:    !_.contains(startupOptionList, optionName)
+    };
+});
+
+
+/**
+ * Top level keys allowed in a config file, and the keys allowed within each application and room.
+ *
+ * @private
+ */
+var configKeyList = ["options", "apps"];
+var appConfigKeyList = ["options", "iceServers", "fields", "rooms"];
+var roomConfigKeyList = ["options", "fields"];
+
+
+/**
+ * The last config applied by loadConfigFile(). Used on reload to revert options which were removed from the file.
+ *
+ * @private
+ */
+var appliedConfig = null;
+
+
+/**
+ * The config file being watched, in form {filePath:<string>, listener:<Function>}
+ *
+ * @private
+ */
+var configWatcher = null;
+
+
+/**
+ * Returns a copy of the option schema. Map of option names to objects of form {typeList:<Array.<string>>, isNullable:<Boolean>, enumList:<?Array>, isJsonAllowed:<Boolean>, isHotReload:<Boolean>}. Types can be ("boolean"|"number"|"string"|"regexp"|"array"|"function"|"object").
+ *
+ * @returns     {Object}
+ */
+cf.getOptionSchema = function() {
+    return pub.util.deepCopy(optionSchema);
+};
+
+
+/**
+ * Returns the text of why an option value is not valid, or null if the option name is known and the value is of the right type.
+ *
+ * @param       {string} optionName     Option name
+ * @param       {*} optionValue         Option value
+ * @returns     {?string}
+ */
+cf.getOptionError = function(optionName, optionValue) {
+    if (!_.isString(optionName) || !optionSchema.hasOwnProperty(optionName)) {
+        return "Unrecognised option name '" + optionName + "'.";
+    }
+    var schema = optionSchema[optionName];
+    var valueType = getValueType(optionValue);
+
+    if (valueType === "null") {
+        return (schema.isNullable ? null : "Option '" + optionName + "' can not be null.");
+    }
+    if (!_.contains(schema.typeList, valueType) || (valueType === "number" && !isFinite(optionValue))) {
+        return "Option '" + optionName + "' must be of type " + schema.typeList.join("|") + " but was " + valueType + ".";
+    }
+    if (schema.enumList && !_.contains(schema.enumList, optionValue)) {
+        return "Option '" + optionName + "' must be one of (" + schema.enumList.join("|") + ").";
+    }
+    return null;
+};
+
+
+/**
+ * Converts an option value read from JSON into the value used by the option. Regular expression options are written in JSON as a string, either as "/pattern/flags" or as a pattern without flags.
+ *
+ * @private
+ * @param       {string} optionName     Option name
+ * @param       {*} jsonValue           Option value as read from JSON
+ * @returns     {*}                     Option value. Throws if a regular expression is not valid.
+ */
+var parseJsonOptionValue = function(optionName, jsonValue) {
+    if (optionSchema.hasOwnProperty(optionName) && _.contains(optionSchema[optionName].typeList, "regexp") && _.isString(jsonValue)) {
+        var regExpMatch = /^\/(.*)\/([gimuy]*)$/.exec(jsonValue);
+        return (regExpMatch ? new RegExp(regExpMatch[1], regExpMatch[2]) : new RegExp(jsonValue));
+    }
+    return jsonValue;
+};
+
+
+/**
+ * Returns a map of options read from JSON converted into option values, or the text of why they are not valid.
+ *
+ * @private
+ * @param       {*} jsonOptionObj       Map of option names to values as read from JSON
+ * @param       {string} configPath     Location of the options within the config, used in error text.
+ * @returns     {Object}                Object of form {err:<?string>, optionObj:<Object>}
+ */
+var parseJsonOptions = function(jsonOptionObj, configPath) {
+    var optionObj = {};
+    if (jsonOptionObj === undefined) {
+        return {err: null, optionObj: optionObj};
+    }
+    if (getValueType(jsonOptionObj) !== "object") {
+        return {err: configPath + " must be an object."};
+    }
+    for (var optionName in jsonOptionObj) {
+        if (jsonOptionObj.hasOwnProperty(optionName)) {
+            if (optionSchema.hasOwnProperty(optionName) && !optionSchema[optionName].isJsonAllowed) {
+                return {err: configPath + ": Option '" + optionName + "' can not be set from a config file."};
+            }
+            try {
+                optionObj[optionName] = parseJsonOptionValue(optionName, jsonOptionObj[optionName]);
+            } catch (e) {
+                return {err: configPath + ": Option '" + optionName + "' is not a valid regular expression. " + e.message};
+            }
+            var optionError = cf.getOptionError(optionName, optionObj[optionName]);
+            if (optionError) {
+                return {err: configPath + ": " + optionError};
+            }
+        }
+    }
+    return {err: null, optionObj: optionObj};
+};
+
+
+/**
+ * Returns the text of why a map of fields from a config file is not valid, or null if it is valid.
+ *
+ * @private
+ * @param       {*} fieldObj            Map of field names to objects of form {fieldValue:<JsonObj>, [fieldOption:{isShared:<Boolean>}]}
+ * @param       {string} configPath     Location of the fields within the config, used in error text.
+ * @returns     {?string}
+ */
+var getFieldsError = function(fieldObj, configPath) {
+    if (fieldObj === undefined) {
+        return null;
+    }
+    if (getValueType(fieldObj) !== "object") {
+        return configPath + " must be an object.";
+    }
+    for (var fieldName in fieldObj) {
+        if (fieldObj.hasOwnProperty(fieldName)) {
+            if (getValueType(fieldObj[fieldName]) !== "object" || !fieldObj[fieldName].hasOwnProperty("fieldValue")) {
+                return configPath + ": Field '" + fieldName + "' must be an object of form {fieldValue, [fieldOption]}.";
+            }
+            if (fieldObj[fieldName].fieldOption !== undefined && getValueType(fieldObj[fieldName].fieldOption) !== "object") {
+                return configPath + ": The fieldOption of field '" + fieldName + "' must be an object.";
+            }
+        }
+    }
+    return null;
+};
+
+
+/**
+ * Returns the text of the first unknown key of an object, or null if all keys are allowed.
+ *
+ * @private
+ * @param       {Object} obj
+ * @param       {Array.<string>} keyList Allowed keys
+ * @param       {string} configPath     Location of the object within the config, used in error text.
+ * @returns     {?string}
+ */
+var getUnknownKeyError = function(obj, keyList, configPath) {
+    var unknownKey = _.find(_.keys(obj), function(currentKey) {
+        return !_.contains(keyList, currentKey);
+    });
+    return (unknownKey === undefined ? null : configPath + ": Unrecognised key '" + unknownKey + "'.");
+};
+
+
+/**
+ * Parses the contents of a config file, validating every option against the option schema. The resulting config has regular expression options converted from strings, and each application's iceServers placed in its appIceServers option.
+ *
+ * @param       {string} configText     JSON text of form {options:{...}, apps:{appName:{options:{...}, iceServers:[...], fields:{...}, rooms:{roomName:{options:{...}, fields:{...}}}}}}
+ * @param       {function(?Error, Object=)} callback Callback with error and config of form {optionObj:{...}, app:{appName:{optionObj:{...}, field:{...}, room:{roomName:{optionObj:{...}, field:{...}}}}}}
+ */
+cf.parseConfig = function(configText, callback) {
+    var jsonConfig;
+    try {
+        jsonConfig = JSON.parse(configText);
+    } catch (e) {
+        callback(new pub.util.ServerError("Config is not valid JSON. " + e.message));
+        return;
+    }
+
+    var configError = function(errText) {
+        callback(new pub.util.ServerError("Config is not valid. " + errText));
+    };
+
+    if (getValueType(jsonConfig) !== "object") {
+        configError("The config must be an object.");
+        return;
+    }
+    var keyError = getUnknownKeyError(jsonConfig, configKeyList, "config");
+    if (keyError) {
+        configError(keyError);
+        return;
+    }
+
+    var parsedOptions = parseJsonOptions(jsonConfig.options, "options");
+    if (parsedOptions.err) {
+        configError(parsedOptions.err);
+        return;
+    }
+    var config = {optionObj: parsedOptions.optionObj, app: {}};
+
+    if (jsonConfig.apps !== undefined && getValueType(jsonConfig.apps) !== "object") {
+        configError("apps must be an object.");
+        return;
+    }
+
+    var appErr = null;
+    _.find(_.keys(jsonConfig.apps || {}), function(appName) {
+        var jsonApp = jsonConfig.apps[appName];
+        var appPath = "apps." + appName;
+        if (getValueType(jsonApp) !== "object") {
+            appErr = appPath + " must be an object.";
+            return true;
+        }
+        appErr = getUnknownKeyError(jsonApp, appConfigKeyList, appPath) || getFieldsError(jsonApp.fields, appPath + ".fields");
+        if (appErr) {
+            return true;
+        }
+        if (jsonApp.rooms !== undefined && getValueType(jsonApp.rooms) !== "object") {
+            appErr = appPath + ".rooms must be an object.";
+            return true;
+        }
+
+        var jsonAppOptions = jsonApp.options;
+        if (jsonApp.iceServers !== undefined) {
+            jsonAppOptions = _.extend({}, jsonApp.options, {appIceServers: jsonApp.iceServers});
+        }
+        var parsedAppOptions = parseJsonOptions(jsonAppOptions, appPath + ".options");
+        if (parsedAppOptions.err) {
+            appErr = parsedAppOptions.err;
+            return true;
+        }
+        var appConfig = {optionObj: parsedAppOptions.optionObj, field: jsonApp.fields || {}, room: {}};
+
+        _.find(_.keys(jsonApp.rooms || {}), function(roomName) {
+            var jsonRoom = jsonApp.rooms[roomName];
+            var roomPath = appPath + ".rooms." + roomName;
+            if (getValueType(jsonRoom) !== "object") {
+                appErr = roomPath + " must be an object.";
+                return true;
+            }
+            appErr = getUnknownKeyError(jsonRoom, roomConfigKeyList, roomPath) || getFieldsError(jsonRoom.fields, roomPath + ".fields");
+            if (appErr) {
+                return true;
+            }
+            var parsedRoomOptions = parseJsonOptions(jsonRoom.options, roomPath + ".options");
+            if (parsedRoomOptions.err) {
+                appErr = parsedRoomOptions.err;
+                return true;
+            }
+            appConfig.room[roomName] = {optionObj: parsedRoomOptions.optionObj, field: jsonRoom.fields || {}};
+            return false;
+        });
+
+        config.app[appName] = appConfig;
+        return appErr !== null;
+    });
+
+    if (appErr) {
+        configError(appErr);
+        return;
+    }
+    callback(null, config);
+};
+
+
+/**
+ * Reads and parses a config file. See cf.parseConfig()
+ *
+ * @param       {string} filePath       Path of the JSON config file.
+ * @param       {function(?Error, Object=)} callback Callback with error and parsed config.
+ */
+cf.readConfigFile = function(filePath, callback) {
+    fs.readFile(filePath, "utf8", function(err, configText) {
+        if (err) {
+            callback(new pub.util.ServerError("Unable to read config file [" + filePath + "]. " + err.message));
+            return;
+        }
+        cf.parseConfig(configText, function(err, config) {
+            if (err) {
+                callback(new pub.util.ServerError("Config file [" + filePath + "]: " + err.message));
+                return;
+            }
+            callback(null, config);
+        });
+    });
+};
+
+
+/**
+ * Sets options on an EasyRTC object. Options which were in the previous map but not in the new one are reverted by setting them to null.
+ *
+ * @private
+ * @param       {Object} targetObj      Object with a setOption() method, such as an appObj or roomObj.
+ * @param       {Object} optionObj      Map of option names to values.
+ * @param       {?Object} previousOptionObj Map of option names to values previously set from the config.
+ */
+var setOptions = function(targetObj, optionObj, previousOptionObj) {
+    _.each(optionObj, function(optionValue, optionName) {
+        targetObj.setOption(optionName, optionValue);
+    });
+    _.each(_.keys(previousOptionObj || {}), function(optionName) {
+        if (!optionObj.hasOwnProperty(optionName)) {
+            targetObj.setOption(optionName, null);
+        }
+    });
+};
+
+
+/**
+ * Sets fields on an EasyRTC object.
+ *
+ * @private
+ * @param       {Object} targetObj      Object with a setField() method, such as an appObj or roomObj.
+ * @param       {Object} fieldObj       Map of field names to objects of form {fieldValue:<JsonObj>, [fieldOption:{isShared:<Boolean>}]}
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+var setFields = function(targetObj, fieldObj, next) {
+    async.eachSeries(_.keys(fieldObj), function(fieldName, asyncCallback) {
+        targetObj.setField(fieldName, fieldObj[fieldName].fieldValue, fieldObj[fieldName].fieldOption || null, asyncCallback);
+    }, next);
+};
+
+
+/**
+ * Applies the server level options of a parsed config. On reload, startup options are left unchanged (with a warning if they differ) and options removed from the config revert to their default.
+ *
+ * @param       {Object} config         Parsed config from cf.parseConfig()
+ * @param       {Boolean} isReload      True if the config is being reapplied after the file changed.
+ */
+cf.applyServerOptions = function(config, isReload) {
+    var previousOptionObj = (isReload && appliedConfig ? appliedConfig.optionObj : {});
+
+    _.each(config.optionObj, function(optionValue, optionName) {
+        if (isReload && !optionSchema[optionName].isHotReload) {
+            if (!_.isEqual(pub.getOption(optionName), optionValue)) {
+                pub.util.logWarning("Option '" + optionName + "' changed in config file, but is only applied on startup.", null, {component: "config"});
+            }
+            return;
+        }
+        pub.setOption(optionName, optionValue);
+    });
+
+    _.each(_.keys(previousOptionObj), function(optionName) {
+        if (!config.optionObj.hasOwnProperty(optionName) && optionSchema[optionName].isHotReload) {
+            pub.setOption(optionName, defaultOptions[optionName]);
+        }
+    });
+};
+
+
+/**
+ * Applies a room from a parsed config, creating the room if it does not exist.
+ *
+ * @private
+ * @param       {Object} appObj         EasyRTC application object.
+ * @param       {string} roomName       Room name
+ * @param       {Object} roomConfig     Room config of form {optionObj:{...}, field:{...}}
+ * @param       {?Object} previousRoomConfig Room config previously applied.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+var applyRoomConfig = function(appObj, roomName, roomConfig, previousRoomConfig, next) {
+    async.waterfall([
+        function(asyncCallback) {
+            if (appObj.isRoomSync(roomName)) {
+                appObj.room(roomName, asyncCallback);
+            }
+            else {
+                pub.events.emit("roomCreate", appObj, null, roomName, roomConfig.optionObj, asyncCallback);
+            }
+        },
+        function(roomObj, asyncCallback) {
+            setOptions(roomObj, roomConfig.optionObj, (previousRoomConfig ? previousRoomConfig.optionObj : null));
+            setFields(roomObj, roomConfig.field, asyncCallback);
+        }
+    ], next);
+};
+
+
+/**
+ * Applies an application from a parsed config, creating the application if it does not exist.
+ *
+ * @private
+ * @param       {string} appName        Application name
+ * @param       {Object} appConfig      Application config of form {optionObj:{...}, field:{...}, room:{...}}
+ * @param       {?Object} previousAppConfig Application config previously applied.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+var applyAppConfig = function(appName, appConfig, previousAppConfig, next) {
+    async.waterfall([
+        function(asyncCallback) {
+            pub.isApp(appName, asyncCallback);
+        },
+        function(isApp, asyncCallback) {
+            if (isApp) {
+                pub.app(appName, asyncCallback);
+            }
+            else {
+                pub.createApp(appName, appConfig.optionObj, asyncCallback);
+            }
+        },
+        function(appObj, asyncCallback) {
+            setOptions(appObj, appConfig.optionObj, (previousAppConfig ? previousAppConfig.optionObj : null));
+            setFields(appObj, appConfig.field, function(err) {
+                asyncCallback(err, appObj);
+            });
+        },
+        function(appObj, asyncCallback) {
+            async.eachSeries(_.keys(appConfig.room), function(roomName, asyncRoomCallback) {
+                applyRoomConfig(appObj, roomName, appConfig.room[roomName], (previousAppConfig ? previousAppConfig.room[roomName] : null), asyncRoomCallback);
+            }, asyncCallback);
+        }
+    ], next);
+};
+
+
+/**
+ * Applies a parsed config. Server options are set first, followed by each application (with its options, fields and rooms). Applications and rooms which do not exist are created. Applications, rooms and fields which are removed from the config are left in place.
+ *
+ * @param       {Object} config         Parsed config from cf.parseConfig()
+ * @param       {Boolean} isReload      True if the config is being reapplied after the file changed. Startup options are not reapplied.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+cf.applyConfig = function(config, isReload, next) {
+    var previousConfig = (isReload ? appliedConfig : null);
+
+    cf.applyServerOptions(config, isReload);
+
+    async.eachSeries(_.keys(config.app), function(appName, asyncCallback) {
+        applyAppConfig(appName, config.app[appName], (previousConfig && previousConfig.app[appName] ? previousConfig.app[appName] : null), asyncCallback);
+    }, function(err) {
+        appliedConfig = config;
+        next(err);
+    });
+};
+
+
+/**
+ * Stops watching the config file for changes.
+ */
+cf.unwatchConfigFile = function() {
+    if (configWatcher) {
+        fs.unwatchFile(configWatcher.filePath, configWatcher.listener);
+        configWatcher = null;
+    }
+};
+
+
+/**
+ * Watches a config file, reapplying it when it changes. If the changed file is not valid, an error is logged and the current configuration is kept. Any previously watched file is no longer watched.
+ *
+ * @param       {string} filePath       Path of the JSON config file.
+ * @param       {Number} interval       Milliseconds between checks of the file.
+ */
+cf.watchConfigFile = function(filePath, interval) {
+    cf.unwatchConfigFile();
+
+    var listener = function(currentStat, previousStat) {
+        if (currentStat.mtime.getTime() === previousStat.mtime.getTime() && currentStat.size === previousStat.size) {
+            return;
+        }
+        pub.util.logInfo("Config file [" + filePath + "] changed. Reloading.", null, {component: "config"});
+        cf.readConfigFile(filePath, function(err, config) {
+            if (err) {
+                pub.util.logError("Config file reload failed. The current configuration is kept.", err, {component: "config"});
+                return;
+            }
+            cf.applyConfig(config, true, function(err) {
+                if (err) {
+                    pub.util.logError("Config file reload could not be fully applied.", err, {component: "config"});
+                    return;
+                }
+                pub.util.logInfo("Config file [" + filePath + "] reloaded.", null, {component: "config"});
+            });
+        });
+    };
+
+    configWatcher = {filePath: filePath, listener: listener};
+    fs.watchFile(filePath, {persistent: false, interval: interval}, listener);
+};
+
+return cf;
+};
@@ -1,4 +1,4 @@
-/* global module, require, console, __dirname, process */
+/* global module, require, console, __dirname, process, Buffer */
 /**
  * Event listeners used by EasyRTC. Many of these can be overridden using server options.
  * 
@@ -14,14 +14,28 @@ var g           = require("./general_util");        // General utility functions
 
 var async       = require("async");                 // Asynchronous calls external module
 
-var pub         = require("./easyrtc_public_obj");  // EasyRTC public object
+var lg          = require("./easyrtc_log");         // EasyRTC log formatting and transports
+
+/**
+ * Creates the default event listeners of an EasyRTC instance.
+ *
+ * @param       {Object} pub            EasyRTC public object of the instance.
+ * @param       {Object} rl             EasyRTC rate limiting object of the instance.
+ * @param       {Object} mt             EasyRTC metric registry of the instance.
+ * @param       {Object} wh             EasyRTC webhook object of the instance.
+ * @returns     {Object}                EasyRTC default event listener object.
+ */
+module.exports = function(pub, rl, mt, wh) {
+
+var ad          = require("./easyrtc_admin")(pub);  // EasyRTC admin REST API
+var jw          = require("./easyrtc_jwt")(pub);    // EasyRTC JWT verification
 
 /**
  * Event listeners used by EasyRTC. Many of these can be overridden using server options. The interfaces should be used as a guide for creating new listeners.
  *
  * @class 
  */
-var eventListener = module.exports;
+var eventListener = {};
 
 /**
  * Default listener for event "authenticate". This event is called as part of the authentication process. To deny authentication, call the next() with an Error. By default everyone gets in!
@@ -50,6 +64,75 @@ eventListener.onAuthenticated = function(connectionObj, next) {
 };
 
 
+/**
+ * Default listener for event "callStart". This event is fired when a call tracked by the server starts with an offer. Only fired if the "callTrackEnable" option is true. Calls can not be refused from this event.
+ *
+ * @param       {Object} appObj         EasyRTC application object. Contains methods used for identifying and managing an application.
+ * @param       {Object} callObj        Call object of form {callId, appName, callerEasyrtcid, callerUsername, calleeEasyrtcid, calleeUsername, roomName, startOn, answerOn, endOn, endReason, endedByEasyrtcid, duration}
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onCallStart = function(appObj, callObj, next) {
+    next(null);
+};
+
+
+/**
+ * Default listener for event "callAnswered". This event is fired when the callee of a tracked call answers it. Only fired if the "callTrackEnable" option is true.
+ *
+ * @param       {Object} appObj         EasyRTC application object. Contains methods used for identifying and managing an application.
+ * @param       {Object} callObj        Call object. The answerOn field is set.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onCallAnswered = function(appObj, callObj, next) {
+    next(null);
+};
+
+
+/**
+ * Default listener for event "callEnd". This event is fired after a tracked call ends and its call detail record has been written to the "callCdrSinks". Only fired if the "callTrackEnable" option is true.
+ *
+ * @param       {Object} appObj         EasyRTC application object. Contains methods used for identifying and managing an application.
+ * @param       {Object} callObj        Call object. The endOn, endReason, endedByEasyrtcid and duration fields are set.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onCallEnd = function(appObj, callObj, next) {
+    next(null);
+};
+
+
+/**
+ * Wraps the socket callback of an easyrtcAuth message so the authentication result is counted in the metrics. A token reply counts as a success, and an error reply as a failure with its error code.
+ *
+ * @private
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @returns     {Function}              Wrapped socket callback.
+ */
+var getAuthMetricSocketCallback = function(socketCallback) {
+    return function(msg) {
+        if (_.isObject(msg) && msg.msgType === "token") {
+            mt.incrementCounter("easyrtc_authentication_successes_total", null);
+        }
+        else if (_.isObject(msg) && msg.msgType === "error") {
+            mt.incrementCounter("easyrtc_authentication_failures_total", {error_code: (_.isObject(msg.msgData) ? msg.msgData.errorCode : "")});
+        }
+        return socketCallback.apply(this, arguments);
+    };
+};
+
+
+/**
+ * Counts a socket disconnection in the metrics.
+ *
+ * @private
+ * @param       {String} reason         Disconnection reason given by socket.io, such as "transport close" or "ping timeout".
+ */
+var countSocketDisconnect = function(reason) {
+    if (pub.getOption("metricsEnable")) {
+        mt.incrementCounter("easyrtc_socket_disconnects_total", {reason: (_.isString(reason) ? reason : "unknown")});
+    }
+};
+
+
 /**
  * Default listener for event "connection". This event is called when socket.io accepts a new connection.
  *
@@ -65,16 +148,20 @@ eventListener.onConnection = function(socket, easyrtcid, next) {
 
         if (pub.getOption("logMessagesEnable")) {
             try {
-                pub.util.logDebug("["+easyrtcid+"] Incoming socket.io message: ["+JSON.stringify(msg)+"]");
+                pub.util.logDebug("Incoming socket.io message: ["+JSON.stringify(msg)+"]", null, {easyrtcid: easyrtcid});
             }
             catch(err) {
-                pub.util.logDebug("["+easyrtcid+"] Incoming socket.io message");
+                pub.util.logDebug("Incoming socket.io message", null, {easyrtcid: easyrtcid});
             }
         }
 
+        if (pub.getOption("metricsEnable") && _.isFunction(socketCallback)) {
+            socketCallback = getAuthMetricSocketCallback(socketCallback);
+        }
+
         pub.events.emit("easyrtcAuth", socket, easyrtcid, msg, socketCallback, function(err, newConnectionObj) {
             if(err) {
-                pub.util.logError("["+easyrtcid+"] Unhandled easyrtcCmd listener error.", err);
+                pub.util.logError("Unhandled easyrtcCmd listener error.", err, {easyrtcid: easyrtcid});
                 return;
             }
 
@@ -82,6 +169,9 @@ eventListener.onConnection = function(socket, easyrtcid, next) {
         });
     });
 
+    // Counts disconnections. Kept when authentication removes the old disconnect listeners.
+    socket.on("disconnect", countSocketDisconnect);
+
     pub.util.logDebug("Running func 'onConnection'");
     next(null);
 };
@@ -112,15 +202,358 @@ eventListener.onDisconnect = function(connectionObj, next) {
                 }
             );
         },
+        function(asyncCallback) {
+            // Get array of groups
+            connectionObj.getGroupNames(asyncCallback);
+        },
+        function(groupNames, asyncCallback) {
+            // leave all groups
+            async.each(groupNames,
+                function(currentGroupName, asyncEachCallback) {
+                    pub.events.emit("groupLeave", connectionObj, currentGroupName, function(err) {asyncEachCallback(null);});
+                },
+                function(err) {
+                    asyncCallback(null);
+                }
+            );
+        },
         function(asyncCallback) {
             // log all connections as ended
-            pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Disconnected");
+            pub.util.logDebug("Disconnected", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
             connectionObj.removeConnection(asyncCallback);
         }
     ], function(err) {
         next(null);
     });
+};
+
+
+/**
+ * Returns the number of connections an incoming easyrtcMsg message is relayed to. A message for a room or group counts once for each other occupant, on this node and on other nodes. Other messages count once.
+ *
+ * @private
+ * @param       {Object} connectionObj  EasyRTC connection object of the sender.
+ * @param       {Object} msg            Message object which contains the full message from a client.
+ * @returns     {Number}                Number of recipients, at least 1.
+ */
+var getRecipientCount = function(connectionObj, msg) {
+    if (!_.isObject(msg) || msg.targetEasyrtcid !== undefined || msg.targetUsername !== undefined || (!_.isString(msg.targetRoom) && !_.isString(msg.targetGroup))) {
+        return 1;
+    }
+
+    var appObj = connectionObj.getApp();
+    var localList, remoteClientList;
+
+    if (_.isString(msg.targetRoom)) {
+        localList = appObj.getRoomConnectionsSync(msg.targetRoom);
+        remoteClientList = pub.cluster.getRemoteRoomClientList(connectionObj.getAppName(), msg.targetRoom);
+
+        // Room messages limited to a group only reach the group members
+        if (_.isString(msg.targetGroup)) {
+            localList = _.intersection(localList, appObj.getGroupConnectionsSync(msg.targetGroup));
+            remoteClientList = _.filter(remoteClientList, function(remoteConnection) {
+                return remoteConnection.group[msg.targetGroup];
+            });
+        }
+    }
+    else {
+        localList = appObj.getGroupConnectionsSync(msg.targetGroup);
+        remoteClientList = pub.cluster.getRemoteGroupClientList(connectionObj.getAppName(), msg.targetGroup);
+    }
+
+    return Math.max(_.without(localList, connectionObj.getEasyrtcid()).length + _.size(remoteClientList), 1);
+};
+
+
+/**
+ * Checks an incoming easyrtcCmd or easyrtcMsg message against the rate limit options. If the message is throttled, the MSG_REJECT_RATE_LIMIT error is returned to the client and the "rateLimitWarning" event is fired.
+ *
+ * A relayed easyrtcMsg message is charged once for each recipient. Only messages throttled by the limit of the connection itself count toward disconnecting it, as the IP address and application limits are shared with other connections.
+ *
+ * @private
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {string} msgType        Either "easyrtcCmd" or "easyrtcMsg".
+ * @param       {Object} msg            Message object which contains the full message from a client.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @returns     {Boolean}               True if the message was throttled and should be dropped.
+ */
+var isRateLimited = function(connectionObj, msgType, msg, socketCallback) {
+    var appObj = connectionObj.getApp();
+    var byteCount;
+
+    try {
+        byteCount = Buffer.byteLength(JSON.stringify(msg) || "");
+    } catch (e) {
+        // Improper messages are rejected by isValidIncomingMessage()
+        byteCount = 0;
+    }
+
+    var recipientCount = (msgType === "easyrtcMsg" ? getRecipientCount(connectionObj, msg) : 1);
+
+    var limitName = rl.consume(connectionObj.getAppName(), connectionObj.getEasyrtcid(), pub.util.getSocketIpAddress(connectionObj.socket), recipientCount, byteCount * recipientCount, appObj.getOption);
+    if (!limitName) {
+        return false;
+    }
+
+    if (_.isFunction(socketCallback)) {
+        pub.util.sendSocketCallbackMsg(connectionObj.getEasyrtcid(), socketCallback, pub.util.getErrorMsg("MSG_REJECT_RATE_LIMIT"), appObj);
+    }
+
+    var violationCount = 0;
+    if (limitName === "connection") {
+        violationCount = rl.addViolation(connectionObj.getAppName(), connectionObj.getEasyrtcid(), appObj.getOption("rateLimitDisconnectWindow"));
+    }
+    pub.events.emit("rateLimitWarning", connectionObj, limitName, violationCount, pub.util.nextToNowhere);
+    return true;
+};
+
+
+/**
+ * Adds the listeners for incoming messages and disconnection to the socket of an authenticated connection.
+ *
+ * @private
+ * @param       {Object} socket         Socket.io socket object. References the individual connection socket.
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ */
+var addSocketListeners = function(socket, connectionObj) {
+    var appName = connectionObj.getAppName();
+    var easyrtcid = connectionObj.getEasyrtcid();
+
+    socket.on("easyrtcCmd", function(msg, socketCallback) {
+        if (pub.getOption("logMessagesEnable")) {
+            try {
+                pub.util.logDebug("Incoming socket.io message: ["+JSON.stringify(msg)+"]", null, {appName: appName, easyrtcid: easyrtcid});
+            }
+            catch(err) {
+                pub.util.logDebug("Incoming socket.io message", null, {appName: appName, easyrtcid: easyrtcid});
+            }
+        }
+
+        if (isRateLimited(connectionObj, "easyrtcCmd", msg, socketCallback)) {
+            return;
+        }
+        connectionObj.updateActivity();
+
+        pub.events.emit("easyrtcCmd", connectionObj, msg, socketCallback, function(err) {
+            if(err) {pub.util.logError("Unhandled easyrtcCmd listener error.", err, {appName: appName, easyrtcid: easyrtcid});}
+        });
+
+    });
+    socket.on("easyrtcMsg", function(msg, socketCallback) {
+        if (pub.getOption("logMessagesEnable")) {
+            try {
+                pub.util.logDebug("Incoming socket.io message: ["+JSON.stringify(msg)+"]", null, {appName: appName, easyrtcid: easyrtcid});
+            }
+            catch(err) {
+                pub.util.logDebug("Incoming socket.io message", null, {appName: appName, easyrtcid: easyrtcid});
+            }
+        }
+
+        if (isRateLimited(connectionObj, "easyrtcMsg", msg, socketCallback)) {
+            return;
+        }
+        connectionObj.updateActivity();
+
+        pub.events.emit("easyrtcMsg", connectionObj, msg, socketCallback, function(err) {
+            if(err) {pub.util.logError("Unhandled easyrtcMsg listener error.", err, {appName: appName, easyrtcid: easyrtcid});}
+        });
+    });
+    socket.on("disconnect", function(reason) {
+        var emitDisconnect = function() {
+            pub.events.emit("disconnect", connectionObj, function(err) {
+                if(err) {pub.util.logError("Unhandled disconnect listener error.", err, {appName: appName, easyrtcid: easyrtcid});}
+            });
+        };
+
+        // Hold the connection if its socket dropped, rather than being closed by either side, so the client can resume it
+        var reconnectGraceTime = connectionObj.getApp().getOption("reconnectGraceTime");
+        if (reconnectGraceTime > 0 && !pub.isShuttingDownSync() && !_.contains(["client namespace disconnect", "server namespace disconnect", "forced server close"], reason)) {
+            pub.util.logDebug("Socket dropped [" + reason + "]. Holding connection for " + reconnectGraceTime + "ms.", null, {appName: appName, easyrtcid: easyrtcid});
+            connectionObj.setReconnecting(reconnectGraceTime, emitDisconnect);
+            return;
+        }
+        emitDisconnect();
+    });
+};
+
+
+/**
+ * Queues an easyrtcMsg message for a username which has no connections, and replies to the sender with a msgQueued message. If the message is not queued, because offline messages are disabled or the queue for the username is full, the sender is sent an error instead.
+ *
+ * @private
+ * @param       {Object} connectionObj  EasyRTC connection object of the sender.
+ * @param       {string} username       Username the message is queued for.
+ * @param       {Object} msg            Message object which contains the full message from the sender.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to the sender.
+ * @param       {string} rejectErrorCode Error code sent to the sender if the message is not queued.
+ */
+var queueOfflineMsg = function(connectionObj, username, msg, socketCallback, rejectErrorCode) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+
+    appObj.addOfflineMsg(username, {senderEasyrtcid: easyrtcid, msgType: msg.msgType, msgData: msg.msgData}, function(err, offlineMsg) {
+        if (err || !offlineMsg) {
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(rejectErrorCode), appObj);
+            pub.util.logWarning("EasyRTC message could not be queued for offline username", msg, {appName: connectionObj.getAppName(), easyrtcid: easyrtcid, errorCode: rejectErrorCode});
+            return;
+        }
+        pub.util.logDebug("EasyRTC message queued for offline username [" + username + "]", null, {appName: connectionObj.getAppName(), easyrtcid: easyrtcid, msgType: msg.msgType});
+        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, {msgType: "msgQueued", msgData: {msgQueued: {
+            offlineMsgId:   offlineMsg.offlineMsgId,
+            targetUsername: username,
+            expiresOn:      offlineMsg.expiresOn
+        }}}, appObj);
+    });
+};
+
+
+/**
+ * Sends a msgReceipt message to the sender of a delivered offline message, if the sender is still connected to this or another node.
+ *
+ * @private
+ * @param       {Object} appObj         EasyRTC application object.
+ * @param       {Object} offlineMsg     Delivered offline message.
+ * @param       {string} targetEasyrtcid EasyRTC unique identifier of the connection the message was delivered to.
+ * @param       {Number} deliveredTime  Time the message was delivered.
+ */
+var emitMsgReceipt = function(appObj, offlineMsg, targetEasyrtcid, deliveredTime) {
+    var receiptMsg = {msgData: {msgReceipt: {
+        offlineMsgId:       offlineMsg.offlineMsgId,
+        targetUsername:     offlineMsg.targetUsername,
+        targetEasyrtcid:    targetEasyrtcid,
+        msgType:            offlineMsg.msgType,
+        deliveredTime:      deliveredTime
+    }}};
+
+    if (pub.cluster.getRemoteConnection(appObj.getAppName(), offlineMsg.senderEasyrtcid)) {
+        pub.cluster.forwardMsg(appObj.getAppName(), {targetEasyrtcid: offlineMsg.senderEasyrtcid}, "emitEasyrtcCmd", "msgReceipt", receiptMsg);
+        return;
+    }
+    if (!appObj.isConnectedSync(offlineMsg.senderEasyrtcid)) {
+        return;
+    }
+    appObj.connection(offlineMsg.senderEasyrtcid, function(err, senderConnectionObj) {
+        if (err || senderConnectionObj.isReconnecting()) {
+            return;
+        }
+        pub.events.emit("emitEasyrtcCmd", senderConnectionObj, "msgReceipt", receiptMsg, null, pub.util.nextToNowhere);
+    });
+};
+
+
+/**
+ * Delivers the offline messages queued for the username of a newly authenticated connection. Delivered messages are removed from the queue and their senders are sent a receipt.
+ *
+ * @private
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+var emitOfflineMsgs = function(connectionObj, next) {
+    var appObj = connectionObj.getApp();
+    var username = connectionObj.getUsername();
+
+    if (!_.isString(username) || username === "") {
+        next(null);
+        return;
+    }
+
+    appObj.getOfflineMsgs(username, function(err, msgList) {
+        if (err || msgList.length === 0) {
+            next(err);
+            return;
+        }
+
+        var deliveredTime = Date.now();
+        async.eachSeries(msgList, function(offlineMsg, eachCallback) {
+            pub.events.emit("emitEasyrtcMsg", connectionObj, offlineMsg.msgType, {
+                senderEasyrtcid:    offlineMsg.senderEasyrtcid,
+                targetUsername:     username,
+                msgType:            offlineMsg.msgType,
+                msgData:            offlineMsg.msgData,
+                offlineMsgId:       offlineMsg.offlineMsgId,
+                sentTime:           offlineMsg.serverTime
+            }, null, eachCallback);
+        }, function(err) {
+            if (err) {
+                next(err);
+                return;
+            }
+            appObj.removeOfflineMsgs(username, _.pluck(msgList, "offlineMsgId"), function(err) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                _.each(msgList, function(offlineMsg) {
+                    emitMsgReceipt(appObj, offlineMsg, connectionObj.getEasyrtcid(), deliveredTime);
+                });
+                next(null);
+            });
+        });
+    });
+};
+
+
+/**
+ * Verifies the token in the credential of an easyrtcAuth message as a JSON Web Token using the JWT server options, and checks that the token allows the requested application.
+ *
+ * @private
+ * @param       {string} appName        Requested application name.
+ * @param       {?Object} credential    Credential from the easyrtcAuth message, of form {token:<string>}
+ * @param       {function(?Error, Object=)} callback Callback with error and the token claims.
+ */
+var verifyJwtCredential = function(appName, credential, callback) {
+    jw.verify((_.isObject(credential) ? credential.token : null), {
+        algorithm:  pub.getOption("jwtAlgorithm"),
+        secret:     pub.getOption("jwtSecret"),
+        publicKey:  pub.getOption("jwtPublicKey"),
+        issuer:     pub.getOption("jwtIssuer"),
+        audience:   pub.getOption("jwtAudience"),
+        clockSkew:  pub.getOption("jwtClockSkew")
+    }, function(err, claims) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        var appList = claims[pub.getOption("jwtAppsClaim")];
+        if (appList !== undefined && (!_.isArray(appList) || !_.contains(appList, appName))) {
+            callback(new pub.util.ConnectionWarning("JWT does not allow application [" + appName + "]"));
+            return;
+        }
+        callback(null, claims);
+    });
+};
+
+
+/**
+ * Applies the claims of a verified JSON Web Token to a new connection: the rooms it may join, the moderator flag, initial connection fields and the token expiry. Once the token expires the connection is sent a LOGIN_BAD_AUTH error and disconnected.
+ *
+ * @private
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} claims         Verified token claims.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+var applyJwtClaims = function(connectionObj, claims, next) {
+    var roomList = claims[pub.getOption("jwtRoomsClaim")];
+    var fieldObj = claims[pub.getOption("jwtFieldsClaim")];
+
+    connectionObj.setAllowedRooms(_.isArray(roomList) ? roomList : null);
+    connectionObj.setModerator(claims[pub.getOption("jwtModeratorClaim")] === true);
+
+    // A token without an expiry clears the expiry of an earlier token, such as when a connection is resumed
+    connectionObj.setAuthExpiry((_.isNumber(claims.exp) ? claims.exp * 1000 + pub.getOption("jwtClockSkew") : null), function() {
+        pub.util.logInfo("JWT expired. Disconnecting socket.", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        pub.events.emit("emitError", connectionObj, "LOGIN_BAD_AUTH", null, function() {
+            try{connectionObj.socket.disconnect();}catch(e) {}
+        });
+    });
 
+    if (_.isObject(fieldObj)) {
+        for (var currentFieldName in fieldObj) {
+            if (fieldObj.hasOwnProperty(currentFieldName) && _.isObject(fieldObj[currentFieldName])) {
+                connectionObj.setField(currentFieldName, fieldObj[currentFieldName].fieldValue, fieldObj[currentFieldName].fieldOption, null);
+            }
+        }
+    }
     next(null);
 };
 
@@ -135,9 +568,14 @@ eventListener.onDisconnect = function(connectionObj, next) {
  * @param       {Function}  callback       Callback to call upon completion. Delivers parameter (err, connectionObj).
  */
 eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, callback) {
-    pub.util.logDebug("["+easyrtcid+"] Running func 'onEasyrtcAuth'");
+    pub.util.logDebug("Running func 'onEasyrtcAuth'", null, {easyrtcid: easyrtcid});
 
     var appObj, connectionObj, sessionObj;  // prepare variables to house the application, connection, and session objects
+    var username, credential;
+    var jwtClaims = null;
+
+    // Passed as the waterfall error once a connection is resumed, so the steps which set up a new connection are skipped
+    var connectionResumed = {};
 
     var tokenMsg = {
         msgType: "token",
@@ -149,14 +587,30 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
 
     // Ensure socketCallback is present
     if(!_.isFunction(socketCallback)) {
-        pub.util.logWarning("["+easyrtcid+"] EasyRTC Auth message received with no callback. Disconnecting socket.", msg);
+        pub.util.logWarning("EasyRTC Auth message received with no callback. Disconnecting socket.", msg, {easyrtcid: easyrtcid});
+        try{socket.disconnect();}catch(e) {}
+        return;
+    }
+
+    // Refuse banned IP addresses. The ban may have been added after the socket connected.
+    if (pub.isIpBannedSync(pub.util.getSocketIpAddress(socket))) {
+        pub.util.logInfo("EasyRTC Auth message received from banned IP address. Disconnecting socket.", null, {component: "ipBan", easyrtcid: easyrtcid});
+        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("BANNED_IP_ADDR"), appObj);
+        try{socket.disconnect();}catch(e) {}
+        return;
+    }
+
+    // Refuse new connections while the server is being shutdown
+    if (pub.isShuttingDownSync()) {
+        pub.util.logInfo("EasyRTC Auth message received while server is being shutdown. Disconnecting socket.", null, {easyrtcid: easyrtcid});
+        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("SERVER_SHUTDOWN"), appObj);
         try{socket.disconnect();}catch(e) {}
         return;
     }
 
     // Only accept authenticate message
     if(!_.isObject(msg) || !_.isString(msg.msgType) || msg.msgType !== "authenticate") {
-        pub.util.logWarning("["+easyrtcid+"] EasyRTC Auth message received without msgType of 'authenticate'. Disconnecting socket.", msg);
+        pub.util.logWarning("EasyRTC Auth message received without msgType of 'authenticate'. Disconnecting socket.", msg, {easyrtcid: easyrtcid});
         pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("LOGIN_BAD_AUTH"), appObj);
         try{socket.disconnect();}catch(e) {}
         return;
@@ -168,7 +622,7 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
             !_.isString(msg.msgData.apiVersion) ||
                 (msg.msgData.roomJoin !== undefined && !_.isObject(msg.msgData.roomJoin))
     ) {
-        pub.util.logWarning("["+easyrtcid+"] EasyRTC Auth message received with improper msgData. Disconnecting socket.", msg);
+        pub.util.logWarning("EasyRTC Auth message received with improper msgData. Disconnecting socket.", msg, {easyrtcid: easyrtcid});
         pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("LOGIN_BAD_STRUCTURE"), appObj);
         try{socket.disconnect();}catch(e) {}
         return;
@@ -180,27 +634,73 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
             pub.util.isValidIncomingMessage("easyrtcAuth", msg, null, asyncCallback);
         },
 
-        function(isMsgValid, msgErrorCode, asyncCallback) {
+        function(isMsgValid, msgErrorCode, msgErrorPath, asyncCallback) {
             // If message structure is invalid, send error, disconnect socket, and write to log
             if (!isMsgValid) {
                 try{
-                    pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(msgErrorCode), appObj);
+                    pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(msgErrorCode, msgErrorPath), appObj);
                     socket.disconnect();
                 }catch(e) {}
-                pub.util.logWarning("["+easyrtcid+"] EasyRTC Auth message received with invalid message format [" + msgErrorCode + "]. Disconnecting socket.", msg);
-                callback(new pub.util.ConnectionError("["+easyrtcid+"] EasyRTC Auth message received with invalid message format [" + msgErrorCode + "]. Disconnecting socket."));
+                pub.util.logWarning("EasyRTC Auth message received with invalid message format [" + msgErrorCode + "] at [" + msgErrorPath + "]. Disconnecting socket.", msg, {easyrtcid: easyrtcid, errorCode: msgErrorCode});
+                callback(new pub.util.ConnectionError("["+easyrtcid+"] EasyRTC Auth message received with invalid message format [" + msgErrorCode + "] at [" + msgErrorPath + "]. Disconnecting socket."));
                 return;
             }
 
             // Remove any old listeners
             socket.removeAllListeners("easyrtcCmd");
             socket.removeAllListeners("easyrtcMsg");
-            socket.removeAllListeners("disconnect"); // TODO: Come up with alternative to removing all disconnect listeners
+            _.each(socket.listeners("disconnect"), function(listener) { // TODO: Come up with alternative to removing all disconnect listeners
+                if (listener !== countSocketDisconnect) {
+                    socket.removeListener("disconnect", listener);
+                }
+            });
 
-            pub.util.logDebug("Emitting Authenticate");
+            username    = (msg.msgData.username     ? msg.msgData.username  : null);
+            credential  = (msg.msgData.credential   ? msg.msgData.credential: null);
+
+            asyncCallback(null);
+        },
+
+        function(asyncCallback) {
+            // With JWT authentication the credential must be a valid token, and the username is taken from its claims
+            if (!pub.getOption("jwtAuthEnable")) {
+                asyncCallback(null);
+                return;
+            }
+            var denyJwtAuth = function(reason) {
+                try{
+                    pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("LOGIN_BAD_AUTH"), appObj);
+                    socket.disconnect();
+                    pub.util.logInfo("Authentication denied. " + reason + ". Socket disconnected.", null, {appName: newAppName, easyrtcid: easyrtcid});
+                }catch(e) {}
+            };
+            verifyJwtCredential(newAppName, credential, function(err, claims) {
+                if (err) {
+                    denyJwtAuth(err.message);
+                    return;
+                }
+                jwtClaims = claims;
+                var claimUsername = claims[pub.getOption("jwtUsernameClaim")];
+                username = ((_.isString(claimUsername) && claimUsername !== "") ? claimUsername : null);
+                if (username === null) {
+                    asyncCallback(null);
+                    return;
+                }
+
+                // The username claim is held to the same usernameRegExp as a username sent by the client
+                pub.app(newAppName, function(err, claimAppObj) {
+                    var usernameRegExp = (err ? pub.getOption("usernameRegExp") : claimAppObj.getOption("usernameRegExp"));
+                    if (!usernameRegExp.test(username)) {
+                        denyJwtAuth("JWT username claim does not match usernameRegExp");
+                        return;
+                    }
+                    asyncCallback(null);
+                });
+            });
+        },
 
-            var username    = (msg.msgData.username     ? msg.msgData.username  : null);
-            var credential  = (msg.msgData.credential   ? msg.msgData.credential: null);
+        function(asyncCallback) {
+            pub.util.logDebug("Emitting Authenticate");
 
             // Authenticate is responsible for authenticating the connection
             pub.events.emit("authenticate", socket, easyrtcid, newAppName, username, credential, msg, function(err) {
@@ -208,7 +708,7 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
                     try{
                         pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("LOGIN_BAD_AUTH"), appObj);
                         socket.disconnect();
-                        pub.util.logInfo("["+newAppName+"]["+easyrtcid+"] Authentication denied. Socket disconnected.", err);
+                        pub.util.logInfo("Authentication denied. Socket disconnected.", err, {appName: newAppName, easyrtcid: easyrtcid});
                     }catch(e) {}
                 } else {
                     asyncCallback(null);
@@ -233,7 +733,7 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
                 } else {
                     pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("LOGIN_APP_AUTH_FAIL"), appObj);
                     socket.disconnect();
-                    pub.util.logWarning("[" + easyrtcid + "] Authentication failed. Requested application not found [" + newAppName + "]. Socket disconnected.");
+                    pub.util.logWarning("Authentication failed. Requested application not found [" + newAppName + "]. Socket disconnected.", null, {easyrtcid: easyrtcid});
                 }
             }
         },
@@ -243,7 +743,51 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
             appObj = newAppObj;
             appName = appObj.getAppName();
 
-            appObj.isConnected(easyrtcid, asyncCallback);
+            // A client holding a resume token gets its reconnecting connection back. The rest of the message (rooms, groups, presence) is ignored.
+            if (!_.isString(msg.msgData.resumeToken) || appObj.getOption("reconnectGraceTime") <= 0) {
+                asyncCallback(null);
+                return;
+            }
+            appObj.resumeConnection(msg.msgData.resumeToken, username, socket, function(err, resumedConnectionObj) {
+                if (err) {
+                    asyncCallback(err);
+                    return;
+                }
+                if (!resumedConnectionObj) {
+                    pub.util.logInfo("Connection not resumed. Authenticating as a new connection.", null, {appName: appName, easyrtcid: easyrtcid});
+                    asyncCallback(null);
+                    return;
+                }
+
+                connectionObj = resumedConnectionObj;
+                pub.util.logInfo("Connection resumed", null, {appName: appName, easyrtcid: connectionObj.getEasyrtcid(), socketId: socket.id});
+                addSocketListeners(socket, connectionObj);
+
+                // The claims of the new token replace those of the token the connection was first authenticated with
+                var applyClaims = function(next) {
+                    if (jwtClaims) {
+                        applyJwtClaims(connectionObj, jwtClaims, next);
+                    } else {
+                        next(null);
+                    }
+                };
+
+                applyClaims(function(err) {
+                    if (err) {
+                        pub.util.logError("Unable to apply JWT claims to resumed connection.", err, {appName: appName, easyrtcid: connectionObj.getEasyrtcid()});
+                    }
+                    pub.events.emit("emitReturnToken", connectionObj, socketCallback, function(err) {
+                        if (err) {
+                            pub.util.logError("Unable to send token to resumed connection.", err, {appName: appName, easyrtcid: connectionObj.getEasyrtcid()});
+                        }
+                        asyncCallback(connectionResumed);
+                    });
+                });
+            });
+        },
+
+        function(asyncCallback) {
+            appObj.isConnected(easyrtcid, asyncCallback);
         },
 
         function(isConnected, asyncCallback) {
@@ -251,7 +795,7 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
             if (isConnected) {
                 pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("LOGIN_APP_AUTH_FAIL"), appObj);
                 socket.disconnect();
-                pub.util.logWarning("[" + easyrtcid + "] Authentication failed. Already connected. Socket disconnected.");
+                pub.util.logWarning("Authentication failed. Already connected. Socket disconnected.", null, {easyrtcid: easyrtcid});
                 return;
             }
 
@@ -260,7 +804,7 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
                 for (var currentRoomName in msg.msgData.roomJoin) {
                     if (!_.isString(currentRoomName) || !appObj.getOption("roomNameRegExp").test(currentRoomName)) {
                         pub.events.emit("emitReturnError", socketCallback, "MSG_REJECT_TARGET_ROOM", pub.util.nextToNowhere);
-                        pub.util.logInfo("[" + easyrtcid + "] Authentication failed. Requested room name not allowed [" + currentRoomName + "].");
+                        pub.util.logInfo("Authentication failed. Requested room name not allowed [" + currentRoomName + "].", null, {easyrtcid: easyrtcid});
                         return;
                     }
                 }
@@ -312,8 +856,8 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
 
         function(asyncCallback) {
             // Set username (if defined)
-            if (msg.msgData.username !== undefined) {
-                connectionObj.setUsername(msg.msgData.username, asyncCallback);
+            if (username !== null) {
+                connectionObj.setUsername(username, asyncCallback);
             } else {
                 asyncCallback(null);
             }
@@ -328,6 +872,15 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
             }
         },
 
+        function(asyncCallback) {
+            // Apply JWT claims (if authenticated by JWT)
+            if (!jwtClaims) {
+                asyncCallback(null);
+                return;
+            }
+            applyJwtClaims(connectionObj, jwtClaims, asyncCallback);
+        },
+
         function(asyncCallback) {
             // Set presence (if defined)
             if (_.isObject(msg.msgData.setPresence)) {
@@ -337,6 +890,25 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
             }
         },
 
+        function(asyncCallback) {
+            // Set user configuration (if defined)
+            if (!_.isObject(msg.msgData.setUserCfg)) {
+                asyncCallback(null);
+                return;
+            }
+            pub.events.emit("setUserCfg", connectionObj, msg.msgData.setUserCfg, function(err) {
+                if (err) {
+                    try{
+                        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("LOGIN_BAD_USER_CFG"), appObj);
+                        socket.disconnect();
+                    }catch(e) {}
+                    pub.util.logInfo("Authentication failed. Unable to set user configuration.", err, {easyrtcid: easyrtcid});
+                    return;
+                }
+                asyncCallback(null);
+            });
+        },
+
         function(asyncCallback) {
             // Join a room. If no rooms are defined than join the default room
             if (_.isObject(msg.msgData.roomJoin) && !_.isEmpty(msg.msgData.roomJoin)) {
@@ -354,9 +926,34 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
                             currentRoomParameter = msg.msgData.roomJoin[currentRoomName].roomParameter;
                         }
 
+                        // Check room access rules (invite list, password, occupant cap) before joining
+                        var joinAllowedRoom = function(roomObj) {
+                            roomObj.isJoinAllowed(connectionObj, currentRoomParameter, function(err, isAllowed, errorCode) {
+                                if (err) {
+                                    roomCallback(err);
+                                    return;
+                                }
+                                if (!isAllowed) {
+                                    try{
+                                        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(errorCode), appObj);
+                                        socket.disconnect();
+                                    }catch(e) {}
+                                    pub.util.logInfo("Authentication failed. Access to room denied [" + currentRoomName + "] [" + errorCode + "].", null, {easyrtcid: easyrtcid, errorCode: errorCode});
+                                    return;
+                                }
+                                pub.events.emit("roomJoin", connectionObj, currentRoomName, currentRoomParameter, roomCallback);
+                            });
+                        };
+
                         if (isRoom) {
                             // Join existing room
-                            pub.events.emit("roomJoin", connectionObj, currentRoomName, currentRoomParameter, roomCallback);
+                            appObj.room(currentRoomName, function(err, roomObj) {
+                                if (err) {
+                                    roomCallback(err);
+                                    return;
+                                }
+                                joinAllowedRoom(roomObj);
+                            });
                         }
                         else if (appObj.getOption("roomAutoCreateEnable")) {
                             // Room doesn't yet exist, however we are allowed to create it.
@@ -365,7 +962,7 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
                                     roomCallback(err);
                                     return;
                                 }
-                                pub.events.emit("roomJoin", connectionObj, currentRoomName, currentRoomParameter, roomCallback);
+                                joinAllowedRoom(roomObj);
                             });
                         }
                         else {
@@ -374,7 +971,7 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
                                 pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("LOGIN_BAD_ROOM"), appObj);
                                 socket.disconnect();
                             }catch(e) {}
-                            pub.util.logInfo("[" + easyrtcid + "] Authentication failed. Requested room name does not exist [" + currentRoomName + "].");
+                            pub.util.logInfo("Authentication failed. Requested room name does not exist [" + currentRoomName + "].", null, {easyrtcid: easyrtcid});
                         }
                     });
                 }, function(err, newRoomObj) {
@@ -382,8 +979,8 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
                 });
             }
 
-            // If no room is initially provided, have them join the default room (if enabled)
-            else if (connectionObj.getApp().getOption("roomDefaultEnable")) {
+            // If no room is initially provided, have them join the default room (if enabled and allowed)
+            else if (connectionObj.getApp().getOption("roomDefaultEnable") && connectionObj.isRoomAllowedSync(connectionObj.getApp().getOption("roomDefaultName"))) {
                 pub.events.emit("roomJoin", connectionObj, connectionObj.getApp().getOption("roomDefaultName"), null, function(err, roomObj) {
                     asyncCallback(err);
                 });
@@ -396,41 +993,48 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
         },
 
         function(asyncCallback) {
-            // Add new listeners
-            socket.on("easyrtcCmd", function(msg, socketCallback) {
-                if (pub.getOption("logMessagesEnable")) {
-                    try {
-                        pub.util.logDebug("["+appName+"]["+easyrtcid+"] Incoming socket.io message: ["+JSON.stringify(msg)+"]");
-                    }
-                    catch(err) {
-                        pub.util.logDebug("["+appName+"]["+easyrtcid+"] Incoming socket.io message");
-                    }
-                }
-
-                pub.events.emit("easyrtcCmd", connectionObj, msg, socketCallback, function(err) {
-                    if(err) {pub.util.logError("["+appName+"]["+easyrtcid+"] Unhandled easyrtcCmd listener error.", err);}
-                });
+            // Join groups (if defined)
+            if (!_.isObject(msg.msgData.groupJoin) || _.isEmpty(msg.msgData.groupJoin)) {
+                asyncCallback(null);
+                return;
+            }
+            async.each(Object.keys(msg.msgData.groupJoin), function(currentGroupName, groupCallback) {
 
-            });
-            socket.on("easyrtcMsg", function(msg, socketCallback) {
-                if (pub.getOption("logMessagesEnable")) {
-                    try {
-                        pub.util.logDebug("["+appName+"]["+easyrtcid+"] Incoming socket.io message: ["+JSON.stringify(msg)+"]");
-                    }
-                    catch(err) {
-                        pub.util.logDebug("["+appName+"]["+easyrtcid+"] Incoming socket.io message");
-                    }
+                // Set groupParameter map. This may be used by custom listeners.
+                var currentGroupParameter;
+                if (_.isObject(msg.msgData.groupJoin[currentGroupName].groupParameter)) {
+                    currentGroupParameter = msg.msgData.groupJoin[currentGroupName].groupParameter;
                 }
 
-                pub.events.emit("easyrtcMsg", connectionObj, msg, socketCallback, function(err) {
-                    if(err) {pub.util.logError("["+appName+"]["+easyrtcid+"] Unhandled easyrtcMsg listener error.", err);}
-                });
-            });
-            socket.on("disconnect", function() {
-                pub.events.emit("disconnect", connectionObj, function(err) {
-                    if(err) {pub.util.logError("["+appName+"]["+easyrtcid+"] Unhandled disconnect listener error.", err);}
-                });
+                if (appObj.isGroupSync(currentGroupName)) {
+                    pub.events.emit("groupJoin", connectionObj, currentGroupName, currentGroupParameter, groupCallback);
+                }
+                else if (appObj.getOption("groupAutoCreateEnable")) {
+                    pub.events.emit("groupCreate", appObj, connectionObj, currentGroupName, null, function(err, groupObj) {
+                        if (err) {
+                            groupCallback(err);
+                            return;
+                        }
+                        pub.events.emit("groupJoin", connectionObj, currentGroupName, currentGroupParameter, groupCallback);
+                    });
+                }
+                else {
+                    // Can't join group and we are not allowed to create it. Error Out.
+                    try{
+                        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("LOGIN_BAD_GROUP"), appObj);
+                        socket.disconnect();
+                    }catch(e) {}
+                    pub.util.logInfo("Authentication failed. Requested group name does not exist [" + currentGroupName + "].", null, {easyrtcid: easyrtcid});
+                    groupCallback(null);
+                }
+            }, function(err) {
+                asyncCallback(err);
             });
+        },
+
+        function(asyncCallback) {
+            // Add new listeners
+            addSocketListeners(socket, connectionObj);
             asyncCallback(null);
         },
 
@@ -438,10 +1042,27 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
             pub.events.emit("authenticated", connectionObj, asyncCallback);
         },
 
+        function(asyncCallback) {
+            connectionObj.getRoomNames(function(err, roomNames) {
+                wh.send("authenticated", {appName: appObj.getAppName(), easyrtcid: easyrtcid, username: connectionObj.getUsername(), ipAddress: pub.util.getSocketIpAddress(socket), roomNames: roomNames || []});
+                asyncCallback(null);
+            });
+        },
+
         function(asyncCallback) {
             pub.events.emit("emitReturnToken", connectionObj, socketCallback, asyncCallback);
         },
 
+        function(asyncCallback) {
+            // Deliver messages queued while the username had no connections
+            emitOfflineMsgs(connectionObj, function(err) {
+                if (err) {
+                    pub.util.logWarning("Error delivering offline messages", err, {appName: appObj.getAppName(), easyrtcid: easyrtcid});
+                }
+                asyncCallback(null);
+            });
+        },
+
         function(asyncCallback) {
 
             // TODO: Reinstate this emit function by setting flag for roomJoin event so it doesn't automatically emit delta's
@@ -453,11 +1074,11 @@ eventListener.onEasyrtcAuth = function(socket, easyrtcid, msg, socketCallback, c
     ],
     // This function is called upon completion of the async waterfall, or upon an error being thrown.
     function (err) {
-        if (err) {
+        if (err && err !== connectionResumed) {
             try{
                 pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("LOGIN_GEN_FAIL"), appObj);
                 socket.disconnect();
-                pub.util.logError("["+easyrtcid+"] General authentication error. Socket disconnected.", err);
+                pub.util.logError("General authentication error. Socket disconnected.", err, {easyrtcid: easyrtcid});
             }catch(e) {}
         } else {
             callback(null, connectionObj);
@@ -480,13 +1101,13 @@ eventListener.onEasyrtcCmd = function(connectionObj, msg, socketCallback, next)
     var easyrtcid = connectionObj.getEasyrtcid();
 
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC command received with msgType [" + msg.msgType + "]");
+    pub.util.logDebug("EasyRTC command received with msgType [" + msg.msgType + "]", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid(), msgType: msg.msgType});
     if (!_.isFunction(next)) {
         next = pub.util.nextToNowhere;
     }
 
     if(!_.isFunction(socketCallback)) {
-        pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC command message received with no callback. Ignoring.", msg);
+        pub.util.logWarning("EasyRTC command message received with no callback. Ignoring.", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         return;
     }
 
@@ -496,13 +1117,13 @@ eventListener.onEasyrtcCmd = function(connectionObj, msg, socketCallback, next)
             pub.util.isValidIncomingMessage("easyrtcCmd", msg, connectionObj.getApp(), asyncCallback);
         },
 
-        function(isMsgValid, msgErrorCode, asyncCallback) {
+        function(isMsgValid, msgErrorCode, msgErrorPath, asyncCallback) {
             // If message structure is invalid, send error, and write to log
             if (!isMsgValid) {
                 try{
-                    pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(msgErrorCode), appObj);
+                    pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(msgErrorCode, msgErrorPath), appObj);
                 }catch(e) {}
-                pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC Auth message received with invalid message format [" + msgErrorCode + "]. Disconnecting socket.", msg);
+                pub.util.logWarning("EasyRTC Auth message received with invalid message format [" + msgErrorCode + "] at [" + msgErrorPath + "]. Disconnecting socket.", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid(), errorCode: msgErrorCode});
                 return;
             }
             asyncCallback(null);
@@ -511,9 +1132,7 @@ eventListener.onEasyrtcCmd = function(connectionObj, msg, socketCallback, next)
             // The msgType controls how each message is handled
             switch(msg.msgType) {
                 case "setUserCfg":
-                    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] WebRTC setUserCfg command received. This feature is not yet complete.");
-                    pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
-                    next(null);
+                    pub.events.emit("msgTypeSetUserCfg", connectionObj, msg.msgData.setUserCfg, socketCallback, next);
                     break;
 
                 case "setPresence":
@@ -524,6 +1143,10 @@ eventListener.onEasyrtcCmd = function(connectionObj, msg, socketCallback, next)
                     pub.events.emit("msgTypeSetRoomApiField", connectionObj, msg.msgData.setRoomApiField, socketCallback, next);
                     break;
 
+                case "setField":
+                    pub.events.emit("msgTypeSetField", connectionObj, msg.msgData.setField, socketCallback, next);
+                    break;
+
                 case "roomJoin":
                     pub.events.emit("msgTypeRoomJoin", connectionObj, msg.msgData.roomJoin, socketCallback, next);
                     break;
@@ -532,6 +1155,26 @@ eventListener.onEasyrtcCmd = function(connectionObj, msg, socketCallback, next)
                     pub.events.emit("msgTypeRoomLeave", connectionObj, msg.msgData.roomLeave, socketCallback, next);
                     break;
 
+                case "roomKick":
+                    pub.events.emit("msgTypeRoomKick", connectionObj, msg.msgData.roomKick, socketCallback, next);
+                    break;
+
+                case "roomBan":
+                    pub.events.emit("msgTypeRoomBan", connectionObj, msg.msgData.roomBan, socketCallback, next);
+                    break;
+
+                case "roomMuteRequest":
+                    pub.events.emit("msgTypeRoomMuteRequest", connectionObj, msg.msgData.roomMuteRequest, socketCallback, next);
+                    break;
+
+                case "groupJoin":
+                    pub.events.emit("msgTypeGroupJoin", connectionObj, msg.msgData.groupJoin, socketCallback, next);
+                    break;
+
+                case "groupLeave":
+                    pub.events.emit("msgTypeGroupLeave", connectionObj, msg.msgData.groupLeave, socketCallback, next);
+                    break;
+
                 case "getIceConfig":
                     pub.events.emit("msgTypeGetIceConfig", connectionObj, socketCallback, next);
                     break;
@@ -540,6 +1183,18 @@ eventListener.onEasyrtcCmd = function(connectionObj, msg, socketCallback, next)
                     pub.events.emit("msgTypeGetRoomList", connectionObj, socketCallback, next);
                     break;
 
+                case "getRoomHistory":
+                    pub.events.emit("msgTypeGetRoomHistory", connectionObj, msg.msgData.getRoomHistory, socketCallback, next);
+                    break;
+
+                case "subscribePresence":
+                    pub.events.emit("msgTypeSubscribePresence", connectionObj, msg.msgData.subscribePresence, socketCallback, next);
+                    break;
+
+                case "unsubscribePresence":
+                    pub.events.emit("msgTypeUnsubscribePresence", connectionObj, msg.msgData.unsubscribePresence, socketCallback, next);
+                    break;
+
                 case "candidate":
                 case "offer":
                 case "answer":
@@ -548,13 +1203,23 @@ eventListener.onEasyrtcCmd = function(connectionObj, msg, socketCallback, next)
                     // Relay message to targetEasyrtcid
                     var outgoingMsg = {senderEasyrtcid: connectionObj.getEasyrtcid(), msgData:msg.msgData};
 
+                    // If target is hosted on another node, relay message over the cluster bus
+                    if (!appObj.isConnectedSync(msg.targetEasyrtcid) && pub.cluster.getRemoteConnection(appName, msg.targetEasyrtcid)) {
+                        pub.cluster.forwardMsg(appName, {targetEasyrtcid: msg.targetEasyrtcid}, "emitEasyrtcCmd", msg.msgType, outgoingMsg);
+                        pub.callTracker.trackSignal(appObj, msg.msgType, easyrtcid, msg.targetEasyrtcid, false);
+                        pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
+                        next(null);
+                        break;
+                    }
+
                     connectionObj.getApp().connection(msg.targetEasyrtcid, function(err,targetConnectionObj) {
                         if (err) {
                             pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_TARGET_EASYRTCID"), appObj);
-                            pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Could not send WebRTC signal to client [" + msg.targetEasyrtcid + "]. They may no longer be online.");
+                            pub.util.logWarning("Could not send WebRTC signal to client [" + msg.targetEasyrtcid + "]. They may no longer be online.", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
                             return;
                         }
                         pub.events.emit("emitEasyrtcCmd", targetConnectionObj, msg.msgType, outgoingMsg, null, next);
+                        pub.callTracker.trackSignal(appObj, msg.msgType, easyrtcid, msg.targetEasyrtcid, false);
                         pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
                         next(null);
                     });
@@ -562,7 +1227,7 @@ eventListener.onEasyrtcCmd = function(connectionObj, msg, socketCallback, next)
 
                 default:
                     pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_BAD_TYPE"), appObj);
-                    pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Received easyrtcCmd message with unhandled msgType.", msg);
+                    pub.util.logWarning("Received easyrtcCmd message with unhandled msgType.", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
                     next(null);
             }
         }
@@ -571,7 +1236,7 @@ eventListener.onEasyrtcCmd = function(connectionObj, msg, socketCallback, next)
         if (err) {
             try {
                 pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_GEN_FAIL"), appObj);
-                pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Received easyrtcCmd message with general error.", msg);
+                pub.util.logWarning("Received easyrtcCmd message with general error.", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
             } catch(e) {}
         }
     });
@@ -591,14 +1256,14 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
     var appObj = connectionObj.getApp();
 
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC message received of type [" + msg.msgType + "]");
+    pub.util.logDebug("EasyRTC message received of type [" + msg.msgType + "]", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid(), msgType: msg.msgType});
 
     if (!_.isFunction(next)) {
         next = pub.util.nextToNowhere;
     }
 
     if(!_.isFunction(socketCallback)) {
-        pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC message received with no callback. Ignoring message.", msg);
+        pub.util.logWarning("EasyRTC message received with no callback. Ignoring message.", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         return;
     }
 
@@ -608,11 +1273,11 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
             pub.util.isValidIncomingMessage("easyrtcMsg", msg, connectionObj.getApp(), asyncCallback);
         },
 
-        function(isMsgValid, msgErrorCode, asyncCallback) {
+        function(isMsgValid, msgErrorCode, msgErrorPath, asyncCallback) {
             // If message structure is invalid, send error, and write to log
             if (!isMsgValid) {
-                pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(msgErrorCode), appObj);
-                pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC message received with invalid message format [" + msgErrorCode + "].", msg);
+                pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(msgErrorCode, msgErrorPath), appObj);
+                pub.util.logWarning("EasyRTC message received with invalid message format [" + msgErrorCode + "] at [" + msgErrorPath + "].", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid(), errorCode: msgErrorCode});
                 return;
             }
             asyncCallback(null);
@@ -622,7 +1287,7 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
             // test targetEasyrtcid (if defined). Will prevent client from sending to themselves
             if (msg.targetEasyrtcid  !== undefined && msg.targetEasyrtcid === connectionObj.getEasyrtcid()) {
                 pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_TARGET_EASYRTCID"), appObj);
-                pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC message received with improper targetEasyrtcid", msg);
+                pub.util.logWarning("EasyRTC message received with improper targetEasyrtcid", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
                 return;
             }
 
@@ -637,6 +1302,45 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
                 };
                 var targetConnectionObj = {};
 
+                // If target is hosted on another node, check room and group membership against the cluster table and relay message over the cluster bus
+                var remoteConnection = (!appObj.isConnectedSync(msg.targetEasyrtcid) ? pub.cluster.getRemoteConnection(connectionObj.getAppName(), msg.targetEasyrtcid) : null);
+                if (remoteConnection) {
+                    if (msg.targetRoom && !remoteConnection.room[msg.targetRoom]) {
+                        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_TARGET_ROOM"), appObj);
+                        pub.util.logWarning("EasyRTC message received with improper target room", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+                        return;
+                    }
+                    if (msg.targetGroup && !remoteConnection.group[msg.targetGroup]) {
+                        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_TARGET_GROUP"), appObj);
+                        pub.util.logWarning("EasyRTC message received with improper target group", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+                        return;
+                    }
+                    if (msg.targetRoom) {
+                        outgoingMsg.targetRoom = msg.targetRoom;
+                    }
+                    if (msg.targetGroup) {
+                        outgoingMsg.targetGroup = msg.targetGroup;
+                    }
+                    pub.cluster.forwardMsg(connectionObj.getAppName(), {targetEasyrtcid: msg.targetEasyrtcid}, "emitEasyrtcMsg", msg.msgType, outgoingMsg);
+                    pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
+                    return;
+                }
+
+                // If the target has gone and the message also gives its username, queue it for when the username next authenticates
+                if (!appObj.isConnectedSync(msg.targetEasyrtcid) && msg.targetUsername !== undefined && !msg.targetRoom && !msg.targetGroup && appObj.getOption("offlineMsgEnable") &&
+                    _.isEmpty(pub.cluster.getRemoteUsernameClientList(connectionObj.getAppName(), msg.targetUsername))
+                ) {
+                    appObj.getConnectionEasyrtcidsByUsername(msg.targetUsername, function(err, targetEasyrtcidArray) {
+                        if (err || targetEasyrtcidArray.length > 0) {
+                            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_TARGET_EASYRTCID"), appObj);
+                            pub.util.logWarning("EasyRTC message received with target easyrtcid which is no longer connected", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+                            return;
+                        }
+                        queueOfflineMsg(connectionObj, msg.targetUsername, msg, socketCallback, "MSG_REJECT_TARGET_EASYRTCID");
+                    });
+                    return;
+                }
+
                 async.waterfall([
                     function(asyncCallback) {
                         // getting connection object for targetEasyrtcid
@@ -652,7 +1356,7 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
                             targetConnectionObj.isInRoom(msg.targetRoom, function(err, isAllowed) {
                                 if (err || !isAllowed) {
                                     pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_TARGET_ROOM"), appObj);
-                                    pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC message received with improper target room", msg);
+                                    pub.util.logWarning("EasyRTC message received with improper target room", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
                                     return;
                                 }
                                 outgoingMsg.targetRoom = msg.targetRoom;
@@ -670,7 +1374,7 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
                             targetConnectionObj.isInGroup(msg.targetGroup, function(err, isAllowed) {
                                 if (err || !isAllowed) {
                                     pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_TARGET_GROUP"), appObj);
-                                    pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC message received with improper target group", msg);
+                                    pub.util.logWarning("EasyRTC message received with improper target group", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
                                     return;
                                 }
                                 outgoingMsg.targetGroup = msg.targetGroup;
@@ -690,11 +1394,108 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
                 function (err) {
                     if (err) {
                         pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_GEN_FAIL"), appObj);
-                        pub.util.logError("["+connectionObj.getEasyrtcid()+"] General message error. Message ignored.", err);
+                        pub.util.logError("General message error. Message ignored.", err, {easyrtcid: connectionObj.getEasyrtcid()});
                     } else {
                         pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);                    }
                 });
 
+            } else if (msg.targetUsername !== undefined) {
+                // Relay a message to every connection authenticated with a username, optionally limited to those in a room and/or group
+                var outgoingMsgUsername = {
+                    senderEasyrtcid: connectionObj.getEasyrtcid(),
+                    targetUsername: msg.targetUsername,
+                    msgType: msg.msgType,
+                    msgData: msg.msgData
+                };
+                if (msg.targetRoom) {
+                    outgoingMsgUsername.targetRoom = msg.targetRoom;
+                }
+                if (msg.targetGroup) {
+                    outgoingMsgUsername.targetGroup = msg.targetGroup;
+                }
+
+                var isUsernameDelivered = false;
+
+                // Relay message to matching connections hosted on other nodes
+                var remoteUsernameClientList = pub.cluster.getRemoteUsernameClientList(connectionObj.getAppName(), msg.targetUsername);
+                var isUsernameConnected = !_.isEmpty(remoteUsernameClientList);
+                for (var remoteEasyrtcid in remoteUsernameClientList) {
+                    if (remoteUsernameClientList.hasOwnProperty(remoteEasyrtcid) &&
+                        (!msg.targetRoom || remoteUsernameClientList[remoteEasyrtcid].room[msg.targetRoom]) &&
+                        (!msg.targetGroup || remoteUsernameClientList[remoteEasyrtcid].group[msg.targetGroup])
+                    ) {
+                        pub.cluster.forwardMsg(connectionObj.getAppName(), {targetEasyrtcid: remoteEasyrtcid}, "emitEasyrtcMsg", msg.msgType, outgoingMsgUsername);
+                        isUsernameDelivered = true;
+                    }
+                }
+
+                async.waterfall([
+                    function(asyncCallback) {
+                        // get list of connections with the username
+                        appObj.getConnectionEasyrtcidsByUsername(msg.targetUsername, asyncCallback);
+                    },
+
+                    function(targetEasyrtcidArray, asyncCallback) {
+                        if (targetEasyrtcidArray.length > 0) {
+                            isUsernameConnected = true;
+                        }
+                        async.each(targetEasyrtcidArray, function(currentEasyrtcid, eachCallback) {
+                            // Stop client from sending message to themselves
+                            if (currentEasyrtcid === connectionObj.getEasyrtcid()) {
+                                eachCallback(null);
+                                return;
+                            }
+
+                            appObj.connection(currentEasyrtcid, function(err, targetConnectionObj) {
+                                if (err) {
+                                    eachCallback(null);
+                                    return;
+                                }
+
+                                // Do we limit by room or group? If not the message goes out to all connections with the username
+                                async.waterfall([
+                                    function(limitCallback) {
+                                        if (msg.targetRoom) {
+                                            targetConnectionObj.isInRoom(msg.targetRoom, limitCallback);
+                                        }
+                                        else {
+                                            limitCallback(null, true);
+                                        }
+                                    },
+                                    function(isAllowed, limitCallback) {
+                                        if (isAllowed && msg.targetGroup) {
+                                            targetConnectionObj.isInGroup(msg.targetGroup, limitCallback);
+                                        }
+                                        else {
+                                            limitCallback(null, isAllowed);
+                                        }
+                                    }
+                                ],
+                                function(err, isAllowed) {
+                                    if (!err && isAllowed) {
+                                        isUsernameDelivered = true;
+                                        pub.events.emit("emitEasyrtcMsg", targetConnectionObj, msg.msgType, outgoingMsgUsername, null, pub.util.nextToNowhere);
+                                    }
+                                    eachCallback(null);
+                                });
+                            });
+                        }, asyncCallback);
+                    }
+                ],
+                function(err) {
+                    // Queue the message if the username has no connections at all
+                    if (!err && !isUsernameConnected && !msg.targetRoom && !msg.targetGroup && appObj.getOption("offlineMsgEnable")) {
+                        queueOfflineMsg(connectionObj, msg.targetUsername, msg, socketCallback, "MSG_REJECT_TARGET_USERNAME");
+                    }
+                    else if (err || !isUsernameDelivered) {
+                        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_TARGET_USERNAME"), appObj);
+                        pub.util.logWarning("EasyRTC message received with target username which has no matching connections", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+                    }
+                    else {
+                        pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
+                    }
+                });
+
             } else if (msg.targetRoom) {
                 // Relay a message to one or more clients in a room
 
@@ -706,6 +1507,19 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
                 };
 
                 var targetRoomObj = null;
+                var isLocalRoom = appObj.isRoomSync(msg.targetRoom);
+                var hasRemoteOccupants = !_.isEmpty(pub.cluster.getRemoteRoomClientList(connectionObj.getAppName(), msg.targetRoom));
+
+                // Relay message to room occupants hosted on other nodes. Rooms which exist nowhere are rejected below.
+                if (isLocalRoom || hasRemoteOccupants) {
+                    pub.cluster.forwardMsg(connectionObj.getAppName(), {targetRoom: msg.targetRoom, targetGroup: msg.targetGroup}, "emitEasyrtcMsg", msg.msgType, outgoingMsgRoom);
+                }
+
+                // Room may only have occupants on other nodes
+                if (!isLocalRoom && hasRemoteOccupants) {
+                    pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
+                    return;
+                }
 
                 async.waterfall([
                     function(asyncCallback) {
@@ -716,6 +1530,11 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
                     function(newTargetRoomObj, asyncCallback) {
                         targetRoomObj = newTargetRoomObj;
 
+                        // Keep message in the room history (if enabled). Messages limited to a group are not kept, as they would be replayed to the whole room.
+                        if (!msg.targetGroup) {
+                            targetRoomObj.addHistoryMsg(outgoingMsgRoom, pub.util.nextToNowhere);
+                        }
+
                         // get list of connections in the room
                         targetRoomObj.getConnections(asyncCallback);
                     },
@@ -769,6 +1588,9 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
                     msgData: msg.msgData
                 };
 
+                // Relay message to group members hosted on other nodes
+                pub.cluster.forwardMsg(connectionObj.getAppName(), {targetGroup: msg.targetGroup}, "emitEasyrtcMsg", msg.msgType, outgoingMsgGroup);
+
                 async.waterfall([
                     function(asyncCallback) {
                         // get group object
@@ -800,7 +1622,7 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
                     }
                 ],
                 function(err) {
-                    if (err) {
+                    if (err && _.isEmpty(pub.cluster.getRemoteGroupClientList(connectionObj.getAppName(), msg.targetGroup))) {
                         pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_TARGET_GROUP"), appObj);
                     }
                     else {
@@ -810,7 +1632,7 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
 
             }
             else {
-                pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC message received without targetEasyrtcid or targetRoom", msg);
+                pub.util.logWarning("EasyRTC message received without targetEasyrtcid, targetUsername, targetRoom or targetGroup", msg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
                 next(null);
             }
         }
@@ -818,7 +1640,7 @@ eventListener.onEasyrtcMsg = function(connectionObj, msg, socketCallback, next)
     function(err) {
         if (err) {
             pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_GEN_FAIL"), appObj);
-            pub.util.logError("["+connectionObj.getEasyrtcid()+"] General message error. Message ignored.", err);
+            pub.util.logError("General message error. Message ignored.", err, {easyrtcid: connectionObj.getEasyrtcid()});
         }
     });
 };
@@ -844,17 +1666,17 @@ eventListener.onEmitEasyrtcCmd = function(connectionObj, msgType, msg, socketCal
     var easyrtcid = connectionObj.getEasyrtcid();
     var appName = connectionObj.getAppName();
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onEmitEasyrtcCmd' with msgType ["+msgType+"]");
+    pub.util.logDebug("Running func 'onEmitEasyrtcCmd' with msgType ["+msgType+"]", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
     if (!msg) {
         msg = {};
     }
     if(!_.isFunction(socketCallback)) {
         socketCallback = function(returnMsg) {
             if (_.isObject(returnMsg) && _.isString(returnMsg.msgType) && returnMsg.msgType === "ack") {
-                pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC message: unhandled Ack return message.");
+                pub.util.logDebug("EasyRTC message: unhandled Ack return message.", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
             }
             else {
-                pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC message: unhandled return message.", returnMsg);
+                pub.util.logDebug("EasyRTC message: unhandled return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
             }
         };
     }
@@ -867,10 +1689,10 @@ eventListener.onEmitEasyrtcCmd = function(connectionObj, msgType, msg, socketCal
 
     if (pub.getOption("logMessagesEnable")) {
         try {
-            pub.util.logDebug("["+appName+"]["+easyrtcid+"] Sending socket.io message: ["+JSON.stringify(msg)+"]");
+            pub.util.logDebug("Sending socket.io message: ["+JSON.stringify(msg)+"]", null, {appName: appName, easyrtcid: easyrtcid});
         }
         catch(err) {
-            pub.util.logDebug("["+appName+"]["+easyrtcid+"] Sending socket.io message");
+            pub.util.logDebug("Sending socket.io message", null, {appName: appName, easyrtcid: easyrtcid});
         }
     }
 
@@ -898,7 +1720,7 @@ eventListener.onEmitEasyrtcMsg = function(connectionObj, msgType, msg, socketCal
     var easyrtcid = connectionObj.getEasyrtcid();
     var appName = connectionObj.getAppName();
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onEmitEasyrtcMsg' with msgType ["+msgType+"]");
+    pub.util.logDebug("Running func 'onEmitEasyrtcMsg' with msgType ["+msgType+"]", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
 
 
     if (!msg) {
@@ -907,10 +1729,10 @@ eventListener.onEmitEasyrtcMsg = function(connectionObj, msgType, msg, socketCal
     if(!_.isFunction(socketCallback)) {
         socketCallback = function(returnMsg) {
             if (_.isObject(returnMsg) && _.isString(returnMsg.msgType) && returnMsg.msgType === "ack") {
-                pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC message: unhandled Ack return message.");
+                pub.util.logDebug("EasyRTC message: unhandled Ack return message.", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
             }
             else {
-                pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC message: unhandled return message.", returnMsg);
+                pub.util.logDebug("EasyRTC message: unhandled return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
             }
         };
     }
@@ -920,12 +1742,16 @@ eventListener.onEmitEasyrtcMsg = function(connectionObj, msgType, msg, socketCal
 
     connectionObj.socket.emit( "easyrtcMsg", msg, socketCallback);
 
+    if (pub.getOption("metricsEnable")) {
+        mt.incrementCounter("easyrtc_messages_relayed_total", {msg_type: msgType});
+    }
+
     if (pub.getOption("logMessagesEnable")) {
         try {
-            pub.util.logDebug("["+appName+"]["+easyrtcid+"] Sending socket.io message: ["+JSON.stringify(msg)+"]");
+            pub.util.logDebug("Sending socket.io message: ["+JSON.stringify(msg)+"]", null, {appName: appName, easyrtcid: easyrtcid});
         }
         catch(err) {
-            pub.util.logDebug("["+appName+"]["+easyrtcid+"] Sending socket.io message");
+            pub.util.logDebug("Sending socket.io message", null, {appName: appName, easyrtcid: easyrtcid});
         }
     }
 
@@ -942,10 +1768,10 @@ eventListener.onEmitEasyrtcMsg = function(connectionObj, msgType, msg, socketCal
  * @param       {nextCallback} next     A success callback of form next(err).
  */
 eventListener.onEmitError = function(connectionObj, errorCode, socketCallback, next) {
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onEmitError'");
+    pub.util.logDebug("Running func 'onEmitError'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
     if(!_.isFunction(socketCallback)) {
         socketCallback = function(returnMsg) {
-            pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC info: unhandled ACK return message.", returnMsg);
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         };
     }
     if(!_.isFunction(next)) {
@@ -967,9 +1793,9 @@ eventListener.onEmitReturnAck = function(connectionObj, socketCallback, next) {
     var easyrtcid = connectionObj.getEasyrtcid();
     var appObj = connectionObj.getApp();
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onEmitReturnAck'");
+    pub.util.logDebug("Running func 'onEmitReturnAck'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
     if(!_.isFunction(socketCallback)) {
-        pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC: unable to return ack to socket.");
+        pub.util.logWarning("EasyRTC: unable to return ack to socket.", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         return;
     }
     if(!_.isFunction(next)) {
@@ -999,9 +1825,9 @@ eventListener.onEmitReturnError = function(connectionObj, socketCallback, errorC
     var easyrtcid = connectionObj.getEasyrtcid();
     var appObj = connectionObj.getApp();
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onEmitReturnError'");
+    pub.util.logDebug("Running func 'onEmitReturnError'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
     if(!_.isFunction(socketCallback)) {
-        pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC: unable to return error to socket. Error code was [" + errorCode + "]");
+        pub.util.logWarning("EasyRTC: unable to return error to socket. Error code was [" + errorCode + "]", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid(), errorCode: errorCode});
 
         next(new pub.util.ConnectionError("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Unable to return error to socket. Error code was [" + errorCode + "]"));
         return;
@@ -1018,6 +1844,36 @@ eventListener.onEmitReturnError = function(connectionObj, socketCallback, errorC
 };
 
 
+/**
+ * Determines if ephemeral TURN credentials are generated for connections of an application.
+ *
+ * @private
+ * @param       {Object} appObj         EasyRTC application object. Contains methods used for identifying and managing an application.
+ * @returns     {Boolean}
+ */
+var isTurnCredentialEnabled = function(appObj) {
+    var turnUrls = appObj.getOption("appTurnUrls");
+    return _.isString(appObj.getOption("appTurnSecret")) && _.isArray(turnUrls) && turnUrls.length > 0;
+};
+
+
+/**
+ * Returns the ICE configuration object sent to a client. If ephemeral TURN credentials are enabled, it includes the number of seconds they are valid for, so the client can request a fresh configuration before they expire.
+ *
+ * @private
+ * @param       {Object} appObj         EasyRTC application object. Contains methods used for identifying and managing an application.
+ * @param       {Array} iceServers      Array of STUN and TURN servers, as given by the "getIceConfig" event.
+ * @returns     {Object}                ICE configuration object of form {iceServers:<Array>[, ttl:<Number>]}
+ */
+var getIceConfig = function(appObj, iceServers) {
+    var iceConfig = {iceServers: iceServers};
+    if (isTurnCredentialEnabled(appObj)) {
+        iceConfig.ttl = appObj.getOption("appTurnTtl");
+    }
+    return iceConfig;
+};
+
+
 /**
  * Default listener for event "emitReturnToken". This event is fired when the server should return a token to a client via an acknowledgment message.
  * 
@@ -1031,7 +1887,7 @@ eventListener.onEmitReturnToken = function(connectionObj, socketCallback, next)
     var easyrtcid = connectionObj.getEasyrtcid();
     var appObj = connectionObj.getApp();
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onSendToken'");
+    pub.util.logDebug("Running func 'onSendToken'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
 
     var tokenMsg = {
         msgType: "token",
@@ -1040,7 +1896,7 @@ eventListener.onEmitReturnToken = function(connectionObj, socketCallback, next)
 
     // Ensure socketCallback is present
     if(!_.isFunction(socketCallback)) {
-        pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC onSendToken called with no socketCallback.");
+        pub.util.logWarning("EasyRTC onSendToken called with no socketCallback.", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         try{connectionObj.socket.disconnect();}catch(e) {}
         return;
     }
@@ -1054,6 +1910,15 @@ eventListener.onEmitReturnToken = function(connectionObj, socketCallback, next)
             // Set roomData
             tokenMsg.msgData.roomData = roomData;
 
+            // Get groups user is in along with list
+            connectionObj.generateGroupClientList("join", null, asyncCallback);
+        },
+        function(groupData, asyncCallback) {
+            // Set groupData (if in any groups)
+            if (!_.isEmpty(groupData)) {
+                tokenMsg.msgData.groupData = groupData;
+            }
+
             // Retrieve ice config
             connectionObj.events.emit("getIceConfig", connectionObj, asyncCallback);
         },
@@ -1061,9 +1926,14 @@ eventListener.onEmitReturnToken = function(connectionObj, socketCallback, next)
         function(iceServers, asyncCallback) {
             tokenMsg.msgData.application        = {applicationName:connectionObj.getAppName()};
             tokenMsg.msgData.easyrtcid          = connectionObj.getEasyrtcid();
-            tokenMsg.msgData.iceConfig          = {iceServers: iceServers};
+            tokenMsg.msgData.iceConfig          = getIceConfig(appObj, iceServers);
             tokenMsg.msgData.serverTime         = Date.now();
 
+            // Lets the client resume this connection if its socket drops
+            if (appObj.getOption("reconnectGraceTime") > 0) {
+                tokenMsg.msgData.resumeToken    = connectionObj.getResumeToken();
+            }
+
             easyrtcid = tokenMsg.msgData.easyrtcid;
 
             // Get Application fields
@@ -1126,18 +1996,41 @@ eventListener.onEmitReturnToken = function(connectionObj, socketCallback, next)
 
 /**
  * Default listener for event "log". This event is fired when ever a loggable item is observed.
+ *
+ * The item is formatted as text or as a line of JSON (see the "logFormat" option) and written to the transports in the "logTransports" option, or to the console.
  * 
  * @param       {string} level          Log severity level. Can be ("debug"|"info"|"warning"|"error")
  * @param       {string} logText        Text for log.
  * @param       {?*} [logFields]        Simple JSON object which contains extra fields to be logged.
+ * @param       {?Object} [logContext]  Object of form {component, appName, easyrtcid, roomName, groupName, socketId, msgType, errorCode}. A function given here is used as next.
  * @param       {?nextCallback} next    A success callback of form next(err).
  */
-eventListener.onLog = function(level, logText, logFields, next) {
+eventListener.onLog = function(level, logText, logFields, logContext, next) {
+    // Listeners written before logContext was added pass next in its place
+    if (_.isFunction(logContext)) {
+        next = logContext;
+        logContext = null;
+    }
     if(!_.isFunction(next)) {
         next = pub.util.nextToNowhere;
     }
 
+    var isStackEnabled = (pub.util.isWarning(logFields) ? pub.getOption("logWarningStackEnable") : pub.getOption("logErrorStackEnable"));
+    var logEntry = lg.getLogEntry(level, logText, logFields, logContext, isStackEnabled);
+
+    if (pub.getOption("logFormat") === "json") {
+        lg.write(pub.getOption("logTransports"), lg.formatJson(logEntry, pub.getOption("logObjectDepth")), logEntry);
+        next(null);
+        return;
+    }
+
+    var logPrefix = lg.getTextPrefix(logContext);
+    if (logPrefix) {
+        logText = logPrefix + (logText ? " " + logText : "");
+    }
+
     var consoleText = "";
+    var logLine;
 
     var currentDate = new Date();
     if (pub.getOption("logColorEnable")) {
@@ -1173,17 +2066,18 @@ eventListener.onLog = function(level, logText, logFields, next) {
 
     if (logFields !== undefined && logFields !== null) {
         if (pub.getOption("logErrorStackEnable") && pub.util.isError(logFields)) {
-            console.log(consoleText, ((pub.getOption("logColorEnable"))? "\nStack Trace:\n------------\n".bold + logFields.stack.magenta + "\n------------".bold : "\nStack Trace:\n------------\n" + logFields.stack + "\n------------"));
+            logLine = util.format(consoleText, ((pub.getOption("logColorEnable"))? "\nStack Trace:\n------------\n".bold + logFields.stack.magenta + "\n------------".bold : "\nStack Trace:\n------------\n" + logFields.stack + "\n------------"));
         }
         else if (pub.getOption("logWarningStackEnable") && pub.util.isWarning(logFields)) {
-            console.log(consoleText, ((pub.getOption("logColorEnable"))? "\nStack Trace:\n------------\n".bold + logFields.stack.cyan + "\n------------".bold : "\nStack Trace:\n------------\n" + logFields.stack + "\n------------"));
+            logLine = util.format(consoleText, ((pub.getOption("logColorEnable"))? "\nStack Trace:\n------------\n".bold + logFields.stack.cyan + "\n------------".bold : "\nStack Trace:\n------------\n" + logFields.stack + "\n------------"));
         }
         else {
-            console.log(consoleText, util.inspect(logFields, {colors:pub.getOption("logColorEnable"), showHidden:false, depth:pub.getOption("logObjectDepth")}));
+            logLine = util.format(consoleText, util.inspect(logFields, {colors:pub.getOption("logColorEnable"), showHidden:false, depth:pub.getOption("logObjectDepth")}));
         }
     } else {
-        console.log(consoleText);
+        logLine = consoleText;
     }
+    lg.write(pub.getOption("logTransports"), logLine, logEntry);
     next(null);
 };
 
@@ -1200,9 +2094,9 @@ eventListener.onMsgTypeRoomJoin = function(connectionObj, rooms, socketCallback,
     var easyrtcid = connectionObj.getEasyrtcid();
     var appObj = connectionObj.getApp();
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onMsgTypeRoomJoin'");
+    pub.util.logDebug("Running func 'onMsgTypeRoomJoin'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
     if(!_.isFunction(socketCallback)) {
-        pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC info: unhandled socket message callback.");
+        pub.util.logWarning("EasyRTC info: unhandled socket message callback.", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         return;
     }
 
@@ -1224,6 +2118,9 @@ eventListener.onMsgTypeRoomJoin = function(connectionObj, rooms, socketCallback,
         }
     }
 
+    // Error code of the first room which denied access (if any)
+    var roomAccessErrorCode = null;
+
     async.each(Object.keys(rooms), function(currentRoomName, roomCallback) {
         appObj.isRoom(currentRoomName, function(err, isRoom) {
 
@@ -1233,8 +2130,31 @@ eventListener.onMsgTypeRoomJoin = function(connectionObj, rooms, socketCallback,
                 currentRoomParameter = rooms[currentRoomName].roomParameter;
             }
 
+            // Check room access rules (invite list, password, occupant cap) before joining
+            var joinAllowedRoom = function(roomObj) {
+                roomObj.isJoinAllowed(connectionObj, currentRoomParameter, function(err, isAllowed, errorCode) {
+                    if (err) {
+                        roomCallback(err);
+                        return;
+                    }
+                    if (!isAllowed) {
+                        roomAccessErrorCode = roomAccessErrorCode || errorCode;
+                        pub.util.logInfo("Access to room denied [" + errorCode + "].", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid(), roomName: currentRoomName, errorCode: errorCode});
+                        roomCallback(new pub.util.ConnectionWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"]["+currentRoomName+"] Access to room denied."));
+                        return;
+                    }
+                    pub.events.emit("roomJoin", connectionObj, currentRoomName, currentRoomParameter, roomCallback);
+                });
+            };
+
             if (isRoom) {
-                pub.events.emit("roomJoin", connectionObj, currentRoomName, currentRoomParameter, roomCallback);
+                appObj.room(currentRoomName, function(err, roomObj) {
+                    if (err) {
+                        roomCallback(err);
+                        return;
+                    }
+                    joinAllowedRoom(roomObj);
+                });
             }
             else if (appObj.getOption("roomAutoCreateEnable")) {
                 pub.events.emit("roomCreate", appObj, connectionObj, currentRoomName, null, function(err, roomObj) {
@@ -1242,17 +2162,17 @@ eventListener.onMsgTypeRoomJoin = function(connectionObj, rooms, socketCallback,
                         roomCallback(err);
                         return;
                     }
-                    pub.events.emit("roomJoin", connectionObj, currentRoomName, currentRoomParameter, roomCallback);
+                    joinAllowedRoom(roomObj);
                 });
             }
             else {
-                pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"]["+currentRoomName+"] Unable to join non-existent room.");
+                pub.util.logWarning("Unable to join non-existent room.", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid(), roomName: currentRoomName});
                 roomCallback(new pub.util.ConnectionError("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"]["+currentRoomName+"] Unable to join room."));
             }
         });
     }, function(err, newRoomObj) {
         if (err) {
-            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_BAD_ROOM"), appObj);
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(roomAccessErrorCode || "MSG_REJECT_BAD_ROOM"), appObj);
             next(null); // Error has been handled
             return;
         }
@@ -1282,10 +2202,10 @@ eventListener.onMsgTypeRoomLeave = function(connectionObj, rooms, socketCallback
     var easyrtcid = connectionObj.getEasyrtcid();
     var appObj = connectionObj.getApp();
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onMsgTypeRoomLeave' with rooms: ",rooms);
+    pub.util.logDebug("Running func 'onMsgTypeRoomLeave' with rooms: ", rooms, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
     if(!_.isFunction(socketCallback)) {
         socketCallback = function(returnMsg) {
-            pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC info: unhandled ACK return message.", returnMsg);
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         };
     }
 
@@ -1297,7 +2217,7 @@ eventListener.onMsgTypeRoomLeave = function(connectionObj, rooms, socketCallback
     async.each(Object.keys(rooms), function(currentRoomName, asyncCallback) {
         connectionObj.events.emit("roomLeave", connectionObj, currentRoomName, function(err) {
             if (err) {
-                pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Error leaving room ["+currentRoomName+"].", err);
+                pub.util.logWarning("Error leaving room ["+currentRoomName+"].", err, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
             }
             asyncCallback(null);
         });
@@ -1318,21 +2238,298 @@ eventListener.onMsgTypeRoomLeave = function(connectionObj, rooms, socketCallback
 
 
 /**
- * Default listener for event "msgTypeGetIceConfig". This event is fired when an easyrtcCmd message with msgType of "getIceConfig" is received from a client. 
- * 
- * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
- * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
- * @param       {nextCallback} next     A success callback of form next(err).
+ * Checks a moderation request from a client. Sends the error code, or the room object and target connection object, to the callback.
+ *
+ * @private
+ * @param       {Object} connectionObj  EasyRTC connection object of the moderator.
+ * @param       {Object} moderationObj  Object containing the roomName and targetEasyrtcid fields.
+ * @param       {string} action         The moderation action. One of "kick", "ban" or "mute".
+ * @param       {function(?String, Object=, Object=)} callback Callback with error code, roomObj and targetConnectionObj.
  */
-eventListener.onMsgTypeGetIceConfig = function(connectionObj, socketCallback, next) {
-    var easyrtcid = connectionObj.getEasyrtcid();
+var checkModerationRequest = function(connectionObj, moderationObj, action, callback) {
     var appObj = connectionObj.getApp();
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onMsgTypeGetIceConfig'");
-
-    if(!_.isFunction(socketCallback)) {
-        socketCallback = function(returnMsg) {
-            pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC info: unhandled ACK return message.", returnMsg);
+    appObj.room(moderationObj.roomName, function(err, roomObj) {
+        if (err) {
+            callback("MSG_REJECT_BAD_ROOM");
+            return;
+        }
+        appObj.connection(moderationObj.targetEasyrtcid, function(err, targetConnectionObj) {
+            if (err) {
+                callback("MSG_REJECT_TARGET_EASYRTCID");
+                return;
+            }
+            roomObj.isModerationAllowed(connectionObj, targetConnectionObj, action, function(err, isAllowed, errorCode) {
+                if (err || !isAllowed) {
+                    callback(errorCode || "MSG_REJECT_GEN_FAIL");
+                    return;
+                }
+                callback(null, roomObj, targetConnectionObj);
+            });
+        });
+    });
+};
+
+
+/**
+ * Default listener for event "msgTypeRoomKick". This event is fired when an easyrtcCmd message with msgType of "roomKick" is received from a client. After checking the moderator's permission, the "roomKick" event is emitted.
+ * 
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} roomKickObj    Object containing the roomName and targetEasyrtcid fields.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onMsgTypeRoomKick = function(connectionObj, roomKickObj, socketCallback, next) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+
+    pub.util.logDebug("Running func 'onMsgTypeRoomKick' with roomKick: ", roomKickObj, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+    if(!_.isFunction(socketCallback)) {
+        socketCallback = function(returnMsg) {
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        };
+    }
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    checkModerationRequest(connectionObj, roomKickObj, "kick", function(errorCode, roomObj, targetConnectionObj) {
+        if (errorCode) {
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(errorCode), appObj);
+            next(null);
+            return;
+        }
+        pub.events.emit("roomKick", connectionObj, roomKickObj.roomName, targetConnectionObj, function(err) {
+            if (err) {
+                pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_GEN_FAIL"), appObj);
+            }
+            else {
+                pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
+            }
+            next(null);
+        });
+    });
+};
+
+
+/**
+ * Default listener for event "msgTypeRoomBan". This event is fired when an easyrtcCmd message with msgType of "roomBan" is received from a client. After checking the moderator's permission, the "roomBan" event is emitted.
+ * 
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} roomBanObj     Object containing the roomName and targetEasyrtcid fields.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onMsgTypeRoomBan = function(connectionObj, roomBanObj, socketCallback, next) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+
+    pub.util.logDebug("Running func 'onMsgTypeRoomBan' with roomBan: ", roomBanObj, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+    if(!_.isFunction(socketCallback)) {
+        socketCallback = function(returnMsg) {
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        };
+    }
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    checkModerationRequest(connectionObj, roomBanObj, "ban", function(errorCode, roomObj, targetConnectionObj) {
+        if (errorCode) {
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(errorCode), appObj);
+            next(null);
+            return;
+        }
+        pub.events.emit("roomBan", connectionObj, roomBanObj.roomName, targetConnectionObj, function(err) {
+            if (err) {
+                pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_GEN_FAIL"), appObj);
+            }
+            else {
+                pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
+            }
+            next(null);
+        });
+    });
+};
+
+
+/**
+ * Default listener for event "msgTypeRoomMuteRequest". This event is fired when an easyrtcCmd message with msgType of "roomMuteRequest" is received from a client. After checking the moderator's permission, the "roomMuteRequest" event is emitted.
+ * 
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} roomMuteRequestObj Object containing the roomName, targetEasyrtcid, muteAudio and muteVideo fields.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onMsgTypeRoomMuteRequest = function(connectionObj, roomMuteRequestObj, socketCallback, next) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+
+    pub.util.logDebug("Running func 'onMsgTypeRoomMuteRequest' with roomMuteRequest: ", roomMuteRequestObj, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+    if(!_.isFunction(socketCallback)) {
+        socketCallback = function(returnMsg) {
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        };
+    }
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    checkModerationRequest(connectionObj, roomMuteRequestObj, "mute", function(errorCode, roomObj, targetConnectionObj) {
+        if (errorCode) {
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg(errorCode), appObj);
+            next(null);
+            return;
+        }
+        var muteObj = {
+            muteAudio: roomMuteRequestObj.muteAudio ? true : false,
+            muteVideo: roomMuteRequestObj.muteVideo ? true : false
+        };
+        pub.events.emit("roomMuteRequest", connectionObj, roomMuteRequestObj.roomName, targetConnectionObj, muteObj, function(err) {
+            if (err) {
+                pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_GEN_FAIL"), appObj);
+            }
+            else {
+                pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
+            }
+            next(null);
+        });
+    });
+};
+
+
+/**
+ * Default listener for event "msgTypeGroupJoin". This event is fired when an easyrtcCmd message with msgType of "groupJoin" is received from a client. 
+ * 
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} groups         A group object containing a map of group names and group parameters.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onMsgTypeGroupJoin = function(connectionObj, groups, socketCallback, next) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+
+    pub.util.logDebug("Running func 'onMsgTypeGroupJoin'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+    if(!_.isFunction(socketCallback)) {
+        pub.util.logWarning("EasyRTC info: unhandled socket message callback.", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        return;
+    }
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    async.each(Object.keys(groups), function(currentGroupName, groupCallback) {
+
+        // Set groupParameter map. This may be used by custom listeners.
+        var currentGroupParameter;
+        if (groups[currentGroupName] && _.isObject(groups[currentGroupName].groupParameter)) {
+            currentGroupParameter = groups[currentGroupName].groupParameter;
+        }
+
+        if (appObj.isGroupSync(currentGroupName)) {
+            pub.events.emit("groupJoin", connectionObj, currentGroupName, currentGroupParameter, groupCallback);
+        }
+        else if (appObj.getOption("groupAutoCreateEnable")) {
+            pub.events.emit("groupCreate", appObj, connectionObj, currentGroupName, null, function(err, groupObj) {
+                if (err) {
+                    groupCallback(err);
+                    return;
+                }
+                pub.events.emit("groupJoin", connectionObj, currentGroupName, currentGroupParameter, groupCallback);
+            });
+        }
+        else {
+            pub.util.logWarning("Unable to join non-existent group.", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid(), groupName: currentGroupName});
+            groupCallback(new pub.util.ConnectionError("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"]["+currentGroupName+"] Unable to join group."));
+        }
+    }, function(err) {
+        if (err) {
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_BAD_GROUP"), appObj);
+            next(null); // Error has been handled
+            return;
+        }
+
+        connectionObj.generateGroupClientList("join", groups, function(err, groupData) {
+            if (err) {
+                pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_BAD_GROUP"), appObj);
+            }
+            else {
+                pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, {"msgType":"groupData", "msgData":{"groupData":groupData}}, appObj);
+            }
+            next(null);
+        });
+    });
+};
+
+
+/**
+ * Default listener for event "msgTypeGroupLeave". This event is fired when an easyrtcCmd message with msgType of "groupLeave" is received from a client. 
+ * 
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} groups         A group object containing a map of group names.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onMsgTypeGroupLeave = function(connectionObj, groups, socketCallback, next) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+
+    pub.util.logDebug("Running func 'onMsgTypeGroupLeave' with groups: ", groups, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+    if(!_.isFunction(socketCallback)) {
+        socketCallback = function(returnMsg) {
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        };
+    }
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    // Loop through each group in the groups object. Emit the groupLeave event for each one.
+    async.each(Object.keys(groups), function(currentGroupName, asyncCallback) {
+        connectionObj.events.emit("groupLeave", connectionObj, currentGroupName, function(err) {
+            if (err) {
+                pub.util.logWarning("Error leaving group ["+currentGroupName+"].", err, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+            }
+            asyncCallback(null);
+        });
+    }, function(err) {
+        var groupData = {};
+        for (var currentGroupName in groups) {
+            if (groups.hasOwnProperty(currentGroupName)) {
+                groupData[currentGroupName] = {
+                    "groupName":    currentGroupName,
+                    "groupStatus":  "leave"
+                };
+            }
+        }
+        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, {"msgType":"groupData", "msgData":{"groupData":groupData}}, appObj);
+        next(null);
+    });
+};
+
+
+/**
+ * Default listener for event "msgTypeGetIceConfig". This event is fired when an easyrtcCmd message with msgType of "getIceConfig" is received from a client. 
+ * 
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onMsgTypeGetIceConfig = function(connectionObj, socketCallback, next) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+
+    pub.util.logDebug("Running func 'onMsgTypeGetIceConfig'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+
+    if(!_.isFunction(socketCallback)) {
+        socketCallback = function(returnMsg) {
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         };
     }
 
@@ -1345,7 +2542,63 @@ eventListener.onMsgTypeGetIceConfig = function(connectionObj, socketCallback, ne
             pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_GEN_FAIL"), appObj);
         }
         else {
-            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, {"msgType":"iceConfig", "msgData":{"iceConfig":{"iceServers":iceConfigObj}}}, appObj);
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, {"msgType":"iceConfig", "msgData":{"iceConfig":getIceConfig(appObj, iceConfigObj)}}, appObj);
+        }
+        next(null);
+    });
+};
+
+
+/**
+ * Default listener for event "msgTypeGetRoomHistory". This event is fired when an easyrtcCmd message with msgType of "getRoomHistory" is received from a client. The client must be in the room.
+ *
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} getRoomHistoryObj Object of form {roomName:<String>, [beforeHistoryId:<Number>], [limit:<Number>]}.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onMsgTypeGetRoomHistory = function(connectionObj, getRoomHistoryObj, socketCallback, next) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+    var roomName = getRoomHistoryObj.roomName;
+
+    pub.util.logDebug("Running func 'onMsgTypeGetRoomHistory'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid(), roomName: roomName});
+
+    if(!_.isFunction(socketCallback)) {
+        socketCallback = function(returnMsg) {
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        };
+    }
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    async.waterfall([
+        function(asyncCallback) {
+            connectionObj.isInRoom(roomName, asyncCallback);
+        },
+        function(isInRoom, asyncCallback) {
+            if (!isInRoom) {
+                pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_BAD_ROOM"), appObj);
+                next(null);
+                return;
+            }
+            appObj.room(roomName, asyncCallback);
+        },
+        function(roomObj, asyncCallback) {
+            roomObj.getHistory(getRoomHistoryObj.beforeHistoryId, getRoomHistoryObj.limit, asyncCallback);
+        }
+    ], function(err, msgList, hasMore) {
+        if (err) {
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_BAD_ROOM"), appObj);
+        }
+        else {
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, {"msgType":"roomHistory", "msgData":{"roomHistory":{
+                roomName:   roomName,
+                msgList:    msgList,
+                hasMore:    hasMore
+            }}}, appObj);
         }
         next(null);
     });
@@ -1363,11 +2616,11 @@ eventListener.onMsgTypeGetRoomList = function(connectionObj, socketCallback, nex
     var easyrtcid = connectionObj.getEasyrtcid();
     var appObj = connectionObj.getApp();
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onMsgTypeGetRoomList'");
+    pub.util.logDebug("Running func 'onMsgTypeGetRoomList'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
 
     if(!_.isFunction(socketCallback)) {
         socketCallback = function(returnMsg) {
-            pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC info: unhandled ACK return message.", returnMsg);
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         };
     }
 
@@ -1401,10 +2654,55 @@ eventListener.onMsgTypeSetPresence = function(connectionObj, presenceObj, socket
     var easyrtcid = connectionObj.getEasyrtcid();
     var appObj = connectionObj.getApp();
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onMsgTypeSetPresence' with setPresence: ",presenceObj);
+    pub.util.logDebug("Running func 'onMsgTypeSetPresence' with setPresence: ", presenceObj, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+    if(!_.isFunction(socketCallback)) {
+        socketCallback = function(returnMsg) {
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        };
+    }
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    connectionObj.setPresence(
+        presenceObj,
+        function(err) {
+            if (err) {
+                pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_PRESENCE"), appObj);
+            }
+            else {
+                connectionObj.emitRoomDataDelta(false, function(err, roomDataObj) {
+                    if (err) {
+                        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_PRESENCE"), appObj);
+                    }
+                    else {
+                        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, {"msgType":"roomData", "msgData":{"roomData":roomDataObj}}, appObj);
+                    }
+                });
+            }
+            next(null);
+        }
+    );
+};
+
+
+/**
+ * Default listener for event "msgTypeSetUserCfg". This event is fired when an easyrtcCmd message with msgType of "setUserCfg" is received from a client. 
+ * 
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} userCfg        User configuration object which may contain userSettings and p2pList maps.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onMsgTypeSetUserCfg = function(connectionObj, userCfg, socketCallback, next) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+
+    pub.util.logDebug("Running func 'onMsgTypeSetUserCfg' with setUserCfg: ", userCfg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
     if(!_.isFunction(socketCallback)) {
         socketCallback = function(returnMsg) {
-            pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC info: unhandled ACK return message.", returnMsg);
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         };
     }
 
@@ -1412,25 +2710,178 @@ eventListener.onMsgTypeSetPresence = function(connectionObj, presenceObj, socket
         next = pub.util.nextToNowhere;
     }
 
-    connectionObj.setPresence(
-        presenceObj,
-        function(err) {
-            if (err) {
-                pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_PRESENCE"), appObj);
-            }
-            else {
-                connectionObj.emitRoomDataDelta(false, function(err, roomDataObj) {
-                    if (err) {
-                        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_PRESENCE"), appObj);
+    pub.events.emit("setUserCfg", connectionObj, userCfg, function(err) {
+        if (err) {
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_GEN_FAIL"), appObj);
+        }
+        else {
+            pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
+        }
+        next(null);
+    });
+};
+
+
+/**
+ * Default listener for event "msgTypeSubscribePresence". This event is fired when an easyrtcCmd message with msgType of "subscribePresence" is received from a client. The client is returned the current presence of each username, and is sent a "userPresence" command whenever one of them changes.
+ *
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} usernameObj    Map of the usernames to subscribe to, each with a value of true.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onMsgTypeSubscribePresence = function(connectionObj, usernameObj, socketCallback, next) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+
+    pub.util.logDebug("Running func 'onMsgTypeSubscribePresence' with subscribePresence: ", usernameObj, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+    if(!_.isFunction(socketCallback)) {
+        socketCallback = function(returnMsg) {
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        };
+    }
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    if (!appObj.getOption("presenceSubscribeEnable")) {
+        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_PRESENCE_SUBSCRIBE"), appObj);
+        next(null);
+        return;
+    }
+
+    connectionObj.subscribePresence(_.keys(usernameObj), function(err, userPresenceObj) {
+        if (err) {
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_PRESENCE_SUBSCRIBE"), appObj);
+        }
+        else {
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, {"msgType":"userPresence", "msgData":{"userPresence":userPresenceObj}}, appObj);
+        }
+        next(null);
+    });
+};
+
+
+/**
+ * Default listener for event "msgTypeUnsubscribePresence". This event is fired when an easyrtcCmd message with msgType of "unsubscribePresence" is received from a client.
+ *
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} usernameObj    Map of the usernames to unsubscribe from, each with a value of true.
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onMsgTypeUnsubscribePresence = function(connectionObj, usernameObj, socketCallback, next) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+
+    pub.util.logDebug("Running func 'onMsgTypeUnsubscribePresence' with unsubscribePresence: ", usernameObj, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+    if(!_.isFunction(socketCallback)) {
+        socketCallback = function(returnMsg) {
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        };
+    }
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    connectionObj.unsubscribePresence(_.keys(usernameObj), function(err) {
+        if (err) {
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_GEN_FAIL"), appObj);
+        }
+        else {
+            pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
+        }
+        next(null);
+    });
+};
+
+
+/**
+ * Default listener for event "msgTypeSetField". This event is fired when an easyrtcCmd message with msgType of "setField" is received from a client. The write is passed to the "fieldWriteAuthorize" event, and once allowed the field is set with the isShared option and sent to the other clients: room fields in a roomData message to the room's occupants, connection fields in the clientListDelta of each room the connection is in, and application fields in an applicationData message to every connection of the application.
+ *
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} setFieldObj    Object of form {fieldScope:<"application"|"room"|"connection">, [roomName:<String>], fieldName:<String>, fieldValue:<JsonObj>}
+ * @param       {Function} socketCallback Socket.io callback function which delivers a response to a socket. Expects a single parameter (msg).
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onMsgTypeSetField = function(connectionObj, setFieldObj, socketCallback, next) {
+    var easyrtcid = connectionObj.getEasyrtcid();
+    var appObj = connectionObj.getApp();
+    var fieldOption = {isShared: true};
+
+    pub.util.logDebug("Running func 'onMsgTypeSetField' with setField: ", setFieldObj, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+    if(!_.isFunction(socketCallback)) {
+        socketCallback = function(returnMsg) {
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        };
+    }
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    pub.events.emit("fieldWriteAuthorize", connectionObj, setFieldObj, function(err) {
+        if (err) {
+            pub.util.logDebug("Field write refused", err, {appName: connectionObj.getAppName(), easyrtcid: easyrtcid});
+            pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg("MSG_REJECT_FIELD_WRITE"), appObj);
+            next(null);
+            return;
+        }
+
+        var setFieldCallback = function(err) {
+            if (err) {
+                pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, pub.util.getErrorMsg((setFieldObj.fieldScope === "room") ? "MSG_REJECT_BAD_ROOM" : "MSG_REJECT_BAD_FIELD"), appObj);
+            }
+            else {
+                pub.util.sendSocketCallbackAck(easyrtcid, socketCallback, appObj);
+            }
+            next(null);
+        };
+
+        switch (setFieldObj.fieldScope) {
+            case "connection":
+                async.waterfall([
+                    function(asyncCallback) {
+                        connectionObj.setField(setFieldObj.fieldName, setFieldObj.fieldValue, fieldOption, asyncCallback);
+                    },
+                    function(asyncCallback) {
+                        connectionObj.emitRoomDataDelta(false, function(err) {
+                            asyncCallback(err);
+                        });
+                    }
+                ], setFieldCallback);
+                break;
+
+            case "room":
+                async.waterfall([
+                    function(asyncCallback) {
+                        appObj.room(setFieldObj.roomName, asyncCallback);
+                    },
+                    function(roomObj, asyncCallback) {
+                        roomObj.setField(setFieldObj.fieldName, setFieldObj.fieldValue, fieldOption, function(err) {
+                            asyncCallback(err, roomObj);
+                        });
+                    },
+                    function(roomObj, asyncCallback) {
+                        roomObj.emitRoomDataFieldUpdate(null, asyncCallback);
                     }
-                    else {
-                        pub.util.sendSocketCallbackMsg(easyrtcid, socketCallback, {"msgType":"roomData", "msgData":{"roomData":roomDataObj}}, appObj);
+                ], setFieldCallback);
+                break;
+
+            default:
+                async.waterfall([
+                    function(asyncCallback) {
+                        appObj.setField(setFieldObj.fieldName, setFieldObj.fieldValue, fieldOption, asyncCallback);
+                    },
+                    function(asyncCallback) {
+                        appObj.emitAppDataFieldUpdate(null, asyncCallback);
                     }
-                });
-            }
-            next(null);
+                ], setFieldCallback);
+                break;
         }
-    );
+    });
 };
 
 
@@ -1446,10 +2897,10 @@ eventListener.onMsgTypeSetRoomApiField = function(connectionObj, roomApiFieldObj
     var easyrtcid = connectionObj.getEasyrtcid();
     var appObj = connectionObj.getApp();
 
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onMsgTypeSetRoomApiField' with apiFieldObj: ",roomApiFieldObj);
+    pub.util.logDebug("Running func 'onMsgTypeSetRoomApiField' with apiFieldObj: ", roomApiFieldObj, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
     if(!_.isFunction(socketCallback)) {
         socketCallback = function(returnMsg) {
-            pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] EasyRTC info: unhandled ACK return message.", returnMsg);
+            pub.util.logDebug("EasyRTC info: unhandled ACK return message.", returnMsg, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         };
     }
 
@@ -1488,19 +2939,178 @@ eventListener.onMsgTypeSetRoomApiField = function(connectionObj, roomApiFieldObj
 /**
  * Default listener for event "getIceConfig". Returns an ICE configuration object to the callback.
  * 
- * The ICE configuration object will hold the array of STUN and TURN servers the connection should use when forming a peer connection. This default listener uses the "appIceServers" configuration option at the application level.
+ * The ICE configuration object will hold the array of STUN and TURN servers the connection should use when forming a peer connection. This default listener uses the "appIceServers" configuration option at the application level. If the "appTurnSecret" and "appTurnUrls" options are set, an entry for the TURN servers with ephemeral credentials generated for the connection is added.
  * 
  * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
  * @param       {Function} callback     Callback of form (err, iceConfigArray)
  */
 eventListener.onGetIceConfig = function(connectionObj, callback) {
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onGetIceConfig'");
-    callback(null, connectionObj.getApp().getOption("appIceServers"));
+    pub.util.logDebug("Running func 'onGetIceConfig'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+    var appObj = connectionObj.getApp();
+    var iceServers = appObj.getOption("appIceServers");
+
+    if (isTurnCredentialEnabled(appObj)) {
+        var turnCredential = pub.util.getTurnCredential(connectionObj.getUsername() || connectionObj.getEasyrtcid(), appObj.getOption("appTurnSecret"), appObj.getOption("appTurnTtl"));
+        iceServers = iceServers.concat([{
+            urls: appObj.getOption("appTurnUrls"),
+            username: turnCredential.username,
+            credential: turnCredential.credential
+        }]);
+    }
+
+    callback(null, iceServers);
+};
+
+
+/**
+ * Default listener for event "setUserCfg". Stores the user settings and peer connection list reported by a client on the connection object. This event is fired upon authentication (if the client provides setUserCfg) and upon each setUserCfg command. Custom listeners may use it to track client capabilities or who is in a call with whom, and then call easyrtc.events.emitDefault("setUserCfg", ...).
+ * 
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} userCfg        User configuration object which may contain userSettings and p2pList maps. The p2pList is keyed by the easyrtcid of each peer the client is connected to.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onSetUserCfg = function(connectionObj, userCfg, next) {
+    pub.util.logDebug("Running func 'onSetUserCfg'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    connectionObj.setUserCfg(userCfg, next);
+};
+
+
+/**
+ * Default listener for event "fieldWriteAuthorize". This event is fired before a field is set from a client's setField command. To deny the write, call next() with an Error; the client is sent the MSG_REJECT_FIELD_WRITE error.
+ *
+ * By default, a connection may set its own connection fields and the fields of rooms it is in. Application fields may not be set, and fields which were set by the server without the isShared option may not be overwritten.
+ *
+ * @param       {Object} connectionObj  EasyRTC connection object of the connection setting the field.
+ * @param       {Object} fieldWriteObj  Object of form {fieldScope:<"application"|"room"|"connection">, [roomName:<String>], fieldName:<String>, fieldValue:<JsonObj>}
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onFieldWriteAuthorize = function(connectionObj, fieldWriteObj, next) {
+    var appObj = connectionObj.getApp();
+
+    switch (fieldWriteObj.fieldScope) {
+        case "connection":
+            if (connectionObj.getFieldSync(fieldWriteObj.fieldName).fieldOption.isShared === false) {
+                next(new pub.util.ConnectionWarning("Connection field [" + fieldWriteObj.fieldName + "] is not shared"));
+                return;
+            }
+            next(null);
+            break;
+
+        case "room":
+            connectionObj.isInRoom(fieldWriteObj.roomName, function(err, isInRoom) {
+                if (err || !isInRoom) {
+                    next(err || new pub.util.ConnectionWarning("Not in room [" + fieldWriteObj.roomName + "]"));
+                    return;
+                }
+                appObj.room(fieldWriteObj.roomName, function(err, roomObj) {
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+                    if (roomObj.getFieldSync(fieldWriteObj.fieldName).fieldOption.isShared === false) {
+                        next(new pub.util.ConnectionWarning("Room field [" + fieldWriteObj.fieldName + "] is not shared"));
+                        return;
+                    }
+                    next(null);
+                });
+            });
+            break;
+
+        default:
+            next(new pub.util.ConnectionWarning("Application fields can not be set by clients"));
+            break;
+    }
+};
+
+
+/**
+ * Default listener for event "groupCreate". Creates a group attached to an application with a specified group name. The optional creatorConnectionObj is provided to provide context; joining the group is done separately. If successful, the callback returns a groupObj.
+ * 
+ * @param       {Object} appObj         EasyRTC application object. Contains methods used for identifying and managing an application.
+ * @param       {?Object} creatorConnectionObj EasyRTC connection object belonging to the creator of the group. Contains methods used for identifying and managing a connection.
+ * @param       {string} groupName      Group name which uniquely identifies a group within an EasyRTC application.
+ * @param       {?Object} groupOptions  Sets group level options. May be null or map of key/value pairs.
+ * @param       {Function} callback     Callback of form (err, groupObj)
+ */
+eventListener.onGroupCreate = function(appObj, creatorConnectionObj, groupName, groupOptions, callback) {
+    pub.util.logDebug("Group ["+ groupName +"] Running func 'onGroupCreate'", null, {appName: appObj.getAppName(), easyrtcid: (creatorConnectionObj ? creatorConnectionObj.getEasyrtcid() : null)});
+    appObj.createGroup(groupName, groupOptions, callback);
+};
+
+
+/**
+ * Default listener for event "groupJoin". Joins a connection to a specified group, then sends a groupData delta to the other members of the group.
+ * 
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {string} groupName      Group name which uniquely identifies a group within an EasyRTC application.
+ * @param       {?Object} groupParameter A map(dictionary) object with key/value pairs. The values can be any JSONable object. This field is not currently looked at by EasyRTC, however it is available for custom server applications.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onGroupJoin = function(connectionObj, groupName, groupParameter, next) {
+    pub.util.logDebug("Running func 'onGroupJoin'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+
+    connectionObj.joinGroup(groupName, function(err) {
+        if (err) {
+            next(err);
+            return;
+        }
+        connectionObj.emitGroupDataDelta(groupName, false, function(err, groupDataDelta) {
+            // Return regardless of if there was a problem sending out the deltas
+            next(null);
+        });
+    });
+};
+
+
+/**
+ * Default listener for event "groupLeave". Run upon a connection leaving a group.
+ * 
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {string} groupName      Group name which uniquely identifies a group within an EasyRTC application.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onGroupLeave = function(connectionObj, groupName, next) {
+    pub.util.logDebug("Running func 'onGroupLeave' with group ["+groupName+"]", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    connectionObj.leaveGroup(groupName, next);
+};
+
+
+/**
+ * Default listener for event "rateLimitWarning". This event is fired when a message from a connection is throttled by the rateLimitConnection, rateLimitIp or rateLimitApp options. The message has already been rejected. By default a warning is logged, and the connection is disconnected once it has been throttled by its own rateLimitConnection limit rateLimitDisconnectCount times within rateLimitDisconnectWindow.
+ * 
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {string} limitName      Name of the exceeded limit. [connection|ip|app]
+ * @param       {Number} violationCount Number of times the connection has been throttled by the connection limit within rateLimitDisconnectWindow, including this one. Always 0 for the shared ip and app limits.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onRateLimitWarning = function(connectionObj, limitName, violationCount, next) {
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    pub.util.logWarning("Message throttled by the " + limitName + " rate limit." + (violationCount ? " Throttled " + violationCount + " time(s) recently." : ""), null, {component: "rateLimit", appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+
+    var rateLimitDisconnectCount = connectionObj.getApp().getOption("rateLimitDisconnectCount");
+    if (_.isNumber(rateLimitDisconnectCount) && violationCount >= rateLimitDisconnectCount) {
+        pub.util.logWarning("Rate limit repeatedly exceeded. Disconnecting socket.", null, {component: "rateLimit", appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+        try{connectionObj.socket.disconnect();}catch(e) {}
+    }
+    next(null);
 };
 
 
 /**
- * Default listener for event "roomCreate". Creates a room attached to an application with a specified room name. The optional creatorConnectionObj is provided to provide context; joining the room is done separately. If successful, the callback returns a roomObj.
+ * Default listener for event "roomCreate". Creates a room attached to an application with a specified room name. The optional creatorConnectionObj is provided to provide context; joining the room is done separately. The creator is given the "owner" role in the room. If successful, the callback returns a roomObj.
  * 
  * @param       {Object} appObj         EasyRTC application object. Contains methods used for identifying and managing an application.
  * @param       {?Object} creatorConnectionObj EasyRTC connection object belonging to the creator of the room. Contains methods used for identifying and managing a connection.
@@ -1509,8 +3119,46 @@ eventListener.onGetIceConfig = function(connectionObj, callback) {
  * @param       {Function} callback     Callback of form (err, roomObj)
  */
 eventListener.onRoomCreate = function(appObj, creatorConnectionObj, roomName, roomOptions, callback) {
-    pub.util.logDebug("["+appObj.getAppName()+"]" + (creatorConnectionObj?"["+creatorConnectionObj.getEasyrtcid()+"]":"") +  " Room ["+ roomName +"] Running func 'onRoomCreate'");
-    appObj.createRoom(roomName, roomOptions, callback);
+    pub.util.logDebug("Room ["+ roomName +"] Running func 'onRoomCreate'", null, {appName: appObj.getAppName(), easyrtcid: (creatorConnectionObj ? creatorConnectionObj.getEasyrtcid() : null)});
+    appObj.createRoom(roomName, roomOptions, function(err, roomObj) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        // The creator becomes the room owner
+        if (creatorConnectionObj) {
+            roomObj.setRole(creatorConnectionObj.getEasyrtcid(), "owner", pub.util.nextToNowhere);
+        }
+        callback(null, roomObj);
+    });
+};
+
+
+/**
+ * Sends the history of a room to a connection in a roomHistory message. Nothing is sent if room history is disabled or empty.
+ *
+ * @private
+ * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
+ * @param       {Object} roomObj        EasyRTC room object.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+var emitRoomHistory = function(connectionObj, roomObj, next) {
+    if (!roomObj.getOption("roomHistoryEnable")) {
+        next(null);
+        return;
+    }
+    roomObj.getHistory(null, null, function(err, msgList, hasMore) {
+        if (err || msgList.length === 0) {
+            next(err);
+            return;
+        }
+        pub.events.emit("emitEasyrtcCmd", connectionObj, "roomHistory", {msgData: {roomHistory: {
+            roomName:   roomObj.getRoomName(),
+            msgList:    msgList,
+            hasMore:    hasMore
+        }}}, null, next);
+    });
 };
 
 
@@ -1519,11 +3167,11 @@ eventListener.onRoomCreate = function(appObj, creatorConnectionObj, roomName, ro
  * 
  * @param       {Object} connectionObj  EasyRTC connection object. Contains methods used for identifying and managing a connection.
  * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
- * @param       {?Object} roomParameter A map(dictionary) object with key/value pairs. The values can be any JSONable object. This field is not currently looked at by EasyRTC, however it is available for custom server applications. May be used for room options or authentication needs.
+ * @param       {?Object} roomParameter A map(dictionary) object with key/value pairs. The values can be any JSONable object. EasyRTC only looks at the password field (checked by roomObj.isJoinAllowed() before this event is fired), however it is available for custom server applications. May be used for room options or authentication needs.
  * @param       {Function} callback     Callback of form (err, connectionRoomObj)
  */
 eventListener.onRoomJoin = function(connectionObj, roomName, roomParameter, callback) {
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onRoomJoin'");
+    pub.util.logDebug("Running func 'onRoomJoin'", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
 
     // roomParameter is a new field. To ease upgrading we'll just show a warning to server applications which haven't updated 
     if (_.isFunction(roomParameter)) {
@@ -1537,9 +3185,16 @@ eventListener.onRoomJoin = function(connectionObj, roomName, roomParameter, call
             callback(err);
             return;
         }
+        // Moderators (such as those flagged by a JWT claim) are given the moderator role in every room they join
+        if (connectionObj.isModerator() && !connectionRoomObj.getRoom().getRoleSync(connectionObj.getEasyrtcid())) {
+            connectionRoomObj.getRoom().setRole(connectionObj.getEasyrtcid(), "moderator", pub.util.nextToNowhere);
+        }
+
         connectionRoomObj.emitRoomDataDelta(false, function(err, roomDataDelta) {
-            // Return connectionRoomObj regardless of if there was a problem sending out the deltas
-            callback(null, connectionRoomObj);
+            // Replay the room history to the new member, then return connectionRoomObj regardless of if there was a problem sending out the deltas
+            emitRoomHistory(connectionObj, connectionRoomObj.getRoom(), function(err) {
+                callback(null, connectionRoomObj);
+            });
         });
     });
 };
@@ -1553,7 +3208,7 @@ eventListener.onRoomJoin = function(connectionObj, roomName, roomParameter, call
  * @param       {nextCallback} next     A success callback of form next(err).
  */
 eventListener.onRoomLeave = function(connectionObj, roomName, next) {
-    pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Running func 'onRoomLeave' with rooms ["+roomName+"]");
+    pub.util.logDebug("Running func 'onRoomLeave' with rooms ["+roomName+"]", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
 
     if(!_.isFunction(next)) {
         next = pub.util.nextToNowhere;
@@ -1561,19 +3216,137 @@ eventListener.onRoomLeave = function(connectionObj, roomName, next) {
 
     connectionObj.room(roomName, function(err, connectionRoomObj) {
         if (err) {
-            pub.util.logWarning("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Couldn't leave room [" + roomName + "]");
+            pub.util.logWarning("Couldn't leave room [" + roomName + "]", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
             next(err);
             return;
         }
 
-        pub.util.logDebug("["+connectionObj.getAppName()+"]["+connectionObj.getEasyrtcid()+"] Leave room [" + roomName + "]");
+        pub.util.logDebug("Leave room [" + roomName + "]", null, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
         connectionRoomObj.leaveRoom(next);
     });
 };
 
 
 /**
- * Default listener for event "shutdown". This event is fired when the server is being shutdown.
+ * Removes a connection from a room at the request of a moderator. The connection is sent a roomData message with a roomStatus of "leave", followed by an easyrtcCmd notice of the moderation action.
+ *
+ * @private
+ * @param       {Object} targetConnectionObj EasyRTC connection object of the connection being removed.
+ * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
+ * @param       {string} noticeMsgType  The msgType of the notice. Either "roomKick" or "roomBan".
+ * @param       {?Object} moderatorConnectionObj EasyRTC connection object of the moderator. May be null if the action was issued by the server application.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+var removeFromRoom = function(targetConnectionObj, roomName, noticeMsgType, moderatorConnectionObj, next) {
+    var noticeMsg = {msgData: {}};
+    noticeMsg.msgData[noticeMsgType] = {
+        roomName: roomName,
+        moderatorEasyrtcid: (moderatorConnectionObj ? moderatorConnectionObj.getEasyrtcid() : null)
+    };
+
+    var roomData = {};
+    roomData[roomName] = {
+        "roomName":     roomName,
+        "roomStatus":   "leave"
+    };
+
+    pub.events.emit("roomLeave", targetConnectionObj, roomName, function(err) {
+        if (err) {
+            next(err);
+            return;
+        }
+        pub.events.emit("emitEasyrtcCmd", targetConnectionObj, "roomData", {msgData: {roomData: roomData}}, null, pub.util.nextToNowhere);
+        pub.events.emit("emitEasyrtcCmd", targetConnectionObj, noticeMsgType, noticeMsg, null, next);
+    });
+};
+
+
+/**
+ * Default listener for event "roomKick". Run when a moderator kicks a connection from a room. Server applications may override this event to audit or veto moderation actions; the moderator's permission has already been checked with roomObj.isModerationAllowed().
+ * 
+ * @param       {?Object} moderatorConnectionObj EasyRTC connection object of the moderator. May be null if the action was issued by the server application.
+ * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
+ * @param       {Object} targetConnectionObj EasyRTC connection object of the connection being kicked.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onRoomKick = function(moderatorConnectionObj, roomName, targetConnectionObj, next) {
+    pub.util.logDebug("Running func 'onRoomKick' with room ["+roomName+"]", null, {appName: targetConnectionObj.getAppName(), easyrtcid: targetConnectionObj.getEasyrtcid()});
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    removeFromRoom(targetConnectionObj, roomName, "roomKick", moderatorConnectionObj, next);
+};
+
+
+/**
+ * Default listener for event "roomBan". Run when a moderator bans a connection from a room. The connection is added to the room ban list, and removed from the room if present. Server applications may override this event to audit or veto moderation actions; the moderator's permission has already been checked with roomObj.isModerationAllowed().
+ * 
+ * @param       {?Object} moderatorConnectionObj EasyRTC connection object of the moderator. May be null if the action was issued by the server application.
+ * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
+ * @param       {Object} targetConnectionObj EasyRTC connection object of the connection being banned.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onRoomBan = function(moderatorConnectionObj, roomName, targetConnectionObj, next) {
+    pub.util.logDebug("Running func 'onRoomBan' with room ["+roomName+"]", null, {appName: targetConnectionObj.getAppName(), easyrtcid: targetConnectionObj.getEasyrtcid()});
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    async.waterfall([
+        function(asyncCallback) {
+            targetConnectionObj.getApp().room(roomName, asyncCallback);
+        },
+        function(roomObj, asyncCallback) {
+            roomObj.addBan(targetConnectionObj, (moderatorConnectionObj ? moderatorConnectionObj.getEasyrtcid() : null), asyncCallback);
+        },
+        function(asyncCallback) {
+            targetConnectionObj.isInRoom(roomName, asyncCallback);
+        },
+        function(isInRoom, asyncCallback) {
+            if (!isInRoom) {
+                asyncCallback(null);
+                return;
+            }
+            removeFromRoom(targetConnectionObj, roomName, "roomBan", moderatorConnectionObj, asyncCallback);
+        }
+    ], next);
+};
+
+
+/**
+ * Default listener for event "roomMuteRequest". Run when a moderator asks a connection in a room to mute its microphone and/or camera. The request is relayed to the target as an easyrtcCmd message; muting is done by the client. Server applications may override this event to audit or veto moderation actions.
+ * 
+ * @param       {?Object} moderatorConnectionObj EasyRTC connection object of the moderator. May be null if the action was issued by the server application.
+ * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
+ * @param       {Object} targetConnectionObj EasyRTC connection object of the connection being asked to mute.
+ * @param       {Object} muteObj        Object of form {muteAudio:<Boolean>, muteVideo:<Boolean>}.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+eventListener.onRoomMuteRequest = function(moderatorConnectionObj, roomName, targetConnectionObj, muteObj, next) {
+    pub.util.logDebug("Running func 'onRoomMuteRequest' with room ["+roomName+"]", null, {appName: targetConnectionObj.getAppName(), easyrtcid: targetConnectionObj.getEasyrtcid()});
+
+    if(!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    pub.events.emit("emitEasyrtcCmd", targetConnectionObj, "roomMuteRequest", {
+        msgData: {
+            roomMuteRequest: {
+                roomName: roomName,
+                moderatorEasyrtcid: (moderatorConnectionObj ? moderatorConnectionObj.getEasyrtcid() : null),
+                muteAudio: (muteObj && muteObj.muteAudio) ? true : false,
+                muteVideo: (muteObj && muteObj.muteVideo) ? true : false
+            }
+        }
+    }, null, next);
+};
+
+
+/**
+ * Default listener for event "shutdown". This event is fired by easyrtc.shutdown() after all connections have been removed. Applications can listen for it to persist their state before the process exits.
  * 
  * @param       {nextCallback} next     A success callback of form next(err).
  */
@@ -1672,6 +3445,37 @@ eventListener.onStartup = function(next) {
                 pub.httpApp.get("/js/easyrtc.js",                   function(req, res) {(res.sendFile||res.sendfile).call(res,"api/easyrtc.js",              {root:__dirname + "/../"});});
                 pub.httpApp.get("/css/easyrtc.css",                 function(req, res) {(res.sendFile||res.sendfile).call(res,"api/easyrtc.css",             {root:__dirname + "/../"});});
             }
+
+            // Set the EasyRTC admin REST API
+            if (pub.getOption("adminEnable")) {
+                ad.mount(pub.httpApp);
+            }
+
+            // Set the Prometheus metrics route
+            if (pub.getOption("metricsEnable")) {
+                pub.util.logDebug("Setting up metrics to be accessed from '" + pub.getOption("metricsUrl") + "'");
+                pub.httpApp.get(pub.getOption("metricsUrl"), function(req, res) {
+                    pub.getMetricsText(function(err, metricsText) {
+                        res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+                        res.end(metricsText);
+                    });
+                });
+            }
+
+            // Set the health and readiness routes
+            if (pub.getOption("healthEnable")) {
+                pub.util.logDebug("Setting up health checks to be accessed from '" + pub.getOption("healthUrl") + "' and '" + pub.getOption("readyUrl") + "'");
+                pub.httpApp.get(pub.getOption("healthUrl"), function(req, res) {
+                    res.setHeader("Content-Type", "application/json; charset=utf-8");
+                    res.end(JSON.stringify({status: "ok"}));
+                });
+                pub.httpApp.get(pub.getOption("readyUrl"), function(req, res) {
+                    var isReady = pub.isReadySync();
+                    res.statusCode = (isReady ? 200 : 503);
+                    res.setHeader("Content-Type", "application/json; charset=utf-8");
+                    res.end(JSON.stringify({status: (isReady ? "ready" : "not ready")}));
+                });
+            }
             callback(null);
         },
 
@@ -1680,22 +3484,70 @@ eventListener.onStartup = function(next) {
 
             pub.socketServer.sockets.on("connection", function (socket) {
                 var easyrtcid = pub.util.getAvailableEasyrtcid();
+                var ipAddress = pub.util.getSocketIpAddress(socket);
+
+                // Refuse sockets from banned IP addresses before any listeners are attached
+                if (pub.isIpBannedSync(ipAddress)) {
+                    pub.util.logInfo("Socket connected from banned IP address ["+ipAddress+"]. Disconnecting socket.", null, {component: "ipBan", easyrtcid: easyrtcid, socketId: socket.id});
+                    try {
+                        socket.emit("easyrtcCmd", pub.util.getErrorMsg("BANNED_IP_ADDR"));
+                        socket.disconnect();
+                    }catch(e) {}
+                    return;
+                }
 
-                pub.util.logDebug("["+easyrtcid+"]["+socket.id+"] Socket connected");
+                pub.util.logDebug("Socket connected", null, {easyrtcid: easyrtcid, socketId: socket.id});
                 pub.util.logDebug("Emitting event 'connection'");
                 pub.events.emit("connection", socket, easyrtcid, function(err) {
                     if(err) {
                         socket.disconnect();
-                        pub.util.logError("["+easyrtcid+"] Connect error", err);
+                        pub.util.logError("Connect error", err, {easyrtcid: easyrtcid});
                     }
                 });
             });
             callback(null);
         },
 
-        // Setup default application
+        // Join the cluster
+        function(callback) {
+            if (pub.getOption("clusterEnable")) {
+                pub.cluster.start(callback);
+            }
+            else {
+                callback(null);
+            }
+        },
+
+        // Restore applications and rooms from the state store
+        function(callback) {
+            if (pub.getOption("stateStoreRestoreEnable")) {
+                pub.restoreState(callback);
+            }
+            else {
+                callback(null);
+            }
+        },
+
+        // Apply applications and rooms from the config file, which take precedence over restored state
+        function(callback) {
+            if (pub.getOption("configFile")) {
+                pub.loadConfigFile(pub.getOption("configFile"), callback);
+            }
+            else {
+                callback(null);
+            }
+        },
+
+        // Setup default application (unless already restored from the state store)
         function(callback) {
-            pub.createApp(pub.getOption("appDefaultName"), null, callback);
+            pub.isApp(pub.getOption("appDefaultName"), function(err, isApp) {
+                if (isApp) {
+                    pub.app(pub.getOption("appDefaultName"), callback);
+                }
+                else {
+                    pub.createApp(pub.getOption("appDefaultName"), null, callback);
+                }
+            });
         },
 
         function(appObj, callback) {
@@ -1710,4 +3562,7 @@ eventListener.onStartup = function(next) {
     function (err) {
         next(err);
     });
-};
\ No newline at end of file
+};
+
+return eventListener;
+};
@@ -21,6 +21,9 @@ option.appIceServers = [                                    // Array of STUN and
     {urls: "stun:stun.sipgate.net:10000"},
     {urls: "stun:217.10.68.152:10000"}
 ];
+option.appTurnSecret        = null;                         // Secret shared with a TURN server using the TURN REST API scheme. If set, ephemeral credentials for appTurnUrls are added to the ICE servers of each connection.
+option.appTurnTtl           = 86400;                        // Number of seconds ephemeral TURN credentials are valid for. Clients refresh their ICE configuration before then.
+option.appTurnUrls          = null;                         // Array of TURN server URLs which ephemeral credentials are generated for, such as ["turn:turn.example.com:3478", "turns:turn.example.com:443?transport=tcp"]
 
 
 // Room Options
@@ -28,11 +31,74 @@ option.roomDefaultEnable    = true;                         // Enables connectio
 option.roomDefaultName      = "default";                    // The default room a connection joins if it is not initially specified.
 option.roomAutoCreateEnable = true;                         // Enables the creation of rooms from the API. Occurs when client joins a nonexistent room.
 option.roomDefaultFieldObj  = null;                         // Default fields which are set when a room is created. In form of {"fieldName":{fieldValue:<JsonObj>, fieldOption:{isShared:<boolean>}}[, ...]}
+option.roomPassword         = null;                         // Password required to join a room. Clients provide it as the password field of the roomParameter. Usually set per room with roomObj.setOption().
+option.roomPasswordHash     = null;                         // Hex encoded SHA-256 hash of the password required to join a room. Takes precedence over roomPassword, and avoids keeping the password in plain text.
+option.roomInviteList       = null;                         // Array of usernames allowed to join a room. If null, the room is not invite only.
+option.roomMaxOccupants     = null;                         // Maximum number of connections in a room. If null, there is no limit.
+option.roomHistoryEnable    = false;                        // Keeps the latest easyrtcMsg messages sent to a room (with targetRoom) in the state store. They are sent to connections joining the room and can be fetched with the getRoomHistory command.
+option.roomHistoryLength    = 50;                           // Maximum number of messages kept in the history of each room.
+option.roomHistoryMsgTypes  = null;                         // Array of msgTypes kept in room history. If null, all msgTypes are kept.
+
+
+// Group Options
+option.groupAutoCreateEnable = true;                        // Enables the creation of groups from the API. Occurs when client joins a nonexistent group.
+option.groupDefaultFieldObj = null;                         // Default fields which are set when a group is created. In form of {"fieldName":{fieldValue:<JsonObj>, fieldOption:{isShared:<boolean>}}[, ...]}
+
+
+// Rate Limit Options
+option.msgDataMaxSize       = null;                         // Maximum length of the JSON encoded msgData of incoming messages. Larger messages are rejected with MSG_REJECT_BAD_SIZE. If null, there is no limit. Such as 65536
+option.rateLimitConnection  = null;                         // Token bucket limit for easyrtcCmd and easyrtcMsg messages from each connection. Rates are per second. If null, there is no limit. Such as {msgRate: 50, msgBurst: 200, byteRate: 1048576, byteBurst: 4194304}
+option.rateLimitIp          = null;                         // Token bucket limit shared by all connections from the same IP address within an application. Same form as rateLimitConnection.
+option.rateLimitApp         = null;                         // Token bucket limit shared by all connections in the same application. Same form as rateLimitConnection.
+option.rateLimitDisconnectCount = 20;                       // Number of throttled messages within rateLimitDisconnectWindow after which a connection is disconnected. If null, connections are never disconnected.
+option.rateLimitDisconnectWindow = 60000;                   // Time window in milliseconds for counting throttled messages.
 
 
 // Connection Options
 option.connectionDefaultFieldObj  = null;                   // Default fields which are set when a connection is created. In form of {"fieldName":{fieldValue:<JsonObj>, fieldOption:{isShared:<boolean>}}[, ...]}
+option.reconnectGraceTime   = 0;                            // Milliseconds a connection whose socket dropped is held (keeping its easyrtcid, rooms and fields) for the client to resume it with its resume token. 0 disables.
+
+
+// Offline Message Options
+option.offlineMsgEnable     = false;                        // Queues easyrtcMsg messages sent to a targetUsername which has no connections, and delivers them when the username next authenticates.
+option.offlineMsgTtl        = 86400000;                     // Milliseconds a queued offline message is kept before it expires.
+option.offlineMsgMaxCount   = 100;                          // Maximum number of offline messages queued for each username. Further messages are rejected.
+
+
+// Presence Options
+option.presenceSubscribeEnable      = true;                 // Allows clients to subscribe to the presence of usernames they do not share a room with.
+option.presenceSubscriptionMaxCount = 200;                  // Maximum number of usernames each connection may subscribe to.
+
+
+// JWT Authentication Options
+option.jwtAuthEnable        = false;                        // Verifies the credential of each easyrtcAuth message as a JSON Web Token, rejecting the connection with LOGIN_BAD_AUTH if it is not valid. Custom "authenticate" listeners still run after the token is verified.
+option.jwtAlgorithm         = "HS256";                      // Token signing algorithm. Can be ("HS256"|"RS256")
+option.jwtSecret            = null;                         // Shared secret for HS256 tokens.
+option.jwtPublicKey         = null;                         // PEM encoded public key for RS256 tokens.
+option.jwtIssuer            = null;                         // Required "iss" claim (string or array of strings). If null, the issuer is not checked.
+option.jwtAudience          = null;                         // Required "aud" claim (string or array of strings). If null, the audience is not checked.
+option.jwtClockSkew         = 30000;                        // Milliseconds of clock difference allowed when checking the "exp" and "nbf" claims.
+option.jwtUsernameClaim     = "sub";                        // Claim holding the username of the connection. Any username sent by the client is ignored. Must match usernameRegExp.
+option.jwtAppsClaim         = "apps";                       // Claim holding an array of the application names the token may connect to. If absent, any application is allowed.
+option.jwtRoomsClaim        = "rooms";                      // Claim holding an array of the room names the connection may join. If absent, any room is allowed.
+option.jwtModeratorClaim    = "moderator";                  // Claim which, when true, gives the connection the moderator role in every room it joins.
+option.jwtFieldsClaim       = "fields";                     // Claim holding initial connection fields. In form of {"fieldName":{fieldValue:<JsonObj>, fieldOption:{isShared:<boolean>}}[, ...]}
+
 
+// Webhook Options
+option.webhookEnable        = false;                        // Sends connection and room lifecycle events to the webhookTargets as signed JSON POST requests.
+option.webhookTargets       = null;                         // Array of webhook targets of form {url:<String>, secret:<?String>, events:<?Array>}. Each request is signed with the secret. If events is absent, the target receives every event. Events are authenticated, disconnect, roomCreate, roomJoin, roomLeave and roomDelete.
+option.webhookTimeout       = 5000;                         // Milliseconds a webhook request may take before it is considered failed.
+option.webhookRetryCount    = 5;                            // Number of times a failed webhook delivery is retried before it is dropped.
+option.webhookRetryDelay    = 1000;                         // Milliseconds before the first retry of a failed webhook delivery. The delay doubles with each retry.
+option.webhookRetryMaxDelay = 60000;                        // Maximum milliseconds between retries of a failed webhook delivery.
+option.webhookQueueMaxLength = 1000;                        // Maximum number of pending webhook deliveries. When exceeded, the oldest deliveries are dropped.
+
+
+// Call Tracking Options
+option.callTrackEnable      = false;                        // Links the offer, answer, reject and hangup signals relayed by the server into calls, firing the callStart, callAnswered and callEnd events.
+option.callRingTimeout      = 60000;                        // Milliseconds a call may go unanswered before it ends with the "timeout" reason. If 0, calls ring until answered or hung up.
+option.callCdrSinks         = null;                         // Array of sinks which are sent a call detail record as each call ends. A sink is a function(cdr) or an object with a write(cdr) method, such as a callTracker.FileSink.
 
 // SessionOptions
 option.sessionEnable        = true;                         // Enable sessions. If sessions are disabled, each socket connection from the same user will be the same. Relies on Express session handling also being enabled.
@@ -46,6 +112,20 @@ option.apiLabsEnable        = true;                         // Enables hosting o
 option.apiOldLocationEnable = false;                        // [Depreciated] Listens for requests to core API files in old locations (in addition to the new standard locations)
 
 
+// Admin API Options
+option.adminEnable          = false;                        // Enables the admin REST API for inspecting and managing apps, rooms, connections and sessions. Requires adminToken to be set.
+option.adminPublicFolder    = "/easyrtcadmin";              // Admin API public folder without trailing slash.
+option.adminToken           = null;                         // Bearer token required in the Authorization header of every admin API request. Use a long random string.
+
+
+// Metrics and Health Check Options
+option.metricsEnable        = false;                        // Enables collecting metrics and hosting them in the Prometheus text format.
+option.metricsUrl           = "/metrics";                   // Url of the Prometheus metrics route.
+option.healthEnable         = false;                        // Enables hosting of the health and readiness check routes.
+option.healthUrl            = "/healthz";                   // Url of the health check route. Responds with 200 while the process is running.
+option.readyUrl             = "/readyz";                    // Url of the readiness check route. Responds with 200 once the server is ready for connections, otherwise 503.
+
+
 // Demo Options
 option.demosEnable          = true;
 option.demosPublicFolder    = "/demos";                     // Demos public folder without trailing slash. This sets the public URL where where demos are hosted, such as http://yourdomain/demos/
@@ -59,9 +139,30 @@ option.logWarningStackEnable= true;                         // print the stack t
 option.logColorEnable       = true;                         // include console colors. Disable if forwarding logs to files or databases
 option.logObjectDepth       = 7;                            // When objects are included in the log, this is the max depth the log will display
 option.logMessagesEnable    = false;                        // Log the full contents of incoming and outgoing messages. Also requires the logLevel to be set at "debug". Introduces security and performance concerns.
+option.logFormat            = "text";                       // Format of log entries. (text|json) The json format writes one JSON object per line, with the level, time, component, appName, easyrtcid, roomName, msgType and errorCode as separate fields.
+option.logTransports        = null;                         // Array of log transports, such as new easyrtc.logTransport.FileTransport("easyrtc.log"), or functions of form function(logLine, logEntry). If null, logs are written to the console.
+option.logComponentLevels   = null;                         // Map of components to minimum log levels, overriding logLevel. Components are core, admin, call, cluster, config, ipBan, rateLimit, stateStore and webhook. Such as {"cluster": "debug"}
+
+// State Store Options
+option.stateStore           = null;                         // State store adapter used to persist app, room, session and connection state. If null, state is kept in memory only and nothing is persisted. See easyrtc.stateStore for the MemoryStore and FileStore adapters.
+option.stateStoreRestoreEnable = true;                      // On startup, recreate apps and rooms (with their options and fields) found in the state store.
+
+
+// Cluster Options
+option.clusterEnable        = false;                        // Enables cluster mode. Signaling to connections, rooms and groups hosted on other EasyRTC processes is relayed over the cluster bus.
+option.clusterBus           = null;                         // Cluster bus adapter. Required if clusterEnable is true. See easyrtc.cluster for the LocalBus and IpcBus adapters.
+option.clusterNodeId        = null;                         // Unique identifier of this node within the cluster. If null, a random identifier is generated.
+option.clusterHeartbeatInterval = 5000;                     // Milliseconds between node heartbeats. A node which is silent for three intervals is considered gone, and its connections are removed from rooms.
+
+
+// Config File Options
+option.configFile           = null;                         // Path of a JSON config file loaded on startup, declaring server options, applications and rooms. See easyrtc.loadConfigFile()
+option.configWatchEnable    = true;                         // Watches the loaded config file, reapplying it when it changes. Options which are only read on startup are not reapplied.
+option.configWatchInterval  = 2000;                         // Milliseconds between checks of the config file for changes.
 
 // Miscellaneous Server Options
 option.updateCheckEnable    = true;                         // Checks for updates
+option.shutdownDrainTime    = 5000;                         // Milliseconds easyrtc.shutdown() waits for clients to leave before removing the remaining connections.
 
 
 // Regular expressions for validating names and other input
@@ -0,0 +1,352 @@
+/* global module, require */
+
+/**
+ * @file        IP address ban list used by EasyRTC for refusing connections from single addresses or CIDR ranges.
+ * @module      easyrtc_ip_ban
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var net             = require("net");
+var _               = require("underscore");                // General utility functions external module
+
+/**
+ * Creates the IP ban list of an EasyRTC instance.
+ *
+ * @returns     {Object}                EasyRTC IP ban object.
+ */
+module.exports = function() {
+
+/**
+ * IP ban list. Bans are held in memory, keyed by the normalized address or CIDR range, and are written through to the state store by the public object. A CIDR range is keyed by its network address, so "10.1.2.3/8" and "10.0.0.0/8" are the same ban. IPv4 addresses are compared in their IPv4-mapped IPv6 form, so a ban on "10.0.0.0/8" also matches a socket address of "::ffff:10.1.2.3".
+ *
+ * @class
+ */
+var ib = {};
+
+
+// Map of ban keys to ban records. Each record holds the address bytes and prefix length used for matching.
+var banList = {};
+
+
+/**
+ * Converts an IPv4 or IPv6 address to an array of 16 bytes. IPv4 addresses are converted to their IPv4-mapped IPv6 form. Returns null if the address is improper.
+ *
+ * @private
+ * @param       {string} ipAddress      IPv4 or IPv6 address. An IPv6 zone index (%eth0) is ignored.
+ * @returns     {?Array.<Number>}       Array of 16 bytes.
+ */
+var getAddressBytes = function(ipAddress) {
+    var i, byteArray;
+
+    if (!_.isString(ipAddress)) {
+        return null;
+    }
+    ipAddress = ipAddress.split("%")[0];
+
+    if (net.isIPv4(ipAddress)) {
+        byteArray = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff];
+        return byteArray.concat(_.map(ipAddress.split("."), function(part) {
+            return parseInt(part, 10);
+        }));
+    }
+
+    if (!net.isIPv6(ipAddress)) {
+        return null;
+    }
+
+    // Convert a trailing embedded IPv4 address (such as ::ffff:10.1.2.3) into two hex groups
+    var lastColon = ipAddress.lastIndexOf(":");
+    var tail = ipAddress.substr(lastColon + 1);
+    if (net.isIPv4(tail)) {
+        var tailBytes = getAddressBytes(tail).slice(12);
+        ipAddress = ipAddress.substr(0, lastColon + 1) + ((tailBytes[0] << 8) + tailBytes[1]).toString(16) + ":" + ((tailBytes[2] << 8) + tailBytes[3]).toString(16);
+    }
+
+    // Expand the :: shorthand into the missing zero groups
+    var halves = ipAddress.split("::");
+    var head = (halves[0] ? halves[0].split(":") : []);
+    var rest = (halves.length > 1 && halves[1] ? halves[1].split(":") : []);
+    var groups = head;
+    for (i = head.length + rest.length; i < 8; i++) {
+        groups.push("0");
+    }
+    groups = groups.concat(rest);
+
+    byteArray = [];
+    for (i = 0; i < 8; i++) {
+        var groupValue = parseInt(groups[i], 16);
+        byteArray.push(groupValue >> 8, groupValue & 0xff);
+    }
+    return byteArray;
+};
+
+
+/**
+ * Returns a copy of an address with the bits after a prefix cleared, giving the network address of a range.
+ *
+ * @private
+ * @param       {Array.<Number>} addressBytes Array of 16 bytes.
+ * @param       {Number} prefixLength   Number of bits to keep.
+ * @returns     {Array.<Number>}        Array of 16 bytes.
+ */
+var getMaskedBytes = function(addressBytes, prefixLength) {
+    return _.map(addressBytes, function(addressByte, i) {
+        var bitCount = Math.max(0, Math.min(prefixLength - (i * 8), 8));
+        return addressByte & ((0xff << (8 - bitCount)) & 0xff);
+    });
+};
+
+
+/**
+ * Formats an array of 16 bytes as an address. IPv4 addresses are formatted in dotted form, and IPv6 addresses in their shortest form (RFC 5952).
+ *
+ * @private
+ * @param       {Array.<Number>} addressBytes Array of 16 bytes.
+ * @param       {Boolean} isIPv4        True to format the last four bytes as an IPv4 address.
+ * @returns     {string}
+ */
+var formatAddressBytes = function(addressBytes, isIPv4) {
+    var i;
+    if (isIPv4) {
+        return addressBytes.slice(12).join(".");
+    }
+
+    var groups = [];
+    for (i = 0; i < 16; i += 2) {
+        groups.push((addressBytes[i] << 8) + addressBytes[i + 1]);
+    }
+
+    // Find the longest run of two or more zero groups, which is shortened to ::
+    var bestStart = -1, bestLength = 0, runStart = -1;
+    for (i = 0; i <= 8; i++) {
+        if (i < 8 && groups[i] === 0) {
+            if (runStart === -1) {
+                runStart = i;
+            }
+        }
+        else if (runStart !== -1) {
+            if (i - runStart > bestLength && i - runStart > 1) {
+                bestStart = runStart;
+                bestLength = i - runStart;
+            }
+            runStart = -1;
+        }
+    }
+
+    var hexGroups = _.map(groups, function(groupValue) {
+        return groupValue.toString(16);
+    });
+    if (bestStart === -1) {
+        return hexGroups.join(":");
+    }
+    return hexGroups.slice(0, bestStart).join(":") + "::" + hexGroups.slice(bestStart + bestLength).join(":");
+};
+
+
+/**
+ * Parses an address or CIDR range. Returns null if it is improper. The key is the normalized form, with the host bits of a range cleared.
+ *
+ * @private
+ * @param       {string} ipSpec         Single address (such as "192.168.1.10") or CIDR range (such as "10.0.0.0/8" or "2001:db8::/32").
+ * @returns     {?Object}               Object of form {key:<String>, addressBytes:<Array>, prefixLength:<Number>}. The prefix length is relative to the 128 bit IPv6 form.
+ */
+var parseIpSpec = function(ipSpec) {
+    if (!_.isString(ipSpec)) {
+        return null;
+    }
+
+    var parts = ipSpec.split("/");
+    var address = parts[0];
+    var addressBytes = getAddressBytes(address);
+    if (!addressBytes || parts.length > 2) {
+        return null;
+    }
+
+    var maxPrefixLength = (net.isIPv4(address) ? 32 : 128);
+    var prefixLength = maxPrefixLength;
+    if (parts.length === 2) {
+        if (!/^[0-9]{1,3}$/.test(parts[1]) || parseInt(parts[1], 10) > maxPrefixLength) {
+            return null;
+        }
+        prefixLength = parseInt(parts[1], 10);
+    }
+
+    var networkBytes = getMaskedBytes(addressBytes, prefixLength + (128 - maxPrefixLength));
+    var networkAddress = formatAddressBytes(networkBytes, net.isIPv4(address));
+
+    return {
+        key: (prefixLength === maxPrefixLength ? networkAddress : networkAddress + "/" + prefixLength),
+        addressBytes: networkBytes,
+        prefixLength: prefixLength + (128 - maxPrefixLength)
+    };
+};
+
+
+/**
+ * Determines if the leading prefixLength bits of two byte arrays match.
+ *
+ * @private
+ * @param       {Array.<Number>} aBytes First address.
+ * @param       {Array.<Number>} bBytes Second address.
+ * @param       {Number} prefixLength   Number of bits to compare.
+ * @returns     {Boolean}
+ */
+var isPrefixMatch = function(aBytes, bBytes, prefixLength) {
+    for (var i = 0; i < 16 && prefixLength > 0; i++) {
+        var bitCount = Math.min(prefixLength, 8);
+        var mask = (0xff << (8 - bitCount)) & 0xff;
+        if ((aBytes[i] & mask) !== (bBytes[i] & mask)) {
+            return false;
+        }
+        prefixLength -= bitCount;
+    }
+    return true;
+};
+
+
+/**
+ * Removes bans which have expired.
+ *
+ * @private
+ */
+var removeExpired = function() {
+    var now = Date.now();
+    for (var banKey in banList) {
+        if (banList.hasOwnProperty(banKey) && banList[banKey].expiresOn !== null && banList[banKey].expiresOn <= now) {
+            delete banList[banKey];
+        }
+    }
+};
+
+
+/**
+ * Returns true if an address or CIDR range is properly formed.
+ *
+ * @param       {string} ipSpec         Single address or CIDR range.
+ * @returns     {Boolean}
+ */
+ib.isValidIpSpec = function(ipSpec) {
+    return parseIpSpec(ipSpec) !== null;
+};
+
+
+/**
+ * Adds a ban. An existing ban on the same address or range is replaced. Returns the ban record, or null if the ipSpec is improper.
+ *
+ * @param       {string} ipSpec         Single address or CIDR range.
+ * @param       {?Object} [banOptions]  Supports duration (milliseconds until the ban expires, defaults to never) and reason (string).
+ * @returns     {?Object}               Ban record of form {ip:<String>, bannedOn:<Number>, expiresOn:<?Number>, reason:<?String>}.
+ */
+ib.add = function(ipSpec, banOptions) {
+    var parsedSpec = parseIpSpec(ipSpec);
+    if (!parsedSpec) {
+        return null;
+    }
+    if (!_.isObject(banOptions)) {
+        banOptions = {};
+    }
+
+    var now = Date.now();
+    banList[parsedSpec.key] = {
+        ip: parsedSpec.key,
+        addressBytes: parsedSpec.addressBytes,
+        prefixLength: parsedSpec.prefixLength,
+        bannedOn: now,
+        expiresOn: (_.isNumber(banOptions.duration) ? now + banOptions.duration : null),
+        reason: (_.isString(banOptions.reason) ? banOptions.reason : null)
+    };
+    return ib.get(parsedSpec.key);
+};
+
+
+/**
+ * Adds a ban record read back from the state store, keeping its original times. Returns false if the record is improper or has expired.
+ *
+ * @param       {Object} banRecord      Ban record of form {ip:<String>, bannedOn:<Number>, expiresOn:<?Number>, reason:<?String>}.
+ * @returns     {Boolean}
+ */
+ib.restore = function(banRecord) {
+    var parsedSpec = (_.isObject(banRecord) ? parseIpSpec(banRecord.ip) : null);
+    if (!parsedSpec || (_.isNumber(banRecord.expiresOn) && banRecord.expiresOn <= Date.now())) {
+        return false;
+    }
+    banList[parsedSpec.key] = {
+        ip: parsedSpec.key,
+        addressBytes: parsedSpec.addressBytes,
+        prefixLength: parsedSpec.prefixLength,
+        bannedOn: (_.isNumber(banRecord.bannedOn) ? banRecord.bannedOn : Date.now()),
+        expiresOn: (_.isNumber(banRecord.expiresOn) ? banRecord.expiresOn : null),
+        reason: (_.isString(banRecord.reason) ? banRecord.reason : null)
+    };
+    return true;
+};
+
+
+/**
+ * Removes a ban. Any address within a range may be given with the range's prefix length, so "10.1.2.3/8" removes the ban on "10.0.0.0/8". Returns the key of the removed ban, or null if there was no such ban.
+ *
+ * @param       {string} ipSpec         Single address or CIDR range.
+ * @returns     {?string}               Normalized address or CIDR range of the removed ban.
+ */
+ib.remove = function(ipSpec) {
+    var parsedSpec = parseIpSpec(ipSpec);
+    if (!parsedSpec || !banList.hasOwnProperty(parsedSpec.key)) {
+        return null;
+    }
+    delete banList[parsedSpec.key];
+    return parsedSpec.key;
+};
+
+
+/**
+ * Returns a copy of a ban record, or null if there is no such ban.
+ *
+ * @param       {string} banKey         Address or CIDR range of the ban.
+ * @returns     {?Object}               Ban record of form {ip:<String>, bannedOn:<Number>, expiresOn:<?Number>, reason:<?String>}.
+ */
+ib.get = function(banKey) {
+    removeExpired();
+    if (!banList.hasOwnProperty(banKey)) {
+        return null;
+    }
+    return {
+        ip: banList[banKey].ip,
+        bannedOn: banList[banKey].bannedOn,
+        expiresOn: banList[banKey].expiresOn,
+        reason: banList[banKey].reason
+    };
+};
+
+
+/**
+ * Returns an array of all current ban records.
+ *
+ * @returns     {Array.<Object>}        Array of ban records.
+ */
+ib.getAll = function() {
+    removeExpired();
+    return _.map(Object.keys(banList), ib.get);
+};
+
+
+/**
+ * Returns true if an address is covered by a current ban. Improper addresses are never banned.
+ *
+ * @param       {string} ipAddress      IPv4 or IPv6 address, such as a socket remote address.
+ * @returns     {Boolean}
+ */
+ib.isBanned = function(ipAddress) {
+    var addressBytes = getAddressBytes(ipAddress);
+    if (!addressBytes) {
+        return false;
+    }
+    removeExpired();
+    return _.some(banList, function(ban) {
+        return isPrefixMatch(addressBytes, ban.addressBytes, ban.prefixLength);
+    });
+};
+
+return ib;
+};
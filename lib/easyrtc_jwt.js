@@ -0,0 +1,196 @@
+/* global module, require, Buffer, Uint8Array */
+
+/**
+ * @file        JSON Web Token (JWT) verification used by the built-in JWT authentication of EasyRTC. Supports the HS256 and RS256 algorithms.
+ * @module      easyrtc_jwt
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var crypto          = require("crypto");                    // Cryptography core module
+var _               = require("underscore");                // General utility functions external module
+
+/**
+ * Creates the JWT verification methods of an EasyRTC instance.
+ *
+ * @param       {Object} pub            EasyRTC public object of the instance.
+ * @returns     {Object}                EasyRTC JWT object.
+ */
+module.exports = function(pub) {
+
+/**
+ * JWT verification.
+ *
+ * @class
+ */
+var jw = {};
+
+
+/**
+ * Decodes a base64url encoded string, as used in each part of a JWT.
+ *
+ * @private
+ * @param       {string} text           Base64url encoded text.
+ * @returns     {Buffer}
+ */
+var base64UrlDecode = function(text) {
+    var base64Text = text.replace(/-/g, "+").replace(/_/g, "/");
+    while (base64Text.length % 4 !== 0) {
+        base64Text += "=";
+    }
+    // Buffer.from() is missing before Node 4.5 (where it is inherited from Uint8Array), while new Buffer() is deprecated after
+    if (Buffer.from && Buffer.from !== Uint8Array.from) {
+        return Buffer.from(base64Text, "base64");
+    }
+    return new Buffer(base64Text, "base64");
+};
+
+
+/**
+ * Compares two buffers in a time which does not depend on where they differ.
+ *
+ * @private
+ * @param       {Buffer} a
+ * @param       {Buffer} b
+ * @returns     {Boolean}
+ */
+var isBufferEqual = function(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    var diff = 0;
+    for (var i = 0; i < a.length; i++) {
+        diff |= a[i] ^ b[i];
+    }
+    return diff === 0;
+};
+
+
+/**
+ * Determines if a claim matches an expected value. Either side may be a string or an array of strings, and they match if they share any string.
+ *
+ * @private
+ * @param       {*} claimValue          Claim value from the token.
+ * @param       {string|Array.<string>} expectedValue Expected value.
+ * @returns     {Boolean}
+ */
+var isClaimMatch = function(claimValue, expectedValue) {
+    var claimList = (_.isArray(claimValue) ? claimValue : [claimValue]);
+    var expectedList = (_.isArray(expectedValue) ? expectedValue : [expectedValue]);
+    return _.some(claimList, function(currentValue) {
+        return _.isString(currentValue) && _.contains(expectedList, currentValue);
+    });
+};
+
+
+/**
+ * Decodes a JWT without verifying it. Returns null if the token is not a well formed JWT.
+ *
+ * @param       {string} token          Token in the compact form header.payload.signature
+ * @returns     {?Object}               Object of form {header:<Object>, payload:<Object>, signingInput:<string>, signature:<Buffer>}
+ */
+jw.decode = function(token) {
+    if (!_.isString(token)) {
+        return null;
+    }
+    var partList = token.split(".");
+    if (partList.length !== 3) {
+        return null;
+    }
+    try {
+        var header = JSON.parse(base64UrlDecode(partList[0]).toString("utf8"));
+        var payload = JSON.parse(base64UrlDecode(partList[1]).toString("utf8"));
+        if (!_.isObject(header) || !_.isObject(payload) || _.isArray(payload)) {
+            return null;
+        }
+        return {
+            header:         header,
+            payload:        payload,
+            signingInput:   partList[0] + "." + partList[1],
+            signature:      base64UrlDecode(partList[2])
+        };
+    } catch (e) {
+        return null;
+    }
+};
+
+
+/**
+ * Verifies the signature and registered claims (exp, nbf, iss and aud) of a JWT. The algorithm in the token header must match the expected algorithm.
+ *
+ * @param       {string} token          Token in the compact form header.payload.signature
+ * @param       {Object} verifyOptions  Object of form {algorithm:<"HS256"|"RS256">, secret:<?string>, publicKey:<?string>, issuer:<?string|Array>, audience:<?string|Array>, clockSkew:<Number>}. The secret is used for HS256 and the PEM encoded publicKey for RS256. The clockSkew is in milliseconds.
+ * @param       {function(?Error, Object=)} callback Callback with error and the token claims (payload).
+ */
+jw.verify = function(token, verifyOptions, callback) {
+    var decodedToken = jw.decode(token);
+    if (!decodedToken) {
+        callback(new pub.util.ConnectionWarning("JWT is malformed"));
+        return;
+    }
+
+    if (decodedToken.header.alg !== verifyOptions.algorithm) {
+        callback(new pub.util.ConnectionWarning("JWT algorithm [" + decodedToken.header.alg + "] is not allowed"));
+        return;
+    }
+
+    var isSignatureValid = false;
+    try {
+        if (verifyOptions.algorithm === "HS256") {
+            if (!verifyOptions.secret) {
+                callback(new pub.util.ServerError("JWT secret is not set"));
+                return;
+            }
+            isSignatureValid = isBufferEqual(crypto.createHmac("sha256", verifyOptions.secret).update(decodedToken.signingInput).digest(), decodedToken.signature);
+        }
+        else if (verifyOptions.algorithm === "RS256") {
+            if (!verifyOptions.publicKey) {
+                callback(new pub.util.ServerError("JWT public key is not set"));
+                return;
+            }
+            isSignatureValid = crypto.createVerify("RSA-SHA256").update(decodedToken.signingInput).verify(verifyOptions.publicKey, decodedToken.signature);
+        }
+        else {
+            callback(new pub.util.ServerError("JWT algorithm [" + verifyOptions.algorithm + "] is not supported"));
+            return;
+        }
+    } catch (e) {
+        callback(new pub.util.ConnectionWarning("JWT signature could not be verified. " + e.message));
+        return;
+    }
+
+    if (!isSignatureValid) {
+        callback(new pub.util.ConnectionWarning("JWT signature is invalid"));
+        return;
+    }
+
+    var claims = decodedToken.payload;
+    var now = Date.now();
+    var clockSkew = verifyOptions.clockSkew || 0;
+
+    if (claims.exp !== undefined && (!_.isNumber(claims.exp) || now - clockSkew >= claims.exp * 1000)) {
+        callback(new pub.util.ConnectionWarning("JWT has expired"));
+        return;
+    }
+
+    if (claims.nbf !== undefined && (!_.isNumber(claims.nbf) || now + clockSkew < claims.nbf * 1000)) {
+        callback(new pub.util.ConnectionWarning("JWT is not yet valid"));
+        return;
+    }
+
+    if (verifyOptions.issuer && !isClaimMatch(claims.iss, verifyOptions.issuer)) {
+        callback(new pub.util.ConnectionWarning("JWT issuer is not allowed"));
+        return;
+    }
+
+    if (verifyOptions.audience && !isClaimMatch(claims.aud, verifyOptions.audience)) {
+        callback(new pub.util.ConnectionWarning("JWT audience is not allowed"));
+        return;
+    }
+
+    callback(null, claims);
+};
+
+return jw;
+};
@@ -0,0 +1,319 @@
+/* global module, require, console, process, Buffer */
+
+/**
+ * @file        Log entry formatting and log transports used by the default EasyRTC "log" listener.
+ * @module      easyrtc_log
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var fs              = require("fs");                        // File system core module
+var util            = require("util");                      // General utility functions core module
+var _               = require("underscore");                // General utility functions external module
+
+/**
+ * Log formatting and transports. A transport is either an object with a write(logLine, logEntry) method, or a function of form function(logLine, logEntry). The logLine is the formatted text (without a trailing newline) and the logEntry is the structured entry.
+ *
+ * @class
+ */
+var lg = module.exports;
+
+
+/**
+ * Log levels in order of severity.
+ *
+ * @private
+ */
+var levelList = ["debug", "info", "warning", "error"];
+
+
+/**
+ * Context fields in the order they are shown as text prefixes, such as [appName][easyrtcid].
+ *
+ * @private
+ */
+var prefixFieldList = ["component", "appName", "easyrtcid", "roomName", "groupName", "socketId"];
+
+
+/**
+ * Determines if an item at a given level should be logged.
+ *
+ * @param       {string} level          Log severity level of the item. Can be ("debug"|"info"|"warning"|"error")
+ * @param       {string} minLevel       Minimum log level to show. Can be ("debug"|"info"|"warning"|"error"|"none")
+ * @returns     {Boolean}
+ */
+lg.isLevelEnabled = function(level, minLevel) {
+    var minLevelIndex = levelList.indexOf(minLevel);
+    if (minLevelIndex < 0) {
+        return false;
+    }
+    return levelList.indexOf(level) >= minLevelIndex;
+};
+
+
+/**
+ * Returns the text prefix for a log context, such as "[myApp][myEasyrtcid]". Returns an empty string if there are no context fields.
+ *
+ * @param       {?Object} logContext    Log context of form {component, appName, easyrtcid, roomName, groupName, socketId, msgType, errorCode}
+ * @returns     {string}
+ */
+lg.getTextPrefix = function(logContext) {
+    var prefix = "";
+    if (!_.isObject(logContext)) {
+        return prefix;
+    }
+    _.each(prefixFieldList, function(fieldName) {
+        if (logContext[fieldName] !== undefined && logContext[fieldName] !== null) {
+            prefix += "[" + logContext[fieldName] + "]";
+        }
+    });
+    return prefix;
+};
+
+
+/**
+ * Returns a structured log entry. Context fields are copied to the top level of the entry. The msgType and errorCode are taken from the log fields if they are an EasyRTC message and the context does not hold them.
+ *
+ * @param       {string} level          Log severity level. Can be ("debug"|"info"|"warning"|"error")
+ * @param       {string} logText        Text for log.
+ * @param       {?*} logFields          Extra fields to be logged. Errors are placed in the error field of the entry.
+ * @param       {?Object} logContext    Log context of form {component, appName, easyrtcid, roomName, groupName, socketId, msgType, errorCode}
+ * @param       {Boolean} isStackEnabled True if the stack trace of errors should be included.
+ * @returns     {Object}                Log entry of form {time, level, component, [appName], [easyrtcid], [roomName], [groupName], [socketId], [msgType], [errorCode], message, [fields], [error]}
+ */
+lg.getLogEntry = function(level, logText, logFields, logContext, isStackEnabled) {
+    var logEntry = {
+        time:       new Date().toISOString(),
+        level:      level,
+        component:  "core"
+    };
+
+    _.each(logContext, function(fieldValue, fieldName) {
+        if (fieldValue !== undefined && fieldValue !== null) {
+            logEntry[fieldName] = fieldValue;
+        }
+    });
+
+    if (_.isObject(logFields) && !(logFields instanceof Error)) {
+        if (!logEntry.msgType && _.isString(logFields.msgType)) {
+            logEntry.msgType = logFields.msgType;
+        }
+        if (!logEntry.errorCode && _.isObject(logFields.msgData) && _.isString(logFields.msgData.errorCode)) {
+            logEntry.errorCode = logFields.msgData.errorCode;
+        }
+    }
+
+    logEntry.message = logText;
+
+    if (logFields instanceof Error) {
+        logEntry.error = {name: logFields.name, message: logFields.message};
+        if (isStackEnabled) {
+            logEntry.error.stack = logFields.stack;
+        }
+    }
+    else if (logFields !== undefined && logFields !== null) {
+        logEntry.fields = logFields;
+    }
+
+    return logEntry;
+};
+
+
+/**
+ * Formats a log entry as a single line of JSON. Fields which can not be converted to JSON (such as objects with circular references) are replaced with their inspected text.
+ *
+ * @param       {Object} logEntry       Log entry from getLogEntry()
+ * @param       {Number} objectDepth    Maximum depth used when inspecting fields which can not be converted.
+ * @returns     {string}
+ */
+lg.formatJson = function(logEntry, objectDepth) {
+    try {
+        return JSON.stringify(logEntry);
+    } catch (e) {
+        return JSON.stringify(_.extend({}, logEntry, {fields: util.inspect(logEntry.fields, {depth: objectDepth})}));
+    }
+};
+
+
+/**
+ * Writes a formatted log line to an array of transports. If the array is not set, the line is written to the console.
+ *
+ * @param       {?Array} transportList  Array of transports.
+ * @param       {string} logLine        Formatted log line.
+ * @param       {Object} logEntry       Log entry from getLogEntry()
+ */
+lg.write = function(transportList, logLine, logEntry) {
+    if (!_.isArray(transportList)) {
+        console.log(logLine);
+        return;
+    }
+    _.each(transportList, function(transport) {
+        try {
+            if (_.isFunction(transport)) {
+                transport(logLine, logEntry);
+            }
+            else if (_.isObject(transport) && _.isFunction(transport.write)) {
+                transport.write(logLine, logEntry);
+            }
+        } catch (e) {
+            console.error("EasyRTC: Log transport failed.", e);
+        }
+    });
+};
+
+
+/**
+ * Log transport which writes each line to the standard output.
+ *
+ * @class
+ */
+lg.StdoutTransport = function() {
+};
+
+
+/**
+ * Writes a log line.
+ *
+ * @param       {string} logLine        Formatted log line.
+ */
+lg.StdoutTransport.prototype.write = function(logLine) {
+    process.stdout.write(logLine + "\n");
+};
+
+
+/**
+ * Log transport which appends each line to a file. When the file would grow past maxSize, it is renamed to filePath.1 (older files shifting to filePath.2 and so on) and a new file is started.
+ *
+ * If the file can not be opened, rotated or written (for instance when the disk is full), lines are written to the console instead. The file is tried again after retryInterval.
+ *
+ * @class
+ * @param       {string} filePath       Path of the log file.
+ * @param       {Object=} options       Object of form {maxSize:<Number>, maxFiles:<Number>, retryInterval:<Number>}. The maxSize is in bytes and defaults to 10485760 (10MB). The maxFiles is the number of rotated files kept and defaults to 5. The retryInterval is in milliseconds and defaults to 60000.
+ */
+lg.FileTransport = function(filePath, options) {
+    options = options || {};
+    this.filePath       = filePath;
+    this.maxSize        = (_.isNumber(options.maxSize) ? options.maxSize : 10485760);
+    this.maxFiles       = (_.isNumber(options.maxFiles) ? options.maxFiles : 5);
+    this.retryInterval  = (_.isNumber(options.retryInterval) ? options.retryInterval : 60000);
+    this._stream        = null;
+    this._size          = 0;
+    this._failedOn      = null;
+};
+
+
+/**
+ * Opens the log file for appending.
+ *
+ * @private
+ */
+lg.FileTransport.prototype._open = function() {
+    try {
+        this._size = fs.statSync(this.filePath).size;
+    } catch (e) {
+        this._size = 0;
+    }
+    // The file is opened synchronously so a rotation can never rename it before the stream has opened it
+    var stream = fs.createWriteStream(this.filePath, {fd: fs.openSync(this.filePath, "a")});
+    var self = this;
+    stream.on("error", function(err) {
+        if (self._stream === stream) {
+            self._fail(err);
+        }
+    });
+    this._stream = stream;
+};
+
+
+/**
+ * Drops the current stream after an error. Lines are written to the console until retryInterval has passed.
+ *
+ * @private
+ * @param       {Error} err             Error raised by the file system.
+ */
+lg.FileTransport.prototype._fail = function(err) {
+    console.error("EasyRTC: Unable to write to log file '" + this.filePath + "'. Logging to the console.", err);
+    if (this._stream) {
+        try {
+            this._stream.destroy();
+        } catch (e) {
+            // The stream is already unusable
+        }
+        this._stream = null;
+    }
+    this._failedOn = Date.now();
+};
+
+
+/**
+ * Renames the current log file and older rotated files, removing the oldest.
+ *
+ * @private
+ */
+lg.FileTransport.prototype._rotate = function() {
+    this._stream.end();
+    this._stream = null;
+
+    for (var i = this.maxFiles - 1; i >= 1; i--) {
+        if (fs.existsSync(this.filePath + "." + i)) {
+            fs.renameSync(this.filePath + "." + i, this.filePath + "." + (i + 1));
+        }
+    }
+    if (this.maxFiles > 0) {
+        fs.renameSync(this.filePath, this.filePath + ".1");
+    }
+    else {
+        fs.unlinkSync(this.filePath);
+    }
+};
+
+
+/**
+ * Writes a log line, rotating the file first if it would grow past maxSize.
+ *
+ * @param       {string} logLine        Formatted log line.
+ */
+lg.FileTransport.prototype.write = function(logLine) {
+    var data = logLine + "\n";
+    var byteLength = Buffer.byteLength(data);
+
+    if (this._failedOn && Date.now() - this._failedOn < this.retryInterval) {
+        console.log(logLine);
+        return;
+    }
+    this._failedOn = null;
+
+    try {
+        if (!this._stream) {
+            this._open();
+        }
+        if (this._size > 0 && this._size + byteLength > this.maxSize) {
+            this._rotate();
+            this._open();
+        }
+    } catch (err) {
+        this._fail(err);
+        console.log(logLine);
+        return;
+    }
+    this._stream.write(data);
+    this._size += byteLength;
+};
+
+
+/**
+ * Closes the log file. Later writes open it again.
+ *
+ * @param       {function()=} callback  Called once pending lines have been written.
+ */
+lg.FileTransport.prototype.close = function(callback) {
+    if (!this._stream) {
+        if (_.isFunction(callback)) {
+            callback();
+        }
+        return;
+    }
+    this._stream.end(callback);
+    this._stream = null;
+};
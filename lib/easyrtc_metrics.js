@@ -0,0 +1,221 @@
+/* global module, require */
+
+/**
+ * @file        Metric registry used by EasyRTC for counting events and rendering them in the Prometheus text exposition format.
+ * @module      easyrtc_metrics
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var _               = require("underscore");                // General utility functions external module
+
+/**
+ * Creates the metric registry of an EasyRTC instance.
+ *
+ * @returns     {Object}                EasyRTC metric registry object.
+ */
+module.exports = function() {
+
+/**
+ * Metric registry. Counters and histograms are held in memory for the life of the process. Gauges are measured by the caller when the metrics are rendered.
+ *
+ * @class
+ */
+var mt = {};
+
+
+/**
+ * Map of metric names to their definitions. Each definition has a type (counter|gauge|histogram) and help text.
+ *
+ * @private
+ */
+var metricDefinitions = {
+    "easyrtc_ready": {
+        type: "gauge",
+        help: "Whether the server is ready for connections (1) or not (0)."
+    },
+    "easyrtc_start_time_seconds": {
+        type: "gauge",
+        help: "Start time of the server since the unix epoch in seconds."
+    },
+    "easyrtc_connections": {
+        type: "gauge",
+        help: "Current number of connections of an application, including those authenticating or awaiting reconnection."
+    },
+    "easyrtc_rooms": {
+        type: "gauge",
+        help: "Current number of rooms."
+    },
+    "easyrtc_room_occupants": {
+        type: "gauge",
+        help: "Current number of connections in a room."
+    },
+    "easyrtc_authentication_successes_total": {
+        type: "counter",
+        help: "Number of successful easyrtcAuth authentications."
+    },
+    "easyrtc_authentication_failures_total": {
+        type: "counter",
+        help: "Number of failed easyrtcAuth authentications by error code."
+    },
+    "easyrtc_messages_relayed_total": {
+        type: "counter",
+        help: "Number of easyrtcMsg messages sent to connections by msgType."
+    },
+    "easyrtc_event_listener_duration_seconds": {
+        type: "histogram",
+        help: "Time from an event being emitted until its listener calls back."
+    },
+    "easyrtc_socket_disconnects_total": {
+        type: "counter",
+        help: "Number of socket disconnections by reason."
+    }
+};
+
+
+// Upper bounds of histogram buckets, in seconds
+var histogramBuckets = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+
+// Maximum number of label sets held for each metric. Further label sets are counted under a label value of "other", which prevents client supplied values (such as msgType) from growing the registry without bound.
+var maxLabelSetCount = 500;
+
+
+// Map of metric names to maps of label keys to values
+var valueList = {};
+
+
+/**
+ * Escapes a label value for the text exposition format.
+ *
+ * @private
+ * @param       {*} labelValue          Label value.
+ * @returns     {string}                Escaped label value.
+ */
+var escapeLabelValue = function(labelValue) {
+    return String(labelValue).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+};
+
+
+/**
+ * Returns the text form of a set of labels, such as {app="default",room="lobby"}. Returns an empty string for no labels.
+ *
+ * @private
+ * @param       {?Object} labels        Map of label names to values.
+ * @returns     {string}
+ */
+var getLabelText = function(labels) {
+    var labelTextList = [];
+    _.each(_.keys(labels || {}).sort(), function(labelName) {
+        labelTextList.push(labelName + "=\"" + escapeLabelValue(labels[labelName]) + "\"");
+    });
+    return (labelTextList.length > 0 ? "{" + labelTextList.join(",") + "}" : "");
+};
+
+
+/**
+ * Returns the held value for a metric and set of labels, creating it if needed.
+ *
+ * @private
+ * @param       {string} metricName     Metric name.
+ * @param       {?Object} labels        Map of label names to values.
+ * @param       {function(): Object} initialValue Returns the value held for a new label set.
+ * @returns     {Object}                Object of form {labels:<Object>, value:<*>}
+ */
+var getValueHolder = function(metricName, labels, initialValue) {
+    if (!metricDefinitions[metricName]) {
+        throw new Error("Unknown metric '" + metricName + "'");
+    }
+    if (!valueList[metricName]) {
+        valueList[metricName] = {};
+    }
+
+    var labelKey = getLabelText(labels);
+    if (!valueList[metricName][labelKey] && _.size(valueList[metricName]) >= maxLabelSetCount) {
+        labels = _.object(_.keys(labels), _.map(labels, function() { return "other"; }));
+        labelKey = getLabelText(labels);
+    }
+    if (!valueList[metricName][labelKey]) {
+        valueList[metricName][labelKey] = {labels: labels, value: initialValue()};
+    }
+    return valueList[metricName][labelKey];
+};
+
+
+/**
+ * Increments a counter.
+ *
+ * @param       {string} metricName     Counter name.
+ * @param       {?Object} labels        Map of label names to values.
+ * @param       {Number=} amount        Amount to add. Defaults to 1.
+ */
+mt.incrementCounter = function(metricName, labels, amount) {
+    var valueHolder = getValueHolder(metricName, labels, function() { return 0; });
+    valueHolder.value += (_.isNumber(amount) ? amount : 1);
+};
+
+
+/**
+ * Records an observation in a histogram.
+ *
+ * @param       {string} metricName     Histogram name.
+ * @param       {?Object} labels        Map of label names to values.
+ * @param       {Number} value          Observed value, in seconds for durations.
+ */
+mt.observeHistogram = function(metricName, labels, value) {
+    var valueHolder = getValueHolder(metricName, labels, function() {
+        return {bucketCounts: _.map(histogramBuckets, function() { return 0; }), sum: 0, count: 0};
+    });
+    for (var i = 0; i < histogramBuckets.length; i++) {
+        if (value <= histogramBuckets[i]) {
+            valueHolder.value.bucketCounts[i]++;
+        }
+    }
+    valueHolder.value.sum += value;
+    valueHolder.value.count++;
+};
+
+
+/**
+ * Clears all counters and histograms.
+ */
+mt.reset = function() {
+    valueList = {};
+};
+
+
+/**
+ * Returns the metrics in the Prometheus text exposition format (version 0.0.4).
+ *
+ * @param       {Object} gaugeList      Map of gauge names to arrays of form [{labels:<?Object>, value:<Number>}, ...]. Measured by the caller.
+ * @returns     {string}                Metrics text.
+ */
+mt.getText = function(gaugeList) {
+    var lineList = [];
+
+    _.each(metricDefinitions, function(metricDefinition, metricName) {
+        var valueHolderList = (metricDefinition.type === "gauge" ? gaugeList[metricName] : _.values(valueList[metricName]));
+
+        lineList.push("# HELP " + metricName + " " + metricDefinition.help);
+        lineList.push("# TYPE " + metricName + " " + metricDefinition.type);
+
+        _.each(valueHolderList, function(valueHolder) {
+            if (metricDefinition.type !== "histogram") {
+                lineList.push(metricName + getLabelText(valueHolder.labels) + " " + valueHolder.value);
+                return;
+            }
+            _.each(histogramBuckets, function(bucket, i) {
+                lineList.push(metricName + "_bucket" + getLabelText(_.extend({le: String(bucket)}, valueHolder.labels)) + " " + valueHolder.value.bucketCounts[i]);
+            });
+            lineList.push(metricName + "_bucket" + getLabelText(_.extend({le: "+Inf"}, valueHolder.labels)) + " " + valueHolder.value.count);
+            lineList.push(metricName + "_sum" + getLabelText(valueHolder.labels) + " " + valueHolder.value.sum);
+            lineList.push(metricName + "_count" + getLabelText(valueHolder.labels) + " " + valueHolder.value.count);
+        });
+    });
+
+    return lineList.join("\n") + "\n";
+};
+
+return mt;
+};
@@ -12,11 +12,29 @@
 var defaultOptions  = require("./easyrtc_default_options"); // EasyRTC global variable
 var g               = require("./general_util");            // General utility functions local module
 
+/**
+ * Creates the private object of an EasyRTC instance, holding its options, applications and cluster state.
+ *
+ * @returns     {Object}                EasyRTC private object.
+ */
+module.exports = function() {
+
 var e = {};
 
 e.version           = g.getPackageData("version");
 e.serverStartOn     = Date.now();
+e.isReady           = false;
+e.isShuttingDown    = false;
 e.option            = g.deepCopy(defaultOptions);
 e.app               = {};
 
-module.exports = e;
+// Cluster state of this instance. The remoteNode table holds connections hosted on other nodes, in form of {nodeId:{lastSeenOn:<timestamp>, app:{appName:{easyrtcid:connectionState}}}}
+e.cluster           = {
+    bus:            null,
+    nodeId:         null,
+    heartbeatTimer: null,
+    remoteNode:     {}
+};
+
+return e;
+};
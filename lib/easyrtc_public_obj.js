@@ -10,20 +10,38 @@
  */
 
 var events = require("events");
+var crypto = require("crypto");
 var async = require("async");
 var _ = require("underscore");                // General utility functions external module
 var g = require("./general_util");            // General utility functions local module
+var lg = require("./easyrtc_log");            // EasyRTC log formatting and transports
 
-var e = require("./easyrtc_private_obj");     // EasyRTC private object
-var eventListener = require("./easyrtc_default_event_listeners"); // EasyRTC default event listeners
-var eu = require("./easyrtc_util");            // EasyRTC utility functions
+/**
+ * Creates the public object of an EasyRTC instance, along with the modules holding the rest of its state.
+ *
+ * @param       {Object} e              EasyRTC private object of the instance.
+ * @returns     {Object}                EasyRTC public object.
+ */
+module.exports = function(e) {
 
 /**
  * The public object which is returned by the EasyRTC listen() function. Contains all public methods for interacting with EasyRTC server.
  *
  * @class
  */
-var pub = module.exports;
+var pub = {};
+
+var eu = require("./easyrtc_util")(e);                    // EasyRTC utility functions
+var ib = require("./easyrtc_ip_ban")();                   // EasyRTC IP ban list
+var rl = require("./easyrtc_rate_limit")();               // EasyRTC rate limiting
+var sc = require("./easyrtc_schema")();                   // EasyRTC message schemas
+var mt = require("./easyrtc_metrics")();                  // EasyRTC metric registry
+var cf = require("./easyrtc_config")(pub);                // EasyRTC option schema and config files
+var wh = require("./easyrtc_webhook")(pub);               // EasyRTC outgoing webhooks
+var ss = require("./easyrtc_state_store")(e, pub, ib);    // EasyRTC state store adapters
+var cl = require("./easyrtc_cluster")(e, pub);            // EasyRTC cluster support
+var ct = require("./easyrtc_call_tracker")(e, pub);       // EasyRTC call tracking and call detail records
+var eventListener = require("./easyrtc_default_event_listeners")(pub, rl, mt, wh); // EasyRTC default event listeners
 
 /**
  * Alias for Socket.io server object. Set during Listen().
@@ -43,15 +61,273 @@ pub.socketServer = null;
 pub.httpApp = null;
 
 
+/**
+ * Alias for the state store module. Contains the MemoryStore and FileStore adapters which may be used for the "stateStore" option.
+ *
+ * @member  {Object}    pub.stateStore
+ * @example             <caption>Persist state to a local file</caption>
+ * easyrtc.setOption("stateStore", new easyrtc.stateStore.FileStore(__dirname + "/easyrtc_state.json"));
+ */
+pub.stateStore = ss;
+
+
+/**
+ * Alias for the cluster module. Contains the LocalBus and IpcBus adapters which may be used for the "clusterBus" option, as well as methods for querying connections hosted on other nodes.
+ *
+ * @member  {Object}    pub.cluster
+ */
+pub.cluster = cl;
+
+
+/**
+ * Alias for the log module. Contains the StdoutTransport and FileTransport which may be used in the "logTransports" option.
+ *
+ * @member  {Object}    pub.logTransport
+ * @example             <caption>Write JSON logs to a rotated file</caption>
+ * easyrtc.setOption("logFormat", "json");
+ * easyrtc.setOption("logTransports", [new easyrtc.logTransport.FileTransport(__dirname + "/easyrtc.log", {maxSize: 10485760, maxFiles: 5})]);
+ */
+pub.logTransport = lg;
+
+
+/**
+ * Alias for the call tracker module. Contains the FileSink which may be used in the "callCdrSinks" option.
+ *
+ * @member  {Object}    pub.callTracker
+ * @example             <caption>Write call detail records to a file</caption>
+ * easyrtc.setOption("callTrackEnable", true);
+ * easyrtc.setOption("callCdrSinks", [new easyrtc.callTracker.FileSink(__dirname + "/easyrtc_cdr.log")]);
+ */
+pub.callTracker = ct;
+
+
+/**
+ * Callback used for state store writes. Failures are logged as warnings, as the in-memory state remains authoritative.
+ *
+ * @private
+ * @param       {?Error} err            Optional error object.
+ */
+var stateStoreCallback = function(err) {
+    if (err) {
+        pub.util.logWarning("State store write failed", err, {component: "stateStore"});
+    }
+};
+
+
+/**
+ * Returns the key used in a room ban list for a connection. Bans follow the username so they survive reconnects. Connections without a username are banned by easyrtcid.
+ *
+ * @private
+ * @param       {Object} connectionObj  EasyRTC connection object.
+ * @returns     {string}                Ban key.
+ */
+var getBanKey = function(connectionObj) {
+    var username = connectionObj.getUsername();
+    return (_.isString(username) && username !== "") ? username : connectionObj.getEasyrtcid();
+};
+
+
+/**
+ * Returns the shared fields of a field map, such as the fields of a connection record.
+ *
+ * @private
+ * @param       {Object} fieldMap       Map of field names to field objects of form {fieldName, fieldValue, fieldOption}.
+ * @returns     {Object}                Map of field names to objects of form {fieldName, fieldValue}.
+ */
+var getSharedFieldObj = function(fieldMap) {
+    var fieldObj = {};
+    for (var fieldName in fieldMap) {
+        if (fieldMap.hasOwnProperty(fieldName) && _.isObject(fieldMap[fieldName].fieldOption) && fieldMap[fieldName].fieldOption.isShared) {
+            fieldObj[fieldName] = {
+                fieldName: fieldName,
+                fieldValue: pub.util.deepCopy(fieldMap[fieldName].fieldValue)
+            };
+        }
+    }
+    return fieldObj;
+};
+
+
+/**
+ * Drops the expired offline messages queued for a username. Returns true if any were dropped.
+ *
+ * @private
+ * @param       {string} appName        Application name.
+ * @param       {string} username       Username the messages are queued for.
+ * @returns     {Boolean}
+ */
+var removeExpiredOfflineMsgs = function(appName, username) {
+    var msgList = e.app[appName].offlineMsg[username];
+    if (!msgList) {
+        return false;
+    }
+    var now = Date.now();
+    var unexpiredMsgList = _.filter(msgList, function(offlineMsg) {
+        return offlineMsg.expiresOn > now;
+    });
+    if (unexpiredMsgList.length === msgList.length) {
+        return false;
+    }
+    if (unexpiredMsgList.length > 0) {
+        e.app[appName].offlineMsg[username] = unexpiredMsgList;
+    }
+    else {
+        delete e.app[appName].offlineMsg[username];
+    }
+    return true;
+};
+
+
+/**
+ * Returns the presence of a username, built from its authenticated connections. The show and status are taken from the most recently active connection. While the username is online, lastSeenOn is the current time.
+ *
+ * @private
+ * @param       {string} appName        Application name.
+ * @param       {string} username       Username.
+ * @returns     {Object}                Presence object of form {username, isOnline, show, status, lastActivityOn, lastSeenOn}. Times are null if the username has not been seen.
+ */
+var getUserPresenceSync = function(appName, username) {
+    var connectionList = _.filter(_.values(e.app[appName].connection), function(currentConnection) {
+        return currentConnection.isAuthenticated && currentConnection.username === username;
+    });
+
+    if (connectionList.length === 0) {
+        var storedPresence = e.app[appName].userPresence[username] || {};
+        return {
+            username:       username,
+            isOnline:       false,
+            show:           null,
+            status:         null,
+            lastActivityOn: storedPresence.lastActivityOn || null,
+            lastSeenOn:     storedPresence.lastSeenOn || null
+        };
+    }
+
+    var activeConnection = _.max(connectionList, function(currentConnection) {
+        return currentConnection.lastActivityOn;
+    });
+    return {
+        username:       username,
+        isOnline:       true,
+        show:           activeConnection.presence.show,
+        status:         activeConnection.presence.status,
+        lastActivityOn: activeConnection.lastActivityOn,
+        lastSeenOn:     Date.now()
+    };
+};
+
+
+/**
+ * Records when a username was last seen, once its last connection has gone. Does nothing while the username still has connections.
+ *
+ * @private
+ * @param       {string} appName        Application name.
+ * @param       {string} username       Username.
+ * @param       {Number} lastActivityOn Time of the last message received from the username's final connection.
+ */
+var setUserLastSeen = function(appName, username, lastActivityOn) {
+    if (getUserPresenceSync(appName, username).isOnline) {
+        return;
+    }
+    e.app[appName].userPresence[username] = {
+        username:       username,
+        lastActivityOn: lastActivityOn,
+        lastSeenOn:     Date.now()
+    };
+    ss.saveUserPresence(appName, username, stateStoreCallback);
+};
+
+
+/**
+ * Sends the current presence of a username to each connection subscribed to it, as an easyrtcCmd of msgType "userPresence".
+ *
+ * @private
+ * @param       {string} appName        Application name.
+ * @param       {string} username       Username.
+ */
+var emitUserPresence = function(appName, username) {
+    if (!e.app[appName] || !e.app[appName].presenceSubscriber[username]) {
+        return;
+    }
+    var msg = {msgData: {userPresence: {}}};
+    msg.msgData.userPresence[username] = getUserPresenceSync(appName, username);
+
+    pub.app(appName, function(err, appObj) {
+        if (err) {
+            return;
+        }
+        _.each(_.keys(e.app[appName].presenceSubscriber[username]), function(subscriberEasyrtcid) {
+            appObj.connection(subscriberEasyrtcid, function(err, subscriberConnectionObj) {
+                if (err) {
+                    return;
+                }
+                pub.events.emit("emitEasyrtcCmd", subscriberConnectionObj, "userPresence", msg, null, pub.util.nextToNowhere);
+            });
+        });
+    });
+};
+
+
+/**
+ * Returns an array of all sockets currently connected to the socket server, authenticated or not.
+ *
+ * @private
+ * @returns     {Array.<Object>}        Array of socket.io socket objects.
+ */
+var getConnectedSockets = function() {
+    if (!pub.socketServer) {
+        return [];
+    }
+    return _.values(pub.socketServer.sockets.connected || pub.socketServer.sockets.sockets);
+};
+
+
+/**
+ * Runs an iterator against every connection of every application, in parallel. Connections which disappear before they are reached are skipped.
+ *
+ * @private
+ * @param       {function(Object, function(?Error))} iterator Called with each connection object and a callback.
+ * @param       {function(?Error)} callback Called once the iterator has finished with every connection.
+ */
+var eachConnection = function(iterator, callback) {
+    var connectionKeyList = [];
+    _.each(e.app, function(app, appName) {
+        _.each(_.keys(app.connection), function(easyrtcid) {
+            connectionKeyList.push({appName: appName, easyrtcid: easyrtcid});
+        });
+    });
+
+    async.each(connectionKeyList, function(connectionKey, asyncEachCallback) {
+        if (!e.app[connectionKey.appName] || !e.app[connectionKey.appName].connection[connectionKey.easyrtcid]) {
+            asyncEachCallback(null);
+            return;
+        }
+        pub.app(connectionKey.appName, function(err, appObj) {
+            if (err) {
+                asyncEachCallback(null);
+                return;
+            }
+            appObj.connection(connectionKey.easyrtcid, function(err, connectionObj) {
+                if (err) {
+                    asyncEachCallback(null);
+                    return;
+                }
+                iterator(connectionObj, asyncEachCallback);
+            });
+        });
+    }, callback);
+};
+
+
 /**
  * Sends an array of all application names to a callback.
  *
  * @param   {function(Error, Array.<string>)} callback Callback with error and array containing all application names.
  */
-pub.getAppNames = function(callback) {
+pub.getAppNames = eu.promisify(function(callback) {
     var appNames = Object.keys(e.app);
     callback(null, appNames);
-};
+}, 0);
 
 
 /**
@@ -60,7 +336,7 @@ pub.getAppNames = function(callback) {
  * @param       {String} easyrtcid      Unique identifier for an EasyRTC connection.
  * @param       {function(?Error, Object=)} callback Callback with error and application object
  */
-pub.getAppWithEasyrtcid = function(easyrtcid, callback) {
+pub.getAppWithEasyrtcid = eu.promisify(function(easyrtcid, callback) {
     for (var appName in e.app) {
         if (e.app.hasOwnProperty(appName)) {
             if (
@@ -74,7 +350,7 @@ pub.getAppWithEasyrtcid = function(easyrtcid, callback) {
     }
     pub.util.logWarning("Can not find connection [" + easyrtcid + "]");
     callback(new pub.util.ConnectionWarning("Can not find connection [" + easyrtcid + "]"));
-};
+}, 1);
 
 
 /**
@@ -82,9 +358,9 @@ pub.getAppWithEasyrtcid = function(easyrtcid, callback) {
  *
  * @param       {function(?Error, Number)} callback Callback with error and array containing all easyrtcids.
  */
-pub.getConnectionCount = function(callback) {
+pub.getConnectionCount = eu.promisify(function(callback) {
     callback(null, pub.getConnectionCountSync());
-};
+}, 0);
 
 
 /**
@@ -109,7 +385,7 @@ pub.getConnectionCountSync = function() {
  * @param       {string} easyrtcid      EasyRTC unique identifier for a socket connection.
  * @param       {function(?Error, Object=)} callback Callback with error and connection object
  */
-pub.getConnectionWithEasyrtcid = function(easyrtcid, callback) {
+pub.getConnectionWithEasyrtcid = eu.promisify(function(easyrtcid, callback) {
     for (var appName in e.app) {
         if (e.app.hasOwnProperty(appName)) {
             if (
@@ -130,148 +406,566 @@ pub.getConnectionWithEasyrtcid = function(easyrtcid, callback) {
     }
     pub.util.logWarning("Can not find connection [" + easyrtcid + "]");
     callback(new pub.util.ConnectionWarning("Can not find connection [" + easyrtcid + "]"));
-};
+}, 1);
 
 
 /**
- * Gets individual option value. The option value returned is for the server level.
- * 
- * Note that some options can be set at the application or room level. If an option has not been set at the room level, it will check to see if it has been set at the application level, if not it will revert to the server level.
+ * Bans an IP address or CIDR range from the server. Sockets connecting from a banned address are sent the BANNED_IP_ADDR error and disconnected, both upon connection and upon authentication. Sockets which are already connected from the address are dropped.
  *
- * @param       {String}    optionName  Option name
- * @return      {*}                     Option value (can be any JSON type)
+ * A range is stored by its network address, so a ban on "10.1.2.3/8" is recorded as "10.0.0.0/8". Bans are written to the state store and restored on startup.
+ *
+ * @param       {string}    ipSpec      Single IPv4 or IPv6 address (such as "203.0.113.7"), or CIDR range (such as "203.0.113.0/24").
+ * @param       {?Object}   banOptions  Supports duration (milliseconds until the ban expires, defaults to never) and reason (string). May be null.
+ * @param       {function(?Error, Object=)} [callback] Callback with error and the ban record.
+ * @example     <caption>Ban a range for one hour</caption>
+ * easyrtc.banIp("203.0.113.0/24", {duration: 3600000, reason: "flooding"}, function(err) {
+ *     if (err) {
+ *         console.log("Unable to ban range", err);
+ *     }
+ * });
  */
-pub.getOption = function(optionName) {
-    if(typeof e.option[optionName] === "undefined") {
-        pub.util.logError("Unknown option requested. Unrecognised option name '" + optionName + "'.");
-        return null;
+pub.banIp = eu.promisify(function(ipSpec, banOptions, callback) {
+    if (!_.isFunction(callback)) {
+        callback = pub.util.nextToNowhere;
     }
-    return e.option[optionName];
-};
+
+    var banRecord = ib.add(ipSpec, banOptions);
+    if (!banRecord) {
+        pub.util.logWarning("Can not ban improper IP address or range: '" + ipSpec + "'", null, {component: "ipBan"});
+        callback(new pub.util.ApplicationWarning("Can not ban improper IP address or range: '" + ipSpec + "'"));
+        return;
+    }
+    pub.util.logInfo("Banned IP address or range [" + banRecord.ip + "]" + (banRecord.reason ? " for reason: " + banRecord.reason : ""), null, {component: "ipBan"});
+    ss.saveIpBan(banRecord.ip, stateStoreCallback);
+
+    // Drop live sockets from the newly banned addresses
+    _.each(getConnectedSockets(), function(socket) {
+        var ipAddress = pub.util.getSocketIpAddress(socket);
+        if (ib.isBanned(ipAddress)) {
+            pub.util.logInfo("Disconnecting socket from banned IP address [" + ipAddress + "]", null, {component: "ipBan", socketId: socket.id});
+            try {
+                socket.emit("easyrtcCmd", pub.util.getErrorMsg("BANNED_IP_ADDR"));
+                socket.disconnect();
+            } catch (e) {}
+        }
+    });
+
+    callback(null, banRecord);
+}, 2);
 
 
 /**
- * Gets EasyRTC Version. The format is in a major.minor.patch format with an optional letter following denoting alpha or beta status. The version is retrieved from the package.json file located in the EasyRTC project root folder.
+ * Lifts a ban on an IP address or CIDR range.
  *
- * @return      {string}                EasyRTC Version
+ * @param       {string}    ipSpec      Address or CIDR range. A range is matched by its network address, so "10.1.2.3/8" lifts a ban on "10.0.0.0/8".
+ * @param       {nextCallback} [next]   A success callback of form next(err). Possible err will be instanceof (ApplicationWarning).
  */
-pub.getVersion = function() {
-    return e.version;
-};
+pub.unbanIp = eu.promisify(function(ipSpec, next) {
+    if (!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+    var banKey = ib.remove(ipSpec);
+    if (!banKey) {
+        pub.util.logWarning("Can not unban IP address or range which is not banned: '" + ipSpec + "'", null, {component: "ipBan"});
+        next(new pub.util.ApplicationWarning("Can not unban IP address or range which is not banned: '" + ipSpec + "'"));
+        return;
+    }
+    pub.util.logInfo("Unbanned IP address or range [" + banKey + "]", null, {component: "ipBan"});
+    ss.remove(ss.ipBanKey(banKey), stateStoreCallback);
+    next(null);
+}, 1);
 
 
 /**
- * Returns the EasyRTC private object containing the current state. This should only be used for debugging purposes.
+ * Sends an array of the current IP bans to a provided callback. Expired bans are not included.
  *
- * @private
- * @return      {Object}                EasyRTC private object
+ * @param       {function(?Error, Array.<Object>)} callback Callback with error and array of ban records of form {ip:<String>, bannedOn:<Number>, expiresOn:<?Number>, reason:<?String>}.
  */
-pub._getPrivateObj = function() {
-    return e;
+pub.getBans = eu.promisify(function(callback) {
+    callback(null, ib.getAll());
+}, 0);
+
+
+/**
+ * Returns true if an IP address is covered by a current ban.
+ *
+ * @param       {string}    ipAddress   IPv4 or IPv6 address.
+ * @returns     {Boolean}
+ */
+pub.isIpBannedSync = function(ipAddress) {
+    return ib.isBanned(ipAddress);
 };
 
 
 /**
- * Sets individual option. The option value set is for the server level.
- * 
- * Note that some options can be set at the application or room level. If an option has not been set at the room level, it will check to see if it has been set at the application level, if not it will revert to the server level.
+ * Returns the option schema which is used to validate option values. See cf.getOptionSchema()
  *
- * @param       {Object} optionName     Option name
- * @param       {Object} optionValue    Option value
- * @return      {Boolean}               true on success, false on failure
+ * @returns     {Object}                Map of option names to objects of form {typeList:<Array.<string>>, isNullable:<Boolean>, enumList:<?Array>, isJsonAllowed:<Boolean>, isHotReload:<Boolean>}
  */
-pub.setOption = function(optionName, optionValue) {
-    // Can only set options which currently exist
-    if (e.option.hasOwnProperty(optionName)) {
-        e.option[optionName] = pub.util.deepCopy(optionValue);
-        return true;
-    } else {
-        pub.util.logError("Error setting option. Unrecognised option name '" + optionName + "'.");
-        return false;
-    }
+pub.getOptionSchema = function() {
+    return cf.getOptionSchema();
 };
 
 
 /**
- * EasyRTC Event handling object which contain most methods for interacting with EasyRTC events. For convenience, this class has also been attached to the application, connection, session, and room classes.
- * @class
+ * Loads a JSON config file, setting server options and creating or updating the applications (with their options, ICE servers and fields) and rooms it declares. While the "configWatchEnable" option is true, the file is watched and reapplied when it changes. Options which are only read on startup are not reapplied.
+ *
+ * The file is of form {options:{...}, apps:{appName:{options:{...}, iceServers:[...], fields:{...}, rooms:{roomName:{options:{...}, fields:{...}}}}}}. Every option is validated before any are set, so an invalid file changes nothing.
+ *
+ * @param       {string} filePath       Path of the JSON config file.
+ * @param       {nextCallback} [next]   A success callback of form next(err). Possible err will be instanceof (ServerError).
  */
-pub.events = {};
+pub.loadConfigFile = eu.promisify(function(filePath, next) {
+    if (!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+    cf.readConfigFile(filePath, function(err, config) {
+        if (err) {
+            pub.util.logError("Unable to load config file", err, {component: "config"});
+            next(err);
+            return;
+        }
+        cf.applyConfig(config, false, function(err) {
+            if (err) {
+                pub.util.logError("Unable to apply config file", err, {component: "config"});
+                next(err);
+                return;
+            }
+            if (pub.getOption("configWatchEnable")) {
+                cf.watchConfigFile(filePath, pub.getOption("configWatchInterval"));
+            }
+            pub.util.logInfo("Loaded config file [" + filePath + "]", null, {component: "config"});
+            next(null);
+        });
+    });
+}, 1);
 
 
 /**
- * EasyRTC EventEmitter.
- * 
- * @private
+ * Stops watching the config file loaded by pub.loadConfigFile() for changes.
  */
-pub.events._eventListener = new events.EventEmitter();
+pub.unwatchConfigFile = function() {
+    cf.unwatchConfigFile();
+};
 
 
 /**
- * Expose event listener's emit function.
- * 
- * @param       {string} eventName      EasyRTC event name.
- * @param       {...*} eventParam       The event parameters
+ * Sends an array of the webhook deliveries which have not yet succeeded to a callback, oldest first. Deliveries are retried with backoff until they succeed or run out of attempts.
+ *
+ * @param       {function(?Error, Array.<Object>)} callback Callback with error and array of deliveries of form {deliveryId:<String>, url:<String>, eventId:<String>, event:<String>, attemptCount:<Number>, nextAttemptOn:<Number>, lastError:<?String>}.
  */
-pub.events.emit = pub.events._eventListener.emit.bind(pub.events._eventListener);
+pub.getPendingWebhooks = eu.promisify(function(callback) {
+    callback(null, wh.getPendingDeliveries());
+}, 0);
 
 
 /**
- * Runs the default EasyRTC listener for a given event.
+ * Gets individual option value. The option value returned is for the server level.
  * 
- * @param       {string} eventName      EasyRTC event name.
- * @param       {...*} eventParam       The event parameters
+ * Note that some options can be set at the application or room level. If an option has not been set at the room level, it will check to see if it has been set at the application level, if not it will revert to the server level.
+ *
+ * @param       {String}    optionName  Option name
+ * @return      {*}                     Option value (can be any JSON type)
  */
-pub.events.emitDefault = function() {
-    if (!pub.events.defaultListeners[arguments['0']]) {
-        console.error("Error emitting listener. No default for event '" + arguments['0'] + "' exists.");
-        return;
+pub.getOption = function(optionName) {
+    if(typeof e.option[optionName] === "undefined") {
+        pub.util.logError("Unknown option requested. Unrecognised option name '" + optionName + "'.");
+        return null;
     }
-    pub.events.defaultListeners[Array.prototype.shift.call(arguments)].apply(this, arguments);
+    return e.option[optionName];
 };
 
 
 /**
- * Resets the listener for a given event to the default listener. Removes other listeners.
+ * Gets EasyRTC Version. The format is in a major.minor.patch format with an optional letter following denoting alpha or beta status. The version is retrieved from the package.json file located in the EasyRTC project root folder.
  *
- * @param       {string} eventName      EasyRTC event name.
+ * @return      {string}                EasyRTC Version
  */
-pub.events.setDefaultListener = function(eventName) {
-    if (!_.isFunction(pub.events.defaultListeners[eventName])) {
-        console.error("Error setting default listener. No default for event '" + eventName + "' exists.");
-    }
-    pub.events._eventListener.removeAllListeners(eventName);
-    pub.events._eventListener.on(eventName, pub.events.defaultListeners[eventName]);
+pub.getVersion = function() {
+    return e.version;
 };
 
 
 /**
- * Resets the listener for all EasyRTC events to the default listeners. Removes all other listeners.
+ * Returns true if the server is ready for connections. Reported by the readiness route (see the "healthEnable" option).
+ *
+ * @returns     {Boolean}
  */
-pub.events.setDefaultListeners = function() {
-    pub.events._eventListener.removeAllListeners();
-    for (var currentEventName in pub.events.defaultListeners) {
-        if (_.isFunction(pub.events.defaultListeners[currentEventName])) {
-            pub.events._eventListener.on(currentEventName, pub.events.defaultListeners[currentEventName]);
-        } else {
-            throw new pub.util.ServerError("Error setting default listener. No default for event '" + currentEventName + "' exists.");
-        }
-    }
+pub.isReadySync = function() {
+    return e.isReady;
 };
 
 
 /**
- * Map of EasyRTC event listener names to their default functions. This map can be used to run a default function manually.
+ * Sets whether the server is ready for connections. The server becomes ready once the "startup" event completes. Clearing it lets a load balancer drain the server before maintenance.
+ *
+ * @param       {Boolean} isReady       True if the server is ready for connections.
  */
-pub.events.defaultListeners = {
+pub.setReady = function(isReady) {
+    e.isReady = !!isReady;
+};
+
+
+/**
+ * Returns true if the server is being shutdown. While shutting down, new easyrtcAuth messages are refused.
+ *
+ * @returns     {Boolean}
+ */
+pub.isShuttingDownSync = function() {
+    return e.isShuttingDown;
+};
+
+
+/**
+ * Gracefully shuts down the EasyRTC server. New easyrtcAuth messages are refused and the server is marked as not ready. Every client is sent the SERVER_SHUTDOWN error, or forwarded to another URL if the forwardToUrl option is set. After the drain time (or sooner if every client has left), the remaining connections leave their rooms and groups, are removed and have their sockets disconnected. Finally the "shutdown" event is fired so applications can persist their state.
+ *
+ * The socket server and http server are not closed; that is left to the application.
+ *
+ * @param       {?Object}   shutdownOptions Supports drainTime (milliseconds to wait for clients to leave, defaults to the "shutdownDrainTime" option) and forwardToUrl (URL clients are forwarded to, such as another node). May be null.
+ * @param       {nextCallback} [callback] A success callback of form callback(err).
+ * @example     <caption>Forward clients to another node, then exit</caption>
+ * easyrtc.shutdown({drainTime: 10000, forwardToUrl: "https://node2.example.com/"}, function(err) {
+ *     process.exit(err ? 1 : 0);
+ * });
+ */
+pub.shutdown = eu.promisify(function(shutdownOptions, callback) {
+    if (!_.isFunction(callback)) {
+        callback = pub.util.nextToNowhere;
+    }
+    if (!_.isObject(shutdownOptions)) {
+        shutdownOptions = {};
+    }
+    if (e.isShuttingDown) {
+        callback(new pub.util.ApplicationWarning("Server is already being shutdown."));
+        return;
+    }
+
+    var drainTime = (_.isNumber(shutdownOptions.drainTime) ? shutdownOptions.drainTime : pub.getOption("shutdownDrainTime"));
+    var forwardToUrl = (_.isString(shutdownOptions.forwardToUrl) && shutdownOptions.forwardToUrl !== "" ? shutdownOptions.forwardToUrl : null);
+
+    e.isShuttingDown = true;
+    pub.setReady(false);
+    pub.util.logInfo("Server is being shutdown. Draining " + pub.getConnectionCountSync() + " connections for up to " + drainTime + "ms" + (forwardToUrl ? " and forwarding clients to [" + forwardToUrl + "]" : ""));
+
+    async.waterfall([
+        function(asyncCallback) {
+            // Tell clients to leave
+            eachConnection(function(connectionObj, asyncEachCallback) {
+                if (forwardToUrl) {
+                    pub.events.emit("emitEasyrtcCmd", connectionObj, "forwardToUrl", {msgData: {forwardToUrl: {url: forwardToUrl}, newWindow: false}}, null, function(err) {
+                        asyncEachCallback(null);
+                    });
+                }
+                else {
+                    pub.events.emit("emitError", connectionObj, "SERVER_SHUTDOWN", null, function(err) {
+                        asyncEachCallback(null);
+                    });
+                }
+            }, function(err) {
+                asyncCallback(null);
+            });
+        },
+        function(asyncCallback) {
+            // Wait for clients to leave, checking periodically
+            var drainEndOn = Date.now() + drainTime;
+            var checkDrain = function() {
+                if (pub.getConnectionCountSync() === 0 || Date.now() >= drainEndOn) {
+                    asyncCallback(null);
+                    return;
+                }
+                setTimeout(checkDrain, Math.min(100, Math.max(drainEndOn - Date.now(), 0)));
+            };
+            checkDrain();
+        },
+        function(asyncCallback) {
+            // Remove remaining connections
+            pub.util.logInfo("Removing " + pub.getConnectionCountSync() + " remaining connections");
+            eachConnection(function(connectionObj, asyncEachCallback) {
+                // The "disconnect" event is not fired, as the connection is being removed here
+                connectionObj.socket.removeAllListeners("disconnect");
+
+                async.waterfall([
+                    function(asyncWaterfallCallback) {
+                        connectionObj.getRoomNames(asyncWaterfallCallback);
+                    },
+                    function(roomNames, asyncWaterfallCallback) {
+                        async.each(roomNames, function(currentRoomName, asyncRoomCallback) {
+                            pub.events.emit("roomLeave", connectionObj, currentRoomName, function(err) {asyncRoomCallback(null);});
+                        }, function(err) {
+                            asyncWaterfallCallback(null);
+                        });
+                    },
+                    function(asyncWaterfallCallback) {
+                        connectionObj.getGroupNames(asyncWaterfallCallback);
+                    },
+                    function(groupNames, asyncWaterfallCallback) {
+                        async.each(groupNames, function(currentGroupName, asyncGroupCallback) {
+                            pub.events.emit("groupLeave", connectionObj, currentGroupName, function(err) {asyncGroupCallback(null);});
+                        }, function(err) {
+                            asyncWaterfallCallback(null);
+                        });
+                    },
+                    function(asyncWaterfallCallback) {
+                        connectionObj.removeConnection(asyncWaterfallCallback);
+                    }
+                ], function(err) {
+                    if (err) {
+                        pub.util.logWarning("Error removing connection during shutdown", err, {appName: connectionObj.getAppName(), easyrtcid: connectionObj.getEasyrtcid()});
+                    }
+                    try{connectionObj.socket.disconnect();}catch(e) {}
+                    asyncEachCallback(null);
+                });
+            }, function(err) {
+                asyncCallback(null);
+            });
+        },
+        function(asyncCallback) {
+            // Stop reloading the config file
+            cf.unwatchConfigFile();
+
+            // Stop telling other nodes about this node
+            if (pub.getOption("clusterEnable")) {
+                cl.stop(asyncCallback);
+                return;
+            }
+            asyncCallback(null);
+        },
+        function(asyncCallback) {
+            pub.events.emit("shutdown", asyncCallback);
+        }
+    ], function(err) {
+        if (err) {
+            pub.util.logError("Error during shutdown", err);
+            callback(err);
+            return;
+        }
+        pub.util.logInfo("Server shutdown complete");
+        callback(null);
+    });
+}, 1);
+
+
+/**
+ * Sends the server metrics in the Prometheus text exposition format to a callback. Counters are only collected while the "metricsEnable" option is true.
+ *
+ * @param       {function(?Error, string=)} callback Callback with error and metrics text.
+ */
+pub.getMetricsText = eu.promisify(function(callback) {
+    var gaugeList = {
+        "easyrtc_ready":                [{labels: null, value: (e.isReady ? 1 : 0)}],
+        "easyrtc_start_time_seconds":   [{labels: null, value: Math.floor(e.serverStartOn / 1000)}],
+        "easyrtc_connections":          [],
+        "easyrtc_rooms":                [],
+        "easyrtc_room_occupants":       []
+    };
+
+    async.each(_.keys(e.app), function(appName, asyncCallback) {
+        pub.app(appName, function(err, appObj) {
+            if (err) {
+                asyncCallback(err);
+                return;
+            }
+            gaugeList.easyrtc_connections.push({labels: {app: appName}, value: appObj.getConnectionCountSync()});
+            gaugeList.easyrtc_rooms.push({labels: {app: appName}, value: _.size(e.app[appName].room)});
+            _.each(e.app[appName].room, function(room, roomName) {
+                gaugeList.easyrtc_room_occupants.push({labels: {app: appName, room: roomName}, value: _.size(room.clientList)});
+            });
+            asyncCallback(null);
+        });
+    }, function(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, mt.getText(gaugeList));
+    });
+}, 0);
+
+
+/**
+ * Returns the EasyRTC private object containing the current state. This should only be used for debugging purposes.
+ *
+ * @private
+ * @return      {Object}                EasyRTC private object
+ */
+pub._getPrivateObj = function() {
+    return e;
+};
+
+
+/**
+ * Reads a JSON config file and sets only the server options it declares. Used on startup, before the applications and rooms of the file can be applied.
+ *
+ * @private
+ * @param       {string} filePath       Path of the JSON config file.
+ * @param       {nextCallback} next     A success callback of form next(err). Possible err will be instanceof (ServerError).
+ */
+pub._loadConfigFileServerOptions = function(filePath, next) {
+    cf.readConfigFile(filePath, function(err, config) {
+        if (err) {
+            next(err);
+            return;
+        }
+        cf.applyServerOptions(config, false);
+        next(null);
+    });
+};
+
+
+/**
+ * Sets individual option. The option value set is for the server level. Unknown option names and values of the wrong type are rejected. See pub.getOptionSchema()
+ * 
+ * Note that some options can be set at the application or room level. If an option has not been set at the room level, it will check to see if it has been set at the application level, if not it will revert to the server level.
+ *
+ * @param       {Object} optionName     Option name
+ * @param       {Object} optionValue    Option value
+ * @return      {Boolean}               true on success, false on failure
+ */
+pub.setOption = function(optionName, optionValue) {
+    // Can only set options which currently exist, with a value of the right type
+    var optionError = cf.getOptionError(optionName, optionValue);
+    if (!optionError) {
+        e.option[optionName] = pub.util.deepCopy(optionValue);
+        return true;
+    } else {
+        pub.util.logError("Error setting option. " + optionError);
+        return false;
+    }
+};
+
+
+/**
+ * EasyRTC Event handling object which contain most methods for interacting with EasyRTC events. For convenience, this class has also been attached to the application, connection, session, and room classes.
+ * @class
+ */
+pub.events = {};
+
+
+/**
+ * EasyRTC EventEmitter.
+ * 
+ * @private
+ */
+pub.events._eventListener = new events.EventEmitter();
+
+
+/**
+ * Expose event listener's emit function. While the "metricsEnable" option is true, the time until the listener calls back (the last event parameter) is recorded. Events without a callback record the time the listener took to return.
+ * 
+ * @param       {string} eventName      EasyRTC event name.
+ * @param       {...*} eventParam       The event parameters
+ * @returns     {Boolean}               True if the event had listeners.
+ */
+pub.events.emit = function(eventName) {
+    var emitter = pub.events._eventListener;
+    if (!e.option.metricsEnable) {
+        return emitter.emit.apply(emitter, arguments);
+    }
+
+    var args = Array.prototype.slice.call(arguments);
+    var next = (args.length > 1 && _.isFunction(args[args.length - 1]) ? args[args.length - 1] : null);
+    var startTime = process.hrtime();
+    var isObserved = false;
+
+    var observe = function() {
+        if (!isObserved) {
+            isObserved = true;
+            var duration = process.hrtime(startTime);
+            mt.observeHistogram("easyrtc_event_listener_duration_seconds", {event: eventName}, duration[0] + duration[1] / 1e9);
+        }
+    };
+
+    if (next) {
+        args[args.length - 1] = function() {
+            observe();
+            return next.apply(this, arguments);
+        };
+        return emitter.emit.apply(emitter, args);
+    }
+
+    var hasListeners = emitter.emit.apply(emitter, args);
+    observe();
+    return hasListeners;
+};
+
+
+/**
+ * Runs the default EasyRTC listener for a given event. If the callback is left out, a Promise is returned instead, allowing it to be awaited from an async listener.
+ * 
+ * @param       {string} eventName      EasyRTC event name.
+ * @param       {...*} eventParam       The event parameters
+ * @returns     {Promise|undefined}     Promise resolved with the first result passed to the callback, if no callback was given.
+ */
+pub.events.emitDefault = function() {
+    if (!pub.events.defaultListeners[arguments['0']]) {
+        console.error("Error emitting listener. No default for event '" + arguments['0'] + "' exists.");
+        return;
+    }
+    var eventName = Array.prototype.shift.call(arguments);
+    var defaultListener = pub.events.defaultListeners[eventName];
+    var callbackIndex = defaultListener.length - 1;
+
+    // Custom "log" listeners written before logContext was added pass next as the fourth parameter
+    if (eventName === "log" && arguments.length === 4 && _.isFunction(arguments[3])) {
+        callbackIndex = 3;
+    }
+    return eu.promisify(defaultListener, callbackIndex).apply(this, arguments);
+};
+
+
+/**
+ * Resets the listener for a given event to the default listener. Removes other listeners.
+ *
+ * @param       {string} eventName      EasyRTC event name.
+ */
+pub.events.setDefaultListener = function(eventName) {
+    if (!_.isFunction(pub.events.defaultListeners[eventName])) {
+        console.error("Error setting default listener. No default for event '" + eventName + "' exists.");
+    }
+    pub.events._eventListener.removeAllListeners(eventName);
+    pub.events._eventListener.on(eventName, pub.events.defaultListeners[eventName]);
+};
+
+
+/**
+ * Resets the listener for all EasyRTC events to the default listeners. Removes all other listeners.
+ */
+pub.events.setDefaultListeners = function() {
+    pub.events._eventListener.removeAllListeners();
+    for (var currentEventName in pub.events.defaultListeners) {
+        if (_.isFunction(pub.events.defaultListeners[currentEventName])) {
+            pub.events._eventListener.on(currentEventName, pub.events.defaultListeners[currentEventName]);
+        } else {
+            throw new pub.util.ServerError("Error setting default listener. No default for event '" + currentEventName + "' exists.");
+        }
+    }
+};
+
+
+/**
+ * Map of EasyRTC event listener names to their default functions. This map can be used to run a default function manually.
+ */
+pub.events.defaultListeners = {
     "authenticate": eventListener.onAuthenticate,
     "authenticated": eventListener.onAuthenticated,
+    "callAnswered": eventListener.onCallAnswered,
+    "callEnd": eventListener.onCallEnd,
+    "callStart": eventListener.onCallStart,
     "connection": eventListener.onConnection,
     "disconnect": eventListener.onDisconnect,
     "getIceConfig": eventListener.onGetIceConfig,
+    "fieldWriteAuthorize": eventListener.onFieldWriteAuthorize,
+    "groupCreate": eventListener.onGroupCreate,
+    "groupJoin": eventListener.onGroupJoin,
+    "groupLeave": eventListener.onGroupLeave,
+    "rateLimitWarning": eventListener.onRateLimitWarning,
+    "roomBan": eventListener.onRoomBan,
     "roomCreate": eventListener.onRoomCreate,
     "roomJoin": eventListener.onRoomJoin,
+    "roomKick": eventListener.onRoomKick,
     "roomLeave": eventListener.onRoomLeave,
+    "roomMuteRequest": eventListener.onRoomMuteRequest,
+    "setUserCfg": eventListener.onSetUserCfg,
     "log": eventListener.onLog,
     "shutdown": eventListener.onShutdown,
     "startup": eventListener.onStartup,
@@ -285,24 +979,91 @@ pub.events.defaultListeners = {
     "emitReturnError": eventListener.onEmitReturnError,
     "emitReturnToken": eventListener.onEmitReturnToken,
     "msgTypeGetIceConfig": eventListener.onMsgTypeGetIceConfig,
+    "msgTypeGetRoomHistory": eventListener.onMsgTypeGetRoomHistory,
     "msgTypeGetRoomList": eventListener.onMsgTypeGetRoomList,
+    "msgTypeGroupJoin": eventListener.onMsgTypeGroupJoin,
+    "msgTypeGroupLeave": eventListener.onMsgTypeGroupLeave,
+    "msgTypeRoomBan": eventListener.onMsgTypeRoomBan,
     "msgTypeRoomJoin": eventListener.onMsgTypeRoomJoin,
+    "msgTypeRoomKick": eventListener.onMsgTypeRoomKick,
     "msgTypeRoomLeave": eventListener.onMsgTypeRoomLeave,
+    "msgTypeRoomMuteRequest": eventListener.onMsgTypeRoomMuteRequest,
+    "msgTypeSetField": eventListener.onMsgTypeSetField,
     "msgTypeSetPresence": eventListener.onMsgTypeSetPresence,
-    "msgTypeSetRoomApiField": eventListener.onMsgTypeSetRoomApiField
+    "msgTypeSetRoomApiField": eventListener.onMsgTypeSetRoomApiField,
+    "msgTypeSetUserCfg": eventListener.onMsgTypeSetUserCfg,
+    "msgTypeSubscribePresence": eventListener.onMsgTypeSubscribePresence,
+    "msgTypeUnsubscribePresence": eventListener.onMsgTypeUnsubscribePresence
+};
+
+
+/**
+ * Wraps an event listener so it may be an async function (or otherwise return a Promise) instead of calling its callback. Once the Promise settles, the callback (the last event parameter) is called with the error, or with null and the resolved value. Listeners which call the callback themselves are unaffected.
+ *
+ * @private
+ * @param       {string} eventName      Listener name.
+ * @param       {function} listener     Function to be called when listener is fired
+ * @returns     {function}              Wrapped listener.
+ */
+var getAsyncListener = function(eventName, listener) {
+    return function() {
+        var args = Array.prototype.slice.call(arguments);
+        var next = (args.length > 0 && _.isFunction(args[args.length - 1]) ? args[args.length - 1] : null);
+        var isNextCalled = false;
+
+        if (next) {
+            args[args.length - 1] = function() {
+                isNextCalled = true;
+                next.apply(this, arguments);
+            };
+        }
+
+        var result = listener.apply(this, args);
+        if (!result || !_.isFunction(result.then)) {
+            return;
+        }
+        result.then(
+            function(value) {
+                if (next && !isNextCalled) {
+                    isNextCalled = true;
+                    // Waterfall steps following the event expect no result argument when there is none
+                    if (value === undefined) {
+                        next(null);
+                    } else {
+                        next(null, value);
+                    }
+                }
+            },
+            function(err) {
+                if (next && !isNextCalled) {
+                    isNextCalled = true;
+                    next(err || new pub.util.ServerError("Listener for event '" + eventName + "' was rejected."));
+                } else {
+                    pub.util.logError("Unhandled rejection from listener for event '" + eventName + "'", err);
+                }
+            }
+        );
+    };
 };
 
 
 /**
  * Sets listener for a given EasyRTC event. Only one listener is allowed per event. Any other listeners for an event are removed before adding the new one. See the events documentation for expected listener parameters.
  *
+ * The listener may be an async function. Instead of calling its callback, it returns (or throws) and the callback is called when the returned Promise settles.
+ *
  * @param       {string} eventName      Listener name.
  * @param       {function} listener     Function to be called when listener is fired
+ * @example     <caption>Async listener</caption>
+ * easyrtc.events.on("roomJoin", async function(connectionObj, roomName, roomParameter) {
+ *     await checkRoomAccess(connectionObj.getUsername(), roomName);
+ *     return easyrtc.events.emitDefault("roomJoin", connectionObj, roomName, roomParameter);
+ * });
  */
 pub.events.on = function(eventName, listener) {
     if (eventName && _.isFunction(listener)) {
         pub.events._eventListener.removeAllListeners(eventName);
-        pub.events._eventListener.on(eventName, listener);
+        pub.events._eventListener.on(eventName, getAsyncListener(eventName, listener));
     }
     else {
         pub.util.logError("Unable to add listener to event '" + eventName + "'");
@@ -446,9 +1207,10 @@ pub.util.getAvailableEasyrtcid = eu.getAvailableEasyrtcid;
  * Returns an EasyRTC message error object for a specific error code. This is meant to be emitted or returned to a websocket client.
  *
  * @param       {String} errorCode      EasyRTC error code associated with an error.
+ * @param       {?String} [errorPath]   Path to the improper field of an incoming message, such as "msgData.roomJoin.lobby.roomName". Included in the msgData if given.
  * @return      {Object}                EasyRTC message error object for the specific error code.
  */
-pub.util.getErrorMsg = function(errorCode) {
+pub.util.getErrorMsg = function(errorCode, errorPath) {
     var msg = {
         msgType: "error",
         serverTime: Date.now(),
@@ -463,6 +1225,10 @@ pub.util.getErrorMsg = function(errorCode) {
         pub.util.logWarning("Emitted unknown error with error code [" + errorCode + "]");
     }
 
+    if (_.isString(errorPath)) {
+        msg.msgData.errorPath = errorPath;
+    }
+
     return msg;
 };
 
@@ -472,6 +1238,7 @@ var errorCodesToMessages = {
     "LOGIN_APP_AUTH_FAIL": "Authentication for application failed. Socket will be disconnected.",
     "LOGIN_BAD_APP_NAME": "Provided application name is improper. Socket will be disconnected.",
     "LOGIN_BAD_AUTH": "Authentication for application failed. Socket will be disconnected.",
+    "LOGIN_BAD_GROUP": "Requested group is invalid or does not exist. Socket will be disconnected.",
     "LOGIN_BAD_ROOM": "Requested room is invalid or does not exist. Socket will be disconnected.",
     "LOGIN_BAD_STRUCTURE": "Authentication for application failed. The provided structure is improper. Socket will be disconnected.",
     "LOGIN_BAD_USER_CFG": "Provided configuration options improper or invalid. Socket will be disconnected.",
@@ -479,18 +1246,28 @@ var errorCodesToMessages = {
     "LOGIN_NO_SOCKETS": "No sockets available for account. Socket will be disconnected.",
     "LOGIN_TIMEOUT": "Login has timed out. Socket will be disconnected.",
     "MSG_REJECT_BAD_DATA": "Message rejected. The provided msgData is improper.",
+    "MSG_REJECT_BAD_GROUP": "Message rejected. Requested group is invalid or does not exist.",
     "MSG_REJECT_BAD_ROOM": "Message rejected. Requested room is invalid or does not exist.",
     "MSG_REJECT_BAD_FIELD": "Message rejected. Problem with field structure or name.",
     "MSG_REJECT_BAD_SIZE": "Message rejected. Packet size is too large.",
     "MSG_REJECT_BAD_STRUCTURE": "Message rejected. The provided structure is improper.",
     "MSG_REJECT_BAD_TYPE": "Message rejected. The provided msgType is unsupported.",
+    "MSG_REJECT_FIELD_WRITE": "Message rejected. Not permitted to set the field.",
     "MSG_REJECT_GEN_FAIL": "Message rejected. General failure occurred.",
+    "MSG_REJECT_NOT_MODERATOR": "Message rejected. Not a moderator of the room, or the target is a moderator or owner.",
     "MSG_REJECT_NO_AUTH": "Message rejected. Not logged in or client not authorized.",
     "MSG_REJECT_NO_ROOM_LIST": "Message rejected. Room list unavailable.",
     "MSG_REJECT_PRESENCE": "Message rejected. Presence could could not be set.",
+    "MSG_REJECT_PRESENCE_SUBSCRIBE": "Message rejected. Presence subscriptions are disabled or the subscription limit has been reached.",
+    "MSG_REJECT_RATE_LIMIT": "Message rejected. Too many messages or too much data sent. Repeated violations will disconnect the socket.",
+    "MSG_REJECT_ROOM_BANNED": "Message rejected. Banned from the room.",
+    "MSG_REJECT_ROOM_FULL": "Message rejected. Room has reached its maximum number of occupants.",
+    "MSG_REJECT_ROOM_INVITE": "Message rejected. Room is invite only and the username is not on the invite list.",
+    "MSG_REJECT_ROOM_PASSWORD": "Message rejected. Room password is missing or incorrect.",
     "MSG_REJECT_TARGET_EASYRTCID": "Message rejected. Target easyrtcid is invalid, not using same application, or no longer online.",
     "MSG_REJECT_TARGET_GROUP": "Message rejected. Target group is invalid or not defined.",
     "MSG_REJECT_TARGET_ROOM": "Message rejected. Target room is invalid or not created.",
+    "MSG_REJECT_TARGET_USERNAME": "Message rejected. Target username is invalid or no connections with that username are online.",
     "SERVER_SHUTDOWN": "Server is being shutdown. Socket will be disconnected.",
 };
 
@@ -510,32 +1287,19 @@ pub.util.getErrorText = function(errorCode) {
 };
 
 /**
- * General logging function which emits a log event so long as the log level has a severity equal or greater than e.option.logLevel
+ * General logging function which emits a log event so long as the log level has a severity equal or greater than e.option.logLevel. If the "logComponentLevels" option holds a level for the component of the log context, that level is used instead.
  *
  * @param       {string} level          Log severity level. Can be ("debug"|"info"|"warning"|"error")
  * @param       {string} logText        Text for log.
  * @param       {?*} [logFields]        Simple JSON object which contains extra fields to be logged.
+ * @param       {?Object} [logContext]  Object of form {component, appName, easyrtcid, roomName, groupName, socketId, msgType, errorCode}. Shown as a prefix such as [appName][easyrtcid] in text logs, and as separate fields in JSON logs. The component defaults to "core".
  */
-pub.util.log = function(level, logText, logFields) {
-    switch (e.option.logLevel) {
-        case "error":
-            if (level !== "error") {
-                break;
-            }
+pub.util.log = function(level, logText, logFields, logContext) {
+    var component = (logContext && logContext.component) || "core";
+    var minLevel = (e.option.logComponentLevels && e.option.logComponentLevels[component]) || e.option.logLevel;
 
-        case "warning":
-            if (level === "info") {
-                break;
-            }
-
-        case "info":
-            if (level === "debug") {
-                break;
-            }
-
-        case "debug":
-            pub.events.emit("log", level, logText, logFields);
-            break;
+    if (lg.isLevelEnabled(level, minLevel)) {
+        pub.events.emit("log", level, logText, logFields, logContext);
     }
 };
 
@@ -545,9 +1309,10 @@ pub.util.log = function(level, logText, logFields) {
  *
  * @param       {string} logText        Text for log.
  * @param       {?*} [logFields]        Simple JSON object which contains extra fields to be logged.
+ * @param       {?Object} [logContext]  Log context such as {appName, easyrtcid}. See pub.util.log()
  */
-pub.util.logDebug = function(logText, logFields) {
-    pub.util.log("debug", logText, logFields);
+pub.util.logDebug = function(logText, logFields, logContext) {
+    pub.util.log("debug", logText, logFields, logContext);
 };
 
 
@@ -556,9 +1321,10 @@ pub.util.logDebug = function(logText, logFields) {
  *
  * @param       {string} logText        Text for log.
  * @param       {?*} [logFields]        Simple JSON object which contains extra fields to be logged.
+ * @param       {?Object} [logContext]  Log context such as {appName, easyrtcid}. See pub.util.log()
  */
-pub.util.logInfo = function(logText, logFields) {
-    pub.util.log("info", logText, logFields);
+pub.util.logInfo = function(logText, logFields, logContext) {
+    pub.util.log("info", logText, logFields, logContext);
 };
 
 
@@ -567,9 +1333,10 @@ pub.util.logInfo = function(logText, logFields) {
  *
  * @param       {string} logText        Text for log.
  * @param       {?*} [logFields]        Simple JSON object which contains extra fields to be logged.
+ * @param       {?Object} [logContext]  Log context such as {appName, easyrtcid}. See pub.util.log()
  */
-pub.util.logWarning = function(logText, logFields) {
-    pub.util.log("warning", logText, logFields);
+pub.util.logWarning = function(logText, logFields, logContext) {
+    pub.util.log("warning", logText, logFields, logContext);
 };
 
 
@@ -578,9 +1345,10 @@ pub.util.logWarning = function(logText, logFields) {
  *
  * @param       {string} logText        Text for log.
  * @param       {?*} [logFields]        Simple JSON object which contains extra fields to be logged.
+ * @param       {?Object} [logContext]  Log context such as {appName, easyrtcid}. See pub.util.log()
  */
-pub.util.logError = function(logText, logFields) {
-    pub.util.log("error", logText, logFields);
+pub.util.logError = function(logText, logFields, logContext) {
+    pub.util.log("error", logText, logFields, logContext);
 };
 
 
@@ -610,28 +1378,28 @@ pub.util.sendSocketCallbackMsg = function(easyrtcid, socketCallback, msg, appObj
     if (appObj) {
         appName = appObj.getAppName();
         if (!appObj.isConnectedSync(easyrtcid)) {
-            pub.util.logDebug("["+appName+"]["+easyrtcid+"] Unable to return socket message. Peer no longer connected.");
+            pub.util.logDebug("Unable to return socket message. Peer no longer connected.", null, {appName: appName, easyrtcid: easyrtcid});
             return false;
         }
     }
 
     if (!_.isFunction(socketCallback)) {
-        pub.util.logWarning("["+appName+"]["+easyrtcid+"] Unable to return socket message. Provided socketCallback was not a function.");
+        pub.util.logWarning("Unable to return socket message. Provided socketCallback was not a function.", null, {appName: appName, easyrtcid: easyrtcid});
         return false;
     }
 
     try {
         socketCallback(msg);
     } catch(err) {
-        pub.util.logWarning("["+appName+"]["+easyrtcid+"] Unable to return socket message. Call to socketCallback failed.");
+        pub.util.logWarning("Unable to return socket message. Call to socketCallback failed.", null, {appName: appName, easyrtcid: easyrtcid});
     }
 
     if (e.option.logMessagesEnable) {
         try {
-            pub.util.logDebug("["+appName+"]["+easyrtcid+"] Returning socket.io message: ["+JSON.stringify(msg)+"]");
+            pub.util.logDebug("Returning socket.io message: ["+JSON.stringify(msg)+"]", null, {appName: appName, easyrtcid: easyrtcid});
         }
         catch(err) {
-            pub.util.logDebug("["+appName+"]["+easyrtcid+"] Returning socket.io message");
+            pub.util.logDebug("Returning socket.io message", null, {appName: appName, easyrtcid: easyrtcid});
         }
     }
     return true;
@@ -672,12 +1440,12 @@ pub.util.updateCheck = function() {
 
 
 /**
- * Checks an incoming EasyRTC message to determine if it is syntactically valid.
+ * Checks an incoming EasyRTC message to determine if it is syntactically valid. Messages are checked against the schema of their msgType, including schemas registered with setMsgSchema().
  *
  * @param       {string} type           The Socket.IO message type. Expected values are (easyrtcAuth|easyrtcCmd|easyrtcMsg)
  * @param       {Object} msg            Message object which contains the full message from a client; this can include the standard msgType and msgData fields.
  * @param       {?Object} appObj        EasyRTC application object. Contains methods used for identifying and managing an application.
- * @param       {function(?Error, boolean, string)} callback Callback with error, a boolean of whether message if valid, and a string indicating the error code if the message is invalid.
+ * @param       {function(?Error, boolean, ?string, ?string)} callback Callback with error, a boolean of whether message if valid, a string indicating the error code if the message is invalid, and the path to the invalid field (such as "msgData.roomJoin.lobby.roomName").
  */
 pub.util.isValidIncomingMessage = function(type, msg, appObj, callback) {
     // A generic getOption variable which points to the getOption function at either the top or application level
@@ -685,353 +1453,92 @@ pub.util.isValidIncomingMessage = function(type, msg, appObj, callback) {
 
     // All messages follow the basic structure
     if (!_.isString(type)) {
-        callback(null, false, "MSG_REJECT_BAD_TYPE");
+        callback(null, false, "MSG_REJECT_BAD_TYPE", null);
         return;
     }
     if (!_.isObject(msg)) {
-        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
+        callback(null, false, "MSG_REJECT_BAD_STRUCTURE", null);
         return;
     }
     if (!_.isString(msg.msgType)) {
-        callback(null, false, "MSG_REJECT_BAD_TYPE");
+        callback(null, false, "MSG_REJECT_BAD_TYPE", "msgType");
         return;
     }
 
-    switch (type) {
-        case "easyrtcAuth":
-            if (msg.msgType !== "authenticate") {
-                callback(null, false, "MSG_REJECT_BAD_TYPE");
-                return;
-            }
-            if (!_.isObject(msg.msgData)) {
-                callback(null, false, "MSG_REJECT_BAD_DATA");
-                return;
-            }
-
-            // msgData.apiVersion (required)
-            if (msg.msgData.apiVersion === undefined || !_.isString(msg.msgData.apiVersion) || !getOption("apiVersionRegExp").test(msg.msgData.apiVersion)) {
-                callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
+    // msgData size
+    var msgDataMaxSize = getOption("msgDataMaxSize");
+    if (_.isNumber(msgDataMaxSize) && msg.msgData !== undefined) {
+        try {
+            if (JSON.stringify(msg.msgData).length > msgDataMaxSize) {
+                callback(null, false, "MSG_REJECT_BAD_SIZE", "msgData");
                 return;
             }
+        } catch (e) {
+            callback(null, false, "MSG_REJECT_BAD_DATA", "msgData");
+            return;
+        }
+    }
 
-            // msgData.appName
-            if (msg.msgData.applicationName !== undefined && (!_.isString(msg.msgData.applicationName) || !getOption("appNameRegExp").test(msg.msgData.applicationName))) {
-                callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                return;
-            }
+    // Reject all unknown msgType's
+    var schemaList = sc.getSchemaList(type, msg.msgType, (_.isObject(appObj) ? appObj.getAppName() : null));
+    if (!schemaList) {
+        callback(null, false, "MSG_REJECT_BAD_TYPE", "msgType");
+        return;
+    }
 
-            // msgData.easyrtcsid
-            if (msg.msgData.easyrtcsid !== undefined && (!_.isString(msg.msgData.easyrtcsid) || !getOption("easyrtcsidRegExp").test(msg.msgData.easyrtcsid))) {
-                callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
+    var validateMsg = function() {
+        for (var i = 0; i < schemaList.length; i++) {
+            var failure = sc.validate(schemaList[i], msg, getOption);
+            if (failure) {
+                callback(null, false, failure.errorCode, failure.errorPath);
                 return;
             }
+        }
 
-            var isCallbackRun = false;
-            async.waterfall([
-                function(asyncCallback) {
-                    if (!appObj) {
-                        pub.app((msg.msgData.applicationName !== undefined ? msg.msgData.applicationName : getOption("appDefaultName")), function(err, newAppObj) {
-                            if (!err) {
-                                appObj = newAppObj;
-                                getOption = appObj.getOption;
-                            }
-                            asyncCallback(null);
-                        });
-                    }
-                    else {
-                        asyncCallback(null);
-                    }
-                },
-                function(asyncCallback) {
-                    // msgData.username
-                    if (msg.msgData.username !== undefined && (!_.isString(msg.msgData.username) || !getOption("usernameRegExp").test(msg.msgData.username))) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        isCallbackRun = true;
-                        return;
-                    }
+        // Incoming message syntactically valid
+        callback(null, true, null, null);
+    };
 
-                    // msgData.credential
-                    if (msg.msgData.credential !== undefined && (!_.isObject(msg.msgData.credential) || _.isEmpty(msg.msgData.credential))) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        isCallbackRun = true;
-                        return;
-                    }
-
-                    // msgData.roomJoin
-                    if (msg.msgData.roomJoin !== undefined) {
-                        if (!_.isObject(msg.msgData.roomJoin)) {
-                            callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                            isCallbackRun = true;
-                            return;
-                        }
-
-                        for (var currentRoomName in msg.msgData.roomJoin) {
-                            if (msg.msgData.roomJoin.hasOwnProperty(currentRoomName)) {
-                                if (
-                                    !getOption("roomNameRegExp").test(currentRoomName) || 
-                                        !_.isObject(msg.msgData.roomJoin[currentRoomName]) || 
-                                            !_.isString(msg.msgData.roomJoin[currentRoomName].roomName) || 
-                                                currentRoomName !== msg.msgData.roomJoin[currentRoomName].roomName
-                                ) {
-                                    callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                                    isCallbackRun = true;
-                                    return;
-                                }
-                                // if roomParameter field is defined, it must be an object
-                                if (msg.msgData.roomJoin[currentRoomName].roomParameter !== undefined && !_.isObject(msg.msgData.roomJoin[currentRoomName].roomParameter)) {
-                                    callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                                    isCallbackRun = true;
-                                    return;
-                                }   
-                            }
-                        }
-                    }
-
-                    // msgData.setPresence
-                    if (msg.msgData.setPresence !== undefined) {
-                        if (!_.isObject(msg.msgData.setPresence) || _.isEmpty(msg.msgData.setPresence)) {
-                            callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                            isCallbackRun = true;
-                            return;
-                        }
-                        if (msg.msgData.setPresence.show !== undefined && (!_.isString(msg.msgData.setPresence.show) || !getOption("presenceShowRegExp").test(msg.msgData.setPresence.show))) {
-                            callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                            isCallbackRun = true;
-                            return;
-                        }
-                        if (msg.msgData.setPresence.status !== undefined && (!_.isString(msg.msgData.setPresence.status) || !getOption("presenceStatusRegExp").test(msg.msgData.setPresence.status))) {
-                            callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                            isCallbackRun = true;
-                            return;
-                        }
-                    }
-                    
-                    // TODO: setUserCfg
-                    if (msg.msgData.setUserCfg !== undefined) {
-                    
-                    }
-
-                    asyncCallback(null);
-
-                }
-            ],
-                function(err) {
-                    if (err) {
-                        if (!isCallbackRun) {
-                            callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                            isCallbackRun = true;
-                        }
-                    }
-                    else {
-                        // Incoming message syntactically valid
-                        callback(null, true, null);
-                    }
+    // Authentication messages are checked using the options of the application being joined
+    if (type === "easyrtcAuth" && !appObj) {
+        var appName = (_.isObject(msg.msgData) && msg.msgData.applicationName !== undefined ? msg.msgData.applicationName : pub.getOption("appDefaultName"));
+        if (_.isString(appName) && pub.getOption("appNameRegExp").test(appName)) {
+            pub.app(appName, function(err, newAppObj) {
+                if (!err) {
+                    getOption = newAppObj.getOption;
                 }
-            );
-
+                validateMsg();
+            });
             return;
-        break;
-
-        case "easyrtcCmd":
-            switch (msg.msgType) {
-                case "candidate" :
-                case "offer" :
-                case "answer" :
-                    // candidate, offer, and answer each require a non-empty msgData object and a proper targetEasyrtcid
-                    if (!_.isObject(msg.msgData) || _.isEmpty(msg.msgData)) {
-                        callback(null, false, "MSG_REJECT_BAD_DATA");
-                        return;
-                    }
-                    if (!_.isString(msg.targetEasyrtcid) || !getOption("easyrtcidRegExp").test(msg.targetEasyrtcid)) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        return;
-                    }
-                    break;
-                case "reject" :
-                case "hangup" :
-                    // reject, and hangup each require a targetEasyrtcid but no msgData
-                    if (msg.msgData !== undefined) {
-                        callback(null, false, "MSG_REJECT_BAD_DATA");
-                        return;
-                    }
-                    if (!_.isString(msg.targetEasyrtcid) || !getOption("easyrtcidRegExp").test(msg.targetEasyrtcid)) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        return;
-                    }
-                    break;
-
-                case "getIceConfig" :
-                    if (msg.msgData !== undefined && !_.isEmpty(msg.msgData)) {
-                        callback(null, false, "MSG_REJECT_BAD_DATA");
-                        return;
-                    }
-                    break;
-
-                case "getRoomList" :
-                    if (msg.msgData !== undefined) {
-                        callback(null, false, "MSG_REJECT_BAD_DATA");
-                        return;
-                    }
-                    break;
-
-                case "roomJoin" :
-                    if (!_.isObject(msg.msgData)) {
-                        callback(null, false, "MSG_REJECT_BAD_DATA");
-                        return;
-                    }
-                    if (!_.isObject(msg.msgData.roomJoin)) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        return;
-                    }
-
-                    for (var joinRoomName in msg.msgData.roomJoin) {
-                        if (msg.msgData.roomJoin.hasOwnProperty(joinRoomName)) {
-                            if (
-                                !getOption("roomNameRegExp").test(joinRoomName) || 
-                                    !_.isObject(msg.msgData.roomJoin[joinRoomName]) || 
-                                        !_.isString(msg.msgData.roomJoin[joinRoomName].roomName) || 
-                                            joinRoomName !== msg.msgData.roomJoin[joinRoomName].roomName
-                            ) {
-                                callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                                return;
-                            }
-                        }
-                    }
-                    break;
-
-                case "roomLeave" :
-                    if (!_.isObject(msg.msgData)) {
-                        callback(null, false, "MSG_REJECT_BAD_DATA");
-                        return;
-                    }
-                    if (!_.isObject(msg.msgData.roomLeave)) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        return;
-                    }
-
-                    for (var leaveRoomName in msg.msgData.roomLeave) {
-                        if (msg.msgData.roomLeave.hasOwnProperty(leaveRoomName)) {                         
-                            if (
-                                !getOption("roomNameRegExp").test(leaveRoomName) ||   
-                                    !_.isObject(msg.msgData.roomLeave[leaveRoomName]) || 
-                                        !_.isString(msg.msgData.roomLeave[leaveRoomName].roomName) || 
-                                            leaveRoomName !== msg.msgData.roomLeave[leaveRoomName].roomName) {
-                                callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                                return;
-                            }   
-                        }
-                    }
-                    break;
-
-                case "setPresence" :
-                    if (!_.isObject(msg.msgData)) {
-                        callback(null, false, "MSG_REJECT_BAD_DATA");
-                        return;
-                    }
-                    if (!_.isObject(msg.msgData.setPresence) || _.isEmpty(msg.msgData.setPresence)) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        return;
-                    }
-                    if (msg.msgData.setPresence.show !== undefined && (!_.isString(msg.msgData.setPresence.show) || !getOption("presenceShowRegExp").test(msg.msgData.setPresence.show))) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        return;
-                    }
-                    if (msg.msgData.setPresence.status !== undefined && (!_.isString(msg.msgData.setPresence.status) || !getOption("presenceStatusRegExp").test(msg.msgData.setPresence.status))) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        return;
-                    }
-                    break;
-
-                case "setRoomApiField" :
-                    if (!_.isObject(msg.msgData)) {
-                        callback(null, false, "MSG_REJECT_BAD_DATA");
-                        return;
-                    }
-                    if (!_.isObject(msg.msgData.setRoomApiField) || _.isEmpty(msg.msgData.setRoomApiField)) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        return;
-                    }
-                    if (!_.isString(msg.msgData.setRoomApiField.roomName) || !getOption("roomNameRegExp").test(msg.msgData.setRoomApiField.roomName)) {
-                        callback(null, false, "MSG_REJECT_BAD_ROOM");
-                        return;
-                    }
-                    if (msg.msgData.setRoomApiField.field !== undefined) {
-                        if (!_.isObject(msg.msgData.setRoomApiField.field)) {
-                            callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                            return;
-                        }
-                        try {
-                            if (JSON.stringify(msg.msgData.setRoomApiField.field).length >= 4096) {
-                                callback(null, false, "MSG_REJECT_BAD_SIZE");
-                                return;
-                            }
-                        } catch (e) {
-                            if (!_.isObject(msg.msgData.setRoomApiField.field)) {
-                                callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                                return;
-                            }
-                        }
-                    }
-                    break;
-
-                case "setUserCfg" :
-                    if (!_.isObject(msg.msgData)) {
-                        callback(null, false, "MSG_REJECT_BAD_DATA");
-                        return;
-                    }
-                    if (!_.isObject(msg.msgData.setUserCfg) || _.isEmpty(msg.msgData.setUserCfg)) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        return;
-                    }
-
-                    // setUserCfg.p2pList
-                    if (msg.msgData.setUserCfg.p2pList !== undefined && (!_.isObject(msg.msgData.setUserCfg.p2pList) || _.isEmpty(msg.msgData.setUserCfg.p2pList))) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        return;
-                    }
-                    // TODO: Go through p2pList to confirm each key is an easyrtcid
-
-                    // setUserCfg.userSettings
-                    if (msg.msgData.setUserCfg.userSettings !== undefined && (!_.isObject(msg.msgData.setUserCfg.userSettings) || _.isEmpty(msg.msgData.setUserCfg.userSettings))) {
-                        callback(null, false, "MSG_REJECT_BAD_STRUCTURE");
-                        return;
-                    }
-
-                    break;
-
-                default:
-                    // Reject all unknown msgType's
-                    callback(null, false, "MSG_REJECT_BAD_TYPE");
-                    return;
-            }
+        }
+    }
 
-            break;
+    validateMsg();
+};
 
-        case "easyrtcMsg":
-            // targetEasyrtcid
-            if (msg.targetEasyrtcid !== undefined && (!_.isString(msg.targetEasyrtcid) || !getOption("easyrtcidRegExp").test(msg.targetEasyrtcid))) {
-                callback(null, false, "MSG_REJECT_TARGET_EASYRTCID");
-                return;
-            }
-            // targetGroup
-            if (msg.targetGroup !== undefined && (!_.isString(msg.targetGroup) || !getOption("groupNameRegExp").test(msg.targetGroup))) {
-                callback(null, false, "MSG_REJECT_TARGET_GROUP");
-                return;
-            }
-            // targetRoom
-            if (msg.targetRoom !== undefined && (!_.isString(msg.targetRoom) || !getOption("roomNameRegExp").test(msg.targetRoom))) {
-                callback(null, false, "MSG_REJECT_TARGET_ROOM");
-                return;
-            }
-            break;
 
-        default:
-            callback(null, false, "MSG_REJECT_BAD_TYPE");
-            return;
+/**
+ * Sets the schema of an application defined msgType for all applications. An application can replace it with its own using appObj.setMsgSchema(). Incoming messages of that msgType are checked against the schema, and are rejected with the schema's error code (by default MSG_REJECT_BAD_STRUCTURE) along with the path to the improper field. The schemas of built in easyrtcCmd msgTypes can not be replaced.
+ *
+ * Schemas use a subset of JSON Schema and describe the full message, including the msgData field. See the easyrtc_schema module for the supported keywords. Messages of type easyrtcMsg are accepted with any msgType, while an easyrtcCmd msgType must have a schema and be handled by overriding the "easyrtcCmd" event.
+ *
+ * @param       {string} type           Socket.IO message type (easyrtcCmd|easyrtcMsg).
+ * @param       {string} msgType        Message type.
+ * @param       {?Object} schema        Message schema. If null, the schema is removed.
+ * @returns     {Boolean}               true on success, false on failure
+ * @example     <caption>Require a "chat" message to hold a short text field</caption>
+ * easyrtc.setMsgSchema("easyrtcMsg", "chat", {
+ *     properties: {
+ *         msgData: {type: "object", required: ["text"], properties: {text: {type: "string", maxLength: 500}}}
+ *     }
+ * });
+ */
+pub.setMsgSchema = function(type, msgType, schema) {
+    if (!sc.set(null, type, msgType, schema)) {
+        pub.util.logError("Error setting message schema for [" + type + "] msgType '" + msgType + "'.");
+        return false;
     }
-
-    // Incoming message syntactically valid
-    callback(null, true, null);
+    return true;
 };
 
 
@@ -1057,15 +1564,51 @@ pub.util.sendSessionCookie = function(req, res) {
 };
 
 
+/**
+ * Generates an ephemeral TURN credential using the TURN REST API scheme supported by TURN servers such as coturn (with the use-auth-secret setting). The username is the expiry time in seconds since the epoch followed by a colon and the user id, and the credential is the base64 encoded HMAC-SHA1 of the username using the shared secret.
+ *
+ * @param       {string} userId         Identifies the user to the TURN server, such as the username or easyrtcid of the connection.
+ * @param       {string} turnSecret     Secret shared with the TURN server.
+ * @param       {Number} ttl            Number of seconds the credential is valid for.
+ * @returns     {Object}                Object of form {username:<String>, credential:<String>, expiresOn:<Number>}. The expiresOn time is in milliseconds.
+ */
+pub.util.getTurnCredential = function(userId, turnSecret, ttl) {
+    var expiry = Math.floor(Date.now() / 1000) + ttl;
+    var username = expiry + ":" + userId;
+    return {
+        username: username,
+        credential: crypto.createHmac("sha1", turnSecret).update(username, "utf8").digest("base64"),
+        expiresOn: expiry * 1000
+    };
+};
+
+
+/**
+ * Returns the remote IP address of a socket. IPv4 clients may be reported in IPv4-mapped IPv6 form (such as "::ffff:10.1.2.3"). Returns null if the address is unavailable.
+ *
+ * @param       {Object} socket         Socket.io socket object.
+ * @returns     {?string}               Remote IP address.
+ */
+pub.util.getSocketIpAddress = function(socket) {
+    if (socket.handshake && _.isString(socket.handshake.address)) {
+        return socket.handshake.address;
+    }
+    if (socket.request && socket.request.connection && _.isString(socket.request.connection.remoteAddress)) {
+        return socket.request.connection.remoteAddress;
+    }
+    return null;
+};
+
+
 /**
  * Determine if a given application name has been defined.
  *
  * @param       {string} appName        Application name which uniquely identifies it on the server.
  * @param       {function(?Error, boolean)} callback Callback with error and boolean of whether application is defined.
  */
-pub.isApp = function(appName, callback) {
+pub.isApp = eu.promisify(function(appName, callback) {
     callback(null, (e.app[appName] ? true : false));
-};
+}, 1);
 
 
 /**
@@ -1077,7 +1620,7 @@ pub.isApp = function(appName, callback) {
  * @param       {?object} options       Options object with options to apply to the application. May be null.
  * @param       {appCallback} [callback] Callback with error and application object
  */
-pub.createApp = function(appName, options, callback) {
+pub.createApp = eu.promisify(function(appName, options, callback) {
     if (!_.isFunction(callback)) {
         callback = function(err, appObj) {
         };
@@ -1103,9 +1646,12 @@ pub.createApp = function(appName, options, callback) {
         connection: {},
         field: {},
         group: {},
+        offlineMsg: {},
         option: {},
+        presenceSubscriber: {},
         room: {},
-        session: {}
+        session: {},
+        userPresence: {}
     };
 
     // Get the new app object
@@ -1140,6 +1686,8 @@ pub.createApp = function(appName, options, callback) {
                         }
                     }
 
+                    ss.saveApp(appName, stateStoreCallback);
+
                     if (appObj.getOption("roomDefaultEnable")) {
                         pub.events.emit("roomCreate", appObj, null, appObj.getOption("roomDefaultName"), null, function(err, roomObj) {
                             if (err) {
@@ -1150,13 +1698,304 @@ pub.createApp = function(appName, options, callback) {
                             callback(null, appObj);
                         });
                     }
-                    else {
-                        // Return app object to callback
-                        callback(null, appObj);
+                    else {
+                        // Return app object to callback
+                        callback(null, appObj);
+                    }
+                });
+    });
+}, 2);
+
+
+/**
+ * Restores applications, rooms and groups (including their options and fields), room history and queued offline messages from the state store. Stale connection records, which can not outlive the process that created them, are removed from the store. Does nothing if the "stateStore" option is not set.
+ *
+ * Applications, rooms and groups which already exist are kept, with the stored options and fields applied on top. Session fields are restored when a session is next created.
+ *
+ * @param       {nextCallback} [next]   A success callback of form next(err).
+ */
+pub.restoreState = eu.promisify(function(next) {
+    if (!_.isFunction(next)) {
+        next = pub.util.nextToNowhere;
+    }
+
+    // Nothing has been persisted without a store
+    if (!ss.isEnabled()) {
+        next(null);
+        return;
+    }
+
+    var store = ss.getStore();
+
+    // Applies stored options and fields to an existing application or room object.
+    var applyStoredRecord = function(targetObj, storedRecord) {
+        var currentName;
+        if (_.isObject(storedRecord.option)) {
+            for (currentName in storedRecord.option) {
+                if (storedRecord.option.hasOwnProperty(currentName)) {
+                    targetObj.setOption(currentName, storedRecord.option[currentName]);
+                }
+            }
+        }
+        if (_.isObject(storedRecord.field)) {
+            for (currentName in storedRecord.field) {
+                if (storedRecord.field.hasOwnProperty(currentName)) {
+                    targetObj.setField(
+                            currentName,
+                            storedRecord.field[currentName].fieldValue,
+                            storedRecord.field[currentName].fieldOption,
+                            null
+                            );
+                }
+            }
+        }
+    };
+
+    // Restores the message history of a room which has been restored.
+    var restoreRoomHistory = function(appName, roomName, roomCallback) {
+        store.get(ss.roomHistoryKey(appName, roomName), function(err, storedHistory) {
+            if (err || !_.isObject(storedHistory) || !_.isArray(storedHistory.msgList) || !e.app[appName] || !e.app[appName].room[roomName]) {
+                roomCallback(err);
+                return;
+            }
+            e.app[appName].room[roomName].history = {
+                nextHistoryId: storedHistory.nextHistoryId,
+                msgList: storedHistory.msgList
+            };
+            roomCallback(null);
+        });
+    };
+
+    // Restores a single room within an application.
+    var restoreRoom = function(appObj, roomKey, roomCallback) {
+        store.get(roomKey, function(err, storedRoom) {
+            if (err || !_.isObject(storedRoom) || !storedRoom.roomName) {
+                roomCallback(err);
+                return;
+            }
+            if (appObj.isRoomSync(storedRoom.roomName)) {
+                appObj.room(storedRoom.roomName, function(err, roomObj) {
+                    if (err) {
+                        roomCallback(err);
+                        return;
+                    }
+                    applyStoredRecord(roomObj, storedRoom);
+                    restoreRoomHistory(appObj.getAppName(), storedRoom.roomName, roomCallback);
+                });
+                return;
+            }
+            pub.util.logDebug("Restoring room [" + storedRoom.roomName + "] from state store", null, {component: "stateStore", appName: appObj.getAppName()});
+            appObj.createRoom(storedRoom.roomName, storedRoom.option, function(err, roomObj) {
+                if (err) {
+                    roomCallback(err);
+                    return;
+                }
+                applyStoredRecord(roomObj, {field: storedRoom.field});
+                restoreRoomHistory(appObj.getAppName(), storedRoom.roomName, roomCallback);
+            });
+        });
+    };
+
+    // Restores a single group within an application.
+    var restoreGroup = function(appObj, groupKey, groupCallback) {
+        store.get(groupKey, function(err, storedGroup) {
+            if (err || !_.isObject(storedGroup) || !storedGroup.groupName) {
+                groupCallback(err);
+                return;
+            }
+            if (appObj.isGroupSync(storedGroup.groupName)) {
+                appObj.group(storedGroup.groupName, function(err, groupObj) {
+                    if (err) {
+                        groupCallback(err);
+                        return;
+                    }
+                    applyStoredRecord(groupObj, storedGroup);
+                    groupCallback(null);
+                });
+                return;
+            }
+            pub.util.logDebug("Restoring group [" + storedGroup.groupName + "] from state store", null, {component: "stateStore", appName: appObj.getAppName()});
+            appObj.createGroup(storedGroup.groupName, storedGroup.option, function(err, groupObj) {
+                if (err) {
+                    groupCallback(err);
+                    return;
+                }
+                applyStoredRecord(groupObj, {field: storedGroup.field});
+                groupCallback(null);
+            });
+        });
+    };
+
+    // Restores the offline messages queued for usernames within an application.
+    var restoreOfflineMsgs = function(appName, appCallback) {
+        store.getKeys(ss.offlineMsgKey(appName, ""), function(err, offlineMsgKeys) {
+            if (err) {
+                appCallback(err);
+                return;
+            }
+            async.each(offlineMsgKeys, function(offlineMsgKey, offlineMsgCallback) {
+                store.get(offlineMsgKey, function(err, storedOfflineMsg) {
+                    if (err || !_.isObject(storedOfflineMsg) || !_.isArray(storedOfflineMsg.msgList) || !e.app[appName]) {
+                        offlineMsgCallback(err);
+                        return;
+                    }
+                    e.app[appName].offlineMsg[storedOfflineMsg.username] = storedOfflineMsg.msgList;
+                    offlineMsgCallback(null);
+                });
+            }, appCallback);
+        });
+    };
+
+    // Restores the last seen records of an application's usernames.
+    var restoreUserPresence = function(appName, appCallback) {
+        store.getKeys(ss.userPresenceKey(appName, ""), function(err, userPresenceKeys) {
+            if (err) {
+                appCallback(err);
+                return;
+            }
+            async.each(userPresenceKeys, function(userPresenceKey, userPresenceCallback) {
+                store.get(userPresenceKey, function(err, storedUserPresence) {
+                    if (err || !_.isObject(storedUserPresence) || !_.isString(storedUserPresence.username) || !e.app[appName]) {
+                        userPresenceCallback(err);
+                        return;
+                    }
+                    e.app[appName].userPresence[storedUserPresence.username] = storedUserPresence;
+                    userPresenceCallback(null);
+                });
+            }, appCallback);
+        });
+    };
+
+    // Restores a single application, followed by its rooms, groups, offline messages and last seen records.
+    var restoreApp = function(appKey, appCallback) {
+        store.get(appKey, function(err, storedApp) {
+            if (err || !_.isObject(storedApp) || !storedApp.appName) {
+                appCallback(err);
+                return;
+            }
+
+            var restoreRooms = function(err, appObj) {
+                if (err) {
+                    appCallback(err);
+                    return;
+                }
+                store.getKeys(ss.roomKey(storedApp.appName, ""), function(err, roomKeys) {
+                    if (err) {
+                        appCallback(err);
+                        return;
+                    }
+                    async.each(roomKeys, function(roomKey, roomCallback) {
+                        restoreRoom(appObj, roomKey, roomCallback);
+                    }, function(err) {
+                        if (err) {
+                            appCallback(err);
+                            return;
+                        }
+                        store.getKeys(ss.groupKey(storedApp.appName, ""), function(err, groupKeys) {
+                            if (err) {
+                                appCallback(err);
+                                return;
+                            }
+                            async.each(groupKeys, function(groupKey, groupCallback) {
+                                restoreGroup(appObj, groupKey, groupCallback);
+                            }, function(err) {
+                                if (err) {
+                                    appCallback(err);
+                                    return;
+                                }
+                                restoreOfflineMsgs(storedApp.appName, function(err) {
+                                    if (err) {
+                                        appCallback(err);
+                                        return;
+                                    }
+                                    restoreUserPresence(storedApp.appName, appCallback);
+                                });
+                            });
+                        });
+                    });
+                });
+            };
+
+            if (e.app[storedApp.appName]) {
+                pub.app(storedApp.appName, function(err, appObj) {
+                    if (!err) {
+                        applyStoredRecord(appObj, storedApp);
+                    }
+                    restoreRooms(err, appObj);
+                });
+                return;
+            }
+
+            pub.util.logDebug("Restoring application [" + storedApp.appName + "] from state store", null, {component: "stateStore"});
+            pub.createApp(storedApp.appName, storedApp.option, function(err, appObj) {
+                if (!err) {
+                    applyStoredRecord(appObj, {field: storedApp.field});
+                }
+                restoreRooms(err, appObj);
+            });
+        });
+    };
+
+    // Restores the IP bans. Bans which have expired are removed from the store.
+    var restoreIpBans = function(ipBanCallback) {
+        store.getKeys(ss.ipBanKey(""), function(err, ipBanKeys) {
+            if (err) {
+                ipBanCallback(err);
+                return;
+            }
+            async.each(ipBanKeys, function(ipBanKey, banCallback) {
+                store.get(ipBanKey, function(err, storedBan) {
+                    if (err) {
+                        banCallback(err);
+                        return;
+                    }
+                    if (!ib.restore(storedBan)) {
+                        store.remove(ipBanKey, banCallback);
+                        return;
                     }
+                    banCallback(null);
                 });
+            }, ipBanCallback);
+        });
+    };
+
+    async.waterfall([
+        function(asyncCallback) {
+            restoreIpBans(asyncCallback);
+        },
+        function(asyncCallback) {
+            store.getKeys("app:", asyncCallback);
+        },
+        function(appKeys, asyncCallback) {
+            async.each(appKeys, restoreApp, function(err) {
+                asyncCallback(err);
+            });
+        },
+        function(asyncCallback) {
+            store.getKeys("connection:", asyncCallback);
+        },
+        function(connectionKeys, asyncCallback) {
+            async.each(connectionKeys, function(connectionKey, connectionCallback) {
+                var keyParts = connectionKey.split(":");
+                if (e.app[keyParts[1]] && e.app[keyParts[1]].connection[keyParts[2]]) {
+                    connectionCallback(null);
+                    return;
+                }
+                store.remove(connectionKey, connectionCallback);
+            }, function(err) {
+                asyncCallback(err);
+            });
+        }
+    ], function(err) {
+        if (err) {
+            pub.util.logWarning("Error restoring state from state store", err, {component: "stateStore"});
+            next(new pub.util.ServerError("Error restoring state from state store"));
+            return;
+        }
+        pub.util.logDebug("State restored from state store", null, {component: "stateStore"});
+        next(null);
     });
-};
+}, 0);
 
 
 /**
@@ -1171,7 +2010,7 @@ pub.createApp = function(appName, options, callback) {
  * @param       {?string} appName        Application name which uniquely identifies it on the server. Uses default application if null.
  * @param       {appCallback} [callback] Callback with error and application object
  */
-pub.app = function(appName, callback) {
+pub.app = eu.promisify(function(appName, callback) {
 
     /**
      * The primary method for interfacing with an EasyRTC application.
@@ -1227,9 +2066,9 @@ pub.app = function(appName, callback) {
      * @memberof    pub.appObj
      * @param       {function(?Error, Number)} callback Callback with error and array containing all easyrtcids.
      */
-    appObj.getConnectionCount = function(callback) {
+    appObj.getConnectionCount = eu.promisify(function(callback) {
         callback(null, appObj.getConnectionCountSync());
-    };
+    }, 0);
 
 
     /**
@@ -1249,10 +2088,134 @@ pub.app = function(appName, callback) {
      * @memberof    pub.appObj
      * @param       {function(?Error, Array.<string>)} callback Callback with error and array of easyrtcids.
      */
-    appObj.getConnectionEasyrtcids = function(callback) {
+    appObj.getConnectionEasyrtcids = eu.promisify(function(callback) {
         var easyrtcids = Object.keys(e.app[appName].connection);
         callback(null, easyrtcids);
-    };
+    }, 0);
+
+
+    /**
+     * Returns an array of the easyrtcids of all authenticated connections to the application which have a given username. A user may have several connections (such as multiple tabs or devices).
+     *
+     * @memberof    pub.appObj
+     * @param       {string}    username    Username to match.
+     * @param       {function(?Error, Array.<string>)} callback Callback with error and array of easyrtcids.
+     */
+    appObj.getConnectionEasyrtcidsByUsername = eu.promisify(function(username, callback) {
+        var easyrtcids = _.filter(Object.keys(e.app[appName].connection), function(currentEasyrtcid) {
+            var currentConnection = e.app[appName].connection[currentEasyrtcid];
+            return currentConnection.isAuthenticated && currentConnection.username === username;
+        });
+        callback(null, easyrtcids);
+    }, 1);
+
+
+    /**
+     * Queues a message for a username which has no connections, if the "offlineMsgEnable" option is set. The message expires after the "offlineMsgTtl" option. The callback receives null instead of the queued message if offline messages are disabled or the "offlineMsgMaxCount" option has been reached for the username.
+     *
+     * @memberof    pub.appObj
+     * @param       {string}    username    Username the message is queued for.
+     * @param       {Object}    msg         Message of form {senderEasyrtcid, msgType, msgData}.
+     * @param       {function(?Error, ?Object)} callback Callback with error and the queued message of form {offlineMsgId, senderEasyrtcid, [senderUsername], targetUsername, msgType, msgData, serverTime, expiresOn}.
+     */
+    appObj.addOfflineMsg = eu.promisify(function(username, msg, callback) {
+        if (!appObj.getOption("offlineMsgEnable")) {
+            callback(null, null);
+            return;
+        }
+
+        removeExpiredOfflineMsgs(appName, username);
+        var msgList = e.app[appName].offlineMsg[username] || [];
+        if (msgList.length >= appObj.getOption("offlineMsgMaxCount")) {
+            pub.util.logDebug("Offline message queue is full for username [" + username + "]", null, {appName: appName});
+            callback(null, null);
+            return;
+        }
+
+        var now = Date.now();
+        var offlineMsg = {
+            offlineMsgId:       crypto.randomBytes(16).toString("hex"),
+            senderEasyrtcid:    msg.senderEasyrtcid,
+            targetUsername:     username,
+            msgType:            msg.msgType,
+            msgData:            pub.util.deepCopy(msg.msgData),
+            serverTime:         now,
+            expiresOn:          now + appObj.getOption("offlineMsgTtl")
+        };
+        if (e.app[appName].connection[msg.senderEasyrtcid] && e.app[appName].connection[msg.senderEasyrtcid].username) {
+            offlineMsg.senderUsername = e.app[appName].connection[msg.senderEasyrtcid].username;
+        }
+
+        msgList.push(offlineMsg);
+        e.app[appName].offlineMsg[username] = msgList;
+        ss.saveOfflineMsg(appName, username, stateStoreCallback);
+        callback(null, pub.util.deepCopy(offlineMsg));
+    }, 2);
+
+
+    /**
+     * Returns the presence of a username. A username is online while it has at least one authenticated connection, in which case the show and status are those of its most recently active connection. Presence is local to this server; in a cluster, connections on other nodes are not included.
+     *
+     * @memberof    pub.appObj
+     * @param       {string}    username    Username.
+     * @param       {function(?Error, Object=)} callback Callback with error and presence object of form {username, isOnline, show, status, lastActivityOn, lastSeenOn}. Times are in milliseconds since the epoch, and are null if the username has not been seen.
+     */
+    appObj.getUserPresence = eu.promisify(function(username, callback) {
+        callback(null, getUserPresenceSync(appName, username));
+    }, 1);
+
+
+    /**
+     * Returns the active calls of the application, oldest first. Calls are only tracked if the "callTrackEnable" option is true. In a cluster, a call between connections on two nodes is tracked by only one of them (the node hosting the lower easyrtcid).
+     *
+     * @memberof    pub.appObj
+     * @param       {function(?Error, Array.<Object>)} callback Callback with error and array of call objects of form {callId, appName, callerEasyrtcid, callerUsername, calleeEasyrtcid, calleeUsername, roomName, startOn, answerOn, endOn, endReason, endedByEasyrtcid, duration}. Times are in milliseconds since the epoch.
+     */
+    appObj.getActiveCalls = eu.promisify(function(callback) {
+        callback(null, ct.getActiveCalls(appName));
+    }, 0);
+
+
+    /**
+     * Returns the unexpired offline messages queued for a username, oldest first. Expired messages are dropped.
+     *
+     * @memberof    pub.appObj
+     * @param       {string}    username    Username the messages are queued for.
+     * @param       {function(?Error, Array.<Object>)} callback Callback with error and array of queued messages. See addOfflineMsg() for the message form.
+     */
+    appObj.getOfflineMsgs = eu.promisify(function(username, callback) {
+        if (removeExpiredOfflineMsgs(appName, username)) {
+            ss.saveOfflineMsg(appName, username, stateStoreCallback);
+        }
+        callback(null, pub.util.deepCopy(e.app[appName].offlineMsg[username] || []));
+    }, 1);
+
+
+    /**
+     * Removes offline messages queued for a username, such as once they have been delivered.
+     *
+     * @memberof    pub.appObj
+     * @param       {string}    username    Username the messages are queued for.
+     * @param       {Array.<string>} offlineMsgIdList Array of offlineMsgIds to remove.
+     * @param       {nextCallback} next     A success callback of form next(err).
+     */
+    appObj.removeOfflineMsgs = eu.promisify(function(username, offlineMsgIdList, next) {
+        if (!e.app[appName].offlineMsg[username]) {
+            next(null);
+            return;
+        }
+        var msgList = _.filter(e.app[appName].offlineMsg[username], function(offlineMsg) {
+            return !_.contains(offlineMsgIdList, offlineMsg.offlineMsgId);
+        });
+        if (msgList.length > 0) {
+            e.app[appName].offlineMsg[username] = msgList;
+        }
+        else {
+            delete e.app[appName].offlineMsg[username];
+        }
+        ss.saveOfflineMsg(appName, username, stateStoreCallback);
+        next(null);
+    }, 2);
 
 
     /**
@@ -1262,14 +2225,14 @@ pub.app = function(appName, callback) {
      * @param       {string}        fieldName   Field name
      * @param       {function(?Error, Object=)} callback Callback with error and field object (any type)
      */
-    appObj.getField = function(fieldName, callback) {
+    appObj.getField = eu.promisify(function(fieldName, callback) {
         if (!e.app[appName].field[fieldName]) {
             pub.util.logDebug("Can not find app field: '" + fieldName + "'");
             callback(new pub.util.ApplicationWarning("Can not find app field: '" + fieldName + "'"));
             return;
         }
         callback(null, pub.util.deepCopy(e.app[appName].field[fieldName]));
-    };
+    }, 1);
 
 
     /**
@@ -1309,7 +2272,7 @@ pub.app = function(appName, callback) {
      * @param       {boolean}   limitToIsShared Limits returned fields to those which have the isShared option set to true.
      * @param       {function(?Error, Object=)} callback Callback with error and object containing field names and values.
      */
-    appObj.getFields = function(limitToIsShared, callback) {
+    appObj.getFields = eu.promisify(function(limitToIsShared, callback) {
         var fieldObj = {};
         for (var fieldName in e.app[appName].field) {
             if (!limitToIsShared || e.app[appName].field[fieldName].fieldOption.isShared) {
@@ -1320,7 +2283,7 @@ pub.app = function(appName, callback) {
             }
         }
         callback(null, fieldObj);
-    };
+    }, 1);
 
 
     /**
@@ -1329,10 +2292,10 @@ pub.app = function(appName, callback) {
      * @memberof    pub.appObj
      * @param       {function(?Error, Array.<string>)} callback Callback with error and array of group names.
      */
-    appObj.getGroupNames = function(callback) {
+    appObj.getGroupNames = eu.promisify(function(callback) {
         var groupNames = Object.keys(e.app[appName].group);
         callback(null, groupNames);
-    };
+    }, 0);
 
 
     /**
@@ -1357,10 +2320,10 @@ pub.app = function(appName, callback) {
      * @memberof    pub.appObj
      * @param       {function(?Error, Array.<string>)} callback Callback with error and array of room names.
      */
-    appObj.getRoomNames = function(callback) {
+    appObj.getRoomNames = eu.promisify(function(callback) {
         var roomNames = Object.keys(e.app[appName].room);
         callback(null, roomNames);
-    };
+    }, 0);
 
 
     /**
@@ -1369,10 +2332,10 @@ pub.app = function(appName, callback) {
      * @memberof    pub.appObj
      * @param       {function(?Error, Array.<string>)} callback Callback with error and array containing easyrtcsids.
      */
-    appObj.getEasyrtcsids = function(callback) {
+    appObj.getEasyrtcsids = eu.promisify(function(callback) {
         var easyrtcsids = Object.keys(e.app[appName].session);
         callback(null, easyrtcsids);
-    };
+    }, 0);
 
     /**
      * Returns an array of all easyrtcsids within the application. Old SessionKey name kept for transition purposes. Use getEasyrtcsid();
@@ -1383,6 +2346,45 @@ pub.app = function(appName, callback) {
     appObj.getSessionKeys = appObj.getEasyrtcsids;
 
 
+    /**
+     * Resumes a reconnecting connection onto a new socket. The connection is found by its resume token and keeps its easyrtcid, rooms, groups, fields and presence. A new resume token is issued. If no reconnecting connection holds the token, or the connection has a different username, the callback receives null.
+     *
+     * @memberof    pub.appObj
+     * @param       {string}    resumeToken Resume token previously sent to the client in its token message.
+     * @param       {?string}   username    Username the new socket authenticated with. Must match the username of the reconnecting connection.
+     * @param       {Object}    socket      Socket.io socket object of the new socket.
+     * @param       {function(?Error, Object=)} callback Callback with error and the connection object (or null).
+     */
+    appObj.resumeConnection = eu.promisify(function(resumeToken, username, socket, callback) {
+        var easyrtcid = _.find(_.keys(e.app[appName].connection), function(currentEasyrtcid) {
+            var connectionRecord = e.app[appName].connection[currentEasyrtcid];
+            return connectionRecord.isReconnecting && connectionRecord.resumeToken === resumeToken;
+        });
+
+        if (!easyrtcid) {
+            callback(null, null);
+            return;
+        }
+
+        // A resume token does not let a socket take over the connection of another user
+        if ((e.app[appName].connection[easyrtcid].username || null) !== (username || null)) {
+            pub.util.logWarning("Resume refused. Username does not match the reconnecting connection.", null, {appName: appName, easyrtcid: easyrtcid, socketId: socket.id});
+            callback(null, null);
+            return;
+        }
+
+        var connectionRecord = e.app[appName].connection[easyrtcid];
+        clearTimeout(connectionRecord.reconnectTimer);
+        connectionRecord.reconnectTimer = null;
+        connectionRecord.isReconnecting = false;
+        connectionRecord.droppedSocket = null;
+        connectionRecord.socketId = socket.id;
+        connectionRecord.resumeToken = crypto.randomBytes(32).toString("hex");
+
+        appObj.connection(easyrtcid, callback);
+    }, 3);
+
+
     /**
      * Gets connection status for a connection. It is possible for a connection to be considered connected without being authenticated.
      *
@@ -1390,13 +2392,13 @@ pub.app = function(appName, callback) {
      * @param       {string}    easyrtcid   EasyRTC unique identifier for a socket connection.
      * @param       {function(?Error, Boolean)} callback Callback with error and a boolean indicating if easyrtcid is connected.
      */
-    appObj.isConnected = function(easyrtcid, callback) {
+    appObj.isConnected = eu.promisify(function(easyrtcid, callback) {
         var isConnected = e.app.hasOwnProperty(appName) && 
                 e.app[appName].hasOwnProperty('connection') && 
                     e.app[appName].connection.hasOwnProperty(easyrtcid);
 
         callback(null, isConnected);
-    };
+    }, 1);
 
 
     /**
@@ -1434,10 +2436,16 @@ pub.app = function(appName, callback) {
                     delete e.app[appName].option[optionName];
                 }
             } else {
+                var optionError = cf.getOptionError(optionName, optionValue);
+                if (optionError) {
+                    pub.util.logError("Error setting option. " + optionError, null, {appName: appName});
+                    return false;
+                }
                 // Set the option value to be a full deep copy, thus preserving private nature of the private EasyRTC object.
                 e.app[appName].option[optionName] = pub.util.deepCopy(optionValue);
             }
 
+            ss.saveApp(appName, stateStoreCallback);
             return true;
         } else {
             pub.util.logError("Error setting option. Unrecognised option name '" + optionName + "'.");
@@ -1447,6 +2455,24 @@ pub.app = function(appName, callback) {
     };
 
 
+    /**
+     * Sets the schema of an application defined msgType for this application, replacing any set for all applications with pub.setMsgSchema(). See pub.setMsgSchema() for the form of the schema.
+     *
+     * @memberof    pub.appObj
+     * @param       {string}    type        Socket.IO message type (easyrtcCmd|easyrtcMsg).
+     * @param       {string}    msgType     Message type.
+     * @param       {?Object}   schema      Message schema. If null, the schema is removed (thus reverting to the schema set for all applications).
+     * @returns     {Boolean}               true on success, false on failure
+     */
+    appObj.setMsgSchema = function(type, msgType, schema) {
+        if (!sc.set(appName, type, msgType, schema)) {
+            pub.util.logError("Error setting message schema for [" + type + "] msgType '" + msgType + "'.", null, {appName: appName});
+            return false;
+        }
+        return true;
+    };
+
+
     /**
      * Sets application field value for a given field name.
      *
@@ -1456,8 +2482,8 @@ pub.app = function(appName, callback) {
      * @param       {?Object}   fieldOption     Field options (such as isShared which defaults to false)
      * @param       {nextCallback} [next]       A success callback of form next(err).
      */
-    appObj.setField = function(fieldName, fieldValue, fieldOption, next) {
-        pub.util.logDebug("[" + appName + "] Setting field [" + fieldName + "]", fieldValue);
+    appObj.setField = eu.promisify(function(fieldName, fieldValue, fieldOption, next) {
+        pub.util.logDebug("Setting field [" + fieldName + "]", fieldValue, {appName: appName});
         if (!_.isFunction(next)) {
             next = pub.util.nextToNowhere;
         }
@@ -1473,8 +2499,47 @@ pub.app = function(appName, callback) {
             fieldOption: {isShared: ((_.isObject(fieldOption) && fieldOption.isShared) ? true : false)}
         };
 
+        ss.saveApp(appName, stateStoreCallback);
         next(null);
-    };
+    }, 3);
+
+
+    /**
+     * Emits an applicationData message containing the shared application fields to every authenticated connection of the application. Meant to be called after an application field has been set or updated.
+     *
+     * @memberof    pub.appObj
+     * @param       {?string}   skipEasyrtcid   Optional easyrtcid of a connection which should not be sent the message.
+     * @param       {nextCallback} next         A success callback of form next(err).
+     */
+    appObj.emitAppDataFieldUpdate = eu.promisify(function(skipEasyrtcid, next) {
+        if (!_.isFunction(next)) {
+            next = pub.util.nextToNowhere;
+        }
+        var outgoingMsg = {"msgData": {"applicationData": {"field": getSharedFieldObj(e.app[appName].field)}}};
+
+        async.each(
+                Object.keys(e.app[appName].connection),
+                function(currentEasyrtcid, asyncCallback) {
+                    if ((skipEasyrtcid && skipEasyrtcid === currentEasyrtcid) || !e.app[appName].connection[currentEasyrtcid].isAuthenticated) {
+                        asyncCallback(null);
+                        return;
+                    }
+                    appObj.connection(currentEasyrtcid, function(err, targetConnectionObj) {
+                        if (err) {
+                            asyncCallback(null);
+                            return;
+                        }
+                        pub.events.emit("emitEasyrtcCmd", targetConnectionObj, "applicationData", outgoingMsg, null, function(err) {
+                            // Ignore errors if unable to send to a socket.
+                            asyncCallback(null);
+                        });
+                    });
+                },
+                function(err) {
+                    next(null);
+                }
+        );
+    }, 1);
 
 
     /**
@@ -1485,7 +2550,7 @@ pub.app = function(appName, callback) {
      * @param       {string}    easyrtcid   EasyRTC unique identifier for a socket connection.
      * @param       {connectionCallback} callback Callback with error and object containing EasyRTC connection object.
      */
-    appObj.connection = function(easyrtcid, callback) {
+    appObj.connection = eu.promisify(function(easyrtcid, callback) {
         if (!e.app[appName].connection[easyrtcid]) {
             pub.util.logWarning("Attempt to request non-existent connection key: '" + easyrtcid + "'");
             callback(new pub.util.ConnectionWarning("Attempt to request non-existent connection key: '" + easyrtcid + "'"));
@@ -1499,29 +2564,34 @@ pub.app = function(appName, callback) {
         }
 
         var socketId = e.app[appName].connection[easyrtcid].socketId;
+        var isReconnecting = e.app[appName].connection[easyrtcid].isReconnecting;
 
-        if (pub.socketServer.sockets.connected) {
+        // A reconnecting connection keeps its dropped socket until it is resumed, so messages sent to it are discarded
+        if (isReconnecting) {
+            pub.util.logDebug("Requested connection is reconnecting", null, {appName: appName, easyrtcid: easyrtcid});
+        }
+        else if (pub.socketServer.sockets.connected) {
             if (!pub.socketServer.sockets.connected[socketId] || pub.socketServer.sockets.connected[socketId].disconnected) {
-                pub.util.logWarning("["+easyrtcid+"] Attempt to request non-existent socket: '" + socketId + "'");
+                pub.util.logWarning("Attempt to request non-existent socket: '" + socketId + "'", null, {easyrtcid: easyrtcid});
                 callback(new pub.util.ConnectionWarning("Attempt to request non-existent socket: '" + socketId + "'"));
                 return;
             }
 
             if (pub.socketServer.sockets.connected[socketId].disconnected) {
-                pub.util.logWarning("["+easyrtcid+"] Attempt to request disconnected socket: '" + socketId + "'");
+                pub.util.logWarning("Attempt to request disconnected socket: '" + socketId + "'", null, {easyrtcid: easyrtcid});
                 callback(new pub.util.ConnectionWarning("Attempt to request disconnected socket: '" + socketId + "'"));
                 return;
             }
         }
         else {
             if (!pub.socketServer.sockets.sockets[socketId] || pub.socketServer.sockets.sockets[socketId].disconnected) {
-                pub.util.logWarning("["+easyrtcid+"] Attempt to request non-existent socket: '" + socketId + "'");
+                pub.util.logWarning("Attempt to request non-existent socket: '" + socketId + "'", null, {easyrtcid: easyrtcid});
                 callback(new pub.util.ConnectionWarning("Attempt to request non-existent socket: '" + socketId + "'"));
                 return;
             }
 
             if (pub.socketServer.sockets.sockets[socketId].disconnected) {
-                pub.util.logWarning("["+easyrtcid+"] Attempt to request disconnected socket: '" + socketId + "'");
+                pub.util.logWarning("Attempt to request disconnected socket: '" + socketId + "'", null, {easyrtcid: easyrtcid});
                 callback(new pub.util.ConnectionWarning("Attempt to request disconnected socket: '" + socketId + "'"));
                 return;
             }
@@ -1558,7 +2628,10 @@ pub.app = function(appName, callback) {
          *
          * @memberof    pub.appObj.connectionObj
          */
-        if (pub.socketServer.sockets.connected) {
+        if (isReconnecting) {
+            connectionObj.socket = e.app[appName].connection[easyrtcid].droppedSocket;
+        }
+        else if (pub.socketServer.sockets.connected) {
             connectionObj.socket = pub.socketServer.sockets.connected[socketId];
         }
         else {
@@ -1611,6 +2684,7 @@ pub.app = function(appName, callback) {
                     e.app[appName].connection.hasOwnProperty(easyrtcid) &&
                         e.app[appName].connection[easyrtcid].hasOwnProperty('field') &&
                             e.app[appName].connection[easyrtcid].field.hasOwnProperty(fieldName);
+            return hasField;
         };
 
         /**
@@ -1620,7 +2694,7 @@ pub.app = function(appName, callback) {
          * @param       {string}    fieldName       Field name
          * @param       {function(?Error, Object=)} callback Callback with error and field object (any type)
          */
-        connectionObj.getField = function(fieldName, callback) {
+        connectionObj.getField = eu.promisify(function(fieldName, callback) {
             if (connectionObj.hasFieldValueSync(fieldName)) {
                 callback(null, pub.util.deepCopy(e.app[appName].connection[easyrtcid].field[fieldName]));
             } else {
@@ -1628,7 +2702,7 @@ pub.app = function(appName, callback) {
                 callback(new pub.util.ApplicationWarning("Can not find connection field: '" + fieldName + "'"));
                 return;
             }
-        };
+        }, 1);
 
 
         /**
@@ -1674,7 +2748,7 @@ pub.app = function(appName, callback) {
          * @param       {boolean}   limitToIsShared Limits returned fields to those which have the isShared option set to true.
          * @param       {function(?Error, Object=)} callback Callback with error and object containing field names and values.
          */
-        connectionObj.getFields = function(limitToIsShared, callback) {
+        connectionObj.getFields = eu.promisify(function(limitToIsShared, callback) {
             var fieldObj = {};
             for (var fieldName in e.app[appName].connection[easyrtcid].field) {
                 if (!limitToIsShared || e.app[appName].connection[easyrtcid].field[fieldName].fieldOption.isShared) {
@@ -1685,7 +2759,7 @@ pub.app = function(appName, callback) {
                 }
             }
             callback(null, fieldObj);
-        };
+        }, 1);
 
 
         /**
@@ -1694,10 +2768,10 @@ pub.app = function(appName, callback) {
          * @memberof    pub.appObj.connectionObj
          * @param       {function(?Error, Array.<string>)} callback Callback with error and array of room names.
          */
-        connectionObj.getRoomNames = function(callback) {
+        connectionObj.getRoomNames = eu.promisify(function(callback) {
             var roomNames = Object.keys(e.app[appName].connection[easyrtcid].room);
             callback(null, roomNames);
-        };
+        }, 0);
 
 
         /**
@@ -1719,7 +2793,7 @@ pub.app = function(appName, callback) {
          * @memberof    pub.appObj.connectionObj
          * @param       {function(?Error, Object=)} callback Callback with error and Session object
          */
-        connectionObj.getSessionObj = function(callback) {
+        connectionObj.getSessionObj = eu.promisify(function(callback) {
             if (
                 e.app[appName].connection[easyrtcid] && 
                     e.app[appName].connection[easyrtcid].toSession && 
@@ -1730,7 +2804,7 @@ pub.app = function(appName, callback) {
             else {
                 callback(null, null);
             }
-        };
+        }, 0);
 
 
         /**
@@ -1762,7 +2836,7 @@ pub.app = function(appName, callback) {
          * @param       {string}    easyrtcsid      EasyRTC session identifier
          * @param       {nextCallback} next         A success callback of form next(err).
          */
-        connectionObj.joinSession = function(easyrtcsid, next) {
+        connectionObj.joinSession = eu.promisify(function(easyrtcsid, next) {
             if (!e.app[appName].session[easyrtcsid]) {
                 next(new pub.util.ConnectionWarning("[" + appName + "][" + easyrtcid + "] Session [" + easyrtcsid + "] does not exist. Could not join session"));
                 return;
@@ -1787,7 +2861,7 @@ pub.app = function(appName, callback) {
 
                 next(null);
             });
-        };
+        }, 1);
 
 
         /**
@@ -1797,91 +2871,242 @@ pub.app = function(appName, callback) {
          * @param       {Boolean}   isAuthenticated True/false as to if the connection should be considered authenticated.
          * @param       {nextCallback} next         A success callback of form next(err).
          */
-        connectionObj.setAuthenticated = function(isAuthenticated, next) {
+        connectionObj.setAuthenticated = eu.promisify(function(isAuthenticated, next) {
             if (isAuthenticated) {
                 e.app[appName].connection[easyrtcid].isAuthenticated = true;
             } else {
                 e.app[appName].connection[easyrtcid].isAuthenticated = false;
             }
-            next(null);
+            cl.publishRoomDataDelta(appName, easyrtcid, {}, !isAuthenticated);
+            next(null);
+        }, 1);
+
+
+        /**
+         * Sets the credential for the connection.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {?*}        credential      Credential for the connection. Can be any JSON object.
+         * @param       {nextCallback} next         A success callback of form next(err).
+         */
+        connectionObj.setCredential = eu.promisify(function(credential, next) {
+            e.app[appName].connection[easyrtcid].credential = credential;
+            next(null);
+        }, 1);
+
+
+        /**
+         * Sets connection field value for a given field name.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {string}    fieldName       Must be formatted according to "fieldNameRegExp" option.
+         * @param       {Object}    fieldValue
+         * @param       {?Object}   fieldOption     Field options (such as isShared which defaults to false)
+         * @param       {nextCallback} [next]       A success callback of form next(err). Possible err will be instanceof (ApplicationWarning).
+         */
+        connectionObj.setField = eu.promisify(function(fieldName, fieldValue, fieldOption, next) {
+            pub.util.logDebug("Setting field [" + fieldName + "]", fieldValue, {appName: appName, easyrtcid: easyrtcid});
+            if (!_.isFunction(next)) {
+                next = pub.util.nextToNowhere;
+            }
+
+            if (!pub.getOption("fieldNameRegExp").test(fieldName)) {
+                pub.util.logWarning("Can not create connection field with improper name: '" + fieldName + "'");
+                next(new pub.util.ApplicationWarning("Can not create connection field with improper name: '" + fieldName + "'"));
+                return;
+            }
+
+            e.app[appName].connection[easyrtcid].field[fieldName] = {
+                fieldName: fieldName,
+                fieldValue: fieldValue,
+                fieldOption: {isShared: ((_.isObject(fieldOption) && fieldOption.isShared) ? true : false)}
+            };
+
+            ss.saveConnection(appName, easyrtcid, stateStoreCallback);
+            next(null);
+        }, 3);
+
+
+        /**
+         * Sets the presence object for the connection.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {Object}    presenceObj     A presence object.
+         * @param       {nextCallback} next         A success callback of form next(err).
+         */
+        connectionObj.setPresence = eu.promisify(function(presenceObj, next) {
+            if (presenceObj.show !== undefined) {
+                e.app[appName].connection[easyrtcid].presence.show = presenceObj.show;
+            }
+            if (presenceObj.status !== undefined) {
+                e.app[appName].connection[easyrtcid].presence.status = presenceObj.status;
+            }
+            if (presenceObj.type !== undefined) {
+                e.app[appName].connection[easyrtcid].presence.type = presenceObj.type;
+            }
+            if (e.app[appName].connection[easyrtcid].username) {
+                emitUserPresence(appName, e.app[appName].connection[easyrtcid].username);
+            }
+            next(null);
+        }, 1);
+
+
+        /**
+         * Returns the user settings reported by the client through setUserCfg. These include the client's WebRTC, browser and OS capabilities along with any application defined settings.
+         * Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @return      {Object}    Map of user setting names and values.
+         */
+        connectionObj.getUserSettings = function() {
+            return pub.util.deepCopy(e.app[appName].connection[easyrtcid].userSettings);
+        };
+
+
+        /**
+         * Returns the peer connection list reported by the client through setUserCfg. The map key is the easyrtcid of each peer the client is connected to.
+         * Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @return      {Object}    Map of easyrtcids and peer connection details (connectTime, isInitiator).
+         */
+        connectionObj.getP2pList = function() {
+            return pub.util.deepCopy(e.app[appName].connection[easyrtcid].p2pList);
+        };
+
+
+        /**
+         * Applies a setUserCfg object to the connection. User settings are merged into the current settings, with a value of null removing a setting. The p2pList replaces the current list.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {Object}    userCfg         A setUserCfg object. May contain userSettings and p2pList maps.
+         * @param       {nextCallback} next         A success callback of form next(err).
+         */
+        connectionObj.setUserCfg = eu.promisify(function(userCfg, next) {
+            if (_.isObject(userCfg.userSettings)) {
+                for (var settingName in userCfg.userSettings) {
+                    if (userCfg.userSettings.hasOwnProperty(settingName)) {
+                        if (userCfg.userSettings[settingName] === null) {
+                            delete e.app[appName].connection[easyrtcid].userSettings[settingName];
+                        }
+                        else {
+                            e.app[appName].connection[easyrtcid].userSettings[settingName] = pub.util.deepCopy(userCfg.userSettings[settingName]);
+                        }
+                    }
+                }
+            }
+            if (_.isObject(userCfg.p2pList)) {
+                e.app[appName].connection[easyrtcid].p2pList = pub.util.deepCopy(userCfg.p2pList);
+            }
+            next(null);
+        }, 1);
+
+
+        /**
+         * Sets the username string for the connection.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {?string}   username        Username to assign to the connection.
+         * @param       {nextCallback} next         A success callback of form next(err).
+         */
+        connectionObj.setUsername = eu.promisify(function(username, next) {
+            var oldUsername = e.app[appName].connection[easyrtcid].username;
+            e.app[appName].connection[easyrtcid].username = username;
+            ss.saveConnection(appName, easyrtcid, stateStoreCallback);
+            if (oldUsername && oldUsername !== username) {
+                setUserLastSeen(appName, oldUsername, e.app[appName].connection[easyrtcid].lastActivityOn);
+                emitUserPresence(appName, oldUsername);
+            }
+            if (username) {
+                emitUserPresence(appName, username);
+            }
+            next(null);
+        }, 1);
+
+
+        /**
+         * Records activity on the connection, such as an incoming message. Used to report the last activity time in the username's presence.
+         *
+         * @memberof    pub.appObj.connectionObj
+         */
+        connectionObj.updateActivity = function() {
+            if (e.app[appName].connection[easyrtcid]) {
+                e.app[appName].connection[easyrtcid].lastActivityOn = Date.now();
+            }
         };
 
 
         /**
-         * Sets the credential for the connection.
+         * Returns the time of the last activity on the connection.
+         * Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
          *
          * @memberof    pub.appObj.connectionObj
-         * @param       {?*}        credential      Credential for the connection. Can be any JSON object.
-         * @param       {nextCallback} next         A success callback of form next(err).
+         * @return      {Number}    Time in milliseconds since the epoch.
          */
-        connectionObj.setCredential = function(credential, next) {
-            e.app[appName].connection[easyrtcid].credential = credential;
-            next(null);
+        connectionObj.getLastActivityOn = function() {
+            return e.app[appName].connection[easyrtcid].lastActivityOn;
         };
 
 
         /**
-         * Sets connection field value for a given field name.
+         * Subscribes the connection to the presence of a list of usernames. The usernames do not need to share a room with the connection. Once subscribed, the connection is sent a "userPresence" command whenever one of the usernames changes presence, comes online or goes offline.
+         * The total number of subscriptions is limited by the "presenceSubscriptionMaxCount" option.
          *
          * @memberof    pub.appObj.connectionObj
-         * @param       {string}    fieldName       Must be formatted according to "fieldNameRegExp" option.
-         * @param       {Object}    fieldValue
-         * @param       {?Object}   fieldOption     Field options (such as isShared which defaults to false)
-         * @param       {nextCallback} [next]       A success callback of form next(err). Possible err will be instanceof (ApplicationWarning).
+         * @param       {Array.<string>} usernameList Array of usernames to subscribe to.
+         * @param       {function(?Error, Object=)} callback Callback with error and a map of the usernames and their current presence. See appObj.getUserPresence() for the presence form.
          */
-        connectionObj.setField = function(fieldName, fieldValue, fieldOption, next) {
-            pub.util.logDebug("[" + appName + "][" + easyrtcid + "] - Setting field [" + fieldName + "]", fieldValue);
-            if (!_.isFunction(next)) {
-                next = pub.util.nextToNowhere;
-            }
-
-            if (!pub.getOption("fieldNameRegExp").test(fieldName)) {
-                pub.util.logWarning("Can not create connection field with improper name: '" + fieldName + "'");
-                next(new pub.util.ApplicationWarning("Can not create connection field with improper name: '" + fieldName + "'"));
+        connectionObj.subscribePresence = eu.promisify(function(usernameList, callback) {
+            var subscriptionObj = e.app[appName].connection[easyrtcid].presenceSubscription;
+            var newUsernameList = _.filter(_.uniq(usernameList), function(username) {
+                return !subscriptionObj[username];
+            });
+            if (_.keys(subscriptionObj).length + newUsernameList.length > appObj.getOption("presenceSubscriptionMaxCount")) {
+                callback(new pub.util.ConnectionWarning("Presence subscription limit reached"));
                 return;
             }
 
-            e.app[appName].connection[easyrtcid].field[fieldName] = {
-                fieldName: fieldName,
-                fieldValue: fieldValue,
-                fieldOption: {isShared: ((_.isObject(fieldOption) && fieldOption.isShared) ? true : false)}
-            };
-
-            next(null);
-        };
+            var userPresenceObj = {};
+            _.each(_.uniq(usernameList), function(username) {
+                subscriptionObj[username] = true;
+                e.app[appName].presenceSubscriber[username] = e.app[appName].presenceSubscriber[username] || {};
+                e.app[appName].presenceSubscriber[username][easyrtcid] = true;
+                userPresenceObj[username] = getUserPresenceSync(appName, username);
+            });
+            callback(null, userPresenceObj);
+        }, 1);
 
 
         /**
-         * Sets the presence object for the connection.
+         * Unsubscribes the connection from the presence of a list of usernames.
          *
          * @memberof    pub.appObj.connectionObj
-         * @param       {Object}    presenceObj     A presence object.
+         * @param       {Array.<string>} usernameList Array of usernames to unsubscribe from.
          * @param       {nextCallback} next         A success callback of form next(err).
          */
-        connectionObj.setPresence = function(presenceObj, next) {
-            if (presenceObj.show !== undefined) {
-                e.app[appName].connection[easyrtcid].presence.show = presenceObj.show;
-            }
-            if (presenceObj.status !== undefined) {
-                e.app[appName].connection[easyrtcid].presence.status = presenceObj.status;
-            }
-            if (presenceObj.type !== undefined) {
-                e.app[appName].connection[easyrtcid].presence.type = presenceObj.type;
-            }
+        connectionObj.unsubscribePresence = eu.promisify(function(usernameList, next) {
+            _.each(usernameList, function(username) {
+                delete e.app[appName].connection[easyrtcid].presenceSubscription[username];
+                if (e.app[appName].presenceSubscriber[username]) {
+                    delete e.app[appName].presenceSubscriber[username][easyrtcid];
+                    if (_.isEmpty(e.app[appName].presenceSubscriber[username])) {
+                        delete e.app[appName].presenceSubscriber[username];
+                    }
+                }
+            });
             next(null);
-        };
+        }, 1);
 
 
         /**
-         * Sets the username string for the connection.
+         * Returns the usernames the connection is subscribed to.
+         * Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
          *
          * @memberof    pub.appObj.connectionObj
-         * @param       {?string}   username        Username to assign to the connection.
-         * @param       {nextCallback} next         A success callback of form next(err).
+         * @return      {Array.<string>} Array of usernames.
          */
-        connectionObj.setUsername = function(username, next) {
-            e.app[appName].connection[easyrtcid].username = username;
-            next(null);
+        connectionObj.getPresenceSubscriptions = function() {
+            return _.keys(e.app[appName].connection[easyrtcid].presenceSubscription);
         };
 
 
@@ -1893,8 +3118,8 @@ pub.app = function(appName, callback) {
          * @param       {Boolean}   isLeavingAllRooms   Indicator if connection is leaving all rooms. Meant to be used upon disconnection / logoff.
          * @param       {function(?Error, Object=)} callback Callback of form (err, roomDataObj) which will contain the roomDataObj including all updated rooms of the connection and is designed to be returnable to the connection.
          */
-        connectionObj.emitRoomDataDelta = function(isLeavingAllRooms, callback) {
-            pub.util.logDebug("[" + appName + "][" + easyrtcid + "] Running func 'connectionObj.emitRoomDataDelta'");
+        connectionObj.emitRoomDataDelta = eu.promisify(function(isLeavingAllRooms, callback) {
+            pub.util.logDebug("Running func 'connectionObj.emitRoomDataDelta'", null, {appName: appName, easyrtcid: easyrtcid});
             if (!_.isFunction(callback)) {
                 callback = function(err, roomDataObj) {
                 };
@@ -1911,6 +3136,9 @@ pub.app = function(appName, callback) {
                 // Running callback right away so client doesn't have to wait to continue
                 callback(null, fullRoomDataDelta);
 
+                // Relay delta to occupants hosted on other nodes
+                cl.publishRoomDataDelta(appName, easyrtcid, fullRoomDataDelta, isLeavingAllRooms);
+
                 // Populate otherClients object with other clients who share room(s)
                 for (var currentRoomName in fullRoomDataDelta) {
                     if (fullRoomDataDelta.hasOwnProperty(currentRoomName)) {
@@ -1953,7 +3181,7 @@ pub.app = function(appName, callback) {
                     }
                 }
             });
-        };
+        }, 1);
 
 
         /**
@@ -1964,7 +3192,7 @@ pub.app = function(appName, callback) {
          * @param       {?Object}   roomMap     Map of rooms to generate connection clientList for. If null, then all rooms will be used.
          * @param       {function(?Error, Object=)} callback    Callback which includes a formed roomData object .
          */
-        connectionObj.generateRoomClientList = function(roomStatus, roomMap, callback) {
+        connectionObj.generateRoomClientList = eu.promisify(function(roomStatus, roomMap, callback) {
             if (!_.isString(roomStatus)) {
                 roomStatus = "join";
             }
@@ -2018,7 +3246,34 @@ pub.app = function(appName, callback) {
 
                             if (currentToConnection.username) {
                                 roomData[currentRoomName].clientList[currentEasyrtcid].username = currentToConnection.username;
-                            }   
+                            }
+
+                            var currentSharedFieldObj = getSharedFieldObj(currentToConnection.field);
+                            if (!_.isEmpty(currentSharedFieldObj)) {
+                                roomData[currentRoomName].clientList[currentEasyrtcid].field = currentSharedFieldObj;
+                            }
+                        }
+                    }
+
+                    // Merge in occupants hosted on other nodes
+                    var remoteClientList = cl.getRemoteRoomClientList(appName, currentRoomName);
+                    for (var remoteEasyrtcid in remoteClientList) {
+                        if (remoteClientList.hasOwnProperty(remoteEasyrtcid) && !roomData[currentRoomName].clientList[remoteEasyrtcid]) {
+                            var remoteConnection = remoteClientList[remoteEasyrtcid];
+                            roomData[currentRoomName].clientList[remoteEasyrtcid] = {
+                                "easyrtcid": remoteEasyrtcid,
+                                "roomJoinTime": remoteConnection.room[currentRoomName].enteredOn,
+                                "presence": remoteConnection.presence
+                            };
+                            if (!_.isEmpty(remoteConnection.room[currentRoomName].apiField)) {
+                                roomData[currentRoomName].clientList[remoteEasyrtcid].apiField = remoteConnection.room[currentRoomName].apiField;
+                            }
+                            if (remoteConnection.username) {
+                                roomData[currentRoomName].clientList[remoteEasyrtcid].username = remoteConnection.username;
+                            }
+                            if (!_.isEmpty(remoteConnection.field)) {
+                                roomData[currentRoomName].clientList[remoteEasyrtcid].field = remoteConnection.field;
+                            }
                         }
                     }
 
@@ -2045,7 +3300,7 @@ pub.app = function(appName, callback) {
                 }
             }
             callback(null, roomData);
-        };
+        }, 2);
 
 
         /**
@@ -2055,8 +3310,8 @@ pub.app = function(appName, callback) {
          * @param       {Boolean}   isLeavingRoom   Indicates if connection is in the process of leaving the room.
          * @param       {function(?Error, Object=)} callback Callback of form (err, roomDataDelta).
          */
-        connectionObj.generateRoomDataDelta = function(isLeavingRoom, callback) {
-            pub.util.logDebug("[" + appName + "][" + easyrtcid + "] Running func 'connectionObj.generateRoomDataDelta'");
+        connectionObj.generateRoomDataDelta = eu.promisify(function(isLeavingRoom, callback) {
+            pub.util.logDebug("Running func 'connectionObj.generateRoomDataDelta'", null, {appName: appName, easyrtcid: easyrtcid});
 
             var roomDataDelta = {};
 
@@ -2086,12 +3341,16 @@ pub.app = function(appName, callback) {
                         if (e.app[appName].connection[easyrtcid].username) {
                             roomDataDelta[currentRoomName].clientListDelta.updateClient[easyrtcid].username = e.app[appName].connection[easyrtcid].username;
                         }
+                        var sharedFieldObj = getSharedFieldObj(e.app[appName].connection[easyrtcid].field);
+                        if (!_.isEmpty(sharedFieldObj)) {
+                            roomDataDelta[currentRoomName].clientListDelta.updateClient[easyrtcid].field = sharedFieldObj;
+                        }
                     }
                 }
             }
 
             callback(null, roomDataDelta);
-        };
+        }, 1);
 
 
         /**
@@ -2100,20 +3359,30 @@ pub.app = function(appName, callback) {
          * @memberof    pub.appObj.connectionObj
          * @param       {function(?Error, Object=)} callback Callback with error and roomList object.
          */
-        connectionObj.generateRoomList = function(callback) {
-            pub.util.logDebug("[" + appName + "][" + easyrtcid + "] Running func 'connectionObj.generateRoomList'");
+        connectionObj.generateRoomList = eu.promisify(function(callback) {
+            pub.util.logDebug("Running func 'connectionObj.generateRoomList'", null, {appName: appName, easyrtcid: easyrtcid});
             var roomList = {};
 
             for (var currentRoomName in e.app[appName].room) {
                 if (e.app[appName].room.hasOwnProperty(currentRoomName)) {
                     roomList[currentRoomName] = {
                         "roomName": currentRoomName,
-                        "numberClients": _.size(e.app[appName].room[currentRoomName].clientList)
+                        "numberClients": _.size(e.app[appName].room[currentRoomName].clientList) + _.size(cl.getRemoteRoomClientList(appName, currentRoomName))
                     };   
                 }
             }
+
+            // Rooms which only exist on other nodes of the cluster
+            _.each(cl.getRemoteRoomNames(appName), function(remoteRoomName) {
+                if (!roomList[remoteRoomName]) {
+                    roomList[remoteRoomName] = {
+                        "roomName": remoteRoomName,
+                        "numberClients": _.size(cl.getRemoteRoomClientList(appName, remoteRoomName))
+                    };
+                }
+            });
             callback(null, roomList);
-        };
+        }, 0);
 
 
         /**
@@ -2134,6 +3403,134 @@ pub.app = function(appName, callback) {
         };
 
 
+        /**
+         * Returns true if the socket of the connection has dropped and the connection is being held for the client to resume it (see the "reconnectGraceTime" option). Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @returns     {Boolean}   Reconnecting status
+         */
+        connectionObj.isReconnecting = function() {
+            return !!(e.app[appName].connection[easyrtcid] && e.app[appName].connection[easyrtcid].isReconnecting);
+        };
+
+
+        /**
+         * Returns the resume token of the connection, creating it if needed. A client which re-authenticates with the token while the connection is reconnecting gets the connection back. Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @returns     {?string}   Resume token, or null if the connection has been removed.
+         */
+        connectionObj.getResumeToken = function() {
+            if (!e.app[appName].connection[easyrtcid]) {
+                return null;
+            }
+            if (!e.app[appName].connection[easyrtcid].resumeToken) {
+                e.app[appName].connection[easyrtcid].resumeToken = crypto.randomBytes(32).toString("hex");
+            }
+            return e.app[appName].connection[easyrtcid].resumeToken;
+        };
+
+
+        /**
+         * Marks the connection as reconnecting after its socket has dropped. The connection keeps its easyrtcid, rooms, groups, fields and presence. If the client has not resumed it before the grace time ends, the expire callback is called.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {Number}    graceTime   Milliseconds to wait for the client to resume the connection.
+         * @param       {nextCallback} expireCallback Called with form expireCallback(err) if the connection was not resumed in time.
+         */
+        connectionObj.setReconnecting = function(graceTime, expireCallback) {
+            var connectionRecord = e.app[appName].connection[easyrtcid];
+            if (!connectionRecord) {
+                return;
+            }
+            clearTimeout(connectionRecord.reconnectTimer);
+            connectionRecord.isReconnecting = true;
+            connectionRecord.droppedSocket = connectionObj.socket;
+            connectionRecord.reconnectTimer = setTimeout(function() {
+                connectionRecord.reconnectTimer = null;
+                expireCallback(null);
+            }, graceTime);
+        };
+
+
+        /**
+         * Limits the rooms the connection may join, such as to the rooms claim of a JWT. Checked by roomObj.isJoinAllowed().
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {?Array.<string>} roomNameList Array of room names. If null, any room is allowed.
+         */
+        connectionObj.setAllowedRooms = function(roomNameList) {
+            e.app[appName].connection[easyrtcid].allowedRoomList = (_.isArray(roomNameList) ? roomNameList.slice() : null);
+        };
+
+
+        /**
+         * Determines if the connection may join a room, as limited by setAllowedRooms(). Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {string}    roomName    Room name which uniquely identifies a room within an EasyRTC application.
+         * @returns     {Boolean}
+         */
+        connectionObj.isRoomAllowedSync = function(roomName) {
+            var allowedRoomList = e.app[appName].connection[easyrtcid].allowedRoomList;
+            return !_.isArray(allowedRoomList) || _.contains(allowedRoomList, roomName);
+        };
+
+
+        /**
+         * Sets if the connection is a moderator. Moderators are given the moderator role in every room they join.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {Boolean}   isModerator True/false as to if the connection should be a moderator.
+         */
+        connectionObj.setModerator = function(isModerator) {
+            e.app[appName].connection[easyrtcid].isModerator = !!isModerator;
+        };
+
+
+        /**
+         * Returns true if the connection is a moderator (see setModerator()). Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @returns     {Boolean}
+         */
+        connectionObj.isModerator = function() {
+            return !!(e.app[appName].connection[easyrtcid] && e.app[appName].connection[easyrtcid].isModerator);
+        };
+
+
+        /**
+         * Sets the time at which the authentication of the connection expires, such as the exp claim of a JWT. The expiry is re-checked when the timer fires, so times further away than a timer allows are supported. If the connection still exists at that time, the expire callback is called.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {?Number}   expiresOn   Expiry time in milliseconds since the unix epoch. If null, any expiry is cleared.
+         * @param       {nextCallback} [expireCallback] Called with form expireCallback(err) once the authentication has expired.
+         */
+        connectionObj.setAuthExpiry = function(expiresOn, expireCallback) {
+            var connectionRecord = e.app[appName].connection[easyrtcid];
+            if (!connectionRecord) {
+                return;
+            }
+            clearTimeout(connectionRecord.authExpiryTimer);
+            connectionRecord.authExpiryTimer = null;
+            if (!_.isNumber(expiresOn)) {
+                return;
+            }
+
+            var checkExpiry = function() {
+                var remainingTime = expiresOn - Date.now();
+                if (remainingTime <= 0) {
+                    connectionRecord.authExpiryTimer = null;
+                    expireCallback(null);
+                    return;
+                }
+                // Timers can not be set further away than about 24 days
+                connectionRecord.authExpiryTimer = setTimeout(checkExpiry, Math.min(remainingTime, 2147483647));
+            };
+            checkExpiry();
+        };
+
+
         /**
          * Gets connection status for the connection. It is possible for a connection to be considered connected without being authenticated. Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
          *
@@ -2151,13 +3548,13 @@ pub.app = function(appName, callback) {
 
 
         /**
-         * Returns a boolean to the callback indicating if connection is in a given group. NOT YET IMPLEMENTED
-         * @ignore
+         * Returns a boolean to the callback indicating if connection is in a given group.
+         *
          * @memberof    pub.appObj.connectionObj
          * @param       {string}    groupName Group name to check.
-         * @param       {function(?Error, Boolean)} callback Callback with error and a boolean indicating if connection is in a room..
+         * @param       {function(?Error, Boolean)} callback Callback with error and a boolean indicating if connection is in a group.
          */
-        connectionObj.isInGroup = function(groupName, callback) {
+        connectionObj.isInGroup = eu.promisify(function(groupName, callback) {
             if (
                 _.isString(groupName) && 
                     e.app[appName].connection.hasOwnProperty(easyrtcid) && 
@@ -2168,7 +3565,227 @@ pub.app = function(appName, callback) {
             else {
                 callback(null, false);
             }
-        };
+        }, 1);
+
+
+        /**
+         * Joins an existing group. If the connection is already in the group, no error is returned.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {string}    groupName   Group name which uniquely identifies a group within an EasyRTC application.
+         * @param       {nextCallback} next     A success callback of form next(err).
+         */
+        connectionObj.joinGroup = eu.promisify(function(groupName, next) {
+            if (!_.isFunction(next)) {
+                next = pub.util.nextToNowhere;
+            }
+            if (!groupName || !appObj.getOption("groupNameRegExp").test(groupName)) {
+                pub.util.logWarning("Can not enter group with improper name: '" + groupName + "'", null, {appName: appName, easyrtcid: easyrtcid});
+                next(new pub.util.ConnectionWarning("Can not enter group with improper name: '" + groupName + "'"));
+                return;
+            }
+            if (!appObj.isGroupSync(groupName)) {
+                pub.util.logWarning("Can not enter group which doesn't exist: '" + groupName + "'", null, {appName: appName, easyrtcid: easyrtcid});
+                next(new pub.util.ConnectionWarning("Can not enter group which doesn't exist: '" + groupName + "'"));
+                return;
+            }
+            if (!e.app[appName].connection[easyrtcid]) {
+                pub.util.logWarning("Attempt to request non-existent connection key: '" + easyrtcid + "'");
+                next(new pub.util.ConnectionWarning("Attempt to request non-existent connection key: '" + easyrtcid + "'"));
+                return;
+            }
+            if (e.app[appName].connection[easyrtcid].group[groupName]) {
+                next(null);
+                return;
+            }
+
+            e.app[appName].connection[easyrtcid].group[groupName] = {
+                enteredOn: Date.now(),
+                toGroup: e.app[appName].group[groupName]
+            };
+            e.app[appName].group[groupName].modifiedOn = Date.now();
+            e.app[appName].group[groupName].clientList[easyrtcid] = {
+                enteredOn: Date.now(),
+                modifiedOn: Date.now(),
+                toConnection: e.app[appName].connection[easyrtcid]
+            };
+
+            next(null);
+        }, 1);
+
+
+        /**
+         * Removes the connection from a group. Other members of the group are sent a groupData delta.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {string}    groupName   Group name which uniquely identifies a group within an EasyRTC application.
+         * @param       {nextCallback} next     A success callback of form next(err).
+         */
+        connectionObj.leaveGroup = eu.promisify(function(groupName, next) {
+            if (!_.isFunction(next)) {
+                next = pub.util.nextToNowhere;
+            }
+            if (!e.app[appName].connection[easyrtcid] || !e.app[appName].connection[easyrtcid].group[groupName]) {
+                pub.util.logWarning("Can not leave group which connection is not in: '" + groupName + "'", null, {appName: appName, easyrtcid: easyrtcid});
+                next(new pub.util.ConnectionWarning("Can not leave group which connection is not in: '" + groupName + "'"));
+                return;
+            }
+
+            delete e.app[appName].connection[easyrtcid].group[groupName];
+            if (appObj.isGroupSync(groupName)) {
+                e.app[appName].group[groupName].modifiedOn = Date.now();
+                delete e.app[appName].group[groupName].clientList[easyrtcid];
+            }
+
+            connectionObj.emitGroupDataDelta(groupName, true, function(err, groupDataDelta) {
+                next(null);
+            });
+        }, 1);
+
+
+        /**
+         * Returns an array of all group names the connection is in.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {function(?Error, Array.<string>)} callback Callback with error and array containing all group names.
+         */
+        connectionObj.getGroupNames = eu.promisify(function(callback) {
+            var groupNames = Object.keys(e.app[appName].connection[easyrtcid].group);
+            callback(null, groupNames);
+        }, 0);
+
+
+        /**
+         * Generates a full group clientList object for the given connection.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {?string}   [groupStatus="join"] Group status which allow for values of "join"|"update"|"leave".
+         * @param       {?Object}   groupMap    Map of groups to generate connection clientList for. If null, then all groups will be used.
+         * @param       {function(?Error, Object=)} callback    Callback which includes a formed groupData object.
+         */
+        connectionObj.generateGroupClientList = eu.promisify(function(groupStatus, groupMap, callback) {
+            if (!_.isString(groupStatus)) {
+                groupStatus = "join";
+            }
+
+            if (!_.isObject(groupMap)) {
+                groupMap = e.app[appName].connection[easyrtcid].group;
+            }
+
+            var groupData = {};
+
+            for (var currentGroupName in e.app[appName].connection[easyrtcid].group) {
+                if (e.app[appName].connection[easyrtcid].group.hasOwnProperty(currentGroupName) && groupMap[currentGroupName]) {
+                    var toGroup = e.app[appName].connection[easyrtcid].group[currentGroupName].toGroup;
+                    groupData[currentGroupName] = {
+                        "groupName": currentGroupName,
+                        "groupStatus": groupStatus,
+                        "clientList": {}
+                    };
+
+                    for (var currentEasyrtcid in toGroup.clientList) {
+                        if (toGroup.clientList.hasOwnProperty(currentEasyrtcid)) {
+                            var currentToConnection = toGroup.clientList[currentEasyrtcid].toConnection;
+                            groupData[currentGroupName].clientList[currentEasyrtcid] = {
+                                "easyrtcid": currentEasyrtcid,
+                                "groupJoinTime": currentToConnection.group[currentGroupName].enteredOn,
+                                "presence": currentToConnection.presence
+                            };
+                            if (currentToConnection.username) {
+                                groupData[currentGroupName].clientList[currentEasyrtcid].username = currentToConnection.username;
+                            }
+                        }
+                    }
+
+                    // Merge in members hosted on other nodes
+                    var remoteClientList = cl.getRemoteGroupClientList(appName, currentGroupName);
+                    for (var remoteEasyrtcid in remoteClientList) {
+                        if (remoteClientList.hasOwnProperty(remoteEasyrtcid) && !groupData[currentGroupName].clientList[remoteEasyrtcid]) {
+                            groupData[currentGroupName].clientList[remoteEasyrtcid] = {
+                                "easyrtcid": remoteEasyrtcid,
+                                "presence": remoteClientList[remoteEasyrtcid].presence
+                            };
+                            if (remoteClientList[remoteEasyrtcid].username) {
+                                groupData[currentGroupName].clientList[remoteEasyrtcid].username = remoteClientList[remoteEasyrtcid].username;
+                            }
+                        }
+                    }
+
+                    // Include group fields (with isShared set to true)
+                    for (var fieldName in toGroup.field) {
+                        if (toGroup.field.hasOwnProperty(fieldName) && _.isObject(toGroup.field[fieldName].fieldOption) && toGroup.field[fieldName].fieldOption.isShared) {
+                            if (!_.isObject(groupData[currentGroupName].field)) {
+                                groupData[currentGroupName].field = {};
+                            }
+                            groupData[currentGroupName].field[fieldName] = {
+                                "fieldName": fieldName,
+                                "fieldValue": pub.util.deepCopy(toGroup.field[fieldName].fieldValue)
+                            };
+                        }
+                    }
+                }
+            }
+            callback(null, groupData);
+        }, 2);
+
+
+        /**
+         * Emits the groupData message with a clientListDelta for the current connection to other connections in a group.
+         *
+         * @memberof    pub.appObj.connectionObj
+         * @param       {string}    groupName       Group name which uniquely identifies a group within an EasyRTC application.
+         * @param       {Boolean}   isLeavingGroup  Indicates if connection is in the process of leaving the group.
+         * @param       {function(?Error, Object=)} callback Callback with error and group data delta object.
+         */
+        connectionObj.emitGroupDataDelta = eu.promisify(function(groupName, isLeavingGroup, callback) {
+            pub.util.logDebug("Group [" + groupName + "] Running func 'connectionObj.emitGroupDataDelta'", null, {appName: appName, easyrtcid: easyrtcid});
+            if (!_.isFunction(callback)) {
+                callback = function(err, groupDataDelta) {
+                };
+            }
+            if (!appObj.isGroupSync(groupName)) {
+                pub.util.logWarning("Attempt to request non-existent group name: '" + groupName + "'");
+                callback(new pub.util.ApplicationWarning("Attempt to request non-existent group name: '" + groupName + "'"));
+                return;
+            }
+
+            var groupDataDelta = {"groupName": groupName, "groupStatus": "update", "clientListDelta": {}};
+
+            if (isLeavingGroup || !e.app[appName].connection[easyrtcid] || !e.app[appName].connection[easyrtcid].group[groupName]) {
+                groupDataDelta.clientListDelta.removeClient = {};
+                groupDataDelta.clientListDelta.removeClient[easyrtcid] = {"easyrtcid": easyrtcid};
+            } else {
+                groupDataDelta.clientListDelta.updateClient = {};
+                groupDataDelta.clientListDelta.updateClient[easyrtcid] = {
+                    "easyrtcid": easyrtcid,
+                    "groupJoinTime": e.app[appName].connection[easyrtcid].group[groupName].enteredOn,
+                    "presence": e.app[appName].connection[easyrtcid].presence
+                };
+                if (e.app[appName].connection[easyrtcid].username) {
+                    groupDataDelta.clientListDelta.updateClient[easyrtcid].username = e.app[appName].connection[easyrtcid].username;
+                }
+            }
+
+            var msg = {"msgData": {"groupData": {}}};
+            msg.msgData.groupData[groupName] = groupDataDelta;
+
+            _.each(Object.keys(e.app[appName].group[groupName].clientList), function(currentEasyrtcid) {
+                if (currentEasyrtcid === easyrtcid) {
+                    return;
+                }
+                appObj.connection(currentEasyrtcid, function(err, emitToConnectionObj) {
+                    if (!err && emitToConnectionObj) {
+                        pub.events.emit("emitEasyrtcCmd", emitToConnectionObj, "groupData", msg, null, pub.util.nextToNowhere);
+                    }
+                });
+            });
+
+            // Update cluster table, and relay delta to group members hosted on other nodes
+            cl.publishRoomDataDelta(appName, easyrtcid, {}, false);
+            cl.forwardMsg(appName, {targetGroup: groupName}, "emitEasyrtcCmd", "groupData", msg);
+
+            callback(null, groupDataDelta);
+        }, 2);
 
 
         /**
@@ -2178,7 +3795,7 @@ pub.app = function(appName, callback) {
          * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
          * @param       {function(?Error, Boolean)} callback Callback with error and a boolean indicating if connection is in a room..
          */
-        connectionObj.isInRoom = function(roomName, callback) {
+        connectionObj.isInRoom = eu.promisify(function(roomName, callback) {
             if (
                 _.isString(roomName) && 
                     e.app[appName].connection.hasOwnProperty(easyrtcid) && 
@@ -2189,7 +3806,7 @@ pub.app = function(appName, callback) {
             else {
                 callback(null, false);
             }
-        };
+        }, 1);
 
 
         /**
@@ -2199,15 +3816,15 @@ pub.app = function(appName, callback) {
          * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
          * @param       {function(?Error, Object=)} callback Callback with error and object containing EasyRTC connection room object (same as calling room(roomName))
          */
-        connectionObj.joinRoom = function(roomName, callback) {
+        connectionObj.joinRoom = eu.promisify(function(roomName, callback) {
             if (!roomName || !appObj.getOption("roomNameRegExp").test(roomName)) {
-                pub.util.logWarning("[" + appName + "][" + easyrtcid + "] Can not enter room with improper name: '" + roomName + "'");
+                pub.util.logWarning("Can not enter room with improper name: '" + roomName + "'", null, {appName: appName, easyrtcid: easyrtcid});
                 callback(new pub.util.ConnectionWarning("Can not enter room with improper name: '" + roomName + "'"));
                 return;
             }
             // Check if room doesn't exist
             if (!appObj.isRoomSync(roomName)) {
-                pub.util.logWarning("[" + appName + "][" + easyrtcid + "] Can not enter room which doesn't exist: '" + roomName + "'");
+                pub.util.logWarning("Can not enter room which doesn't exist: '" + roomName + "'", null, {appName: appName, easyrtcid: easyrtcid});
                 callback(new pub.util.ConnectionWarning("Can not enter room which doesn't exist: '" + roomName + "'"));
                 return;
             }
@@ -2242,6 +3859,8 @@ pub.app = function(appName, callback) {
                     toConnection: e.app[appName].connection[easyrtcid]
                 };
 
+                wh.send("roomJoin", {appName: appName, roomName: roomName, easyrtcid: easyrtcid, username: connectionObj.getUsername()});
+
                 // Returns connection room object to callback.
                 connectionObj.room(roomName, callback);
             };
@@ -2253,7 +3872,7 @@ pub.app = function(appName, callback) {
                 }
                 createConnectionRoom(roomName, appRoomObj, callback);
             });
-        };
+        }, 1);
 
 
         /**
@@ -2264,7 +3883,7 @@ pub.app = function(appName, callback) {
          * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
          * @param       {function(?Error, Object=)} callback Callback with error and object containing EasyRTC connection room object.
          */
-        connectionObj.room = function(roomName, callback) {
+        connectionObj.room = eu.promisify(function(roomName, callback) {
             if (_.isUndefined(e.app[appName].connection[easyrtcid].room[roomName])) {
                 pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
                 callback(new pub.util.ConnectionWarning("Attempt to request non-existent room name: '" + roomName + "'"));
@@ -2360,14 +3979,18 @@ pub.app = function(appName, callback) {
              * @memberof    pub.appObj.connectionObj.connectionRoomObj
              * @param       {nextCallback} [next]   A success callback of form next(err).
              */
-            connectionRoomObj.leaveRoom = function(next) {
+            connectionRoomObj.leaveRoom = eu.promisify(function(next) {
                 if (!_.isFunction(next)) {
                     next = pub.util.nextToNowhere;
                 }
 
                 if (appObj.isRoomSync(roomName)) {
+                    if (e.app[appName].room[roomName].clientList[easyrtcid]) {
+                        wh.send("roomLeave", {appName: appName, roomName: roomName, easyrtcid: easyrtcid, username: connectionObj.getUsername()});
+                    }
                     e.app[appName].room[roomName].modifiedOn = Date.now();
                     delete e.app[appName].room[roomName].clientList[easyrtcid];
+                    delete e.app[appName].room[roomName].role[easyrtcid];
                 }
 
                 if (e.app[appName].connection[easyrtcid]) {
@@ -2377,7 +4000,7 @@ pub.app = function(appName, callback) {
                 connectionRoomObj.emitRoomDataDelta(true, function(err, roomDataObj) {
                     next(err);
                 });
-            };
+            }, 0);
 
 
             /**
@@ -2387,8 +4010,8 @@ pub.app = function(appName, callback) {
              * @param       {boolean}   isLeavingRoom   Is connection leaving the room?
              * @param       {function(?Error, Object=)} callback Callback with error and room data delta object.
              */
-            connectionRoomObj.emitRoomDataDelta = function(isLeavingRoom, callback) {
-                pub.util.logDebug("[" + appName + "][" + easyrtcid + "] Room [" + roomName + "] Running func 'connectionRoomObj.emitRoomDataDelta'");
+            connectionRoomObj.emitRoomDataDelta = eu.promisify(function(isLeavingRoom, callback) {
+                pub.util.logDebug("Room [" + roomName + "] Running func 'connectionRoomObj.emitRoomDataDelta'", null, {appName: appName, easyrtcid: easyrtcid});
                 if (!_.isFunction(callback)) {
                     callback = function(err, roomDataObj) {
                     };
@@ -2424,9 +4047,13 @@ pub.app = function(appName, callback) {
                         }
 
                     }
+
+                    // Relay delta to occupants hosted on other nodes
+                    cl.publishRoomDataDelta(appName, easyrtcid, msg.msgData.roomData, false);
+
                     callback(null, roomDataDelta);
                 });
-            };
+            }, 1);
 
 
             /**
@@ -2436,8 +4063,8 @@ pub.app = function(appName, callback) {
              * @param       {boolean}   isLeavingRoom   Is connection leaving the room?
              * @param       {function(?Error, Object=)} callback Callback with error and room data delta object.
              */
-            connectionRoomObj.generateRoomDataDelta = function(isLeavingRoom, callback) {
-                pub.util.logDebug("[" + appName + "][" + easyrtcid + "] Room [" + roomName + "] Running func 'connectionRoomObj.generateRoomDataDelta'");
+            connectionRoomObj.generateRoomDataDelta = eu.promisify(function(isLeavingRoom, callback) {
+                pub.util.logDebug("Room [" + roomName + "] Running func 'connectionRoomObj.generateRoomDataDelta'", null, {appName: appName, easyrtcid: easyrtcid});
                 if (!_.isFunction(callback)) {
                     callback = pub.util.nextToNowhere;
                 }
@@ -2466,10 +4093,14 @@ pub.app = function(appName, callback) {
                     if (e.app[appName].connection[easyrtcid].username) {
                         roomDataDelta.clientListDelta.updateClient[easyrtcid].username = e.app[appName].connection[easyrtcid].username;
                     }
+                    var sharedFieldObj = getSharedFieldObj(e.app[appName].connection[easyrtcid].field);
+                    if (!_.isEmpty(sharedFieldObj)) {
+                        roomDataDelta.clientListDelta.updateClient[easyrtcid].field = sharedFieldObj;
+                    }
                 }
 
                 callback(null, roomDataDelta);
-            };
+            }, 1);
 
             /**
              * Sets the API field for the current connection in a room.
@@ -2478,14 +4109,14 @@ pub.app = function(appName, callback) {
              * @param       {object}    apiFieldObj     A API field object, including the field name and field value.
              * @param       {nextCallback} next         A success callback of form next(err).
              */
-            connectionRoomObj.setApiField = function(apiFieldObj, next) {
+            connectionRoomObj.setApiField = eu.promisify(function(apiFieldObj, next) {
                 if (!_.isFunction(next)) {
                     next = pub.util.nextToNowhere;
                 }
 
                 e.app[appName].connection[easyrtcid].room[roomName].apiField = pub.util.deepCopy(apiFieldObj);
                 next(null);
-            };
+            }, 1);
 
             // Set the roomObj before returning the connectionRoomObj
             appObj.room(roomName,
@@ -2494,18 +4125,26 @@ pub.app = function(appName, callback) {
                         callback(null, connectionRoomObj);
                     }
             );
-        };
+        }, 1);
 
 
         /**
-         * Removes a connection object. Does not (currently) remove connection from rooms or groups.
+         * Removes a connection object. Does not (currently) remove connection from rooms or groups; the default "disconnect" listener leaves them first.
          *
          * @memberof    pub.appObj.connectionObj
          * @param       {nextCallback} next         A success callback of form next(err).
          */
-        connectionObj.removeConnection = function(next) {
+        connectionObj.removeConnection = eu.promisify(function(next) {
             if (e.app[appName] && _.isObject(e.app[appName].connection) && e.app[appName].connection[easyrtcid]) {
+                var username = e.app[appName].connection[easyrtcid].username;
+                var lastActivityOn = e.app[appName].connection[easyrtcid].lastActivityOn;
+                if (e.app[appName].connection[easyrtcid].isAuthenticated) {
+                    wh.send("disconnect", {appName: appName, easyrtcid: easyrtcid, username: connectionObj.getUsername()});
+                }
                 e.app[appName].connection[easyrtcid].isAuthenticated = false;
+                connectionObj.unsubscribePresence(connectionObj.getPresenceSubscriptions(), pub.util.nextToNowhere);
+                clearTimeout(e.app[appName].connection[easyrtcid].reconnectTimer);
+                clearTimeout(e.app[appName].connection[easyrtcid].authExpiryTimer);
                 // Remove link to connection from session in local storage
                 if (e.app[appName].connection[easyrtcid].toSession) {
                     delete e.app[appName].connection[easyrtcid].toSession.toConnection[easyrtcid];
@@ -2513,9 +4152,18 @@ pub.app = function(appName, callback) {
 
                 // Remove connection from local storage
                 delete e.app[appName].connection[easyrtcid];
+                rl.removeConnection(appName, easyrtcid);
+                ct.removeConnection(appName, easyrtcid);
+                ss.remove(ss.connectionKey(appName, easyrtcid), stateStoreCallback);
+                cl.publishRoomDataDelta(appName, easyrtcid, {}, true);
+
+                if (username) {
+                    setUserLastSeen(appName, username, lastActivityOn);
+                    emitUserPresence(appName, username);
+                }
             }
             next(null);
-        };
+        }, 0);
 
         // Before returning connectionObj, join the connection to a session (if available).
         if (e.app[appName].connection[easyrtcid].toSession) {
@@ -2530,7 +4178,7 @@ pub.app = function(appName, callback) {
         } else {
             callback(null, connectionObj);
         }
-    };
+    }, 1);
 
 
     /**
@@ -2541,7 +4189,7 @@ pub.app = function(appName, callback) {
      * @param       {string}    socketId    Socket.io socket identifier for a socket connection.
      * @param       {function(?Error, Object=)} callback Callback with error and object containing EasyRTC connection object (same as calling connection(easyrtcid))
      */
-    appObj.createConnection = function(easyrtcid, socketId, callback) {
+    appObj.createConnection = eu.promisify(function(easyrtcid, socketId, callback) {
         if (!easyrtcid || !appObj.getOption("easyrtcidRegExp").test(easyrtcid)) {
             pub.util.logWarning("Can not create connection with improper name: '" + easyrtcid + "'");
             callback(new pub.util.ConnectionWarning("Can not create connection with improper name: '" + easyrtcid + "'"));
@@ -2559,6 +4207,7 @@ pub.app = function(appName, callback) {
             easyrtcid: easyrtcid,
             socketId: socketId,
             connectOn: Date.now(),
+            lastActivityOn: Date.now(),
             isAuthenticated: false,
             userName: null,
             credential: null,
@@ -2569,6 +4218,11 @@ pub.app = function(appName, callback) {
                 status: null
             },
             room: {},
+            userSettings: {},
+            p2pList: {},
+            allowedRoomList: null,
+            isModerator: false,
+            presenceSubscription: {},
             toApp: e.app[appName]
         };
 
@@ -2596,7 +4250,7 @@ pub.app = function(appName, callback) {
 
             callback(null, connectionObj);
         });
-    };
+    }, 2);
 
 
     /**
@@ -2606,13 +4260,28 @@ pub.app = function(appName, callback) {
      * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
      * @param       {function(?Error, number=)} callback Callback with error and client count
      */
-    appObj.getRoomOccupantCount = function(roomName, callback) {
+    appObj.getRoomOccupantCount = eu.promisify(function(roomName, callback) {
         if (!appObj.isRoomSync(roomName)) {
             callback(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
             return;
         }
 
         callback(null, _.size(e.app[appName].room[roomName].clientList));
+    }, 1);
+
+
+    /**
+     * Returns the easyrtcids of the connections in a room. This is a synchronous function, thus may not be available in custom cases where room state is not kept in memory.
+     *
+     * @memberof    pub.appObj
+     * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
+     * @return      {Array.<string>}        Array of easyrtcids. Empty if the room is not defined.
+     */
+    appObj.getRoomConnectionsSync = function(roomName) {
+        if (!appObj.isRoomSync(roomName)) {
+            return [];
+        }
+        return Object.keys(e.app[appName].room[roomName].clientList);
     };
 
     /**
@@ -2622,7 +4291,7 @@ pub.app = function(appName, callback) {
      * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
      * @param       {function(?Error, Object=)} callback Callback with error and true if a room was deleted.
      */
-    appObj.deleteRoom = function(roomName, callback) {
+    appObj.deleteRoom = eu.promisify(function(roomName, callback) {
         var errorMsg;
         if (!roomName) {
             errorMsg = "Can't delete room with a null room name";
@@ -2649,8 +4318,11 @@ pub.app = function(appName, callback) {
         e.app[appName].room[roomName].deleted = true;
 
         delete e.app[appName].room[roomName];
+        ss.remove(ss.roomKey(appName, roomName), stateStoreCallback);
+        ss.remove(ss.roomHistoryKey(appName, roomName), stateStoreCallback);
+        wh.send("roomDelete", {appName: appName, roomName: roomName});
         callback(null, true);
-    };
+    }, 1);
 
 
     /**
@@ -2661,7 +4333,7 @@ pub.app = function(appName, callback) {
      * @param       {?object}   options     Options object with options to apply to the room. May be null.
      * @param       {function(?Error, Object=)} callback Callback with error and object containing EasyRTC room object (same as calling appObj.room(roomName))
      */
-    appObj.createRoom = function(roomName, options, callback) {
+    appObj.createRoom = eu.promisify(function(roomName, options, callback) {
         if (!roomName || !appObj.getOption("roomNameRegExp").test(roomName)) {
             pub.util.logWarning("Can not create room with improper name: '" + roomName + "'");
             callback(new pub.util.ApplicationWarning("Can not create room with improper name: '" + roomName + "'"));
@@ -2683,6 +4355,12 @@ pub.app = function(appName, callback) {
             clientList: {},
             field: {},
             option: {},
+            role: {},
+            ban: {},
+            history: {
+                nextHistoryId: 1,
+                msgList: []
+            },
             modifiedOn: Date.now()
         };
 
@@ -2720,11 +4398,14 @@ pub.app = function(appName, callback) {
                             }
                         }
 
+                        ss.saveRoom(appName, roomName, stateStoreCallback);
+                        wh.send("roomCreate", {appName: appName, roomName: roomName});
+
                         // Return room object to callback
                         callback(null, roomObj);
                     });
         });
-    };
+    }, 2);
 
 
     /**
@@ -2734,8 +4415,8 @@ pub.app = function(appName, callback) {
      * @param       {string}    easyrtcsid  EasyRTC Session Identifier. Must be formatted according to "easyrtcsidRegExp" option.
      * @param       {function(?Error, Object=)} callback Callback with error and object containing EasyRTC session object (same as calling session(easyrtcsid))
      */
-    appObj.createSession = function(easyrtcsid, callback) {
-        pub.util.logDebug("[" + appObj.getAppName() + "] Creating session [" + easyrtcsid + "]");
+    appObj.createSession = eu.promisify(function(easyrtcsid, callback) {
+        pub.util.logDebug("Creating session [" + easyrtcsid + "]", null, {appName: appObj.getAppName()});
 
         if (!easyrtcsid || !appObj.getOption("easyrtcsidRegExp").test(easyrtcsid)) {
             pub.util.logWarning("Can not create session with improper name [" + easyrtcsid + "]");
@@ -2757,8 +4438,28 @@ pub.app = function(appName, callback) {
             "field": {}
         };
 
-        appObj.session(easyrtcsid, callback);
-    };
+        // Restore session fields from the state store (if session was known prior to a restart)
+        var getStoredSession = function(sessionCallback) {
+            if (!ss.isEnabled()) {
+                sessionCallback(null, null);
+                return;
+            }
+            ss.getStore().get(ss.sessionKey(appName, easyrtcsid), sessionCallback);
+        };
+
+        getStoredSession(function(err, storedSession) {
+            if (err) {
+                pub.util.logWarning("Could not read session [" + easyrtcsid + "] from state store", err, {component: "stateStore", appName: appName});
+            }
+            else if (_.isObject(storedSession) && e.app[appName] && e.app[appName].session[easyrtcsid]) {
+                e.app[appName].session[easyrtcsid].startOn = storedSession.startOn || e.app[appName].session[easyrtcsid].startOn;
+                e.app[appName].session[easyrtcsid].field = _.isObject(storedSession.field) ? storedSession.field : {};
+            }
+
+            ss.saveSession(appName, easyrtcsid, stateStoreCallback);
+            appObj.session(easyrtcsid, callback);
+        });
+    }, 1);
 
 
     /**
@@ -2768,9 +4469,9 @@ pub.app = function(appName, callback) {
      * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
      * @param       {function(?Error, boolean)} callback Callback with error and boolean of whether room is defined.
      */
-    appObj.isRoom = function(roomName, callback) {
+    appObj.isRoom = eu.promisify(function(roomName, callback) {
         callback(null,((e.app[appName] && e.app[appName].room[roomName] && !e.app[appName].room[roomName].deleted) ? true : false));
-    };
+    }, 1);
 
 
     /**
@@ -2792,51 +4493,476 @@ pub.app = function(appName, callback) {
      * @param       {string}    easyrtcsid      EasyRTC session identifier
      * @param       {function(?Error, boolean)} callback Callback with error and boolean of whether session is defined.
      */
-    appObj.isSession = function(easyrtcsid, callback) {
+    appObj.isSession = eu.promisify(function(easyrtcsid, callback) {
         callback(null, (e.app[appName].session[easyrtcsid] ? true : false));
+    }, 1);
+
+
+    /**
+     * Checks if a provided group is defined. The callback returns a boolean if group is defined.
+     *
+     * @memberof    pub.appObj
+     * @param       {string} groupName      Group name which uniquely identifies a group within an EasyRTC application.
+     * @param       {function(?Error, boolean)} callback Callback with error and boolean of whether group is defined.
+     */
+    appObj.isGroup = eu.promisify(function(groupName, callback) {
+        callback(null, appObj.isGroupSync(groupName));
+    }, 1);
+
+
+    /**
+     * Checks if a provided group is defined. This is a synchronous function, thus may not be available in custom cases where group state is not kept in memory.
+     *
+     * @memberof    pub.appObj
+     * @param       {string} groupName      Group name which uniquely identifies a group within an EasyRTC application.
+     * @return      {Boolean}               Returns boolean. True if group is defined.
+     */
+    appObj.isGroupSync = function(groupName) {
+        return ((e.app[appName] && e.app[appName].group[groupName] && !e.app[appName].group[groupName].deleted) ? true : false);
+    };
+
+
+    /**
+     * Returns the easyrtcids of the connections in a group. This is a synchronous function, thus may not be available in custom cases where group state is not kept in memory.
+     *
+     * @memberof    pub.appObj
+     * @param       {string} groupName      Group name which uniquely identifies a group within an EasyRTC application.
+     * @return      {Array.<string>}        Array of easyrtcids. Empty if the group is not defined.
+     */
+    appObj.getGroupConnectionsSync = function(groupName) {
+        if (!appObj.isGroupSync(groupName)) {
+            return [];
+        }
+        return Object.keys(e.app[appName].group[groupName].clientList);
     };
 
 
     /**
-     * NOT YET IMPLEMENTED - Gets group object for a given group name. Returns null if group not found.
+     * Creates a new group, sending the resulting group object to a provided callback.
+     *
+     * @memberof    pub.appObj
+     * @param       {string} groupName      Group name which uniquely identifies a group within an EasyRTC application.
+     * @param       {?object}   options     Options object with options to apply to the group. May be null.
+     * @param       {function(?Error, Object=)} callback Callback with error and object containing EasyRTC group object (same as calling appObj.group(groupName))
+     */
+    appObj.createGroup = eu.promisify(function(groupName, options, callback) {
+        if (!_.isFunction(callback)) {
+            callback = function(err, groupObj) {
+            };
+        }
+        if (!groupName || !appObj.getOption("groupNameRegExp").test(groupName)) {
+            pub.util.logWarning("Can not create group with improper name: '" + groupName + "'");
+            callback(new pub.util.ApplicationWarning("Can not create group with improper name: '" + groupName + "'"));
+            return;
+        }
+        if (appObj.isGroupSync(groupName)) {
+            pub.util.logWarning("Can not create group which already exists: '" + groupName + "'");
+            callback(new pub.util.ApplicationWarning("Can not create group which already exists: '" + groupName + "'"));
+            return;
+        }
+        if (!_.isObject(options)) {
+            options = {};
+        }
+        pub.util.logDebug("Creating group: '" + groupName + "' with options:", options);
+
+        e.app[appName].group[groupName] = {
+            groupName: groupName,
+            deleted: false,
+            clientList: {},
+            field: {},
+            option: {},
+            modifiedOn: Date.now()
+        };
+
+        // Initialize a new group object
+        appObj.group(groupName, function(err, groupObj) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            // Set all options in options object
+            for (var currentOptionName in options) {
+                if (options.hasOwnProperty(currentOptionName)) {
+                    groupObj.setOption(currentOptionName, options[currentOptionName]);
+                }
+            }
+
+            // Set default group fields
+            var groupDefaultFieldObj = groupObj.getOption("groupDefaultFieldObj");
+            if (_.isObject(groupDefaultFieldObj)) {
+                for (var currentFieldName in groupDefaultFieldObj) {
+                    if (groupDefaultFieldObj.hasOwnProperty(currentFieldName)) {
+                        groupObj.setField(
+                                currentFieldName,
+                                groupDefaultFieldObj[currentFieldName].fieldValue,
+                                groupDefaultFieldObj[currentFieldName].fieldOption,
+                                null
+                                );
+                    }
+                }
+            }
+
+            ss.saveGroup(appName, groupName, stateStoreCallback);
+
+            // Return group object to callback
+            callback(null, groupObj);
+        });
+    }, 2);
+
+
+    /**
+     * Deletes an existing group. Any connections in the group are first removed from it, and are sent a groupData message with a groupStatus of "leave".
+     *
+     * @memberof    pub.appObj
+     * @param       {string} groupName      Group name which uniquely identifies a group within an EasyRTC application.
+     * @param       {function(?Error, Object=)} callback Callback with error and true if a group was deleted.
+     */
+    appObj.deleteGroup = eu.promisify(function(groupName, callback) {
+        var errorMsg;
+        if (!_.isFunction(callback)) {
+            callback = function(err, isDeleted) {
+            };
+        }
+        if (!appObj.isGroupSync(groupName)) {
+            errorMsg = "Can't delete non-existing group: " + groupName;
+            pub.util.logWarning(errorMsg);
+            callback(new pub.util.ApplicationWarning(errorMsg), false);
+            return;
+        }
+
+        async.each(Object.keys(e.app[appName].group[groupName].clientList), function(currentEasyrtcid, asyncCallback) {
+            appObj.connection(currentEasyrtcid, function(err, connectionObj) {
+                if (err) {
+                    asyncCallback(null);
+                    return;
+                }
+                connectionObj.leaveGroup(groupName, function(err) {
+                    var groupData = {};
+                    groupData[groupName] = {"groupName": groupName, "groupStatus": "leave"};
+                    pub.events.emit("emitEasyrtcCmd", connectionObj, "groupData", {"msgData": {"groupData": groupData}}, null, function(err) {
+                        asyncCallback(null);
+                    });
+                });
+            });
+        }, function(err) {
+            if (e.app[appName].group[groupName]) {
+                e.app[appName].group[groupName].deleted = true;
+                delete e.app[appName].group[groupName];
+            }
+            ss.remove(ss.groupKey(appName, groupName), stateStoreCallback);
+            callback(null, true);
+        });
+    }, 1);
+
+
+    /**
+     * Gets group object for a given group name. Returns null if group not found.
      * The returned group object includes functions for managing group fields.
      *
      * @memberof    pub.appObj
-     * @param       {string}    groupName   Group name
+     * @param       {string}    groupName   Group name which uniquely identifies a group within an EasyRTC application.
      * @param       {function(?Error, Object=)} callback Callback with error and object containing EasyRTC group object.
      */
-    appObj.group = function(groupName, callback) {
-        if (!e.app[appName].group[groupName]) {
+    appObj.group = eu.promisify(function(groupName, callback) {
+        if (!appObj.isGroupSync(groupName)) {
             pub.util.logWarning("Attempt to request non-existent group name: '" + groupName + "'");
             callback(new pub.util.ApplicationWarning("Attempt to request non-existent group name: '" + groupName + "'"));
             return;
         }
 
-        var groupObj = {};
+        /**
+         * EasyRTC Group Object. Contains methods for handling a specific group including determining which connections are members.
+         *
+         * @class       groupObj
+         * @memberof    pub.appObj
+         */
+        var groupObj = {};
+
+
+        /**
+         * Expose all event functions
+         *
+         * @memberof    pub.appObj.groupObj
+         */
+        groupObj.events = pub.events;
+
+
+        /**
+         * Expose all utility functions
+         *
+         * @memberof    pub.appObj.groupObj
+         */
+        groupObj.util = pub.util;
+
+
+        /**
+         * Returns the application object to which the group belongs. Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
+         *
+         * @memberof    pub.appObj.groupObj
+         * @return      {Object}    The application object
+         */
+        groupObj.getApp = function() {
+            return appObj;
+        };
+
+
+        /**
+         * Returns the application name for the application to which the group belongs. Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
+         *
+         * @memberof    pub.appObj.groupObj
+         * @return      {string}    The application name
+         */
+        groupObj.getAppName = function() {
+            return appName;
+        };
+
+
+        /**
+         * Returns the group name for the current group. Note that unlike most EasyRTC functions, this returns a value and does not use a callback.
+         *
+         * @memberof    pub.appObj.groupObj
+         * @return      {string}    The group name
+         */
+        groupObj.getGroupName = function() {
+            return groupName;
+        };
+
+
+        /**
+         * Returns an array of all connected clients within the group.
+         *
+         * @memberof    pub.appObj.groupObj
+         * @param {function(?Error, Array.<string>)} callback Callback with error and array containing all easyrtcids.
+         */
+        groupObj.getConnections = eu.promisify(function(callback) {
+            if (!appObj.isGroupSync(groupName)) {
+                pub.util.logWarning("Attempt to request non-existent group name: '" + groupName + "'");
+                callback(new pub.util.ApplicationWarning("Attempt to request non-existent group name: '" + groupName + "'"));
+                return;
+            }
+            var connectedEasyrtcidArray = Object.keys(e.app[appName].group[groupName].clientList);
+            callback(null, connectedEasyrtcidArray);
+        }, 0);
+
+
+        /**
+         * Emits a groupData message containing shared fields to all connections in the current group. This is meant to be called after a group field has been set or updated.
+         *
+         * @memberof    pub.appObj.groupObj
+         * @param       {?string}   skipEasyrtcid   EasyRTC unique identifier of a connection which should not receive the update.
+         * @param       {nextCallback} next         A success callback of form next(err).
+         */
+        groupObj.emitGroupDataFieldUpdate = eu.promisify(function(skipEasyrtcid, next) {
+            if (!_.isFunction(next)) {
+                next = pub.util.nextToNowhere;
+            }
+            groupObj.getFields(true, function(err, fieldObj) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                var outgoingMsg = {"msgData": {"groupData": {}}};
+                outgoingMsg.msgData.groupData[groupName] = {
+                    "groupName": groupName,
+                    "groupStatus": "update",
+                    "field": fieldObj
+                };
+
+                async.each(
+                        Object.keys(e.app[appName].group[groupName].clientList),
+                        function(currentEasyrtcid, asyncCallback) {
+                            if (skipEasyrtcid && (skipEasyrtcid === currentEasyrtcid)) {
+                                asyncCallback(null);
+                                return;
+                            }
+                            appObj.connection(currentEasyrtcid, function(err, targetConnectionObj) {
+                                if (err || !_.isObject(targetConnectionObj)) {
+                                    pub.util.logDebug("Could not get connection object to send group data field update. Client may have disconnected.", null, {easyrtcid: currentEasyrtcid});
+                                    asyncCallback(null);
+                                    return;
+                                }
+                                pub.events.emit("emitEasyrtcCmd", targetConnectionObj, "groupData", outgoingMsg, null, function(err) {
+                                    // Ignore errors if unable to send to a socket.
+                                    asyncCallback(null);
+                                });
+                            });
+                        },
+                        function(err) {
+                            // Relay update to group members hosted on other nodes
+                            cl.forwardMsg(appName, {targetGroup: groupName}, "emitEasyrtcCmd", "groupData", outgoingMsg);
+                            next(null);
+                        }
+                );
+            });
+        }, 1);
+
+
+        /**
+         * Returns group level field object for a given field name to a provided callback.
+         *
+         * @memberof    pub.appObj.groupObj
+         * @param       {string}    fieldName   Field name
+         * @param       {function(?Error, Object=)} callback Callback with error and field object (any type)
+         */
+        groupObj.getField = eu.promisify(function(fieldName, callback) {
+            if (!appObj.isGroupSync(groupName)) {
+                pub.util.logWarning("Attempt to request non-existent group name: '" + groupName + "'");
+                callback(new pub.util.ApplicationWarning("Attempt to request non-existent group name: '" + groupName + "'"));
+                return;
+            }
+            if (!e.app[appName].group[groupName].field[fieldName]) {
+                pub.util.logDebug("Can not find group field: '" + fieldName + "'");
+                callback(new pub.util.ApplicationWarning("Can not find group field: '" + fieldName + "'"));
+                return;
+            }
+            callback(null, pub.util.deepCopy(e.app[appName].group[groupName].field[fieldName]));
+        }, 1);
+
+
+        /**
+         * Returns group level field object for a given field name. If the field is not set, it will return a field object with a null field value. This is a synchronous function, thus may not be available in custom cases where state is not kept in memory.
+         *
+         * @memberof    pub.appObj.groupObj
+         * @param       {string}    fieldName   Field name
+         * @returns     {Object}        Field object
+         */
+        groupObj.getFieldSync = function(fieldName) {
+            if (!appObj.isGroupSync(groupName) || !e.app[appName].group[groupName].field[fieldName]) {
+                return {"fieldName": fieldName, "fieldOption": {}, "fieldValue": null};
+            }
+            return pub.util.deepCopy(e.app[appName].group[groupName].field[fieldName]);
+        };
+
+
+        /**
+         * Returns group level field value for a given field name. If the field is not set, it will return a null field value. This is a synchronous function, thus may not be available in custom cases where state is not kept in memory.
+         *
+         * @memberof    pub.appObj.groupObj
+         * @param       {string}    fieldName   Field name
+         * @returns     {?*}        Field value
+         */
+        groupObj.getFieldValueSync = function(fieldName) {
+            if (!appObj.isGroupSync(groupName) || !e.app[appName].group[groupName].field[fieldName]) {
+                return null;
+            }
+            return pub.util.deepCopy(e.app[appName].group[groupName].field[fieldName].fieldValue);
+        };
+
+
+        /**
+         * Returns an object containing all field names and values within the group. Can be limited to fields with isShared option set to true.
+         *
+         * @memberof    pub.appObj.groupObj
+         * @param       {boolean}   limitToIsShared Limits returned fields to those which have the isShared option set to true.
+         * @param       {function(?Error, Object=)} callback Callback with error and object containing field names and values.
+         */
+        groupObj.getFields = eu.promisify(function(limitToIsShared, callback) {
+            if (!appObj.isGroupSync(groupName)) {
+                pub.util.logWarning("Attempt to request non-existent group name: '" + groupName + "'");
+                callback(new pub.util.ApplicationWarning("Attempt to request non-existent group name: '" + groupName + "'"));
+                return;
+            }
+            var fieldObj = {};
+            for (var fieldName in e.app[appName].group[groupName].field) {
+                if (!limitToIsShared || e.app[appName].group[groupName].field[fieldName].fieldOption.isShared) {
+                    fieldObj[fieldName] = {
+                        fieldName: fieldName,
+                        fieldValue: pub.util.deepCopy(e.app[appName].group[groupName].field[fieldName].fieldValue)
+                    };
+                }
+            }
+            callback(null, fieldObj);
+        }, 1);
+
 
         /**
-         * Expose all event functions
+         * Sets group field value for a given field name.
+         *
+         * @memberof    pub.appObj.groupObj
+         * @param       {string}    fieldName       Must be formatted according to "fieldNameRegExp" option.
+         * @param       {Object}    fieldValue
+         * @param       {?Object}   fieldOption     Field options (such as isShared which defaults to false)
+         * @param       {nextCallback} [next]       A success callback of form next(err). Possible err will be instanceof (ApplicationWarning).
          */
-        groupObj.events = pub.events;
+        groupObj.setField = eu.promisify(function(fieldName, fieldValue, fieldOption, next) {
+            if (!_.isFunction(next)) {
+                next = pub.util.nextToNowhere;
+            }
+            if (!appObj.isGroupSync(groupName)) {
+                pub.util.logWarning("Attempt to request non-existent group name: '" + groupName + "'");
+                next(new pub.util.ApplicationWarning("Attempt to request non-existent group name: '" + groupName + "'"));
+                return;
+            }
+            pub.util.logDebug("Group [" + groupName + "] - Setting field [" + fieldName + "]", fieldValue, {appName: appName});
+
+            if (!pub.getOption("fieldNameRegExp").test(fieldName)) {
+                pub.util.logWarning("Can not create group field with improper name: '" + fieldName + "'");
+                next(new pub.util.ApplicationWarning("Can not create group field with improper name: '" + fieldName + "'"));
+                return;
+            }
+
+            e.app[appName].group[groupName].field[fieldName] = {
+                fieldName: fieldName,
+                fieldValue: fieldValue,
+                fieldOption: {isShared: ((_.isObject(fieldOption) && fieldOption.isShared) ? true : false)}
+            };
+
+            ss.saveGroup(appName, groupName, stateStoreCallback);
+            next(null);
+        }, 3);
+
 
         /**
-         * Expose all utility functions
+         * Gets individual option value. Will first check if option is defined for the group, else it will revert to the application level option (which will in turn fall back to the global level).
+         *
+         * @memberof    pub.appObj.groupObj
+         * @param       {String}    optionName  Option name
+         * @return      {*}         Option value (can be any type)
          */
-        groupObj.util = pub.util;
+        groupObj.getOption = function(optionName) {
+            return ((!appObj.isGroupSync(groupName) || e.app[appName].group[groupName].option[optionName] === undefined) ? appObj.getOption(optionName) : (e.app[appName].group[groupName].option[optionName]));
+        };
+
 
         /**
-         * NOT YET IMPLEMENTED - Returns an array of all connected clients within the room.
+         * Sets individual option which applies only to this group. Set value to NULL to delete the option (thus reverting to application option)
          *
-         * @ignore
-         * @param {function(?Error, Array.<string>)} callback Callback with error and array containing all easyrtcids.
+         * @memberof    pub.appObj.groupObj
+         * @param       {Object}    optionName  Option name
+         * @param       {Object}    optionValue Option value
+         * @return      {Boolean}               true on success, false on failure
          */
-        groupObj.getConnections = function(callback) {
-            var connectedEasyrtcidArray = Object.keys(e.app[appName].group[groupName].clientList);
-            callback(null, connectedEasyrtcidArray);
+        groupObj.setOption = function(optionName, optionValue) {
+            if (!appObj.isGroupSync(groupName)) {
+                pub.util.logWarning("Attempt to request non-existent group name: '" + groupName + "'");
+                return false;
+            }
+            // Can only set options which currently exist
+            if (e.option.hasOwnProperty(optionName)) {
+                // If value is null, delete option from group (reverts to application option)
+                if (optionValue === null || optionValue === undefined) {
+                    delete e.app[appName].group[groupName].option[optionName];
+                } else {
+                    var optionError = cf.getOptionError(optionName, optionValue);
+                    if (optionError) {
+                        pub.util.logError("Error setting option. " + optionError, null, {appName: appName, groupName: groupName});
+                        return false;
+                    }
+                    // Set the option value to be a full deep copy, thus preserving private nature of the private EasyRTC object.
+                    e.app[appName].group[groupName].option[optionName] = pub.util.deepCopy(optionValue);
+                }
+                ss.saveGroup(appName, groupName, stateStoreCallback);
+                return true;
+            } else {
+                pub.util.logError("Error setting option. Unrecognised option name '" + optionName + "'.");
+                return false;
+            }
         };
 
         callback(null, groupObj);
-    };
+    }, 1);
 
 
     /**
@@ -2847,7 +4973,7 @@ pub.app = function(appName, callback) {
      * @param       {string} roomName       Room name which uniquely identifies a room within an EasyRTC application.
      * @param       {function(?Error, Object=)} callback Callback with error and object containing EasyRTC room object.
      */
-    appObj.room = function(roomName, callback) {
+    appObj.room = eu.promisify(function(roomName, callback) {
         if (!appObj.isRoomSync(roomName)) {
             pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
             callback(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
@@ -2913,10 +5039,13 @@ pub.app = function(appName, callback) {
 
 
         /**
-         * INCOMPLETE: Emits a roomData message containing fields to all connections in the current room. This is meant to be called after a room field has been set or updated. 
-         * @ignore 
+         * Emits a roomData message containing the shared room fields to all connections in the current room. This is meant to be called after a room field has been set or updated.
+         *
+         * @memberof    pub.appObj.roomObj
+         * @param       {?string}   skipEasyrtcid   Optional easyrtcid of a connection which should not be sent the message.
+         * @param       {nextCallback} next         A success callback of form next(err).
          */
-        roomObj.emitRoomDataFieldUpdate = function(skipEasyrtcid, next) {
+        roomObj.emitRoomDataFieldUpdate = eu.promisify(function(skipEasyrtcid, next) {
             roomObj.getFields(true, function(err, fieldObj) {
                 if (err) {
                     next(err);
@@ -2948,7 +5077,7 @@ pub.app = function(appName, callback) {
                             // Retrieve a connection object, then send the roomData message.
                             appObj.connection(currentEasyrtcid, function(err, targetConnectionObj) {
                                 if (err || !_.isObject(targetConnectionObj)) {
-                                    pub.util.logDebug("[" + currentEasyrtcid + "] Could not get connection object to send room data field update. Client may have disconnected.");
+                                    pub.util.logDebug("Could not get connection object to send room data field update. Client may have disconnected.", null, {easyrtcid: currentEasyrtcid});
                                     asyncCallback(null);
                                     return;
                                 }
@@ -2964,7 +5093,7 @@ pub.app = function(appName, callback) {
                         }
                 );
             });
-        };
+        }, 1);
 
 
         /**
@@ -2974,7 +5103,7 @@ pub.app = function(appName, callback) {
          * @param       {string}    fieldName   Field name
          * @param       {function(?Error, Object=)} callback Callback with error and field object (any type)
          */
-        roomObj.getField = function(fieldName, callback) {
+        roomObj.getField = eu.promisify(function(fieldName, callback) {
             if (!appObj.isRoomSync(roomName)) {
                 pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
                 callback(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
@@ -2986,7 +5115,7 @@ pub.app = function(appName, callback) {
                 return;
             }
             callback(null, pub.util.deepCopy(e.app[appName].room[roomName].field[fieldName]));
-        };
+        }, 1);
 
 
         /**
@@ -3032,7 +5161,7 @@ pub.app = function(appName, callback) {
          * @param       {boolean}   limitToIsShared Limits returned fields to those which have the isShared option set to true.
          * @param       {function(?Error, Object=)} callback Callback with error and object containing field names and values.
          */
-        roomObj.getFields = function(limitToIsShared, callback) {
+        roomObj.getFields = eu.promisify(function(limitToIsShared, callback) {
             if (!appObj.isRoomSync(roomName)) {
                 pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
                 callback(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
@@ -3048,7 +5177,7 @@ pub.app = function(appName, callback) {
                 }
             }
             callback(null, fieldObj);
-        };
+        }, 1);
 
 
         /**
@@ -3079,15 +5208,21 @@ pub.app = function(appName, callback) {
             // Can only set options which currently exist
             if (e.option.hasOwnProperty(optionName)) {                
 
-                // If value is null, delete option from application (reverts to global option)
+                // If value is null, delete option from room (reverts to application option)
                 if (optionValue === null || optionValue === undefined) {
-                    if (e.app[appName].option.hasOwnProperty(optionName)) {
+                    if (e.app[appName].room[roomName].option.hasOwnProperty(optionName)) {
                         delete e.app[appName].room[roomName].option[optionName];
                     }
                 } else {
+                    var optionError = cf.getOptionError(optionName, optionValue);
+                    if (optionError) {
+                        pub.util.logError("Error setting option. " + optionError, null, {appName: appName, roomName: roomName});
+                        return false;
+                    }
                     // Set the option value to be a full deep copy, thus preserving private nature of the private EasyRTC object.
                     e.app[appName].room[roomName].option[optionName] = pub.util.deepCopy(optionValue);
                 }
+                ss.saveRoom(appName, roomName, stateStoreCallback);
                 return true;
             } else {
 
@@ -3105,7 +5240,7 @@ pub.app = function(appName, callback) {
          * @param       {nextCallback} next     A success callback of form next(err).
          * @ignore
          */
-        roomObj.setConnection = function(easyrtcid, next) {
+        roomObj.setConnection = eu.promisify(function(easyrtcid, next) {
             if (!appObj.isRoomSync(roomName)) {
                 pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
                 next(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
@@ -3114,7 +5249,7 @@ pub.app = function(appName, callback) {
             pub.util.logWarning("Using deprecated roomObj.setConnection() function");
             e.app[appName].room[roomName].clientList[easyrtcid] = {enteredOn: Date.now()};
             next(null);
-        };
+        }, 1);
 
 
         /**
@@ -3126,13 +5261,13 @@ pub.app = function(appName, callback) {
          * @param       {?Object}   fieldOption     Field options (such as isShared which defaults to false)
          * @param       {nextCallback} [next]       A success callback of form next(err). Possible err will be instanceof (ApplicationWarning).
          */
-        roomObj.setField = function(fieldName, fieldValue, fieldOption, next) {
+        roomObj.setField = eu.promisify(function(fieldName, fieldValue, fieldOption, next) {
             if (!appObj.isRoomSync(roomName)) {
                 pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
                 next(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
                 return;
             }
-            pub.util.logDebug("[" + appName + "] Room [" + roomName + "] - Setting field [" + fieldName + "]", fieldValue);
+            pub.util.logDebug("Room [" + roomName + "] - Setting field [" + fieldName + "]", fieldValue, {appName: appName});
             if (!_.isFunction(next)) {
                 next = pub.util.nextToNowhere;
             }
@@ -3149,24 +5284,324 @@ pub.app = function(appName, callback) {
                 fieldOption: {isShared: ((_.isObject(fieldOption) && fieldOption.isShared) ? true : false)}
             };
 
+            ss.saveRoom(appName, roomName, stateStoreCallback);
+            next(null);
+        }, 3);
+
+
+        /**
+         * Determines if a connection may join the room. Banned connections are always refused. The rooms allowed for the connection (see connectionObj.setAllowedRooms()) and the room options roomInviteList, roomPassword, roomPasswordHash and roomMaxOccupants are checked, in that order. The password is taken from the password field of the roomParameter. Connections which are already in the room are always allowed.
+         *
+         * @memberof    pub.appObj.roomObj
+         * @param       {Object}    connectionObj   EasyRTC connection object of the connection wishing to join.
+         * @param       {?Object}   roomParameter   The roomParameter map provided by the client with the roomJoin.
+         * @param       {function(?Error, Boolean, ?String)} callback Callback with error, a boolean indicating if the join is allowed, and the error code when it is not.
+         */
+        roomObj.isJoinAllowed = eu.promisify(function(connectionObj, roomParameter, callback) {
+            if (!appObj.isRoomSync(roomName)) {
+                pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
+                callback(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
+                return;
+            }
+
+            if (roomObj.isBannedSync(connectionObj)) {
+                callback(null, false, "MSG_REJECT_ROOM_BANNED");
+                return;
+            }
+
+            if (e.app[appName].room[roomName].clientList[connectionObj.getEasyrtcid()]) {
+                callback(null, true, null);
+                return;
+            }
+
+            var roomInviteList = roomObj.getOption("roomInviteList");
+            if (!connectionObj.isRoomAllowedSync(roomName) || (_.isArray(roomInviteList) && !_.contains(roomInviteList, connectionObj.getUsername()))) {
+                callback(null, false, "MSG_REJECT_ROOM_INVITE");
+                return;
+            }
+
+            var roomPassword = roomObj.getOption("roomPassword");
+            var roomPasswordHash = roomObj.getOption("roomPasswordHash");
+            if (_.isString(roomPassword) || _.isString(roomPasswordHash)) {
+                if (!_.isObject(roomParameter) || !_.isString(roomParameter.password)) {
+                    callback(null, false, "MSG_REJECT_ROOM_PASSWORD");
+                    return;
+                }
+
+                // Both sides are compared as SHA-256 hashes
+                var suppliedHash = crypto.createHash("sha256").update(roomParameter.password, "utf8").digest("hex");
+                var expectedHash = (_.isString(roomPasswordHash) ? roomPasswordHash.toLowerCase() : crypto.createHash("sha256").update(roomPassword, "utf8").digest("hex"));
+                if (suppliedHash !== expectedHash) {
+                    callback(null, false, "MSG_REJECT_ROOM_PASSWORD");
+                    return;
+                }
+            }
+
+            // Occupants hosted on other cluster nodes count towards the cap
+            var roomMaxOccupants = roomObj.getOption("roomMaxOccupants");
+            if (_.isNumber(roomMaxOccupants) && (roomObj.getConnectionCountSync() + _.size(cl.getRemoteRoomClientList(appName, roomName))) >= roomMaxOccupants) {
+                callback(null, false, "MSG_REJECT_ROOM_FULL");
+                return;
+            }
+
+            callback(null, true, null);
+        }, 2);
+
+
+        /**
+         * Returns the moderation role of a connection within the room. Returns null if the connection has no role.
+         *
+         * @memberof    pub.appObj.roomObj
+         * @param       {string}    easyrtcid   EasyRTC unique identifier for a socket connection.
+         * @returns     {?string}               The role, either "owner" or "moderator".
+         */
+        roomObj.getRoleSync = function(easyrtcid) {
+            if (!appObj.isRoomSync(roomName)) {
+                pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
+                return null;
+            }
+            return e.app[appName].room[roomName].role[easyrtcid] || null;
+        };
+
+
+        /**
+         * Sets the moderation role of a connection within the room. Owners and moderators may kick, ban and send mute requests. Only an owner may act upon another owner or moderator. Roles are removed when the connection leaves the room.
+         *
+         * @memberof    pub.appObj.roomObj
+         * @param       {string}    easyrtcid   EasyRTC unique identifier for a socket connection.
+         * @param       {?string}   role        Either "owner" or "moderator". A null value removes the role.
+         * @param       {nextCallback} [next]   A success callback of form next(err). Possible err will be instanceof (ApplicationWarning).
+         */
+        roomObj.setRole = eu.promisify(function(easyrtcid, role, next) {
+            if (!_.isFunction(next)) {
+                next = pub.util.nextToNowhere;
+            }
+            if (!appObj.isRoomSync(roomName)) {
+                pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
+                next(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
+                return;
+            }
+            if (role !== null && role !== "owner" && role !== "moderator") {
+                pub.util.logWarning("Room [" + roomName + "] - Can not set improper role: '" + role + "'", null, {appName: appName});
+                next(new pub.util.ApplicationWarning("Can not set improper role: '" + role + "'"));
+                return;
+            }
+
+            pub.util.logDebug("Room [" + roomName + "] - Setting role [" + role + "]", null, {appName: appName, easyrtcid: easyrtcid});
+            if (role === null) {
+                delete e.app[appName].room[roomName].role[easyrtcid];
+            }
+            else {
+                e.app[appName].room[roomName].role[easyrtcid] = role;
+            }
+            next(null);
+        }, 2);
+
+
+        /**
+         * Bans a connection from the room. The ban is keyed by username, or by easyrtcid if the connection has no username. Banning does not remove the connection from the room; see the "roomBan" event.
+         *
+         * @memberof    pub.appObj.roomObj
+         * @param       {Object}    connectionObj   EasyRTC connection object of the connection being banned.
+         * @param       {?string}   bannedBy        The easyrtcid of the moderator issuing the ban. May be null.
+         * @param       {nextCallback} [next]       A success callback of form next(err). Possible err will be instanceof (ApplicationWarning).
+         */
+        roomObj.addBan = eu.promisify(function(connectionObj, bannedBy, next) {
+            if (!_.isFunction(next)) {
+                next = pub.util.nextToNowhere;
+            }
+            if (!appObj.isRoomSync(roomName)) {
+                pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
+                next(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
+                return;
+            }
+            e.app[appName].room[roomName].ban[getBanKey(connectionObj)] = {
+                bannedOn: Date.now(),
+                bannedBy: bannedBy
+            };
+            next(null);
+        }, 2);
+
+
+        /**
+         * Lifts a ban from the room.
+         *
+         * @memberof    pub.appObj.roomObj
+         * @param       {string}    banKey      The username, or easyrtcid, the ban is keyed by. As returned by roomObj.getBanList().
+         * @param       {nextCallback} [next]   A success callback of form next(err). Possible err will be instanceof (ApplicationWarning).
+         */
+        roomObj.removeBan = eu.promisify(function(banKey, next) {
+            if (!_.isFunction(next)) {
+                next = pub.util.nextToNowhere;
+            }
+            if (!appObj.isRoomSync(roomName)) {
+                pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
+                next(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
+                return;
+            }
+            delete e.app[appName].room[roomName].ban[banKey];
             next(null);
+        }, 1);
+
+
+        /**
+         * Returns a copy of the room ban list. Keys are usernames (or easyrtcids for connections without a username), values are objects of form {bannedOn:<Number>, bannedBy:<?String>}.
+         *
+         * @memberof    pub.appObj.roomObj
+         * @returns     {Object}                Map of bans.
+         */
+        roomObj.getBanListSync = function() {
+            if (!appObj.isRoomSync(roomName)) {
+                pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
+                return {};
+            }
+            return g.deepCopy(e.app[appName].room[roomName].ban);
+        };
+
+
+        /**
+         * Returns true if a connection is banned from the room.
+         *
+         * @memberof    pub.appObj.roomObj
+         * @param       {Object}    connectionObj   EasyRTC connection object.
+         * @returns     {boolean}
+         */
+        roomObj.isBannedSync = function(connectionObj) {
+            if (!appObj.isRoomSync(roomName)) {
+                pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
+                return false;
+            }
+            return e.app[appName].room[roomName].ban.hasOwnProperty(getBanKey(connectionObj));
         };
 
 
+        /**
+         * Determines if a connection may moderate another connection within the room. The moderator must be in the room with the role of owner or moderator, and only an owner may act upon another owner or moderator. Apart from bans, the target must be in the room.
+         *
+         * @memberof    pub.appObj.roomObj
+         * @param       {Object}    moderatorConnectionObj  EasyRTC connection object of the connection issuing the moderation action.
+         * @param       {Object}    targetConnectionObj     EasyRTC connection object of the connection being moderated.
+         * @param       {string}    action      The moderation action. One of "kick", "ban" or "mute".
+         * @param       {function(?Error, Boolean, ?String)} callback Callback with error, a boolean indicating if the action is allowed, and the error code when it is not.
+         */
+        roomObj.isModerationAllowed = eu.promisify(function(moderatorConnectionObj, targetConnectionObj, action, callback) {
+            if (!appObj.isRoomSync(roomName)) {
+                pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
+                callback(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
+                return;
+            }
+
+            var moderatorEasyrtcid = moderatorConnectionObj.getEasyrtcid();
+            var targetEasyrtcid = targetConnectionObj.getEasyrtcid();
+            var moderatorRole = roomObj.getRoleSync(moderatorEasyrtcid);
+
+            if (!e.app[appName].room[roomName].clientList[moderatorEasyrtcid] || !moderatorRole) {
+                callback(null, false, "MSG_REJECT_NOT_MODERATOR");
+                return;
+            }
+
+            if (moderatorEasyrtcid === targetEasyrtcid || (action !== "ban" && !e.app[appName].room[roomName].clientList[targetEasyrtcid])) {
+                callback(null, false, "MSG_REJECT_TARGET_EASYRTCID");
+                return;
+            }
+
+            if (roomObj.getRoleSync(targetEasyrtcid) && moderatorRole !== "owner") {
+                callback(null, false, "MSG_REJECT_NOT_MODERATOR");
+                return;
+            }
+
+            callback(null, true, null);
+        }, 3);
+
+
+        /**
+         * Adds a message sent to the room to its history, if the "roomHistoryEnable" option is set and the msgType is allowed by the "roomHistoryMsgTypes" option. The oldest messages are dropped once the history holds "roomHistoryLength" messages.
+         *
+         * @memberof    pub.appObj.roomObj
+         * @param       {Object}    msg         Outgoing message of form {senderEasyrtcid, msgType, msgData}.
+         * @param       {nextCallback} [next]   A success callback of form next(err). Possible err will be instanceof (ApplicationWarning).
+         */
+        roomObj.addHistoryMsg = eu.promisify(function(msg, next) {
+            if (!_.isFunction(next)) {
+                next = pub.util.nextToNowhere;
+            }
+            if (!appObj.isRoomSync(roomName)) {
+                pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
+                next(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
+                return;
+            }
+
+            var roomHistoryMsgTypes = roomObj.getOption("roomHistoryMsgTypes");
+            if (!roomObj.getOption("roomHistoryEnable") || (_.isArray(roomHistoryMsgTypes) && !_.contains(roomHistoryMsgTypes, msg.msgType))) {
+                next(null);
+                return;
+            }
+
+            var history = e.app[appName].room[roomName].history;
+            var historyMsg = {
+                historyId:          history.nextHistoryId++,
+                senderEasyrtcid:    msg.senderEasyrtcid,
+                msgType:            msg.msgType,
+                msgData:            pub.util.deepCopy(msg.msgData),
+                serverTime:         Date.now()
+            };
+            if (e.app[appName].connection[msg.senderEasyrtcid] && e.app[appName].connection[msg.senderEasyrtcid].username) {
+                historyMsg.senderUsername = e.app[appName].connection[msg.senderEasyrtcid].username;
+            }
+
+            history.msgList.push(historyMsg);
+            if (history.msgList.length > roomObj.getOption("roomHistoryLength")) {
+                history.msgList.splice(0, history.msgList.length - roomObj.getOption("roomHistoryLength"));
+            }
+            ss.saveRoomHistory(appName, roomName, stateStoreCallback);
+            next(null);
+        }, 1);
+
+
+        /**
+         * Sends a page of the room history to a callback, oldest message first. Each message is of form {historyId, senderEasyrtcid, [senderUsername], msgType, msgData, serverTime}.
+         *
+         * @memberof    pub.appObj.roomObj
+         * @param       {?Number}   beforeHistoryId Only messages with a lower historyId are returned. If null, the page ends with the latest message.
+         * @param       {?Number}   limit       Maximum number of messages returned. If null, or above the "roomHistoryLength" option, the option is used.
+         * @param       {function(?Error, Array.<Object>=, Boolean=)} callback Callback with error, array of messages, and a boolean indicating if older messages remain.
+         */
+        roomObj.getHistory = eu.promisify(function(beforeHistoryId, limit, callback) {
+            if (!appObj.isRoomSync(roomName)) {
+                pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
+                callback(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
+                return;
+            }
+
+            var roomHistoryLength = roomObj.getOption("roomHistoryLength");
+            if (!_.isNumber(limit) || limit > roomHistoryLength) {
+                limit = roomHistoryLength;
+            }
+            limit = Math.max(Math.floor(limit), 0);
+
+            var msgList = _.filter(e.app[appName].room[roomName].history.msgList, function(historyMsg) {
+                return !_.isNumber(beforeHistoryId) || historyMsg.historyId < beforeHistoryId;
+            });
+            var pageStart = Math.max(msgList.length - limit, 0);
+
+            callback(null, pub.util.deepCopy(msgList.slice(pageStart)), pageStart > 0);
+        }, 2);
+
+
         /**
          * Sends the count of the number of connections in a room to a provided callback.
          *
          * @memberof    pub.appObj.roomObj
          * @param       {function(?Error, Number)} callback Callback with error and array containing all easyrtcids.
          */
-        roomObj.getConnectionCount = function(callback) {
+        roomObj.getConnectionCount = eu.promisify(function(callback) {
             if (!appObj.isRoomSync(roomName)) {
                 pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
                 callback(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
                 return;
             }
             callback(null, roomObj.getConnectionCountSync());
-        };
+        }, 0);
 
 
         /**
@@ -3190,7 +5625,7 @@ pub.app = function(appName, callback) {
          * @memberof    pub.appObj.roomObj
          * @param {function(?Error, Array.<string>=)} callback Callback with error and array containing all easyrtcids.
          */
-        roomObj.getConnections = function(callback) {
+        roomObj.getConnections = eu.promisify(function(callback) {
             if (!appObj.isRoomSync(roomName)) {
                 pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
                 callback(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
@@ -3198,7 +5633,7 @@ pub.app = function(appName, callback) {
             }
             var connectedEasyrtcidArray = Object.keys(e.app[appName].room[roomName].clientList);
             callback(null, connectedEasyrtcidArray);
-        };
+        }, 0);
 
 
         /**
@@ -3208,7 +5643,7 @@ pub.app = function(appName, callback) {
          * @param       {string}    easyrtcid   EasyRTC unique identifier for a socket connection.
          * @param {function(?Error, Object=)} callback Callback with error and connectionObj.
          */
-        roomObj.getConnectionWithEasyrtcid = function(easyrtcid, callback) {
+        roomObj.getConnectionWithEasyrtcid = eu.promisify(function(easyrtcid, callback) {
             if (!appObj.isRoomSync(roomName)) {
                 pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
                 callback(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
@@ -3227,7 +5662,7 @@ pub.app = function(appName, callback) {
             else {
                 callback(new pub.util.ConnectionWarning("Can not find connection [" + easyrtcid + "] in room."));
             }
-        };
+        }, 1);
 
 
         /**
@@ -3236,7 +5671,7 @@ pub.app = function(appName, callback) {
          * @memberof    pub.appObj.roomObj
          * @param {function(?Error, Array.<Object>=)} callback Callback with error and array containing connectionObjs.
          */
-        roomObj.getConnectionObjects = function(callback) {
+        roomObj.getConnectionObjects = eu.promisify(function(callback) {
             if (!appObj.isRoomSync(roomName)) {
                 pub.util.logWarning("Attempt to request non-existent room name: '" + roomName + "'");
                 callback(new pub.util.ApplicationWarning("Attempt to request non-existent room name: '" + roomName + "'"));
@@ -3260,10 +5695,10 @@ pub.app = function(appName, callback) {
                         callback(null, connectedObjArray);
                     }
             );
-        };
+        }, 0);
 
         callback(null, roomObj);
-    };
+    }, 1);
 
 
     /**
@@ -3274,7 +5709,7 @@ pub.app = function(appName, callback) {
      * @param       {string}    easyrtcsid      EasyRTC session identifier
      * @param       {function(?Error, Object=)} callback Callback with error and object containing EasyRTC session object.
      */
-    appObj.session = function(easyrtcsid, callback) {
+    appObj.session = eu.promisify(function(easyrtcsid, callback) {
 
         if (!e.app[appName].session[easyrtcsid]) {
             pub.util.logWarning("Attempt to request non-existent easyrtcsid: '" + easyrtcsid + "'");
@@ -3355,14 +5790,14 @@ pub.app = function(appName, callback) {
          * @param       {string}    fieldName   Field name
          * @param       {function(?Error, Object=)} callback Callback with error and field value (any type)
          */
-        sessionObj.getField = function(fieldName, callback) {
+        sessionObj.getField = eu.promisify(function(fieldName, callback) {
             if (!e.app[appName].session[easyrtcsid].field[fieldName]) {
                 pub.util.logDebug("Can not find session field: '" + fieldName + "'");
                 callback(new pub.util.ApplicationWarning("Can not find session field: '" + fieldName + "'"));
                 return;
             }
             callback(null, pub.util.deepCopy(e.app[appName].session[easyrtcsid].field[fieldName]));
-        };
+        }, 1);
 
 
         /**
@@ -3402,7 +5837,7 @@ pub.app = function(appName, callback) {
          * @param       {boolean}   limitToIsShared Limits returned fields to those which have the isShared option set to true.
          * @param       {function(?Error, Object=)} callback Callback with error and object containing field names and values.
          */
-        sessionObj.getFields = function(limitToIsShared, callback) {
+        sessionObj.getFields = eu.promisify(function(limitToIsShared, callback) {
             var fieldObj = {};
             for (var fieldName in e.app[appName].session[easyrtcsid].field) {
                 if (!limitToIsShared || e.app[appName].session[easyrtcsid].field[fieldName].fieldOption.isShared) {
@@ -3413,7 +5848,7 @@ pub.app = function(appName, callback) {
                 }
             }
             callback(null, fieldObj);
-        };
+        }, 1);
 
 
         /**
@@ -3425,8 +5860,8 @@ pub.app = function(appName, callback) {
          * @param       {?Object}   fieldOption     Field options (such as isShared which defaults to false)
          * @param       {nextCallback} [next]       A success callback of form next(err). Possible err will be instanceof (ApplicationWarning).
          */
-        sessionObj.setField = function(fieldName, fieldValue, fieldOption, next) {
-            pub.util.logDebug("[" + appName + "] Session [" + easyrtcsid + "] - Setting field [" + fieldName + "]", fieldValue);
+        sessionObj.setField = eu.promisify(function(fieldName, fieldValue, fieldOption, next) {
+            pub.util.logDebug("Session [" + easyrtcsid + "] - Setting field [" + fieldName + "]", fieldValue, {appName: appName});
             if (!_.isFunction(next)) {
                 next = pub.util.nextToNowhere;
             }
@@ -3443,10 +5878,11 @@ pub.app = function(appName, callback) {
                 fieldOption: {isShared: ((_.isObject(fieldOption) && fieldOption.isShared) ? true : false)}
             };
 
+            ss.saveSession(appName, easyrtcsid, stateStoreCallback);
             next(null);
-        };
+        }, 3);
 
-        sessionObj.emitSessionDataFieldUpdate = function(next) {
+        sessionObj.emitSessionDataFieldUpdate = eu.promisify(function(next) {
             sessionObj.getFields(true, function(err, fieldObj) {
                 if (err) {
                     next(err);
@@ -3466,7 +5902,7 @@ pub.app = function(appName, callback) {
                         // Retrieve a connection object, then send the sessionData message.
                         appObj.connection(currentEasyrtcid, function(err, targetConnectionObj) {
                             if (err || !_.isObject(targetConnectionObj)) {
-                                pub.util.logDebug("[" + currentEasyrtcid + "] Could not get connection object to send session data field update. Client may have disconnected.");
+                                pub.util.logDebug("Could not get connection object to send session data field update. Client may have disconnected.", null, {easyrtcid: currentEasyrtcid});
                                 asyncCallback(null);
                                 return;
                             }
@@ -3484,13 +5920,13 @@ pub.app = function(appName, callback) {
                     }
                 );
             });
-        };
+        }, 0);
 
         callback(null, sessionObj);
-    };
+    }, 1);
 
     callback(null, appObj);
-};
+}, 1);
 
 
 // Documenting global callbacks
@@ -3537,3 +5973,6 @@ pub.app = function(appName, callback) {
 
 // Running the default listeners to initialize the events
 pub.events.setDefaultListeners();
+
+return pub;
+};
@@ -0,0 +1,222 @@
+/* global module, require */
+
+/**
+ * @file        Token bucket rate limiting used by EasyRTC for throttling incoming messages per connection, per IP address within an application and per application.
+ * @module      easyrtc_rate_limit
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var _               = require("underscore");                // General utility functions external module
+
+/**
+ * Creates the rate limiting methods of an EasyRTC instance, with their own token buckets.
+ *
+ * @returns     {Object}                EasyRTC rate limiting object.
+ */
+module.exports = function() {
+
+/**
+ * Rate limiting methods. Limits are defined by the "rateLimitConnection", "rateLimitIp" and "rateLimitApp" options, each being null (no limit) or an object of form:
+ *
+ *  - msgRate       Messages per second added to the bucket.
+ *  - msgBurst      Maximum number of messages the bucket holds.
+ *  - byteRate      Bytes per second added to the bucket.
+ *  - byteBurst     Maximum number of bytes the bucket holds. Should be larger than the "msgDataMaxSize" option.
+ *
+ * Either the msg or byte pair may be left out to only limit the other.
+ *
+ * @class
+ */
+var rl = {};
+
+
+/**
+ * A token bucket. Tokens are added continuously at a given rate up to the burst size.
+ *
+ * @class
+ * @param       {Number} rate           Tokens added per second.
+ * @param       {Number} burst          Maximum number of tokens held. The bucket starts full.
+ */
+rl.TokenBucket = function(rate, burst) {
+    this.rate       = rate;
+    this.burst      = burst;
+    this.tokens     = burst;
+    this.updatedOn  = Date.now();
+};
+
+
+/**
+ * Adds the tokens earned since the last update.
+ *
+ * @private
+ */
+rl.TokenBucket.prototype._refill = function() {
+    var now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedOn) / 1000) * this.rate);
+    this.updatedOn = now;
+};
+
+
+/**
+ * Returns true if the bucket holds at least a given number of tokens.
+ *
+ * @param       {Number} amount         Number of tokens.
+ * @returns     {Boolean}
+ */
+rl.TokenBucket.prototype.hasTokens = function(amount) {
+    this._refill();
+    return this.tokens >= amount;
+};
+
+
+/**
+ * Removes a given number of tokens from the bucket.
+ *
+ * @param       {Number} amount         Number of tokens.
+ */
+rl.TokenBucket.prototype.take = function(amount) {
+    this._refill();
+    this.tokens = this.tokens - amount;
+};
+
+
+/**
+ * Returns true if the bucket is full, meaning it no longer holds any state worth keeping.
+ *
+ * @returns     {Boolean}
+ */
+rl.TokenBucket.prototype.isFull = function() {
+    this._refill();
+    return this.tokens >= this.burst;
+};
+
+
+// Map of bucket keys to objects of form {limit:<Object>, msg:<?TokenBucket>, byte:<?TokenBucket>}
+var bucketList = {};
+
+// Map of connection keys to arrays of timestamps of throttled messages
+var violationList = {};
+
+// Time of the last removal of full buckets
+var prunedOn = Date.now();
+
+
+/**
+ * Returns the buckets for a given key, creating them if needed. Buckets are recreated if the limit has changed.
+ *
+ * @private
+ * @param       {string} bucketKey      Bucket key.
+ * @param       {Object} limit          Limit object.
+ * @returns     {Object}                Object of form {limit:<Object>, msg:<?TokenBucket>, byte:<?TokenBucket>}
+ */
+var getBuckets = function(bucketKey, limit) {
+    if (!bucketList[bucketKey] || !_.isEqual(bucketList[bucketKey].limit, limit)) {
+        bucketList[bucketKey] = {
+            limit: _.clone(limit),
+            msg: (_.isNumber(limit.msgRate) && _.isNumber(limit.msgBurst)) ? new rl.TokenBucket(limit.msgRate, limit.msgBurst) : null,
+            byte: (_.isNumber(limit.byteRate) && _.isNumber(limit.byteBurst)) ? new rl.TokenBucket(limit.byteRate, limit.byteBurst) : null
+        };
+    }
+    return bucketList[bucketKey];
+};
+
+
+/**
+ * Removes full buckets, at most once a minute. A full bucket is the same as a missing one.
+ *
+ * @private
+ */
+var pruneBuckets = function() {
+    if (Date.now() - prunedOn < 60000) {
+        return;
+    }
+    prunedOn = Date.now();
+    for (var bucketKey in bucketList) {
+        if (bucketList.hasOwnProperty(bucketKey)) {
+            if ((!bucketList[bucketKey].msg || bucketList[bucketKey].msg.isFull()) && (!bucketList[bucketKey].byte || bucketList[bucketKey].byte.isFull())) {
+                delete bucketList[bucketKey];
+            }
+        }
+    }
+};
+
+
+/**
+ * Consumes a number of messages and bytes from the connection, IP address and application buckets. Nothing is consumed unless all buckets allow the message.
+ * A bucket allows a charge larger than its burst size once it is full, and is then left owing the difference, so a message relayed to more recipients than the burst size is not refused forever.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcid      EasyRTC unique identifier for a socket connection.
+ * @param       {?string} ipAddress     Remote IP address of the connection. If null, the IP limit is skipped.
+ * @param       {Number} msgCount       Number of messages. A message relayed to several recipients counts once per recipient.
+ * @param       {Number} byteCount      Number of bytes, for all recipients.
+ * @param       {Function} getOption    The getOption function of the application the connection belongs to.
+ * @returns     {?string}               Null if the message is allowed, otherwise the name of the exceeded limit (connection|ip|app).
+ */
+rl.consume = function(appName, easyrtcid, ipAddress, msgCount, byteCount, getOption) {
+    var scopeList = [
+        {name: "connection",    key: "connection:" + appName + ":" + easyrtcid, limit: getOption("rateLimitConnection")},
+        {name: "ip",            key: "ip:" + appName + ":" + ipAddress,         limit: (ipAddress ? getOption("rateLimitIp") : null)},
+        {name: "app",           key: "app:" + appName,                          limit: getOption("rateLimitApp")}
+    ];
+
+    pruneBuckets();
+
+    var activeList = [];
+    for (var i = 0; i < scopeList.length; i++) {
+        if (_.isObject(scopeList[i].limit)) {
+            var buckets = getBuckets(scopeList[i].key, scopeList[i].limit);
+            if ((buckets.msg && !buckets.msg.hasTokens(Math.min(msgCount, buckets.msg.burst))) || (buckets.byte && !buckets.byte.hasTokens(Math.min(byteCount, buckets.byte.burst)))) {
+                return scopeList[i].name;
+            }
+            activeList.push(buckets);
+        }
+    }
+
+    _.each(activeList, function(buckets) {
+        if (buckets.msg) {
+            buckets.msg.take(msgCount);
+        }
+        if (buckets.byte) {
+            buckets.byte.take(byteCount);
+        }
+    });
+    return null;
+};
+
+
+/**
+ * Records a throttled message for a connection, returning the number of throttled messages within a time window.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcid      EasyRTC unique identifier for a socket connection.
+ * @param       {Number} windowTime     Length of the time window in milliseconds.
+ * @returns     {Number}                Number of throttled messages within the window, including this one.
+ */
+rl.addViolation = function(appName, easyrtcid, windowTime) {
+    var connectionKey = appName + ":" + easyrtcid;
+    var now = Date.now();
+
+    violationList[connectionKey] = _.filter(violationList[connectionKey] || [], function(violationOn) {
+        return violationOn > now - windowTime;
+    });
+    violationList[connectionKey].push(now);
+    return violationList[connectionKey].length;
+};
+
+
+/**
+ * Removes all rate limiting state held for a connection. Called when the connection is removed.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcid      EasyRTC unique identifier for a socket connection.
+ */
+rl.removeConnection = function(appName, easyrtcid) {
+    delete bucketList["connection:" + appName + ":" + easyrtcid];
+    delete violationList[appName + ":" + easyrtcid];
+};
+
+return rl;
+};
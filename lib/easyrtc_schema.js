@@ -0,0 +1,600 @@
+/* global module, require */
+
+/**
+ * @file        Declarative validation of incoming EasyRTC messages. Holds the message schemas for the easyrtcAuth, easyrtcCmd and easyrtcMsg socket message types, and those registered by applications for their own msgTypes.
+ * @module      easyrtc_schema
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var _               = require("underscore");                // General utility functions external module
+
+/**
+ * Creates the message schema methods of an EasyRTC instance, with their own application schemas.
+ *
+ * @returns     {Object}                EasyRTC message schema object.
+ */
+module.exports = function() {
+
+/**
+ * Message schema methods. A schema is a plain object using a subset of JSON Schema, with a few EasyRTC specific keywords:
+ *
+ *  - type                  Type name, or array of type names (object|array|string|number|boolean|null|undefined). Arrays are not objects.
+ *  - enum                  Array of allowed values.
+ *  - pattern               Regular expression string a string value must match.
+ *  - optionPattern         Name of a RegExp option (such as "roomNameRegExp") a string value must match. Resolved through the application's getOption().
+ *  - maxLength             Maximum length of a string value.
+ *  - maxJsonLength         Maximum length of the JSON encoding of a value.
+ *  - properties            Map of property names to schemas.
+ *  - required              Array of property names which must be present.
+ *  - additionalProperties  False to refuse properties not listed in properties, or a schema which those properties must match.
+ *  - propertyNames         Schema which every property name must match.
+ *  - minProperties         Minimum number of properties of an object.
+ *  - maxProperties         Maximum number of properties of an object.
+ *  - keyField              Name of a property whose value must equal the name under which the object is held, as with {"lobby": {roomName: "lobby"}}.
+ *  - anyOf                 Array of schemas, at least one of which must match.
+ *  - errorCode             EasyRTC error code reported when the value fails a keyword of this schema. Either a string, or a map of keyword names to error codes. Defaults to "MSG_REJECT_BAD_STRUCTURE".
+ *
+ * Schemas describe the full message, so a failure within msgData is reported with a path such as "msgData.roomJoin.lobby.roomName".
+ *
+ * @class
+ */
+var sc = {};
+
+
+/**
+ * Determines if a value is of a given schema type.
+ *
+ * @private
+ * @param       {*} value               Value to test.
+ * @param       {string} typeName       Schema type name.
+ * @returns     {Boolean}
+ */
+var isType = function(value, typeName) {
+    switch (typeName) {
+        case "object":
+            return _.isObject(value) && !_.isArray(value) && !_.isFunction(value);
+        case "array":
+            return _.isArray(value);
+        case "string":
+            return _.isString(value);
+        case "number":
+            return _.isNumber(value) && _.isFinite(value);
+        case "boolean":
+            return _.isBoolean(value);
+        case "null":
+            return value === null;
+        case "undefined":
+            return value === undefined;
+    }
+    return false;
+};
+
+
+/**
+ * Returns a failure object for a keyword of a schema.
+ *
+ * @private
+ * @param       {Object} schema         Schema containing the keyword.
+ * @param       {string} keyword        Failed keyword.
+ * @param       {string} path           Path to the failed value.
+ * @returns     {Object}                Object of form {errorCode:<String>, errorPath:<String>}
+ */
+var getFailure = function(schema, keyword, path) {
+    var errorCode = "MSG_REJECT_BAD_STRUCTURE";
+    if (_.isString(schema.errorCode)) {
+        errorCode = schema.errorCode;
+    }
+    else if (_.isObject(schema.errorCode) && _.isString(schema.errorCode[keyword])) {
+        errorCode = schema.errorCode[keyword];
+    }
+    return {errorCode: errorCode, errorPath: path};
+};
+
+
+/**
+ * Joins a property name to a path.
+ *
+ * @private
+ * @param       {string} path           Path of the containing object.
+ * @param       {string} propertyName   Property name.
+ * @returns     {string}
+ */
+var joinPath = function(path, propertyName) {
+    return (path ? path + "." : "") + propertyName;
+};
+
+
+/**
+ * Determines if an object holds a defined value for a property.
+ *
+ * @private
+ * @param       {Object} value          Object value.
+ * @param       {string} propertyName   Property name.
+ * @returns     {Boolean}
+ */
+var isPresent = function(value, propertyName) {
+    return value.hasOwnProperty(propertyName) && value[propertyName] !== undefined;
+};
+
+
+// Defined below, as validateValue() and validateProperties() call each other
+var validateValue;
+
+
+/**
+ * Validates the properties of an object value. Property names, listed properties, required properties and additional properties are checked in that order.
+ *
+ * @private
+ * @param       {Object} schema         Schema of the object.
+ * @param       {Object} value          Object value.
+ * @param       {Function} getOption    The getOption function used to resolve optionPattern keywords.
+ * @param       {string} path           Path to the object.
+ * @returns     {?Object}               Null if valid, otherwise an object of form {errorCode:<String>, errorPath:<String>}
+ */
+var validateProperties = function(schema, value, getOption, path) {
+    var propertyName, failure;
+
+    for (propertyName in value) {
+        if (value.hasOwnProperty(propertyName)) {
+            if (schema.propertyNames && validateValue(schema.propertyNames, propertyName, getOption, joinPath(path, propertyName), null)) {
+                return getFailure(schema, "propertyNames", joinPath(path, propertyName));
+            }
+        }
+    }
+
+    var requiredList = (_.isArray(schema.required) ? schema.required : []);
+
+    // A missing required property fails the type check of its own schema, so its error code applies
+    if (schema.properties) {
+        for (propertyName in schema.properties) {
+            if (schema.properties.hasOwnProperty(propertyName)) {
+                if (!isPresent(value, propertyName) && _.contains(requiredList, propertyName)) {
+                    return getFailure(schema.properties[propertyName], "type", joinPath(path, propertyName));
+                }
+                failure = validateValue(schema.properties[propertyName], (value.hasOwnProperty(propertyName) ? value[propertyName] : undefined), getOption, joinPath(path, propertyName), propertyName);
+                if (failure) {
+                    return failure;
+                }
+            }
+        }
+    }
+
+    for (var i = 0; i < requiredList.length; i++) {
+        if (!isPresent(value, requiredList[i])) {
+            return getFailure(schema, "required", joinPath(path, requiredList[i]));
+        }
+    }
+
+    if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+        for (propertyName in value) {
+            if (value.hasOwnProperty(propertyName) && !(schema.properties && schema.properties.hasOwnProperty(propertyName))) {
+                if (schema.additionalProperties === false) {
+                    return getFailure(schema, "additionalProperties", joinPath(path, propertyName));
+                }
+                failure = validateValue(schema.additionalProperties, value[propertyName], getOption, joinPath(path, propertyName), propertyName);
+                if (failure) {
+                    return failure;
+                }
+            }
+        }
+    }
+
+    return null;
+};
+
+
+/**
+ * Validates a value against a schema.
+ *
+ * @private
+ * @param       {Object} schema         Schema.
+ * @param       {*} value               Value to validate.
+ * @param       {Function} getOption    The getOption function used to resolve optionPattern keywords.
+ * @param       {string} path           Path to the value.
+ * @param       {?string} key           Property name the value is held under, used by the keyField keyword.
+ * @returns     {?Object}               Null if valid, otherwise an object of form {errorCode:<String>, errorPath:<String>}
+ */
+validateValue = function(schema, value, getOption, path, key) {
+    var typeList = (_.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : null));
+
+    // Absent values are optional. Required properties are checked by the containing object.
+    if (value === undefined) {
+        return null;
+    }
+
+    if (typeList && !_.some(typeList, function(typeName) { return isType(value, typeName); })) {
+        return getFailure(schema, "type", path);
+    }
+
+    if (_.isArray(schema.enum) && !_.some(schema.enum, function(enumValue) { return _.isEqual(enumValue, value); })) {
+        return getFailure(schema, "enum", path);
+    }
+
+    if (_.isString(value)) {
+        if (_.isNumber(schema.maxLength) && value.length > schema.maxLength) {
+            return getFailure(schema, "maxLength", path);
+        }
+        if (_.isString(schema.pattern) && !(new RegExp(schema.pattern)).test(value)) {
+            return getFailure(schema, "pattern", path);
+        }
+        if (_.isString(schema.optionPattern)) {
+            var optionRegExp = getOption(schema.optionPattern);
+            if (!_.isRegExp(optionRegExp) || !optionRegExp.test(value)) {
+                return getFailure(schema, "optionPattern", path);
+            }
+        }
+    }
+
+    if (_.isNumber(schema.maxJsonLength)) {
+        try {
+            if (JSON.stringify(value).length > schema.maxJsonLength) {
+                return getFailure(schema, "maxJsonLength", path);
+            }
+        } catch (e) {
+            return getFailure(schema, "type", path);
+        }
+    }
+
+    if (isType(value, "object")) {
+        var propertyCount = _.keys(value).length;
+        if (_.isNumber(schema.minProperties) && propertyCount < schema.minProperties) {
+            return getFailure(schema, "minProperties", path);
+        }
+        if (_.isNumber(schema.maxProperties) && propertyCount > schema.maxProperties) {
+            return getFailure(schema, "maxProperties", path);
+        }
+        if (_.isString(schema.keyField) && value[schema.keyField] !== key) {
+            return getFailure(schema, "keyField", joinPath(path, schema.keyField));
+        }
+
+        var failure = validateProperties(schema, value, getOption, path);
+        if (failure) {
+            return failure;
+        }
+    }
+
+    if (_.isArray(schema.anyOf) && !_.some(schema.anyOf, function(subSchema) { return !validateValue(subSchema, value, getOption, path, key); })) {
+        return getFailure(schema, "anyOf", path);
+    }
+
+    return null;
+};
+
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param       {Object} schema         Schema.
+ * @param       {*} value               Value to validate.
+ * @param       {Function} getOption    The getOption function of the application (or server) the message belongs to. Used to resolve optionPattern keywords.
+ * @returns     {?Object}               Null if valid, otherwise an object of form {errorCode:<String>, errorPath:<String>}
+ */
+sc.validate = function(schema, value, getOption) {
+    try {
+        return validateValue(schema, value, getOption, "", null);
+    } catch (e) {
+        // Such as a message holding a property named "hasOwnProperty"
+        return {errorCode: "MSG_REJECT_BAD_STRUCTURE", errorPath: ""};
+    }
+};
+
+
+// Reused schema parts
+var easyrtcidSchema = {type: "string", optionPattern: "easyrtcidRegExp"};
+
+var roomMapSchema = {
+    type: "object",
+    propertyNames: {optionPattern: "roomNameRegExp"},
+    additionalProperties: {
+        type: "object",
+        keyField: "roomName",
+        properties: {
+            roomName:       {type: "string"},
+            roomParameter:  {type: "object"}
+        }
+    }
+};
+
+var groupMapSchema = {
+    type: "object",
+    minProperties: 1,
+    propertyNames: {optionPattern: "groupNameRegExp"},
+    additionalProperties: {
+        type: "object",
+        keyField: "groupName",
+        properties: {
+            groupName:      {type: "string"},
+            groupParameter: {type: "object"}
+        }
+    }
+};
+
+var presenceSchema = {
+    type: "object",
+    minProperties: 1,
+    properties: {
+        show:           {type: "string", optionPattern: "presenceShowRegExp"},
+        status:         {type: "string", optionPattern: "presenceStatusRegExp"}
+    }
+};
+
+var usernameMapSchema = {
+    type: "object",
+    minProperties: 1,
+    propertyNames: {optionPattern: "usernameRegExp"},
+    additionalProperties: {enum: [true]}
+};
+
+var userCfgSchema = {
+    type: "object",
+    minProperties: 1,
+    properties: {
+        p2pList: {
+            type: "object",
+            minProperties: 1,
+            propertyNames: {optionPattern: "easyrtcidRegExp"},
+            additionalProperties: {type: "object"}
+        },
+        userSettings:   {type: "object", minProperties: 1}
+    }
+};
+
+var roomModerationSchema = {
+    type: "object",
+    required: ["roomName", "targetEasyrtcid"],
+    properties: {
+        roomName:           {type: "string", optionPattern: "roomNameRegExp", errorCode: "MSG_REJECT_BAD_ROOM"},
+        targetEasyrtcid:    {type: "string", optionPattern: "easyrtcidRegExp", errorCode: "MSG_REJECT_TARGET_EASYRTCID"}
+    }
+};
+
+
+/**
+ * Returns a schema for an easyrtcCmd message whose msgData holds a single object under the msgType.
+ *
+ * @private
+ * @param       {string} msgType        Message type.
+ * @param       {Object} msgTypeSchema  Schema of msgData[msgType].
+ * @returns     {Object}                Message schema.
+ */
+var getCmdSchema = function(msgType, msgTypeSchema) {
+    var msgDataProperties = {};
+    msgDataProperties[msgType] = msgTypeSchema;
+    return {
+        type: "object",
+        required: ["msgData"],
+        properties: {
+            msgData: {type: "object", errorCode: {type: "MSG_REJECT_BAD_DATA"}, required: [msgType], properties: msgDataProperties}
+        }
+    };
+};
+
+
+// Schemas for signaling messages relayed to a targetEasyrtcid
+var signalSchema = {
+    type: "object",
+    required: ["msgData", "targetEasyrtcid"],
+    properties: {
+        msgData:            {type: "object", minProperties: 1, errorCode: "MSG_REJECT_BAD_DATA"},
+        targetEasyrtcid:    easyrtcidSchema
+    }
+};
+
+var signalEndSchema = {
+    type: "object",
+    required: ["targetEasyrtcid"],
+    properties: {
+        msgData:            {type: "undefined", errorCode: "MSG_REJECT_BAD_DATA"},
+        targetEasyrtcid:    easyrtcidSchema
+    }
+};
+
+
+// Map of socket message types to maps of msgTypes to the built in schemas
+var builtInSchemas = {
+    easyrtcAuth: {
+        authenticate: {
+            type: "object",
+            required: ["msgData"],
+            properties: {
+                msgData: {
+                    type: "object",
+                    errorCode: {type: "MSG_REJECT_BAD_DATA"},
+                    required: ["apiVersion"],
+                    properties: {
+                        apiVersion:         {type: "string", optionPattern: "apiVersionRegExp"},
+                        applicationName:    {type: "string", optionPattern: "appNameRegExp"},
+                        easyrtcsid:         {type: "string", optionPattern: "easyrtcsidRegExp"},
+                        username:           {type: "string", optionPattern: "usernameRegExp"},
+                        credential:         {type: "object", minProperties: 1},
+                        roomJoin:           roomMapSchema,
+                        groupJoin:          groupMapSchema,
+                        setPresence:        presenceSchema,
+                        setUserCfg:         userCfgSchema,
+                        resumeToken:        {type: "string", pattern: "^[a-f0-9]{64}$"}
+                    }
+                }
+            }
+        }
+    },
+    easyrtcCmd: {
+        candidate:  signalSchema,
+        offer:      signalSchema,
+        answer:     signalSchema,
+        reject:     signalEndSchema,
+        hangup:     signalEndSchema,
+        getIceConfig: {
+            type: "object",
+            properties: {
+                msgData:    {type: ["undefined", "null", "object"], maxProperties: 0, errorCode: "MSG_REJECT_BAD_DATA"}
+            }
+        },
+        getRoomList: {
+            type: "object",
+            properties: {
+                msgData:    {type: "undefined", errorCode: "MSG_REJECT_BAD_DATA"}
+            }
+        },
+        getRoomHistory: getCmdSchema("getRoomHistory", {
+            type: "object",
+            required: ["roomName"],
+            properties: {
+                roomName:           {type: "string", optionPattern: "roomNameRegExp", errorCode: "MSG_REJECT_BAD_ROOM"},
+                beforeHistoryId:    {type: "number"},
+                limit:              {type: "number"}
+            }
+        }),
+        roomJoin:   getCmdSchema("roomJoin", roomMapSchema),
+        roomLeave:  getCmdSchema("roomLeave", roomMapSchema),
+        groupJoin:  getCmdSchema("groupJoin", groupMapSchema),
+        groupLeave: getCmdSchema("groupLeave", groupMapSchema),
+        setPresence: getCmdSchema("setPresence", presenceSchema),
+        setRoomApiField: getCmdSchema("setRoomApiField", {
+            type: "object",
+            minProperties: 1,
+            required: ["roomName"],
+            properties: {
+                roomName:   {type: "string", optionPattern: "roomNameRegExp", errorCode: "MSG_REJECT_BAD_ROOM"},
+                field:      {type: "object", maxJsonLength: 4095, errorCode: {maxJsonLength: "MSG_REJECT_BAD_SIZE"}}
+            }
+        }),
+        setUserCfg: getCmdSchema("setUserCfg", userCfgSchema),
+        setField: getCmdSchema("setField", {
+            type: "object",
+            required: ["fieldScope", "fieldName", "fieldValue"],
+            properties: {
+                fieldScope: {type: "string", enum: ["application", "room", "connection"]},
+                roomName:   {type: "string", optionPattern: "roomNameRegExp", errorCode: "MSG_REJECT_BAD_ROOM"},
+                fieldName:  {type: "string", optionPattern: "fieldNameRegExp", errorCode: "MSG_REJECT_BAD_FIELD"},
+                fieldValue: {maxJsonLength: 4095, errorCode: {maxJsonLength: "MSG_REJECT_BAD_SIZE"}}
+            },
+            anyOf: [
+                {properties: {fieldScope: {enum: ["application", "connection"]}}},
+                {required: ["roomName"], errorCode: "MSG_REJECT_BAD_ROOM"}
+            ]
+        }),
+        subscribePresence:      getCmdSchema("subscribePresence", usernameMapSchema),
+        unsubscribePresence:    getCmdSchema("unsubscribePresence", usernameMapSchema),
+        roomKick:   getCmdSchema("roomKick", roomModerationSchema),
+        roomBan:    getCmdSchema("roomBan", roomModerationSchema),
+        roomMuteRequest: getCmdSchema("roomMuteRequest", _.extend({}, roomModerationSchema, {
+            properties: _.extend({}, roomModerationSchema.properties, {
+                muteAudio:  {type: "boolean"},
+                muteVideo:  {type: "boolean"}
+            }),
+            anyOf: [
+                {required: ["muteAudio"], properties: {muteAudio: {enum: [true]}}},
+                {required: ["muteVideo"], properties: {muteVideo: {enum: [true]}}}
+            ]
+        }))
+    },
+    easyrtcMsg: {}
+};
+
+// Schema of the target fields which every easyrtcMsg message is checked against
+var msgTargetSchema = {
+    type: "object",
+    properties: {
+        targetEasyrtcid:    {type: "string", optionPattern: "easyrtcidRegExp", errorCode: "MSG_REJECT_TARGET_EASYRTCID"},
+        targetGroup:        {type: "string", optionPattern: "groupNameRegExp", errorCode: "MSG_REJECT_TARGET_GROUP"},
+        targetRoom:         {type: "string", optionPattern: "roomNameRegExp", errorCode: "MSG_REJECT_TARGET_ROOM"},
+        targetUsername:     {type: "string", optionPattern: "usernameRegExp", errorCode: "MSG_REJECT_TARGET_USERNAME"}
+    }
+};
+
+// Map of socket message types to maps of msgTypes to schemas registered for all applications
+var serverSchemas = {
+    easyrtcCmd: {},
+    easyrtcMsg: {}
+};
+
+// Map of application names to maps of socket message types to maps of msgTypes to schemas registered for that application
+var appSchemas = {};
+
+
+/**
+ * Returns the map of custom schemas for an application, or for all applications.
+ *
+ * @private
+ * @param       {?string} appName       Application name. If null, the schemas registered for all applications are returned.
+ * @param       {Boolean} isCreate      True to create the map of the application if it does not exist.
+ * @returns     {?Object}               Map of socket message types to maps of msgTypes to schemas.
+ */
+var getCustomSchemas = function(appName, isCreate) {
+    if (appName === null) {
+        return serverSchemas;
+    }
+    if (!appSchemas.hasOwnProperty(appName) && isCreate) {
+        appSchemas[appName] = {easyrtcCmd: {}, easyrtcMsg: {}};
+    }
+    return appSchemas[appName] || null;
+};
+
+
+/**
+ * Returns true if a msgType of a socket message type has a built in schema.
+ *
+ * @param       {string} type           Socket message type (easyrtcAuth|easyrtcCmd|easyrtcMsg).
+ * @param       {string} msgType        Message type.
+ * @returns     {Boolean}
+ */
+sc.isBuiltIn = function(type, msgType) {
+    return builtInSchemas.hasOwnProperty(type) && builtInSchemas[type].hasOwnProperty(msgType);
+};
+
+
+/**
+ * Returns the list of schemas an incoming message must match, or null if the msgType is not accepted for the socket message type. Messages of type easyrtcMsg are accepted with any msgType. A schema registered for the application takes the place of one registered for all applications.
+ *
+ * @param       {string} type           Socket message type (easyrtcAuth|easyrtcCmd|easyrtcMsg).
+ * @param       {string} msgType        Message type.
+ * @param       {?string} appName       Application name the message belongs to, if known.
+ * @returns     {?Array.<Object>}       Array of schemas.
+ */
+sc.getSchemaList = function(type, msgType, appName) {
+    if (sc.isBuiltIn(type, msgType)) {
+        return [builtInSchemas[type][msgType]];
+    }
+    var schemaList = (type === "easyrtcMsg" ? [msgTargetSchema] : []);
+    var appCustomSchemas = (_.isString(appName) ? getCustomSchemas(appName, false) : null);
+    if (appCustomSchemas && appCustomSchemas.hasOwnProperty(type) && appCustomSchemas[type].hasOwnProperty(msgType)) {
+        schemaList.push(appCustomSchemas[type][msgType]);
+    }
+    else if (serverSchemas.hasOwnProperty(type) && serverSchemas[type].hasOwnProperty(msgType)) {
+        schemaList.push(serverSchemas[type][msgType]);
+    }
+    return (schemaList.length > 0 ? schemaList : null);
+};
+
+
+/**
+ * Sets the schema of an application defined msgType. Built in msgTypes can not be replaced.
+ *
+ * @param       {?string} appName       Application name. If null, the schema applies to all applications which have not set their own.
+ * @param       {string} type           Socket message type (easyrtcCmd|easyrtcMsg).
+ * @param       {string} msgType        Message type.
+ * @param       {?Object} schema        Message schema. If null, the schema is removed.
+ * @returns     {Boolean}               True if the schema was set or removed.
+ */
+sc.set = function(appName, type, msgType, schema) {
+    if (!serverSchemas.hasOwnProperty(type) || !_.isString(msgType) || sc.isBuiltIn(type, msgType)) {
+        return false;
+    }
+    if (schema !== null && !isType(schema, "object")) {
+        return false;
+    }
+    var customSchemas = getCustomSchemas(appName, schema !== null);
+    if (schema === null) {
+        if (customSchemas) {
+            delete customSchemas[type][msgType];
+        }
+        return true;
+    }
+    customSchemas[type][msgType] = schema;
+    return true;
+};
+
+return sc;
+};
@@ -11,14 +11,24 @@ var g           = require("./general_util");        // General utility functions
 g.checkModules(); // Check to ensure all required modules are available
 
 var _           = require("underscore");            // General utility functions external module
-var pub         = require("./easyrtc_public_obj");  // EasyRTC public object
 
+/**
+ * Creates an EasyRTC server object, with its own private and public objects.
+ *
+ * @returns     {Object}                EasyRTC server object.
+ */
+var createServer = function() {
 
-var server = module.exports;
+var e           = require("./easyrtc_private_obj")();   // EasyRTC private object
+var pub         = require("./easyrtc_public_obj")(e);   // EasyRTC public object
+
+var server = {};
 
 /**
  * Listener for starting the EasyRTC server. The successCallback can be used to determine when EasyRTC is fully running.
  *
+ * If an option is unknown or of the wrong type, or the "configFile" option is set to a file which can not be loaded, the server is not started and the error is sent to the listenCallback. Server options from the config file are set before startup, and its applications and rooms are applied once any state has been restored.
+ *
  * @param       {Object} httpApp        express http object. Allows EasyRTC to interact with the http server.
  * @param       {Object} socketServer   socket.io server object. Allows EasyRTC to interact with the socket server.
  * @param       {Object} options        EasyRTC options object. Sets configurable options. If null, than defaults will be used.
@@ -31,32 +41,60 @@ server.listen = function(httpApp, socketServer, options, listenCallback) {
     pub.httpApp         = httpApp;
     pub.socketServer    = socketServer;
 
+    var startupError = function(err) {
+        pub.util.logError("Error occurred upon startup", err);
+        if(_.isFunction(listenCallback)) {
+            listenCallback(err, null);
+        }
+    };
+
     if (options){
         pub.util.logDebug("Overriding options", options);
 
+        var invalidOptionList = [];
         for (var optionName in options) {
             if (options.hasOwnProperty(optionName)) {
-                pub.setOption(optionName, options[optionName]);    
+                if (!pub.setOption(optionName, options[optionName])) {
+                    invalidOptionList.push(optionName);
+                }
             }
             
         }
+        if (invalidOptionList.length > 0) {
+            startupError(new pub.util.ServerError("Invalid options: " + invalidOptionList.join(", ")));
+            return;
+        }
     }
 
-    pub.util.logDebug("Emitting event 'startup'");
-    pub.events.emit("startup", function(err) {
-        if (err) {
-            pub.util.logError("Error occurred upon startup", err);
-            if(_.isFunction(listenCallback)) {
-                listenCallback(err, null);
+    var emitStartup = function() {
+        pub.util.logDebug("Emitting event 'startup'");
+        pub.events.emit("startup", function(err) {
+            if (err) {
+                startupError(err);
             }
-        }
-        else {
-            pub.util.logInfo("EasyRTC Server Ready For Connections (v"+ pub.getVersion() + ")");
-            if(_.isFunction(listenCallback)) {
-                listenCallback(err, pub);
+            else {
+                pub.setReady(true);
+                pub.util.logInfo("EasyRTC Server Ready For Connections (v"+ pub.getVersion() + ")");
+                if(_.isFunction(listenCallback)) {
+                    listenCallback(err, pub);
+                }
             }
-        }
-    });
+        });
+    };
+
+    // Server options from the config file are needed by the startup routines, such as which routes to host
+    if (pub.getOption("configFile")) {
+        pub._loadConfigFileServerOptions(pub.getOption("configFile"), function(err) {
+            if (err) {
+                startupError(err);
+                return;
+            }
+            emitStartup();
+        });
+    }
+    else {
+        emitStartup();
+    }
 };
 
 /**
@@ -118,10 +156,104 @@ server.events = pub.events;
 server.util = pub.util;
 
 /**
- * Sets individual option.
+ * Expose state store adapters (MemoryStore, FileStore) for use with the "stateStore" option
+ */
+server.stateStore = pub.stateStore;
+
+/**
+ * Expose cluster bus adapters (LocalBus, IpcBus) for use with the "clusterBus" option
+ */
+server.cluster = pub.cluster;
+
+/**
+ * Expose log transports (StdoutTransport, FileTransport) for use with the "logTransports" option
+ */
+server.logTransport = pub.logTransport;
+
+/**
+ * Expose the call tracker (FileSink) for use with the "callCdrSinks" option
+ */
+server.callTracker = pub.callTracker;
+
+/**
+ * Sets the schema of an application defined msgType. See pub.setMsgSchema()
+ */
+server.setMsgSchema = pub.setMsgSchema;
+
+/**
+ * Bans an IP address or CIDR range. See pub.banIp()
+ */
+server.banIp = pub.banIp;
+
+/**
+ * Lifts an IP address or CIDR range ban. See pub.unbanIp()
+ */
+server.unbanIp = pub.unbanIp;
+
+/**
+ * Sends an array of current IP bans to a callback. See pub.getBans()
+ */
+server.getBans = pub.getBans;
+
+/**
+ * Sends an array of webhook deliveries which have not yet succeeded. See pub.getPendingWebhooks()
+ */
+server.getPendingWebhooks = pub.getPendingWebhooks;
+
+/**
+ * Sets whether the server is ready for connections, as reported by the readiness route. See pub.setReady()
+ */
+server.setReady = pub.setReady;
+
+/**
+ * Gracefully shuts down the server, draining and then removing all connections. See pub.shutdown()
+ */
+server.shutdown = pub.shutdown;
+
+/**
+ * Loads a JSON config file declaring server options, applications and rooms. See pub.loadConfigFile()
+ */
+server.loadConfigFile = pub.loadConfigFile;
+
+/**
+ * Stops watching the loaded config file for changes. See pub.unwatchConfigFile()
+ */
+server.unwatchConfigFile = pub.unwatchConfigFile;
+
+/**
+ * Returns the option schema which is used to validate option values. See pub.getOptionSchema()
+ */
+server.getOptionSchema = pub.getOptionSchema;
+
+/**
+ * Sets individual option. Unknown option names and values of the wrong type are rejected.
  *
  * @param       {Object} option Option name
  * @param       {Object} value  Option value
  * @returns     {Boolean} true on success, false on failure
  */
 server.setOption = pub.setOption;
+
+/**
+ * Creates a separate EasyRTC server instance, with its own options, listeners, applications and cluster state. The new instance is started with its own listen() call, on its own http and socket.io servers.
+ *
+ * This allows several cluster nodes sharing one LocalBus to run within a single process, such as for local testing.
+ *
+ * @returns     {Object}                EasyRTC server object of the new instance. It has the same methods as the object returned by require("easyrtc").
+ * @example
+ * var clusterBus = new easyrtc.cluster.LocalBus();
+ * var nodeA = easyrtc.createInstance();
+ * var nodeB = easyrtc.createInstance();
+ * nodeA.setOption("clusterEnable", true);
+ * nodeA.setOption("clusterBus", clusterBus);
+ * nodeB.setOption("clusterEnable", true);
+ * nodeB.setOption("clusterBus", clusterBus);
+ * nodeA.listen(httpAppA, socketServerA, null, function(err, pubA) {});
+ * nodeB.listen(httpAppB, socketServerB, null, function(err, pubB) {});
+ */
+server.createInstance = createServer;
+
+return server;
+};
+
+module.exports = createServer();
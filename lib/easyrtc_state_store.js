@@ -0,0 +1,599 @@
+/* global module, require */
+
+/**
+ * @file        State store adapters used by EasyRTC for persisting application, room, session and connection state outside of the in-memory private object.
+ * @module      easyrtc_state_store
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var fs              = require("fs");
+var util            = require("util");
+var _               = require("underscore");                // General utility functions external module
+var g               = require("./general_util");            // General utility functions local module
+
+/**
+ * Creates the state store methods of an EasyRTC instance.
+ *
+ * @param       {Object} e              EasyRTC private object of the instance.
+ * @param       {Object} pub            EasyRTC public object of the instance.
+ * @param       {Object} ib             EasyRTC IP ban list of the instance.
+ * @returns     {Object}                EasyRTC state store object.
+ */
+module.exports = function(e, pub, ib) {
+
+/**
+ * State store adapters and helpers. A state store adapter is any object which implements the following callback based methods:
+ *
+ *  - get(key, callback)            Callback of form (err, value). Value is null if the key is not set.
+ *  - set(key, value, callback)     Callback of form (err). Value is a JSONable object.
+ *  - remove(key, callback)         Callback of form (err).
+ *  - getKeys(prefix, callback)     Callback of form (err, keyArray). Returns all keys beginning with prefix.
+ *
+ * The in-memory tree within the EasyRTC private object remains the working copy of the state. The store receives a write-through copy which is read back by pub.restoreState(). If the "stateStore" option is not set, no copy is kept.
+ *
+ * @class
+ */
+var ss = {};
+
+
+/**
+ * In-memory store adapter. State held in this store is lost when the process ends.
+ *
+ * @class
+ */
+ss.MemoryStore = function() {
+    this._data = {};
+};
+
+
+/**
+ * Returns the value for a given key to the callback. The value will be null if the key has not been set.
+ *
+ * @param       {string} key            Store key.
+ * @param       {function(?Error, ?Object)} callback Callback with error and stored value.
+ */
+ss.MemoryStore.prototype.get = function(key, callback) {
+    callback(null, (this._data.hasOwnProperty(key) ? g.deepCopy(this._data[key]) : null));
+};
+
+
+/**
+ * Sets the value for a given key.
+ *
+ * @param       {string} key            Store key.
+ * @param       {Object} value          JSONable value.
+ * @param       {nextCallback} callback A success callback of form next(err).
+ */
+ss.MemoryStore.prototype.set = function(key, value, callback) {
+    this._data[key] = g.deepCopy(value);
+    callback(null);
+};
+
+
+/**
+ * Removes a given key.
+ *
+ * @param       {string} key            Store key.
+ * @param       {nextCallback} callback A success callback of form next(err).
+ */
+ss.MemoryStore.prototype.remove = function(key, callback) {
+    delete this._data[key];
+    callback(null);
+};
+
+
+/**
+ * Returns an array of all keys which begin with a given prefix.
+ *
+ * @param       {string} prefix         Key prefix. An empty string returns all keys.
+ * @param       {function(?Error, Array.<string>)} callback Callback with error and array of keys.
+ */
+ss.MemoryStore.prototype.getKeys = function(prefix, callback) {
+    callback(null, _.filter(Object.keys(this._data), function(key) {
+        return key.indexOf(prefix) === 0;
+    }));
+};
+
+
+/**
+ * Reference store adapter which keeps its state in a local JSON file. Writes are batched and the file is replaced atomically.
+ *
+ * If the file can not be read or parsed (such as after a crash of an older version mid-write), it is moved aside to filePath + ".corrupt", a warning is logged and the store starts empty. The error is kept in the loadError property.
+ *
+ * @class
+ * @extends     MemoryStore
+ * @param       {string} filePath       Path of the JSON file. It will be created if it does not exist.
+ * @param       {?Object} [options]     Options object. Supports writeDelay (milliseconds to batch writes, defaults to 200).
+ */
+ss.FileStore = function(filePath, options) {
+    ss.FileStore.super_.call(this);
+
+    this.filePath   = filePath;
+    this.writeDelay = (_.isObject(options) && _.isNumber(options.writeDelay)) ? options.writeDelay : 200;
+    this._writeTimer = null;
+    this._isWriting = false;
+    this._pendingFlushList = [];
+    this.loadError  = null;
+
+    if (fs.existsSync(filePath)) {
+        try {
+            var storedData = JSON.parse(fs.readFileSync(filePath, "utf8"));
+            if (!_.isObject(storedData) || _.isArray(storedData)) {
+                throw new Error("State file does not contain a JSON object");
+            }
+            this._data = storedData;
+        } catch (err) {
+            this.loadError = err;
+            pub.util.logWarning("State file [" + filePath + "] could not be read. Starting with an empty state store.", err, {component: "stateStore"});
+            try {
+                fs.renameSync(filePath, filePath + ".corrupt");
+            } catch (renameErr) {
+                pub.util.logWarning("State file [" + filePath + "] could not be moved aside.", renameErr, {component: "stateStore"});
+            }
+        }
+    }
+};
+util.inherits(ss.FileStore, ss.MemoryStore);
+
+
+/**
+ * Sets the value for a given key and schedules a write of the file.
+ *
+ * @param       {string} key            Store key.
+ * @param       {Object} value          JSONable value.
+ * @param       {nextCallback} callback A success callback of form next(err).
+ */
+ss.FileStore.prototype.set = function(key, value, callback) {
+    this._data[key] = g.deepCopy(value);
+    this._scheduleWrite();
+    callback(null);
+};
+
+
+/**
+ * Removes a given key and schedules a write of the file.
+ *
+ * @param       {string} key            Store key.
+ * @param       {nextCallback} callback A success callback of form next(err).
+ */
+ss.FileStore.prototype.remove = function(key, callback) {
+    delete this._data[key];
+    this._scheduleWrite();
+    callback(null);
+};
+
+
+/**
+ * Writes text to a file and flushes it to disk before calling back.
+ *
+ * @private
+ * @param       {string} filePath
+ * @param       {string} text
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+var writeFileSynced = function(filePath, text, next) {
+    fs.writeFile(filePath, text, "utf8", function(err) {
+        if (err) {
+            next(err);
+            return;
+        }
+        fs.open(filePath, "r+", function(err, fd) {
+            if (err) {
+                next(err);
+                return;
+            }
+            fs.fsync(fd, function(syncErr) {
+                fs.close(fd, function(closeErr) {
+                    next(syncErr || closeErr || null);
+                });
+            });
+        });
+    });
+};
+
+
+/**
+ * Immediately writes the current state to the file. The file is first written and synced to a temporary file, then renamed over the old file, so a crash can not leave a partially written file. A flush requested while another is being written runs once that write completes.
+ *
+ * @param       {nextCallback} [next]   A success callback of form next(err).
+ */
+ss.FileStore.prototype.flush = function(next) {
+    var self = this;
+    var tmpFilePath = self.filePath + ".tmp";
+
+    if (!_.isFunction(next)) {
+        next = function(err) {};
+    }
+    if (self._writeTimer) {
+        clearTimeout(self._writeTimer);
+        self._writeTimer = null;
+    }
+    if (self._isWriting) {
+        self._pendingFlushList.push(next);
+        return;
+    }
+    self._isWriting = true;
+
+    var done = function(err) {
+        self._isWriting = false;
+        next(err);
+        if (self._pendingFlushList.length > 0) {
+            var pendingFlushList = self._pendingFlushList;
+            self._pendingFlushList = [];
+            self.flush(function(err) {
+                _.each(pendingFlushList, function(pendingNext) {
+                    pendingNext(err);
+                });
+            });
+        }
+    };
+
+    writeFileSynced(tmpFilePath, JSON.stringify(self._data), function(err) {
+        if (err) {
+            done(err);
+            return;
+        }
+        fs.rename(tmpFilePath, self.filePath, done);
+    });
+};
+
+
+/**
+ * Schedules a batched write of the file.
+ *
+ * @private
+ */
+ss.FileStore.prototype._scheduleWrite = function() {
+    var self = this;
+    if (self._writeTimer) {
+        return;
+    }
+    self._writeTimer = setTimeout(function() {
+        self._writeTimer = null;
+        self.flush();
+    }, self.writeDelay);
+};
+
+
+/**
+ * Returns the active store adapter, which is the "stateStore" server option.
+ *
+ * @returns     {?Object}               State store adapter, or null if the option is not set.
+ */
+ss.getStore = function() {
+    return (_.isObject(e.option.stateStore) ? e.option.stateStore : null);
+};
+
+
+/**
+ * Returns true if a store adapter is set. Without one, nothing is persisted and the save functions do nothing.
+ *
+ * @returns     {Boolean}
+ */
+ss.isEnabled = function() {
+    return _.isObject(e.option.stateStore);
+};
+
+
+/**
+ * Returns the store key for an application record.
+ *
+ * @param       {string} appName        Application name.
+ * @returns     {string}                Store key.
+ */
+ss.appKey = function(appName) {
+    return "app:" + appName;
+};
+
+
+/**
+ * Returns the store key for a room record. Room keys begin with the prefix "room:[appName]:".
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} roomName       Room name.
+ * @returns     {string}                Store key.
+ */
+ss.roomKey = function(appName, roomName) {
+    return "room:" + appName + ":" + roomName;
+};
+
+
+/**
+ * Returns the store key for the message history of a room. Room history keys begin with the prefix "roomHistory:[appName]:".
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} roomName       Room name.
+ * @returns     {string}                Store key.
+ */
+ss.roomHistoryKey = function(appName, roomName) {
+    return "roomHistory:" + appName + ":" + roomName;
+};
+
+
+/**
+ * Returns the store key for a group record. Group keys begin with the prefix "group:[appName]:".
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} groupName      Group name.
+ * @returns     {string}                Store key.
+ */
+ss.groupKey = function(appName, groupName) {
+    return "group:" + appName + ":" + groupName;
+};
+
+
+/**
+ * Returns the store key for a session record. Session keys begin with the prefix "session:[appName]:".
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcsid     EasyRTC session identifier.
+ * @returns     {string}                Store key.
+ */
+ss.sessionKey = function(appName, easyrtcsid) {
+    return "session:" + appName + ":" + easyrtcsid;
+};
+
+
+/**
+ * Returns the store key for a connection record. Connection keys begin with the prefix "connection:[appName]:".
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcid      EasyRTC unique identifier for a socket connection.
+ * @returns     {string}                Store key.
+ */
+ss.connectionKey = function(appName, easyrtcid) {
+    return "connection:" + appName + ":" + easyrtcid;
+};
+
+
+/**
+ * Returns the store key for the offline messages queued for a username. Offline message keys begin with the prefix "offlineMsg:[appName]:".
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} username       Username the messages are queued for.
+ * @returns     {string}                Store key.
+ */
+ss.offlineMsgKey = function(appName, username) {
+    return "offlineMsg:" + appName + ":" + username;
+};
+
+
+/**
+ * Returns the store key for the last seen record of a username. User presence keys begin with the prefix "userPresence:[appName]:".
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} username       Username.
+ * @returns     {string}                Store key.
+ */
+ss.userPresenceKey = function(appName, username) {
+    return "userPresence:" + appName + ":" + username;
+};
+
+
+/**
+ * Returns the store key for an IP ban record. IP ban keys begin with the prefix "ipBan:".
+ *
+ * @param       {string} banKey         Normalized address or CIDR range of the ban.
+ * @returns     {string}                Store key.
+ */
+ss.ipBanKey = function(banKey) {
+    return "ipBan:" + banKey;
+};
+
+
+/**
+ * Returns a copy of an option map containing only values which can be represented as JSON. Regular expressions, functions and class instances (such as a store adapter) are left out.
+ *
+ * @private
+ * @param       {Object} optionObj      Map of option names and values.
+ * @returns     {Object}                JSONable map of option names and values.
+ */
+var getStorableOptions = function(optionObj) {
+    var storableOptions = {};
+    for (var optionName in optionObj) {
+        if (optionObj.hasOwnProperty(optionName)) {
+            if (_.isRegExp(optionObj[optionName]) || _.isFunction(optionObj[optionName])) {
+                continue;
+            }
+            if (_.isObject(optionObj[optionName]) && optionObj[optionName].constructor !== Object && optionObj[optionName].constructor !== Array) {
+                continue;
+            }
+            storableOptions[optionName] = g.deepCopy(optionObj[optionName]);
+        }
+    }
+    return storableOptions;
+};
+
+
+/**
+ * Writes the application record (options and fields) to the store.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+ss.saveApp = function(appName, next) {
+    if (!ss.isEnabled() || !e.app[appName]) {
+        next(null);
+        return;
+    }
+    ss.getStore().set(ss.appKey(appName), {
+        appName: appName,
+        option: getStorableOptions(e.app[appName].option),
+        field: g.deepCopy(e.app[appName].field)
+    }, next);
+};
+
+
+/**
+ * Writes the room record (options and fields) to the store.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} roomName       Room name.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+ss.saveRoom = function(appName, roomName, next) {
+    if (!ss.isEnabled() || !e.app[appName] || !e.app[appName].room[roomName]) {
+        next(null);
+        return;
+    }
+    ss.getStore().set(ss.roomKey(appName, roomName), {
+        roomName: roomName,
+        option: getStorableOptions(e.app[appName].room[roomName].option),
+        field: g.deepCopy(e.app[appName].room[roomName].field)
+    }, next);
+};
+
+
+/**
+ * Writes the message history of a room to the store.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} roomName       Room name.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+ss.saveRoomHistory = function(appName, roomName, next) {
+    if (!ss.isEnabled() || !e.app[appName] || !e.app[appName].room[roomName]) {
+        next(null);
+        return;
+    }
+    ss.getStore().set(ss.roomHistoryKey(appName, roomName), {
+        roomName: roomName,
+        nextHistoryId: e.app[appName].room[roomName].history.nextHistoryId,
+        msgList: e.app[appName].room[roomName].history.msgList
+    }, next);
+};
+
+
+/**
+ * Writes the offline messages queued for a username to the store. The record is removed once no messages are queued.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} username       Username the messages are queued for.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+ss.saveOfflineMsg = function(appName, username, next) {
+    if (!ss.isEnabled() || !e.app[appName]) {
+        next(null);
+        return;
+    }
+    if (!e.app[appName].offlineMsg[username]) {
+        ss.getStore().remove(ss.offlineMsgKey(appName, username), next);
+        return;
+    }
+    ss.getStore().set(ss.offlineMsgKey(appName, username), {
+        username: username,
+        msgList: e.app[appName].offlineMsg[username]
+    }, next);
+};
+
+
+/**
+ * Writes the last seen record of a username to the store.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} username       Username.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+ss.saveUserPresence = function(appName, username, next) {
+    if (!ss.isEnabled() || !e.app[appName] || !e.app[appName].userPresence[username]) {
+        next(null);
+        return;
+    }
+    ss.getStore().set(ss.userPresenceKey(appName, username), e.app[appName].userPresence[username], next);
+};
+
+
+/**
+ * Writes an IP ban record to the store.
+ *
+ * @param       {string} banKey         Normalized address or CIDR range of the ban.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+ss.saveIpBan = function(banKey, next) {
+    var banRecord = ib.get(banKey);
+    if (!ss.isEnabled() || !banRecord) {
+        next(null);
+        return;
+    }
+    ss.getStore().set(ss.ipBanKey(banKey), banRecord, next);
+};
+
+
+/**
+ * Writes the group record (options and fields) to the store.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} groupName      Group name.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+ss.saveGroup = function(appName, groupName, next) {
+    if (!ss.isEnabled() || !e.app[appName] || !e.app[appName].group[groupName]) {
+        next(null);
+        return;
+    }
+    ss.getStore().set(ss.groupKey(appName, groupName), {
+        groupName: groupName,
+        option: getStorableOptions(e.app[appName].group[groupName].option),
+        field: g.deepCopy(e.app[appName].group[groupName].field)
+    }, next);
+};
+
+
+/**
+ * Writes the session record (fields) to the store.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcsid     EasyRTC session identifier.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+ss.saveSession = function(appName, easyrtcsid, next) {
+    if (!ss.isEnabled() || !e.app[appName] || !e.app[appName].session[easyrtcsid]) {
+        next(null);
+        return;
+    }
+    ss.getStore().set(ss.sessionKey(appName, easyrtcsid), {
+        easyrtcsid: easyrtcsid,
+        startOn: e.app[appName].session[easyrtcsid].startOn,
+        field: g.deepCopy(e.app[appName].session[easyrtcsid].field)
+    }, next);
+};
+
+
+/**
+ * Writes the connection record (username and fields) to the store.
+ *
+ * @param       {string} appName        Application name.
+ * @param       {string} easyrtcid      EasyRTC unique identifier for a socket connection.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+ss.saveConnection = function(appName, easyrtcid, next) {
+    if (!ss.isEnabled() || !e.app[appName] || !e.app[appName].connection[easyrtcid]) {
+        next(null);
+        return;
+    }
+    ss.getStore().set(ss.connectionKey(appName, easyrtcid), {
+        easyrtcid: easyrtcid,
+        username: e.app[appName].connection[easyrtcid].username,
+        field: g.deepCopy(e.app[appName].connection[easyrtcid].field)
+    }, next);
+};
+
+
+/**
+ * Removes a record from the store.
+ *
+ * @param       {string} key            Store key.
+ * @param       {nextCallback} next     A success callback of form next(err).
+ */
+ss.remove = function(key, next) {
+    if (!ss.isEnabled()) {
+        next(null);
+        return;
+    }
+    ss.getStore().remove(key, next);
+};
+
+return ss;
+};
@@ -1,4 +1,4 @@
-/* global module, require */
+/* global module, require, Promise */
 
 /**
  * Utility functions specific to EasyRTC.
@@ -12,14 +12,21 @@
 var util            = require("util");
 var _               = require("underscore");                // General utility functions external module
 var g               = require("./general_util");            // General utility functions local module
-var e               = require("./easyrtc_private_obj");     // EasyRTC private object
+
+/**
+ * Creates the EasyRTC utility methods and classes of an instance.
+ *
+ * @param       {Object} e              EasyRTC private object of the instance.
+ * @returns     {Object}                EasyRTC utility object.
+ */
+module.exports = function(e) {
 
 /**
  *  Object to hold EasyRTC Utility methods and classes.
  *
  * @class
  */
-var eu = module.exports;
+var eu = {};
 
 /**
  * Disconnects socket. Failure results in a debug level log message.
@@ -177,3 +184,43 @@ eu.getAvailableEasyrtcid = function() {
 
     return newEasyrtcid;
 };
+
+
+/**
+ * Wraps a callback style function so it returns a Promise when the callback argument is left out. The Promise is resolved with the first result passed to the callback, or rejected with the error. When a callback (or null in its place) is given, the function behaves as before.
+ *
+ * Methods are wrapped where they are defined, such as appObj.room = eu.promisify(function(roomName, callback) {...}, 1);
+ *
+ * Wrapped functions still check their callback and replace a missing one with pub.util.nextToNowhere. The check runs when null is passed as the callback, for calls whose result is not wanted, and on Node versions without Promise, where a left out callback reaches the function.
+ *
+ * @param       {Function} fn           Callback style function.
+ * @param       {Number} callbackIndex  Index of the callback parameter.
+ * @return      {Function}              Wrapped function.
+ */
+eu.promisify = function(fn, callbackIndex) {
+    return function() {
+        if (arguments.length > callbackIndex || typeof Promise === "undefined") {
+            return fn.apply(this, arguments);
+        }
+
+        var self = this;
+        var args = Array.prototype.slice.call(arguments, 0, callbackIndex);
+        while (args.length < callbackIndex) {
+            args.push(undefined);
+        }
+
+        return new Promise(function(resolve, reject) {
+            args.push(function(err, result) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(result);
+                }
+            });
+            fn.apply(self, args);
+        });
+    };
+};
+
+return eu;
+};
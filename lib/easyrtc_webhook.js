@@ -0,0 +1,267 @@
+/* global module, require, Buffer */
+
+/**
+ * @file        Outgoing webhooks for EasyRTC connection and room lifecycle events. Each event is sent as a signed JSON POST to the targets in the "webhookTargets" option, retrying with backoff until it is delivered.
+ * @module      easyrtc_webhook
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var http            = require("http");                      // Http core module
+var https           = require("https");                     // Https core module
+var url             = require("url");                       // Url parsing core module
+var crypto          = require("crypto");                    // Cryptography core module
+var _               = require("underscore");                // General utility functions external module
+
+/**
+ * Creates the webhook methods of an EasyRTC instance, with their own delivery queue.
+ *
+ * @param       {Object} pub            EasyRTC public object of the instance.
+ * @returns     {Object}                EasyRTC webhook object.
+ */
+module.exports = function(pub) {
+
+/**
+ * Webhook delivery.
+ *
+ * @class
+ */
+var wh = {};
+
+
+/**
+ * Names of the events which may be sent to webhook targets.
+ */
+wh.eventNameList = ["authenticated", "disconnect", "roomCreate", "roomJoin", "roomLeave", "roomDelete"];
+
+
+/**
+ * Deliveries which have not yet succeeded or run out of attempts, in the order they were queued. Each is of form {deliveryId, target, eventId, eventName, body, attemptCount, nextAttemptOn, lastError, isSending, retryTimer}
+ *
+ * @private
+ */
+var pendingDeliveryList = [];
+
+
+/**
+ * Returns the HMAC-SHA256 signature of a webhook request, as sent in the X-EasyRTC-Signature header. The signed string is the timestamp, a period and the body, so a captured request can not be replayed with a new timestamp.
+ *
+ * @param       {string} secret         Secret of the webhook target.
+ * @param       {string} timestamp      Time of the attempt in milliseconds since the epoch, as sent in the X-EasyRTC-Timestamp header.
+ * @param       {string} body           JSON body of the webhook request.
+ * @returns     {string}                Signature of form "sha256=<hex digest>"
+ */
+wh.getSignature = function(secret, timestamp, body) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(timestamp + "." + body).digest("hex");
+};
+
+
+/**
+ * Removes a delivery from the pending list.
+ *
+ * @private
+ * @param       {Object} delivery
+ */
+var removeDelivery = function(delivery) {
+    clearTimeout(delivery.retryTimer);
+    pendingDeliveryList = _.without(pendingDeliveryList, delivery);
+};
+
+
+/**
+ * Posts a delivery to its target once. Calls back with an error if the request fails, times out or receives a status other than 2xx.
+ *
+ * @private
+ * @param       {Object} delivery
+ * @param       {function(?Error)} callback
+ */
+var postDelivery = function(delivery, callback) {
+    var isDone = false;
+    var done = function(err) {
+        if (!isDone) {
+            isDone = true;
+            callback(err);
+        }
+    };
+
+    var targetUrl = url.parse(delivery.target.url);
+    var timestamp = String(Date.now());
+    var headers = {
+        "Content-Type":         "application/json; charset=utf-8",
+        "Content-Length":       Buffer.byteLength(delivery.body),
+        "User-Agent":           "EasyRTC/" + pub.getVersion(),
+        "X-EasyRTC-Event":      delivery.eventName,
+        "X-EasyRTC-Event-Id":   delivery.eventId,
+        "X-EasyRTC-Delivery":   delivery.deliveryId,
+        "X-EasyRTC-Attempt":    String(delivery.attemptCount),
+        "X-EasyRTC-Timestamp":  timestamp
+    };
+    if (_.isString(delivery.target.secret) && delivery.target.secret !== "") {
+        headers["X-EasyRTC-Signature"] = wh.getSignature(delivery.target.secret, timestamp, delivery.body);
+    }
+
+    var req;
+    try {
+        req = (targetUrl.protocol === "https:" ? https : http).request({
+            method:     "POST",
+            protocol:   targetUrl.protocol,
+            hostname:   targetUrl.hostname,
+            port:       targetUrl.port,
+            path:       targetUrl.path,
+            auth:       targetUrl.auth,
+            headers:    headers
+        }, function(res) {
+            res.resume();
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                done(null);
+            }
+            else {
+                done(new pub.util.ServerWarning("Webhook target responded with status " + res.statusCode));
+            }
+        });
+    } catch (e) {
+        done(new pub.util.ServerWarning("Webhook request could not be made. " + e.message));
+        return;
+    }
+
+    req.setTimeout(pub.getOption("webhookTimeout"), function() {
+        done(new pub.util.ServerWarning("Webhook request timed out"));
+        req.abort();
+    });
+    req.on("error", function(err) {
+        done(new pub.util.ServerWarning("Webhook request failed. " + err.message));
+    });
+    req.end(delivery.body);
+};
+
+
+/**
+ * Attempts a delivery, scheduling a retry with exponential backoff if it fails. The delivery is dropped once it has been attempted webhookRetryCount times after the first attempt.
+ *
+ * @private
+ * @param       {Object} delivery
+ */
+var attemptDelivery = function(delivery) {
+    delivery.isSending = true;
+    delivery.attemptCount++;
+
+    postDelivery(delivery, function(err) {
+        delivery.isSending = false;
+        // Dropped from the queue while being sent
+        if (!_.contains(pendingDeliveryList, delivery)) {
+            return;
+        }
+        if (!err) {
+            pub.util.logDebug("Webhook [" + delivery.eventName + "] delivered to [" + delivery.target.url + "]", null, {component: "webhook"});
+            removeDelivery(delivery);
+            return;
+        }
+
+        delivery.lastError = err.message;
+        if (delivery.attemptCount > pub.getOption("webhookRetryCount")) {
+            pub.util.logWarning("Webhook [" + delivery.eventName + "] to [" + delivery.target.url + "] dropped after " + delivery.attemptCount + " attempts", err, {component: "webhook"});
+            removeDelivery(delivery);
+            return;
+        }
+
+        var retryDelay = Math.min(pub.getOption("webhookRetryDelay") * Math.pow(2, delivery.attemptCount - 1), pub.getOption("webhookRetryMaxDelay"));
+        pub.util.logDebug("Webhook [" + delivery.eventName + "] to [" + delivery.target.url + "] failed. Retrying in " + retryDelay + "ms", err, {component: "webhook"});
+        delivery.nextAttemptOn = Date.now() + retryDelay;
+        delivery.retryTimer = setTimeout(function() {
+            delivery.retryTimer = null;
+            attemptDelivery(delivery);
+        }, retryDelay);
+        // Pending retries do not keep the process running
+        if (_.isFunction(delivery.retryTimer.unref)) {
+            delivery.retryTimer.unref();
+        }
+    });
+};
+
+
+/**
+ * Sends an event to each webhook target which subscribes to it. Does nothing unless the "webhookEnable" option is true. If the pending queue is longer than webhookQueueMaxLength, the oldest deliveries are dropped.
+ *
+ * The request body is of form {eventId:<string>, event:<string>, serverTime:<Number>, data:<Object>}
+ *
+ * @param       {string} eventName      One of wh.eventNameList
+ * @param       {Object} data           Event data, such as {appName, easyrtcid, username, roomName}
+ */
+wh.send = function(eventName, data) {
+    if (!pub.getOption("webhookEnable")) {
+        return;
+    }
+
+    var targetList = _.filter(pub.getOption("webhookTargets") || [], function(target) {
+        return _.isObject(target) && _.isString(target.url) && (!_.isArray(target.events) || _.contains(target.events, eventName));
+    });
+    if (targetList.length === 0) {
+        return;
+    }
+
+    var eventId = crypto.randomBytes(16).toString("hex");
+    var body = JSON.stringify({
+        eventId:    eventId,
+        event:      eventName,
+        serverTime: Date.now(),
+        data:       data
+    });
+
+    _.each(targetList, function(target) {
+        var delivery = {
+            deliveryId:     crypto.randomBytes(16).toString("hex"),
+            target:         target,
+            eventId:        eventId,
+            eventName:      eventName,
+            body:           body,
+            attemptCount:   0,
+            nextAttemptOn:  Date.now(),
+            lastError:      null,
+            isSending:      false,
+            retryTimer:     null
+        };
+        pendingDeliveryList.push(delivery);
+        attemptDelivery(delivery);
+    });
+
+    while (pendingDeliveryList.length > pub.getOption("webhookQueueMaxLength")) {
+        var droppedDelivery = pendingDeliveryList[0];
+        pub.util.logWarning("Webhook queue is full. Dropping [" + droppedDelivery.eventName + "] to [" + droppedDelivery.target.url + "]", null, {component: "webhook"});
+        removeDelivery(droppedDelivery);
+    }
+};
+
+
+/**
+ * Returns the deliveries which have not yet succeeded, oldest first.
+ *
+ * @returns     {Array.<Object>}        Array of objects of form {deliveryId, url, eventId, event, attemptCount, nextAttemptOn, lastError}
+ */
+wh.getPendingDeliveries = function() {
+    return _.map(pendingDeliveryList, function(delivery) {
+        return {
+            deliveryId:     delivery.deliveryId,
+            url:            delivery.target.url,
+            eventId:        delivery.eventId,
+            event:          delivery.eventName,
+            attemptCount:   delivery.attemptCount,
+            nextAttemptOn:  delivery.nextAttemptOn,
+            lastError:      delivery.lastError
+        };
+    });
+};
+
+
+/**
+ * Drops all pending deliveries, cancelling their retries. Requests already being sent are not aborted.
+ */
+wh.clearPendingDeliveries = function() {
+    _.each(pendingDeliveryList, function(delivery) {
+        clearTimeout(delivery.retryTimer);
+    });
+    pendingDeliveryList = [];
+};
+
+return wh;
+};
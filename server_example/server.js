@@ -28,11 +28,16 @@ easyrtc.events.on("easyrtcAuth", function(socket, easyrtcid, msg, socketCallback
             return;
         }
 
-        connectionObj.setField("credential", msg.msgData.credential, {"isShared":false});
+        connectionObj.setField("credential", msg.msgData.credential, {"isShared":false}, function(err) {
+            if (err) {
+                callback(err, connectionObj);
+                return;
+            }
 
-        console.log("["+easyrtcid+"] Credential saved!", connectionObj.getFieldValueSync("credential"));
+            console.log("["+easyrtcid+"] Credential saved!", connectionObj.getFieldValueSync("credential"));
 
-        callback(err, connectionObj);
+            callback(null, connectionObj);
+        });
     });
 });
 
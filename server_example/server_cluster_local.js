@@ -0,0 +1,47 @@
+// Runs two EasyRTC cluster nodes in one process, sharing an in-process LocalBus.
+// Node A listens on port 8080 and node B on port 8081. Clients connected to
+// different ports see each other in the room lists and can call each other.
+
+// Load required modules
+var http    = require("http");              // http server core module
+var express = require("express");           // web framework external module
+var serveStatic = require('serve-static');  // serve static files
+var socketIo = require("socket.io");        // web socket external module
+var easyrtc = require("../");               // EasyRTC external module
+
+// Set process name
+process.title = "node-easyrtc-cluster";
+
+// Every node of the cluster publishes to and subscribes from this bus
+var clusterBus = new easyrtc.cluster.LocalBus();
+
+var startNode = function(nodeId, port) {
+    // Each node is a separate EasyRTC instance with its own state
+    var node = easyrtc.createInstance();
+
+    var app = express();
+    app.use(serveStatic('static', {'index': ['index.html']}));
+
+    var webServer = http.createServer(app);
+    var socketServer = socketIo.listen(webServer, {"log level":1});
+
+    node.setOption("logLevel", "info");
+    node.setOption("clusterEnable", true);
+    node.setOption("clusterBus", clusterBus);
+    node.setOption("clusterNodeId", nodeId);
+
+    node.listen(app, socketServer, null, function(err, rtcRef) {
+        if (err) {
+            console.log("Node " + nodeId + " failed to start", err);
+            return;
+        }
+        console.log("Node " + nodeId + " initiated");
+    });
+
+    webServer.listen(port, function () {
+        console.log('Node ' + nodeId + ' listening on http://localhost:' + port);
+    });
+};
+
+startNode("A", 8080);
+startNode("B", 8081);
@@ -0,0 +1,83 @@
+/* global module, require, process, console, __dirname, setTimeout, clearTimeout */
+
+/**
+ * @file        Runs the EasyRTC server specs with plain Node. Each file in the spec folder exports an object of form {"description": function(done) {...}}, where done(err) is called once the spec is complete. Assertions use the Node assert core module.
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var fs              = require("fs");                        // File system core module
+var path            = require("path");                      // File path core module
+
+var specPath        = path.join(__dirname, "spec");
+var specTimeout     = 10000;
+
+var specList = [];
+var failCount = 0;
+var currentDone = null;
+
+fs.readdirSync(specPath).sort().forEach(function(fileName) {
+    if (!/\.js$/.test(fileName)) {
+        return;
+    }
+    var specObj = require(path.join(specPath, fileName));
+    Object.keys(specObj).forEach(function(description) {
+        specList.push({fileName: fileName, description: description, run: specObj[description]});
+    });
+});
+
+// Errors thrown within asynchronous callbacks fail the running spec
+process.on("uncaughtException", function(err) {
+    if (currentDone) {
+        currentDone(err);
+    }
+    else {
+        console.error(err.stack || err);
+        process.exit(1);
+    }
+});
+
+var runSpec = function(index) {
+    if (index >= specList.length) {
+        console.log("\n" + (specList.length - failCount) + " passing, " + failCount + " failing");
+        process.exit(failCount > 0 ? 1 : 0);
+        return;
+    }
+
+    var spec = specList[index];
+    var timer;
+
+    currentDone = function(err) {
+        if (!currentDone) {
+            return;
+        }
+        currentDone = null;
+        clearTimeout(timer);
+
+        if (err) {
+            failCount++;
+            console.log("not ok - " + spec.fileName + ": " + spec.description);
+            console.log("    " + String(err.stack || err).split("\n").join("\n    "));
+        }
+        else {
+            console.log("ok - " + spec.fileName + ": " + spec.description);
+        }
+        setTimeout(function() {
+            runSpec(index + 1);
+        }, 0);
+    };
+
+    timer = setTimeout(function() {
+        currentDone(new Error("Timed out after " + specTimeout + "ms"));
+    }, specTimeout);
+
+    try {
+        spec.run(currentDone);
+    }
+    catch (err) {
+        currentDone(err);
+    }
+};
+
+runSpec(0);
@@ -0,0 +1,161 @@
+/* global module, require, setTimeout */
+
+/**
+ * @file        Specs for cluster mode over a LocalBus.
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var assert          = require("assert");                    // Assertion core module
+var easyrtc         = require("../../../lib/easyrtc_server");
+var createPrivateObj = require("../../../lib/easyrtc_private_obj");
+var createPublicObj = require("../../../lib/easyrtc_public_obj");
+
+// Returns the public object of a new instance, set to join the cluster of a bus under a given node identifier
+var createNode = function(clusterBus, nodeId) {
+    var pub = createPublicObj(createPrivateObj());
+    pub.setOption("logLevel", "error");
+    pub.setOption("clusterEnable", true);
+    pub.setOption("clusterBus", clusterBus);
+    pub.setOption("clusterNodeId", nodeId);
+    return pub;
+};
+
+// Starts the cluster mode of each node in turn, then waits for the bus to deliver their announcements
+var startNodes = function(nodeList, callback) {
+    if (nodeList.length === 0) {
+        setTimeout(callback, 20);
+        return;
+    }
+    nodeList[0].cluster.start(function(err) {
+        assert.ifError(err);
+        startNodes(nodeList.slice(1), callback);
+    });
+};
+
+var getRemoteNodeIds = function(pub) {
+    return Object.keys(pub._getPrivateObj().cluster.remoteNode).sort();
+};
+
+module.exports = {
+    "nodes sharing a LocalBus discover each other": function(done) {
+        var clusterBus = new easyrtc.cluster.LocalBus();
+        var nodeA = createNode(clusterBus, "nodeA");
+        var nodeB = createNode(clusterBus, "nodeB");
+        var nodeC = createNode(clusterBus, "nodeC");
+
+        startNodes([nodeA, nodeB, nodeC], function() {
+            assert.strictEqual(nodeA.cluster.isEnabled(), true);
+            assert.strictEqual(nodeA.cluster.getNodeId(), "nodeA");
+            assert.deepEqual(getRemoteNodeIds(nodeA), ["nodeB", "nodeC"]);
+            assert.deepEqual(getRemoteNodeIds(nodeB), ["nodeA", "nodeC"]);
+            assert.deepEqual(getRemoteNodeIds(nodeC), ["nodeA", "nodeB"]);
+
+            nodeA.cluster.stop();
+            nodeB.cluster.stop();
+            nodeC.cluster.stop();
+            done();
+        });
+    },
+
+    "remote room occupants are tracked from room data deltas": function(done) {
+        var clusterBus = new easyrtc.cluster.LocalBus();
+        var nodeA = createNode(clusterBus, "nodeA");
+        var nodeB = createNode(clusterBus, "nodeB");
+
+        startNodes([nodeA, nodeB], function() {
+            var connectionState = {easyrtcid: "remoteB1", username: "bob", presence: null, field: {}, group: {staff: true}, room: {lobby: {enteredOn: Date.now(), apiField: {}}}};
+
+            // As published by node B when one of its connections enters a room
+            clusterBus.publish({nodeId: "nodeB", busMsgType: "roomDataDelta", appName: "default", easyrtcid: "remoteB1", connectionState: connectionState, roomData: {}});
+
+            setTimeout(function() {
+                assert.deepEqual(Object.keys(nodeA.cluster.getRemoteRoomClientList("default", "lobby")), ["remoteB1"]);
+                assert.deepEqual(nodeA.cluster.getRemoteRoomNames("default"), ["lobby"]);
+                assert.deepEqual(Object.keys(nodeA.cluster.getRemoteGroupClientList("default", "staff")), ["remoteB1"]);
+                assert.strictEqual(nodeA.cluster.getRemoteConnection("default", "remoteB1").nodeId, "nodeB");
+                assert.deepEqual(Object.keys(nodeA.cluster.getRemoteUsernameClientList("default", "bob")), ["remoteB1"]);
+
+                // A delta without a connection state removes the connection
+                clusterBus.publish({nodeId: "nodeB", busMsgType: "roomDataDelta", appName: "default", easyrtcid: "remoteB1", connectionState: null, roomData: {}});
+
+                setTimeout(function() {
+                    assert.deepEqual(nodeA.cluster.getRemoteRoomClientList("default", "lobby"), {});
+                    assert.strictEqual(nodeA.cluster.getRemoteConnection("default", "remoteB1"), null);
+
+                    nodeA.cluster.stop();
+                    nodeB.cluster.stop();
+                    done();
+                }, 20);
+            }, 20);
+        });
+    },
+
+    "a stopped node leaves the cluster and unsubscribes from the bus": function(done) {
+        var clusterBus = new easyrtc.cluster.LocalBus();
+        var nodeA = createNode(clusterBus, "nodeA");
+        var nodeB = createNode(clusterBus, "nodeB");
+
+        startNodes([nodeA, nodeB], function() {
+            assert.strictEqual(clusterBus._emitter.listeners("message").length, 2);
+
+            nodeB.cluster.stop(function(err) {
+                assert.ifError(err);
+                assert.strictEqual(nodeB.cluster.isEnabled(), false);
+                assert.strictEqual(clusterBus._emitter.listeners("message").length, 1);
+
+                setTimeout(function() {
+                    assert.deepEqual(getRemoteNodeIds(nodeA), []);
+                    assert.deepEqual(getRemoteNodeIds(nodeB), []);
+
+                    // Messages published after the stop no longer reach node B
+                    clusterBus.publish({nodeId: "nodeA", busMsgType: "heartbeat"});
+                    setTimeout(function() {
+                        assert.deepEqual(getRemoteNodeIds(nodeB), []);
+                        nodeA.cluster.stop();
+                        done();
+                    }, 20);
+                }, 20);
+            });
+        });
+    },
+
+    "a node which rejoins is asked for its full state": function(done) {
+        var clusterBus = new easyrtc.cluster.LocalBus();
+        var nodeA = createNode(clusterBus, "nodeA");
+        var nodeB = createNode(clusterBus, "nodeB");
+        var syncRequestList = [];
+
+        clusterBus.subscribe(function(busMsg) {
+            if (busMsg.busMsgType === "syncRequest") {
+                syncRequestList.push(busMsg.nodeId + ">" + busMsg.targetNodeId);
+            }
+        });
+
+        startNodes([nodeA, nodeB], function() {
+            // Node A forgets node B, as when node B misses its heartbeats
+            delete nodeA._getPrivateObj().cluster.remoteNode.nodeB;
+
+            clusterBus.publish({nodeId: "nodeB", busMsgType: "heartbeat"});
+            setTimeout(function() {
+                assert.deepEqual(syncRequestList, ["nodeA>nodeB"]);
+                assert.deepEqual(getRemoteNodeIds(nodeA), ["nodeB"]);
+
+                nodeA.cluster.stop();
+                nodeB.cluster.stop();
+                done();
+            }, 20);
+        });
+    },
+
+    "start() refuses a bus adapter without unsubscribe()": function(done) {
+        var node = createNode({publish: function() {}, subscribe: function() {}}, "nodeA");
+
+        node.cluster.start(function(err) {
+            assert.ok(err instanceof node.util.ServerError);
+            assert.strictEqual(node.cluster.isEnabled(), false);
+            done();
+        });
+    }
+};
@@ -0,0 +1,96 @@
+/* global module, require */
+
+/**
+ * @file        Specs for the IP ban list.
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var assert          = require("assert");                    // Assertion core module
+var createIpBan     = require("../../../lib/easyrtc_ip_ban");
+
+module.exports = {
+    "matches addresses within an IPv4 CIDR range": function(done) {
+        var ib = createIpBan();
+        assert.strictEqual(ib.add("10.1.2.3/8").ip, "10.0.0.0/8");
+
+        assert.strictEqual(ib.isBanned("10.0.0.1"), true);
+        assert.strictEqual(ib.isBanned("10.255.255.255"), true);
+        assert.strictEqual(ib.isBanned("11.0.0.0"), false);
+        assert.strictEqual(ib.isBanned("9.255.255.255"), false);
+        done();
+    },
+
+    "matches IPv4-mapped IPv6 socket addresses": function(done) {
+        var ib = createIpBan();
+        ib.add("192.168.1.0/24");
+
+        assert.strictEqual(ib.isBanned("::ffff:192.168.1.77"), true);
+        assert.strictEqual(ib.isBanned("::ffff:192.168.2.77"), false);
+        done();
+    },
+
+    "matches prefixes which do not end on a byte boundary": function(done) {
+        var ib = createIpBan();
+        assert.strictEqual(ib.add("172.16.0.0/12").ip, "172.16.0.0/12");
+
+        assert.strictEqual(ib.isBanned("172.31.255.255"), true);
+        assert.strictEqual(ib.isBanned("172.32.0.0"), false);
+        assert.strictEqual(ib.isBanned("172.15.255.255"), false);
+        done();
+    },
+
+    "matches addresses within an IPv6 CIDR range": function(done) {
+        var ib = createIpBan();
+        assert.strictEqual(ib.add("2001:DB8:1::1/32").ip, "2001:db8::/32");
+
+        assert.strictEqual(ib.isBanned("2001:db8:ffff::1"), true);
+        assert.strictEqual(ib.isBanned("2001:db9::1"), false);
+        assert.strictEqual(ib.isBanned("fe80::1%eth0"), false);
+        done();
+    },
+
+    "bans single addresses without a prefix": function(done) {
+        var ib = createIpBan();
+        ib.add("203.0.113.5");
+
+        assert.strictEqual(ib.isBanned("203.0.113.5"), true);
+        assert.strictEqual(ib.isBanned("203.0.113.6"), false);
+        done();
+    },
+
+    "removes a range given any address within it": function(done) {
+        var ib = createIpBan();
+        ib.add("10.0.0.0/8");
+
+        assert.strictEqual(ib.remove("10.9.9.9/8"), "10.0.0.0/8");
+        assert.strictEqual(ib.isBanned("10.0.0.1"), false);
+        assert.strictEqual(ib.remove("10.0.0.0/8"), null);
+        done();
+    },
+
+    "refuses improper addresses and ranges": function(done) {
+        var ib = createIpBan();
+
+        assert.strictEqual(ib.add("10.0.0.0/33"), null);
+        assert.strictEqual(ib.add("256.0.0.1"), null);
+        assert.strictEqual(ib.add("2001:db8::/129"), null);
+        assert.strictEqual(ib.add("not-an-ip"), null);
+        assert.strictEqual(ib.isBanned("not-an-ip"), false);
+        assert.deepEqual(ib.getAll(), []);
+        done();
+    },
+
+    "drops bans once they expire": function(done) {
+        var ib = createIpBan();
+        ib.add("198.51.100.0/24", {duration: -1, reason: "expired"});
+        ib.add("198.51.101.0/24", {duration: 60000, reason: "current"});
+
+        assert.strictEqual(ib.isBanned("198.51.100.1"), false);
+        assert.strictEqual(ib.isBanned("198.51.101.1"), true);
+        assert.deepEqual(ib.getAll().map(function(ban) { return ban.reason; }), ["current"]);
+        assert.strictEqual(ib.restore({ip: "198.51.102.0/24", bannedOn: 0, expiresOn: 1}), false);
+        done();
+    }
+};
@@ -0,0 +1,101 @@
+/* global module, require, Buffer */
+
+/**
+ * @file        Specs for JWT verification.
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var assert          = require("assert");                    // Assertion core module
+var crypto          = require("crypto");                    // Cryptography core module
+var createPrivateObj = require("../../../lib/easyrtc_private_obj");
+var createPublicObj = require("../../../lib/easyrtc_public_obj");
+var createJwt       = require("../../../lib/easyrtc_jwt");
+
+var pub = createPublicObj(createPrivateObj());
+pub.setOption("logLevel", "error");
+var jw = createJwt(pub);
+
+var secret = "test-secret";
+var verifyOptions = {algorithm: "HS256", secret: secret, issuer: "issuer-a", audience: ["aud-a", "aud-b"]};
+
+var base64UrlEncode = function(buffer) {
+    return buffer.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+// Returns an HS256 signed token. The header may be overridden to test algorithm checks.
+var signToken = function(payload, header, signingSecret) {
+    var signingInput = base64UrlEncode(Buffer.from(JSON.stringify(header || {alg: "HS256", typ: "JWT"}))) + "." + base64UrlEncode(Buffer.from(JSON.stringify(payload)));
+    return signingInput + "." + base64UrlEncode(crypto.createHmac("sha256", signingSecret || secret).update(signingInput).digest());
+};
+
+var nowSeconds = function() {
+    return Math.floor(Date.now() / 1000);
+};
+
+var assertWarning = function(token, messagePattern, done) {
+    jw.verify(token, verifyOptions, function(err, claims) {
+        assert.ok(err instanceof pub.util.ConnectionWarning, "Expected a ConnectionWarning");
+        assert.ok(messagePattern.test(err.message), "Unexpected message: " + err.message);
+        assert.strictEqual(claims, undefined);
+        done();
+    });
+};
+
+module.exports = {
+    "accepts a valid token and returns its claims": function(done) {
+        var token = signToken({sub: "alice", iss: "issuer-a", aud: "aud-b", exp: nowSeconds() + 60, nbf: nowSeconds() - 60});
+        jw.verify(token, verifyOptions, function(err, claims) {
+            assert.ifError(err);
+            assert.strictEqual(claims.sub, "alice");
+            done();
+        });
+    },
+
+    "rejects an expired token": function(done) {
+        assertWarning(signToken({iss: "issuer-a", aud: "aud-a", exp: nowSeconds() - 1}), /expired/, done);
+    },
+
+    "accepts an expired token within the clock skew": function(done) {
+        var token = signToken({iss: "issuer-a", aud: "aud-a", exp: nowSeconds() - 1});
+        var skewedOptions = {algorithm: "HS256", secret: secret, clockSkew: 30000};
+        jw.verify(token, skewedOptions, function(err) {
+            assert.ifError(err);
+            done();
+        });
+    },
+
+    "rejects a token which is not yet valid": function(done) {
+        assertWarning(signToken({iss: "issuer-a", aud: "aud-a", nbf: nowSeconds() + 60}), /not yet valid/, done);
+    },
+
+    "rejects a token signed with another algorithm": function(done) {
+        assertWarning(signToken({iss: "issuer-a", aud: "aud-a"}, {alg: "RS256", typ: "JWT"}), /algorithm \[RS256\] is not allowed/, done);
+    },
+
+    "rejects an unsigned token": function(done) {
+        var token = signToken({iss: "issuer-a", aud: "aud-a"}, {alg: "none", typ: "JWT"}).split(".").slice(0, 2).join(".") + ".";
+        assertWarning(token, /malformed|not allowed/, done);
+    },
+
+    "rejects a token signed with another secret": function(done) {
+        assertWarning(signToken({iss: "issuer-a", aud: "aud-a"}, null, "other-secret"), /signature is invalid/, done);
+    },
+
+    "rejects a token whose payload was altered": function(done) {
+        var tokenParts = signToken({sub: "alice", iss: "issuer-a", aud: "aud-a"}).split(".");
+        tokenParts[1] = base64UrlEncode(Buffer.from(JSON.stringify({sub: "admin", iss: "issuer-a", aud: "aud-a"})));
+        assertWarning(tokenParts.join("."), /signature is invalid/, done);
+    },
+
+    "rejects a token from another issuer or audience": function(done) {
+        assertWarning(signToken({iss: "issuer-b", aud: "aud-a"}), /issuer/, function() {
+            assertWarning(signToken({iss: "issuer-a", aud: "aud-c"}), /audience/, done);
+        });
+    },
+
+    "rejects a malformed token": function(done) {
+        assertWarning("not.a-token", /malformed/, done);
+    }
+};
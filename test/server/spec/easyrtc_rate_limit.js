@@ -0,0 +1,133 @@
+/* global module, require, setTimeout */
+
+/**
+ * @file        Specs for token bucket rate limiting.
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var assert          = require("assert");                    // Assertion core module
+var createRateLimit = require("../../../lib/easyrtc_rate_limit");
+
+// Returns a getOption function serving the given rate limit options
+var getOptionFor = function(optionValues) {
+    return function(optionName) {
+        return optionValues.hasOwnProperty(optionName) ? optionValues[optionName] : null;
+    };
+};
+
+module.exports = {
+    "allows messages up to the burst size of the connection bucket": function(done) {
+        var rl = createRateLimit();
+        var getOption = getOptionFor({rateLimitConnection: {msgRate: 0.001, msgBurst: 3}});
+
+        assert.strictEqual(rl.consume("app", "a", "10.0.0.1", 1, 10, getOption), null);
+        assert.strictEqual(rl.consume("app", "a", "10.0.0.1", 1, 10, getOption), null);
+        assert.strictEqual(rl.consume("app", "a", "10.0.0.1", 1, 10, getOption), null);
+        assert.strictEqual(rl.consume("app", "a", "10.0.0.1", 1, 10, getOption), "connection");
+
+        // Other connections have their own buckets
+        assert.strictEqual(rl.consume("app", "b", "10.0.0.1", 1, 10, getOption), null);
+        done();
+    },
+
+    "limits bytes separately from messages": function(done) {
+        var rl = createRateLimit();
+        var getOption = getOptionFor({rateLimitConnection: {byteRate: 0.001, byteBurst: 100}});
+
+        assert.strictEqual(rl.consume("app", "a", null, 1, 60, getOption), null);
+        assert.strictEqual(rl.consume("app", "a", null, 1, 60, getOption), "connection");
+        assert.strictEqual(rl.consume("app", "a", null, 1, 40, getOption), null);
+        done();
+    },
+
+    "shares the IP bucket between connections of an application": function(done) {
+        var rl = createRateLimit();
+        var getOption = getOptionFor({rateLimitIp: {msgRate: 0.001, msgBurst: 2}});
+
+        assert.strictEqual(rl.consume("app", "a", "10.0.0.1", 1, 10, getOption), null);
+        assert.strictEqual(rl.consume("app", "b", "10.0.0.1", 1, 10, getOption), null);
+        assert.strictEqual(rl.consume("app", "c", "10.0.0.1", 1, 10, getOption), "ip");
+        assert.strictEqual(rl.consume("app", "c", "10.0.0.2", 1, 10, getOption), null);
+        assert.strictEqual(rl.consume("otherApp", "c", "10.0.0.1", 1, 10, getOption), null);
+
+        // Without an address, the IP limit is skipped
+        assert.strictEqual(rl.consume("app", "d", null, 1, 10, getOption), null);
+        done();
+    },
+
+    "consumes nothing unless every bucket allows the message": function(done) {
+        var rl = createRateLimit();
+        var getOption = getOptionFor({
+            rateLimitConnection: {msgRate: 0.001, msgBurst: 2},
+            rateLimitApp: {msgRate: 0.001, msgBurst: 1}
+        });
+
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOption), null);
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOption), "app");
+
+        // The refused message did not take a token from the connection bucket
+        getOption = getOptionFor({rateLimitConnection: {msgRate: 0.001, msgBurst: 2}});
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOption), null);
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOption), "connection");
+        done();
+    },
+
+    "charges fan-out larger than the burst size once the bucket is full": function(done) {
+        var rl = createRateLimit();
+        var getOption = getOptionFor({rateLimitConnection: {msgRate: 0.001, msgBurst: 5}});
+
+        // A room message to 20 recipients is allowed from a full bucket, leaving it in debt
+        assert.strictEqual(rl.consume("app", "a", null, 20, 200, getOption), null);
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOption), "connection");
+        done();
+    },
+
+    "refills buckets over time": function(done) {
+        var rl = createRateLimit();
+        var getOption = getOptionFor({rateLimitConnection: {msgRate: 100, msgBurst: 1}});
+
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOption), null);
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOption), "connection");
+        setTimeout(function() {
+            assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOption), null);
+            done();
+        }, 50);
+    },
+
+    "recreates buckets when the limit changes": function(done) {
+        var rl = createRateLimit();
+
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOptionFor({rateLimitConnection: {msgRate: 0.001, msgBurst: 1}})), null);
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOptionFor({rateLimitConnection: {msgRate: 0.001, msgBurst: 1}})), "connection");
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOptionFor({rateLimitConnection: {msgRate: 0.001, msgBurst: 2}})), null);
+        done();
+    },
+
+    "counts violations within the time window": function(done) {
+        var rl = createRateLimit();
+
+        assert.strictEqual(rl.addViolation("app", "a", 60000), 1);
+        assert.strictEqual(rl.addViolation("app", "a", 60000), 2);
+        assert.strictEqual(rl.addViolation("app", "b", 60000), 1);
+
+        // Violations older than the window are dropped
+        assert.strictEqual(rl.addViolation("app", "a", -1), 1);
+        done();
+    },
+
+    "forgets a removed connection": function(done) {
+        var rl = createRateLimit();
+        var getOption = getOptionFor({rateLimitConnection: {msgRate: 0.001, msgBurst: 1}});
+
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOption), null);
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOption), "connection");
+        rl.addViolation("app", "a", 60000);
+
+        rl.removeConnection("app", "a");
+        assert.strictEqual(rl.consume("app", "a", null, 1, 10, getOption), null);
+        assert.strictEqual(rl.addViolation("app", "a", 60000), 1);
+        done();
+    }
+};
@@ -0,0 +1,129 @@
+/* global module, require */
+
+/**
+ * @file        Specs for message schema validation.
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var assert          = require("assert");                    // Assertion core module
+var defaultOptions  = require("../../../lib/easyrtc_default_options");
+var createSchema    = require("../../../lib/easyrtc_schema");
+
+var getOption = function(optionName) {
+    return defaultOptions[optionName];
+};
+
+// Validates a message against every schema listed for its type, returning the first failure
+var validateMsg = function(sc, type, msg, appName) {
+    var schemaList = sc.getSchemaList(type, msg.msgType, appName || null);
+    if (!schemaList) {
+        return {errorCode: "MSG_REJECT_BAD_TYPE", errorPath: ""};
+    }
+    for (var i = 0; i < schemaList.length; i++) {
+        var failure = sc.validate(schemaList[i], msg, getOption);
+        if (failure) {
+            return failure;
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    "validates types, required properties and enums": function(done) {
+        var sc = createSchema();
+        var schema = {
+            type: "object",
+            required: ["name"],
+            properties: {
+                name:   {type: "string", maxLength: 5},
+                mode:   {enum: ["a", "b"]},
+                count:  {type: ["number", "null"]}
+            }
+        };
+
+        assert.strictEqual(sc.validate(schema, {name: "bob", mode: "a", count: null}, getOption), null);
+        assert.deepEqual(sc.validate(schema, {mode: "a"}, getOption), {errorCode: "MSG_REJECT_BAD_STRUCTURE", errorPath: "name"});
+        assert.deepEqual(sc.validate(schema, {name: "toolong"}, getOption), {errorCode: "MSG_REJECT_BAD_STRUCTURE", errorPath: "name"});
+        assert.deepEqual(sc.validate(schema, {name: "bob", mode: "c"}, getOption), {errorCode: "MSG_REJECT_BAD_STRUCTURE", errorPath: "mode"});
+        assert.deepEqual(sc.validate(schema, {name: "bob", count: "1"}, getOption), {errorCode: "MSG_REJECT_BAD_STRUCTURE", errorPath: "count"});
+        assert.deepEqual(sc.validate(schema, [], getOption), {errorCode: "MSG_REJECT_BAD_STRUCTURE", errorPath: ""});
+        done();
+    },
+
+    "reports the error code and path of nested failures": function(done) {
+        var sc = createSchema();
+        var schema = {
+            type: "object",
+            properties: {
+                msgData: {
+                    type: "object",
+                    additionalProperties: {type: "object", properties: {size: {type: "number", errorCode: "MSG_REJECT_BAD_SIZE"}}}
+                }
+            }
+        };
+
+        assert.deepEqual(sc.validate(schema, {msgData: {lobby: {size: "big"}}}, getOption), {errorCode: "MSG_REJECT_BAD_SIZE", errorPath: "msgData.lobby.size"});
+        done();
+    },
+
+    "checks built in commands against their schemas": function(done) {
+        var sc = createSchema();
+
+        assert.strictEqual(validateMsg(sc, "easyrtcCmd", {msgType: "roomJoin", msgData: {roomJoin: {lobby: {roomName: "lobby"}}}}), null);
+        assert.strictEqual(validateMsg(sc, "easyrtcCmd", {msgType: "roomJoin", msgData: {roomJoin: {lobby: {roomName: "other"}}}}).errorPath, "msgData.roomJoin.lobby.roomName");
+        assert.notStrictEqual(validateMsg(sc, "easyrtcCmd", {msgType: "roomJoin", msgData: {roomJoin: {"bad name": {roomName: "bad name"}}}}), null);
+        assert.strictEqual(validateMsg(sc, "easyrtcCmd", {msgType: "offer", msgData: {type: "offer"}}).errorPath, "targetEasyrtcid");
+        assert.strictEqual(validateMsg(sc, "easyrtcCmd", {msgType: "unknownCmd"}).errorCode, "MSG_REJECT_BAD_TYPE");
+        done();
+    },
+
+    "checks the targets of every easyrtcMsg message": function(done) {
+        var sc = createSchema();
+
+        assert.strictEqual(validateMsg(sc, "easyrtcMsg", {msgType: "chat", targetRoom: "lobby", msgData: "hi"}), null);
+        assert.strictEqual(validateMsg(sc, "easyrtcMsg", {msgType: "chat", targetRoom: "bad room"}).errorCode, "MSG_REJECT_TARGET_ROOM");
+        assert.strictEqual(validateMsg(sc, "easyrtcMsg", {msgType: "chat", targetEasyrtcid: 5}).errorCode, "MSG_REJECT_TARGET_EASYRTCID");
+        done();
+    },
+
+    "uses application schemas in place of server schemas": function(done) {
+        var sc = createSchema();
+        var textSchema = {properties: {msgData: {type: "object", required: ["text"]}}};
+        var bodySchema = {properties: {msgData: {type: "object", required: ["body"]}}};
+
+        assert.strictEqual(sc.set(null, "easyrtcMsg", "chat", textSchema), true);
+        assert.strictEqual(sc.set("other", "easyrtcMsg", "chat", bodySchema), true);
+
+        assert.strictEqual(validateMsg(sc, "easyrtcMsg", {msgType: "chat", msgData: {text: "hi"}}, "default"), null);
+        assert.strictEqual(validateMsg(sc, "easyrtcMsg", {msgType: "chat", msgData: {text: "hi"}}, "other").errorPath, "msgData.body");
+
+        // Removing the application schema falls back to the server schema
+        assert.strictEqual(sc.set("other", "easyrtcMsg", "chat", null), true);
+        assert.strictEqual(validateMsg(sc, "easyrtcMsg", {msgType: "chat", msgData: {text: "hi"}}, "other"), null);
+
+        // Schemas are kept per instance
+        assert.strictEqual(validateMsg(createSchema(), "easyrtcMsg", {msgType: "chat", msgData: {}}, "default"), null);
+        done();
+    },
+
+    "refuses to replace built in schemas": function(done) {
+        var sc = createSchema();
+
+        assert.strictEqual(sc.set(null, "easyrtcCmd", "roomJoin", {}), false);
+        assert.strictEqual(sc.set(null, "easyrtcAuth", "custom", {}), false);
+        assert.strictEqual(sc.set(null, "easyrtcMsg", "chat", "not a schema"), false);
+        assert.strictEqual(sc.isBuiltIn("easyrtcCmd", "roomJoin"), true);
+        assert.strictEqual(sc.isBuiltIn("easyrtcMsg", "chat"), false);
+        done();
+    },
+
+    "rejects messages holding inherited property names": function(done) {
+        var sc = createSchema();
+        var schema = {type: "object", properties: {msgData: {type: "object", keyField: "roomName", additionalProperties: {type: "object"}}}};
+
+        assert.notStrictEqual(sc.validate(schema, JSON.parse("{\"msgData\": {\"hasOwnProperty\": {}}}"), getOption), null);
+        done();
+    }
+};
@@ -0,0 +1,52 @@
+/* global module, require */
+
+/**
+ * @file        Specs for creating separate EasyRTC instances.
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var assert          = require("assert");                    // Assertion core module
+var easyrtc         = require("../../../lib/easyrtc_server");
+var createPrivateObj = require("../../../lib/easyrtc_private_obj");
+var createPublicObj = require("../../../lib/easyrtc_public_obj");
+
+module.exports = {
+    "createInstance() returns a server object with its own events": function(done) {
+        var instance = easyrtc.createInstance();
+
+        assert.notStrictEqual(instance, easyrtc);
+        assert.notStrictEqual(instance.events, easyrtc.events);
+        assert.strictEqual(typeof instance.listen, "function");
+        assert.strictEqual(typeof instance.createInstance, "function");
+        done();
+    },
+
+    "two instances do not share applications or options": function(done) {
+        var eA = createPrivateObj();
+        var eB = createPrivateObj();
+        var pubA = createPublicObj(eA);
+        var pubB = createPublicObj(eB);
+
+        assert.notStrictEqual(eA.app, eB.app);
+
+        pubA.setOption("logLevel", "error");
+        pubA.setOption("appDefaultName", "nodeA");
+        assert.strictEqual(pubB.getOption("appDefaultName"), "default");
+
+        pubA.createApp("onlyA", null, function(err) {
+            assert.ifError(err);
+            assert.deepEqual(Object.keys(eA.app), ["onlyA"]);
+            assert.deepEqual(Object.keys(eB.app), []);
+            assert.strictEqual(pubA._getPrivateObj(), eA);
+            assert.strictEqual(pubB._getPrivateObj(), eB);
+
+            pubB.isApp("onlyA", function(err, isApp) {
+                assert.ifError(err);
+                assert.strictEqual(isApp, false);
+                done();
+            });
+        });
+    }
+};
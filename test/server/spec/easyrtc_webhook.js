@@ -0,0 +1,189 @@
+/* global module, require, setTimeout */
+
+/**
+ * @file        Specs for webhook delivery, run against a local HTTP stub.
+ * @author      Priologic Software, info@easyrtc.com
+ * @copyright   Copyright 2016 Priologic Software. All rights reserved.
+ * @license     BSD v2, see LICENSE file in module root folder.
+ */
+
+var assert          = require("assert");                    // Assertion core module
+var http            = require("http");                      // Http core module
+var createPrivateObj = require("../../../lib/easyrtc_private_obj");
+var createPublicObj = require("../../../lib/easyrtc_public_obj");
+var createWebhook   = require("../../../lib/easyrtc_webhook");
+
+// Timers may fire slightly early, so measured delays are allowed this much slack in milliseconds
+var timerSlack = 5;
+
+// Starts an HTTP stub which answers each request with the next status of a list (repeating the last one), and records the requests it receives
+var startStub = function(statusList, callback) {
+    var requestList = [];
+    var server = http.createServer(function(req, res) {
+        var body = "";
+        req.setEncoding("utf8");
+        req.on("data", function(chunk) {
+            body += chunk;
+        });
+        req.on("end", function() {
+            requestList.push({receivedOn: Date.now(), headers: req.headers, body: body});
+            res.statusCode = statusList[Math.min(requestList.length, statusList.length) - 1];
+            res.end();
+        });
+    });
+    server.listen(0, "127.0.0.1", function() {
+        callback(server, "http://127.0.0.1:" + server.address().port + "/hook", requestList);
+    });
+};
+
+// Returns a webhook object of a new instance, with the given options set
+var createInstanceWebhook = function(optionValues) {
+    var pub = createPublicObj(createPrivateObj());
+    pub.setOption("logLevel", "error");
+    pub.setOption("webhookEnable", true);
+    for (var optionName in optionValues) {
+        if (optionValues.hasOwnProperty(optionName)) {
+            assert.ok(pub.setOption(optionName, optionValues[optionName]), "Unable to set option " + optionName);
+        }
+    }
+    return createWebhook(pub);
+};
+
+// Calls back once no deliveries are pending
+var waitForEmptyQueue = function(wh, callback) {
+    if (wh.getPendingDeliveries().length === 0) {
+        callback();
+        return;
+    }
+    setTimeout(function() {
+        waitForEmptyQueue(wh, callback);
+    }, 5);
+};
+
+module.exports = {
+    "delivers a signed event to the target": function(done) {
+        startStub([200], function(server, targetUrl, requestList) {
+            var wh = createInstanceWebhook({webhookTargets: [{url: targetUrl, secret: "hook-secret"}]});
+
+            wh.send("roomJoin", {appName: "default", roomName: "lobby", easyrtcid: "a", username: "alice"});
+            assert.strictEqual(wh.getPendingDeliveries().length, 1);
+
+            waitForEmptyQueue(wh, function() {
+                assert.strictEqual(requestList.length, 1);
+                var request = requestList[0];
+                var body = JSON.parse(request.body);
+
+                assert.strictEqual(body.event, "roomJoin");
+                assert.strictEqual(body.data.roomName, "lobby");
+                assert.strictEqual(request.headers["x-easyrtc-event"], "roomJoin");
+                assert.strictEqual(request.headers["x-easyrtc-event-id"], body.eventId);
+                assert.strictEqual(request.headers["x-easyrtc-attempt"], "1");
+                assert.ok(Math.abs(Number(request.headers["x-easyrtc-timestamp"]) - request.receivedOn) < 5000);
+                assert.strictEqual(request.headers["x-easyrtc-signature"], wh.getSignature("hook-secret", request.headers["x-easyrtc-timestamp"], request.body));
+
+                // A signature over the body alone, or with another timestamp, does not match
+                assert.notStrictEqual(request.headers["x-easyrtc-signature"], wh.getSignature("hook-secret", String(Number(request.headers["x-easyrtc-timestamp"]) + 1), request.body));
+
+                server.close(done);
+            });
+        });
+    },
+
+    "retries a failed delivery with exponential backoff": function(done) {
+        startStub([500, 503, 200], function(server, targetUrl, requestList) {
+            var wh = createInstanceWebhook({
+                webhookTargets: [{url: targetUrl, secret: "hook-secret"}],
+                webhookRetryDelay: 40,
+                webhookRetryMaxDelay: 1000
+            });
+
+            wh.send("disconnect", {appName: "default", easyrtcid: "a"});
+
+            setTimeout(function() {
+                // The first attempt has failed and a retry is scheduled
+                var pendingList = wh.getPendingDeliveries();
+                assert.strictEqual(pendingList.length, 1);
+                assert.strictEqual(pendingList[0].attemptCount, 1);
+                assert.ok(/status 500/.test(pendingList[0].lastError));
+                assert.ok(pendingList[0].nextAttemptOn > Date.now());
+            }, 20);
+
+            waitForEmptyQueue(wh, function() {
+                assert.strictEqual(requestList.length, 3);
+                assert.deepEqual(requestList.map(function(request) { return request.headers["x-easyrtc-attempt"]; }), ["1", "2", "3"]);
+
+                // Each attempt is signed with its own timestamp, over the same body
+                requestList.forEach(function(request) {
+                    assert.strictEqual(request.body, requestList[0].body);
+                    assert.strictEqual(request.headers["x-easyrtc-signature"], wh.getSignature("hook-secret", request.headers["x-easyrtc-timestamp"], request.body));
+                });
+
+                // The delay doubles with each retry
+                assert.ok(requestList[1].receivedOn - requestList[0].receivedOn >= 40 - timerSlack);
+                assert.ok(requestList[2].receivedOn - requestList[1].receivedOn >= 80 - timerSlack);
+
+                server.close(done);
+            });
+        });
+    },
+
+    "caps the retry delay at webhookRetryMaxDelay": function(done) {
+        startStub([500, 500, 500, 200], function(server, targetUrl, requestList) {
+            var wh = createInstanceWebhook({
+                webhookTargets: [{url: targetUrl}],
+                webhookRetryDelay: 20,
+                webhookRetryMaxDelay: 30
+            });
+
+            wh.send("roomCreate", {appName: "default", roomName: "lobby"});
+
+            waitForEmptyQueue(wh, function() {
+                assert.strictEqual(requestList.length, 4);
+                assert.strictEqual(requestList[0].headers["x-easyrtc-signature"], undefined);
+
+                // Without the cap, the last delay would be 80ms
+                var lastDelay = requestList[3].receivedOn - requestList[2].receivedOn;
+                assert.ok(lastDelay >= 30 - timerSlack && lastDelay < 80, "Unexpected delay " + lastDelay);
+
+                server.close(done);
+            });
+        });
+    },
+
+    "drops a delivery after webhookRetryCount retries": function(done) {
+        startStub([503], function(server, targetUrl, requestList) {
+            var wh = createInstanceWebhook({
+                webhookTargets: [{url: targetUrl}],
+                webhookRetryCount: 2,
+                webhookRetryDelay: 10
+            });
+
+            wh.send("roomDelete", {appName: "default", roomName: "lobby"});
+
+            waitForEmptyQueue(wh, function() {
+                assert.strictEqual(requestList.length, 3);
+
+                // No further attempts are made once the delivery is dropped
+                setTimeout(function() {
+                    assert.strictEqual(requestList.length, 3);
+                    server.close(done);
+                }, 100);
+            });
+        });
+    },
+
+    "only sends the events a target subscribes to": function(done) {
+        startStub([200], function(server, targetUrl, requestList) {
+            var wh = createInstanceWebhook({webhookTargets: [{url: targetUrl, events: ["roomJoin"]}]});
+
+            wh.send("roomLeave", {appName: "default", roomName: "lobby", easyrtcid: "a"});
+            assert.strictEqual(wh.getPendingDeliveries().length, 0);
+
+            wh.send("roomJoin", {appName: "default", roomName: "lobby", easyrtcid: "a"});
+            waitForEmptyQueue(wh, function() {
+                assert.deepEqual(requestList.map(function(request) { return request.headers["x-easyrtc-event"]; }), ["roomJoin"]);
+                server.close(done);
+            });
+        });
+    }
+};